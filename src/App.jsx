@@ -1,4 +1,4 @@
-import React, { useState, useEffect, lazy, Suspense } from 'react';
+import React, { useState, useEffect, useRef, lazy, Suspense } from 'react';
 import { Loader } from 'lucide-react';
 
 // Import critical components (needed immediately)
@@ -10,16 +10,76 @@ const TrialSetup = lazy(() => import('./components/TrialSetup'));
 const TrialLayoutEditor = lazy(() => import('./components/TrialLayoutEditor'));
 const DataEntry = lazy(() => import('./components/DataEntry'));
 const ExcelImport = lazy(() => import('./components/ExcelImport'));
+const SharedTrialView = lazy(() => import('./components/SharedTrialView'));
+
+// Sponsor share links (?share=<token>) open a read-only view without logging in
+const shareToken = new URLSearchParams(window.location.search).get('share');
 
 // Import Supabase services
 import { supabase, hasValidCredentials } from './services/supabase';
 import {
   getAllTrials,
+  getTrial,
   createTrial,
-  updateTrial,
+  saveTrial,
   deleteTrial as deleteTrialDB,
-  migrateFromLocalStorage
+  migrateFromLocalStorage,
+  diffAssessmentDates,
+  syncPendingChanges,
+  subscribeToSyncStatus,
+  subscribeToTrials,
+  subscribeToObservations,
+  joinTrialPresence,
+  claimTrialInvites,
+  isOnline as checkOnline,
+  SYNC_STATUS,
+  createSnapshot,
+  mergeRemoteTrial
 } from './services/database';
+import { TRIAL_ROLES, canEnterData, canEditSettings } from './utils/trialRoles';
+import { DESIGN_TYPES, layoutFitsDesign } from './utils/experimentalDesigns';
+
+// Set one plot cell in a list of assessment dates, creating the date
+// (with empty cells for every plot) if a colleague added it
+const setAssessmentCell = (assessmentDates, change, plotIds, assessmentTypeNames) => {
+  const cell = { value: change.value ?? '', entered: !!change.entered };
+  const emptyPlots = () => Object.fromEntries(plotIds.map(id => [id, { value: '', entered: false }]));
+
+  if (!assessmentDates.some(d => d.date === change.date)) {
+    const assessments = {};
+    assessmentTypeNames.forEach(name => {
+      assessments[name] = emptyPlots();
+    });
+    if (!assessments[change.assessmentType]) assessments[change.assessmentType] = emptyPlots();
+    assessments[change.assessmentType][change.plotId] = cell;
+    return [...assessmentDates, { date: change.date, assessments }];
+  }
+
+  return assessmentDates.map(d => {
+    if (d.date !== change.date) return d;
+    return {
+      ...d,
+      assessments: {
+        ...d.assessments,
+        [change.assessmentType]: {
+          ...(d.assessments[change.assessmentType] || emptyPlots()),
+          [change.plotId]: cell
+        }
+      }
+    };
+  });
+};
+
+// Trial row fields that colleagues' saves are merged into
+const trialRowFields = (trial) => ({
+  config: trial.config,
+  gridLayout: trial.gridLayout || [],
+  orientation: trial.orientation || 0,
+  layoutLocked: trial.layoutLocked || false,
+  photos: trial.photos || {},
+  notes: trial.notes || {},
+  lastModified: trial.lastModified
+});
 
 // Loading fallback component for lazy-loaded routes
 const LoadingFallback = () => (
@@ -45,6 +105,10 @@ const App = () => {
   const [trials, setTrials] = useState({});
   const [trialsLoading, setTrialsLoading] = useState(false);
 
+  // Offline sync state
+  const [syncStatuses, setSyncStatuses] = useState({});
+  const [isOnline, setIsOnline] = useState(checkOnline());
+
   const [config, setConfig] = useState({
     trialName: '',
     numBlocks: 4,
@@ -63,12 +127,33 @@ const App = () => {
   const [photos, setPhotos] = useState({});
   const [notes, setNotes] = useState({});
 
+  // Assessment values as last handed to saveTrial, so only changed plots are sent
+  const savedAssessmentDatesRef = useRef([]);
+
+  // Trial row as last saved or received, to tell a colleague's changes from ours
+  const savedTrialRef = useRef({});
+
+  // Current user's role on the open trial (new trials are always our own)
+  const currentRole = trials[currentTrialId]?.role || TRIAL_ROLES.OWNER;
+
+  // Live collaboration state
+  const [collaborators, setCollaborators] = useState([]);
+  const [conflicts, setConflicts] = useState([]);
+  const presenceRef = useRef(null);
+  const activePlotRef = useRef(null);
+
+  // Latest values for realtime callbacks, which outlive a single render
+  const liveStateRef = useRef({});
+  liveStateRef.current = { currentTrialId, config, gridLayout, assessmentDates, photos, notes };
+
   // =====================================================
   // AUTHENTICATION MANAGEMENT
   // =====================================================
 
   // Check for existing session on mount
   useEffect(() => {
+    if (shareToken) return;
+
     checkUser();
 
     // Listen for auth state changes
@@ -87,6 +172,30 @@ const App = () => {
     return () => subscription.unsubscribe();
   }, []);
 
+  // =====================================================
+  // OFFLINE SYNC
+  // =====================================================
+
+  // Track per-trial sync status and replay queued edits when the connection returns
+  useEffect(() => {
+    const syncSubscription = subscribeToSyncStatus(setSyncStatuses);
+
+    const handleOnline = () => {
+      setIsOnline(true);
+      syncPendingChanges();
+    };
+    const handleOffline = () => setIsOnline(false);
+
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+
+    return () => {
+      syncSubscription.unsubscribe();
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', handleOffline);
+    };
+  }, []);
+
   const checkUser = async () => {
     try {
       const { data: { session } } = await supabase.auth.getSession();
@@ -119,6 +228,143 @@ const App = () => {
     }
   };
 
+  // =====================================================
+  // LIVE COLLABORATION
+  // =====================================================
+
+  // Keep library entries in step with trials changed on other devices
+  useEffect(() => {
+    if (!user) return;
+
+    const trialsSubscription = subscribeToTrials(async (payload) => {
+      const trialId = payload.new?.id || payload.old?.id;
+      if (!trialId) return;
+
+      // Plot values in the open trial arrive through its observations; skip our own saves echoing back
+      const isOpenTrial = trialId === liveStateRef.current.currentTrialId;
+      const savedTrial = savedTrialRef.current;
+      if (isOpenTrial && payload.eventType === 'UPDATE' &&
+          Date.parse(payload.new.last_modified) === Date.parse(savedTrial.lastModified)) return;
+
+      if (payload.eventType === 'DELETE') {
+        if (isOpenTrial) return;
+        setTrials(prev => {
+          const newTrials = { ...prev };
+          delete newTrials[trialId];
+          return newTrials;
+        });
+        return;
+      }
+
+      try {
+        const trial = await getTrial(trialId);
+        setTrials(prev => ({ ...prev, [trialId]: trial }));
+        if (isOpenTrial && trialId === liveStateRef.current.currentTrialId) {
+          handleRemoteTrial(savedTrial, trial);
+        }
+      } catch (error) {
+        console.error('Error refreshing trial from realtime update:', error);
+      }
+    });
+
+    return () => trialsSubscription.unsubscribe();
+  }, [user]);
+
+  // Receive colleagues' plot values and presence while a trial is open
+  useEffect(() => {
+    if (!user || step !== 'entry' || !currentTrialId || currentTrialId.startsWith('temp-')) return;
+
+    const observationsSubscription = subscribeToObservations(currentTrialId, handleRemoteObservation);
+    presenceRef.current = joinTrialPresence(currentTrialId, user, setCollaborators);
+
+    return () => {
+      observationsSubscription.unsubscribe();
+      presenceRef.current?.leave();
+      presenceRef.current = null;
+      activePlotRef.current = null;
+      setCollaborators([]);
+      setConflicts([]);
+    };
+  }, [user, step, currentTrialId]);
+
+  const applyCellChange = (assessmentDatesList, change) => {
+    const { config: liveConfig, gridLayout: liveLayout } = liveStateRef.current;
+    const plotIds = liveLayout.flat().filter(p => !p.isBlank).map(p => p.id);
+    const typeNames = liveConfig.assessmentTypes.map(t => t.name);
+    return setAssessmentCell(assessmentDatesList, change, plotIds, typeNames);
+  };
+
+  // Write a remote value into both the UI and the saved baseline, so it isn't sent back
+  const applyRemoteObservation = (observation) => {
+    savedAssessmentDatesRef.current = applyCellChange(savedAssessmentDatesRef.current, observation);
+    setAssessmentDates(prev => applyCellChange(prev, observation));
+  };
+
+  // A plot value arrived from another device (or our own save echoing back)
+  const handleRemoteObservation = (observation) => {
+    const { date, assessmentType, plotId } = observation;
+    const findCell = (dates) => dates.find(d => d.date === date)?.assessments?.[assessmentType]?.[plotId];
+
+    const localCell = findCell(liveStateRef.current.assessmentDates);
+    const savedCell = findCell(savedAssessmentDatesRef.current);
+    const remoteValue = String(observation.value ?? '');
+    const localValue = String(localCell?.value ?? '');
+
+    if (localValue === remoteValue) {
+      savedAssessmentDatesRef.current = applyCellChange(savedAssessmentDatesRef.current, observation);
+      return;
+    }
+
+    const activePlot = activePlotRef.current;
+    const isEditingPlot = activePlot?.plotId === plotId &&
+      activePlot?.date === date &&
+      activePlot?.assessmentType === assessmentType;
+    const hasUnsavedEdit = localValue !== String(savedCell?.value ?? '');
+
+    if (localCell?.entered && (isEditingPlot || hasUnsavedEdit)) {
+      setConflicts(prev => [
+        ...prev.filter(c => !(c.date === date && c.assessmentType === assessmentType && c.plotId === plotId)),
+        { ...observation, localValue }
+      ]);
+      return;
+    }
+
+    applyRemoteObservation(observation);
+  };
+
+  // A colleague saved the open trial: take their settings and merge their notes and photos
+  const handleRemoteTrial = (savedTrial, trial) => {
+    const remote = trialRowFields(trial);
+    const updates = mergeRemoteTrial(savedTrial, liveStateRef.current, remote);
+    savedTrialRef.current = remote;
+
+    if (updates.config) setConfig(updates.config);
+    if (updates.gridLayout) setGridLayout(updates.gridLayout);
+    if (updates.orientation !== undefined) setOrientation(updates.orientation);
+    if (updates.layoutLocked !== undefined) setLayoutLocked(updates.layoutLocked);
+    if (updates.photos) setPhotos(updates.photos);
+    if (updates.notes) setNotes(updates.notes);
+  };
+
+  // Resolve a clash between our value and a colleague's for the same plot
+  const resolveConflict = (conflict, keepMine) => {
+    setConflicts(prev => prev.filter(c => c !== conflict));
+
+    if (keepMine) {
+      // Treat their value as the saved baseline so ours is re-sent as the newer edit
+      savedAssessmentDatesRef.current = applyCellChange(savedAssessmentDatesRef.current, conflict);
+      saveCurrentTrial();
+    } else {
+      applyRemoteObservation(conflict);
+    }
+  };
+
+  // Share which plot we're on with collaborators
+  const handleActivePlotChange = (activePlot) => {
+    activePlotRef.current = activePlot;
+    presenceRef.current?.update(activePlot || {});
+  };
+
   // =====================================================
   // DATABASE OPERATIONS
   // =====================================================
@@ -127,8 +373,10 @@ const App = () => {
   const loadTrialsFromDatabase = async () => {
     setTrialsLoading(true);
     try {
+      await claimTrialInvites();
       const dbTrials = await getAllTrials();
       setTrials(dbTrials);
+      syncPendingChanges();
     } catch (error) {
       console.error('Error loading trials:', error);
       alert('Error loading trials from database');
@@ -137,14 +385,18 @@ const App = () => {
     }
   };
 
-  // Auto-save current trial to database
+  // Auto-save current trial (stored locally first, then synced to database)
   const saveCurrentTrial = async () => {
     if (!currentTrialId) return;
 
     // Don't try to save trials with temporary IDs (not yet in database)
     if (currentTrialId.startsWith('temp-')) return;
 
+    // Client viewers have read-only access
+    if (!canEnterData(currentRole)) return;
+
     const trialData = {
+      ...trials[currentTrialId],
       id: currentTrialId,
       name: config.trialName,
       config,
@@ -158,12 +410,19 @@ const App = () => {
       created: trials[currentTrialId]?.created || new Date().toISOString()
     };
 
+    const observationChanges = diffAssessmentDates(savedAssessmentDatesRef.current, assessmentDates);
+    savedAssessmentDatesRef.current = assessmentDates;
+    savedTrialRef.current = trialRowFields(trialData);
+
     try {
-      const updatedTrial = await updateTrial(currentTrialId, trialData);
-      setTrials(prev => ({ ...prev, [currentTrialId]: updatedTrial }));
+      const savedTrial = await saveTrial(currentTrialId, trialData, observationChanges);
+      setTrials(prev => ({ ...prev, [currentTrialId]: savedTrial }));
     } catch (error) {
       console.error('Error saving trial:', error);
-      // Silently fail on auto-save errors (user can manually save)
+      setSyncStatuses(prev => ({
+        ...prev,
+        [currentTrialId]: { trialId: currentTrialId, status: SYNC_STATUS.FAILED, error: error.message }
+      }));
     }
   };
 
@@ -189,6 +448,7 @@ const App = () => {
 
     setConfig({
       trialName: 'New Trial',
+      design: { type: DESIGN_TYPES.RCBD },
       numBlocks: 4,
       numTreatments: 3,
       treatments: ['Treatment A', 'Treatment B', 'Treatment C'],
@@ -201,6 +461,8 @@ const App = () => {
     setOrientation(0);
     setLayoutLocked(false);
     setAssessmentDates([]);
+    savedAssessmentDatesRef.current = [];
+    savedTrialRef.current = {};
     setPhotos({});
     setNotes({});
     setStep('setup');
@@ -224,6 +486,8 @@ const App = () => {
       };
 
       const newTrial = await createTrial(trialData);
+      savedAssessmentDatesRef.current = newTrial.assessmentDates;
+      savedTrialRef.current = trialRowFields(newTrial);
       setCurrentTrialId(newTrial.id);
       setTrials(prev => ({ ...prev, [newTrial.id]: newTrial }));
     } catch (error) {
@@ -243,6 +507,8 @@ const App = () => {
     setOrientation(trial.orientation || 0);
     setLayoutLocked(trial.layoutLocked || false);
     setAssessmentDates(trial.assessmentDates || []);
+    savedAssessmentDatesRef.current = trial.assessmentDates || [];
+    savedTrialRef.current = trialRowFields(trial);
     setPhotos(trial.photos || {});
     setNotes(trial.notes || {});
     setStep('entry');
@@ -279,7 +545,7 @@ const App = () => {
         lastModified: new Date().toISOString()
       };
 
-      await updateTrial(trialId, updatedTrial);
+      await saveTrial(trialId, updatedTrial);
       setTrials(prev => ({ ...prev, [trialId]: updatedTrial }));
     } catch (error) {
       console.error('Error updating trial metadata:', error);
@@ -287,6 +553,38 @@ const App = () => {
     }
   };
 
+  // Restore a snapshot, keeping a snapshot of the current state so it can be undone
+  const handleRestoreSnapshot = async (snapshot, data) => {
+    await createSnapshot(currentTrialId, `Before restoring "${snapshot.name}"`, {
+      config, gridLayout, orientation, assessmentDates, notes, photos
+    });
+
+    setConfig(data.config);
+    setGridLayout(data.gridLayout || []);
+    setOrientation(data.orientation || 0);
+    setAssessmentDates(data.assessmentDates || []);
+    setNotes(data.notes || {});
+    setPhotos(data.photos || {});
+  };
+
+  // Unlock layout for editing, taking a restore point first
+  const handleUnlockLayout = async () => {
+    if (!canEditSettings(currentRole)) return;
+    if (!confirm('⚠️ Unlocking layout may affect existing data. A "Before layout unlock" snapshot will be saved first. Continue?')) return;
+
+    try {
+      await createSnapshot(currentTrialId, `Before layout unlock (${new Date().toLocaleDateString()})`, {
+        config, gridLayout, orientation, assessmentDates, notes, photos
+      });
+    } catch (error) {
+      console.error('Error saving unlock snapshot:', error);
+      if (!confirm('Could not save a snapshot (are you offline?). Unlock the layout anyway?')) return;
+    }
+
+    setLayoutLocked(false);
+    setStep('layoutBuilder');
+  };
+
   // Export trial as JSON
   const exportTrialJSON = () => {
     const trial = trials[currentTrialId];
@@ -302,6 +600,23 @@ const App = () => {
     URL.revokeObjectURL(url);
   };
 
+  // Export plot data, treatments and trial details as an ARM-importable workbook
+  const exportTrialARM = async () => {
+    // xlsx is only loaded when it's needed
+    const { exportArmWorkbook } = await import('./utils/armExport');
+    exportArmWorkbook({ ...trials[currentTrialId], config, gridLayout, assessmentDates });
+  };
+
+  // Export one sheet per assessment date in the layout the Excel importer reads
+  const exportTrialExcel = async () => {
+    if (assessmentDates.length === 0) {
+      alert('No assessment dates to export yet.');
+      return;
+    }
+    const { exportAssessmentWorkbook } = await import('./utils/excelExport');
+    exportAssessmentWorkbook({ ...trials[currentTrialId], config, gridLayout, assessmentDates, notes });
+  };
+
   // Import trial from JSON
   const importTrialJSON = async (e) => {
     const file = e.target.files[0];
@@ -555,6 +870,15 @@ const App = () => {
     );
   }
 
+  // Client portal link - no login needed
+  if (shareToken) {
+    return (
+      <Suspense fallback={<LoadingFallback />}>
+        <SharedTrialView token={shareToken} />
+      </Suspense>
+    );
+  }
+
   // Show loading spinner while checking auth
   if (authLoading) {
     return (
@@ -580,6 +904,9 @@ const App = () => {
           trials={trials}
           loading={trialsLoading}
           user={user}
+          syncStatuses={syncStatuses}
+          isOnline={isOnline}
+          onRetrySync={syncPendingChanges}
           onCreateNew={createNewTrial}
           onLoadTrial={loadTrial}
           onDeleteTrial={handleDeleteTrial}
@@ -607,8 +934,15 @@ const App = () => {
       <Suspense fallback={<LoadingFallback />}>
         <TrialSetup
           config={config}
+          trials={trials}
           onConfigChange={setConfig}
-          onNext={() => setStep('layoutBuilder')}
+          onNext={() => {
+            // A layout built for a different design or size can't be reused
+            if (!layoutLocked && !layoutFitsDesign(config, gridLayout)) {
+              setGridLayout([]);
+            }
+            setStep('layoutBuilder');
+          }}
           onBack={() => setStep('library')}
         />
       </Suspense>
@@ -623,6 +957,7 @@ const App = () => {
           gridLayout={gridLayout}
           orientation={orientation}
           onLayoutChange={setGridLayout}
+          onConfigChange={setConfig}
           onOrientationChange={setOrientation}
           onFinalize={async () => {
             console.log('[App] Finalizing trial layout');
@@ -670,13 +1005,16 @@ const App = () => {
           onPhotosChange={setPhotos}
           onNotesChange={setNotes}
           onConfigChange={handleConfigChange}
-          onUnlockLayout={() => {
-            if (confirm('⚠️ Unlocking layout may affect existing data. Continue?')) {
-              setLayoutLocked(false);
-              setStep('layoutBuilder');
-            }
-          }}
+          collaborators={collaborators}
+          conflicts={conflicts}
+          onActivePlotChange={handleActivePlotChange}
+          onResolveConflict={resolveConflict}
+          role={currentRole}
+          onUnlockLayout={handleUnlockLayout}
+          onRestoreSnapshot={handleRestoreSnapshot}
           onExportJSON={exportTrialJSON}
+          onExportARM={exportTrialARM}
+          onExportExcel={exportTrialExcel}
           onBackToLibrary={async () => {
             await saveCurrentTrial();
             setStep('library');
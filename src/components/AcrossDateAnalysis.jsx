@@ -0,0 +1,129 @@
+import React, { useMemo } from 'react';
+import { analyseAudpc, analyseRepeatedMeasures } from '../utils/repeatedMeasures';
+import { TRANSFORMS } from '../utils/transforms';
+import { COMPARISON_METHODS, getComparisonSettings, formatCriticalValue } from '../utils/multipleComparisons';
+
+const formatNumber = (value, digits) => (value === null || value === undefined ? '' : value.toFixed(digits));
+const formatP = (p) => (p === null || p === undefined ? '' : p < 0.001 ? '<0.001' : p.toFixed(3));
+
+// AUDPC and split-plot-in-time analysis of every date of one assessment type
+const AcrossDateAnalysis = ({ config, gridLayout, assessmentDates, assessmentType, transformKey }) => {
+  const audpc = useMemo(
+    () => analyseAudpc(config, gridLayout, assessmentDates, assessmentType),
+    [config, gridLayout, assessmentDates, assessmentType]
+  );
+  const repeated = useMemo(
+    () => analyseRepeatedMeasures(config, gridLayout, assessmentDates, assessmentType, { transform: transformKey }),
+    [config, gridLayout, assessmentDates, assessmentType, transformKey]
+  );
+
+  if (!audpc && !repeated) {
+    return <p className="text-gray-500 text-sm">Enter data on at least two dates to analyse across dates.</p>;
+  }
+
+  const comparisonSettings = getComparisonSettings(config);
+  const comparisonMethod = COMPARISON_METHODS[comparisonSettings.method];
+  const comparison = audpc?.comparison || null;
+
+  return (
+    <div className="space-y-6">
+      {/* AUDPC */}
+      {audpc && comparison && (
+        <div>
+          <h4 className="font-semibold mb-1">Area Under the Progress Curve (AUDPC)</h4>
+          <p className="text-xs text-gray-600 mb-3">
+            Trapezoidal rule over {audpc.dates.length} dates ({audpc.dates[0]} to {audpc.dates[audpc.dates.length - 1]}),
+            in value × {audpc.unit}. Analysed on the original scale.
+          </p>
+          <table className="w-full text-sm border-collapse">
+            <thead>
+              <tr className="border-b-2 border-gray-300 bg-gray-100">
+                <th className="p-2 text-left">Treatment</th>
+                <th className="p-2 text-right">AUDPC</th>
+                <th className="p-2 text-right">SE</th>
+                <th className="p-2 text-center">Group</th>
+              </tr>
+            </thead>
+            <tbody>
+              {comparison.treatments.map(t => (
+                <tr key={t.treatment} className="border-b">
+                  <td className="p-2">{t.treatmentName}</td>
+                  <td className="p-2 text-right font-mono">{t.mean.toFixed(1)}</td>
+                  <td className="p-2 text-right font-mono">{t.stdError.toFixed(2)}</td>
+                  <td className={`p-2 text-center text-xs ${['NS', 'ns', 'control', ''].includes(t.group) ? 'text-gray-400' : 'font-bold text-blue-600'}`}>
+                    {t.group}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <p className="text-xs text-gray-600 mt-2">
+            F = {formatNumber(audpc.anova.fTreatment, 2)}, p = {formatP(audpc.anova.pValue)} • s.e.d. {audpc.standardErrors.sed.toFixed(2)}
+            {comparison.criticalValue !== null && ` • ${formatCriticalValue(comparison, comparisonSettings.alpha)}`}
+            {' '}• Groups by {comparisonMethod.label}
+          </p>
+          {audpc.incompletePlots.length > 0 && (
+            <p className="text-xs text-orange-700 mt-1">
+              No AUDPC for plots missing a date (analysed as missing plots): {audpc.incompletePlots.join(', ')}
+            </p>
+          )}
+        </div>
+      )}
+
+      {/* Split-plot in time */}
+      {repeated && (
+        <div>
+          <h4 className="font-semibold mb-1">
+            Repeated Measures (split-plot in time)
+            {transformKey !== 'none' && <span className="text-sm font-normal text-gray-600"> - {TRANSFORMS[transformKey].label} scale</span>}
+          </h4>
+          <p className="text-xs text-gray-600 mb-3">
+            Plots are whole plots and dates are sub-plots. Treatments are tested against the whole-plot error,
+            dates and treatment × date against the within-plot error.
+          </p>
+          <table className="w-full text-sm border-collapse">
+            <thead>
+              <tr className="border-b-2 border-gray-300 bg-gray-100">
+                <th className="p-2 text-left">Source of variation</th>
+                <th className="p-2 text-right">d.f.</th>
+                <th className="p-2 text-right">s.s.</th>
+                <th className="p-2 text-right">m.s.</th>
+                <th className="p-2 text-right">v.r.</th>
+                <th className="p-2 text-right">F pr.</th>
+                <th className="p-2 text-right" title="Greenhouse-Geisser corrected">G-G F pr.</th>
+              </tr>
+            </thead>
+            <tbody>
+              {repeated.sources.map((source, idx) => (
+                <tr
+                  key={idx}
+                  className={`border-b ${source.term === 'total' ? 'font-semibold' : ''} ${source.term === 'date' ? 'border-t-2 border-gray-300' : ''}`}
+                >
+                  <td className="p-2">{source.source}</td>
+                  <td className="p-2 text-right">{source.df}</td>
+                  <td className="p-2 text-right">{formatNumber(source.ss, 3)}</td>
+                  <td className="p-2 text-right">{formatNumber(source.ms, 3)}</td>
+                  <td className="p-2 text-right">{formatNumber(source.f, 2)}</td>
+                  <td className={`p-2 text-right ${source.p !== null && source.p < 0.05 ? 'text-green-600 font-semibold' : ''}`}>
+                    {formatP(source.p)}
+                  </td>
+                  <td className={`p-2 text-right ${source.pAdjusted !== null && source.pAdjusted < 0.05 ? 'text-green-600 font-semibold' : ''}`}>
+                    {formatP(source.pAdjusted)}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <p className="text-xs text-gray-600 mt-2">
+            {repeated.dates.length} dates • Treatment × Date overall: F = {formatNumber(repeated.interaction.f, 2)},
+            p = {formatP(repeated.interaction.p)} (G-G {formatP(repeated.interaction.pAdjusted)})
+            {' '}• Greenhouse-Geisser ε = {repeated.epsilon.toFixed(3)}
+            {repeated.epsilon < 0.75 && ' - correlations between dates are unequal, use the corrected p-values'}
+          </p>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AcrossDateAnalysis;
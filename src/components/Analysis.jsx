@@ -1,8 +1,65 @@
-import React from 'react';
+import React, { useState, useMemo } from 'react';
 import * as ss from 'simple-statistics';
-import { jStat } from 'jstat';
+import { DESIGN_TYPES, DESIGN_LABELS, getDesign, getTreatmentFactors } from '../utils/experimentalDesigns';
+import { analyseDesign } from '../stats';
+import { TRANSFORMS, getTransformKey } from '../utils/transforms';
+import { ANALYSIS_MODES, getAnalysisMode, analyseRanks } from '../utils/nonParametric';
+import { SPATIAL_METHODS } from '../utils/spatial';
+import { COMPARISON_METHODS, getComparisonSettings, formatCriticalValue } from '../utils/multipleComparisons';
+import ResidualDiagnostics from './ResidualDiagnostics';
+import AcrossDateAnalysis from './AcrossDateAnalysis';
+import RankAnalysis from './RankAnalysis';
+
+// Covariate values for analysing one date; none when the date is its own covariate
+const getDateCovariate = (assessmentDates, covariateKey, assessmentType, dateObj) => {
+  if (!covariateKey) return null;
+  const separator = covariateKey.indexOf('|');
+  const covariateDate = assessmentDates[parseInt(covariateKey.slice(0, separator), 10)];
+  const covariateType = covariateKey.slice(separator + 1);
+  if (!covariateDate || (covariateDate === dateObj && covariateType === assessmentType)) return null;
+
+  const values = {};
+  Object.entries(covariateDate.assessments[covariateType] || {}).forEach(([plotId, v]) => {
+    if (v?.entered && v.value !== '' && !isNaN(parseFloat(v.value))) values[plotId] = parseFloat(v.value);
+  });
+  return { values, label: `${covariateType} (${covariateDate.date})` };
+};
+
+const Analysis = ({ config, gridLayout, assessmentDates, selectedAssessmentType, onShowPlot }) => {
+  const [anovaDateIndex, setAnovaDateIndex] = useState(null);
+  // Analysis mode chosen here for this session, per assessment type
+  const [modeOverrides, setModeOverrides] = useState({});
+  // Covariate as 'dateIndex|assessmentType', or '' for none
+  const [covariateKey, setCovariateKey] = useState('');
+  const [spatialMethod, setSpatialMethod] = useState('none');
+
+  const analysisMode = modeOverrides[selectedAssessmentType] || getAnalysisMode(config, selectedAssessmentType);
+
+  // One analysis per date (each is a full least-squares fit, or the rank tests), shared by every table below
+  const dateStats = useMemo(() => {
+    if (!config || !gridLayout || !assessmentDates || !selectedAssessmentType) return [];
+    if (analysisMode !== 'parametric') {
+      const { alpha } = getComparisonSettings(config);
+      return assessmentDates.map(dateObj => {
+        const assessmentData = dateObj.assessments[selectedAssessmentType];
+        return assessmentData ? analyseRanks(config, gridLayout, assessmentData, { mode: analysisMode, alpha }) : null;
+      });
+    }
 
-const Analysis = ({ config, gridLayout, assessmentDates, selectedAssessmentType }) => {
+    // Covariance and spatial analysis aren't offered for split-plots (the covariates would act in both strata)
+    const adjustable = getDesign(config).type !== DESIGN_TYPES.SPLIT_PLOT;
+    const transform = getTransformKey(config, selectedAssessmentType);
+    return assessmentDates.map(dateObj => {
+      const assessmentData = dateObj.assessments[selectedAssessmentType];
+      if (!assessmentData) return null;
+
+      return analyseDesign(config, gridLayout, assessmentData, {
+        transform,
+        covariate: adjustable ? getDateCovariate(assessmentDates, covariateKey, selectedAssessmentType, dateObj) : null,
+        spatial: adjustable ? spatialMethod : 'none'
+      });
+    });
+  }, [config, gridLayout, assessmentDates, selectedAssessmentType, analysisMode, covariateKey, spatialMethod]);
 
   // Safety checks
   if (!config || !gridLayout || !assessmentDates || !selectedAssessmentType) {
@@ -28,341 +85,382 @@ const Analysis = ({ config, gridLayout, assessmentDates, selectedAssessmentType
     );
   }
 
-  // GenStat-style Compact Letter Display (CLD) algorithm
-  // Key: Two treatments share a letter ONLY if they are NOT significantly different from EACH OTHER
-  // No transitive inheritance allowed!
-  const assignLetters = (sortedTreatments, lsd, significant) => {
-    if (!significant) {
-      return sortedTreatments.map(t => ({ ...t, group: 'NS' }));
-    }
-
-    if (sortedTreatments.length === 0) {
-      return [];
-    }
-
-    // Sort by mean descending (standard for CLD)
-    const treatments = [...sortedTreatments].sort((a, b) => b.mean - a.mean);
-
-    // Groups: each group contains treatments that are ALL within LSD of each other
-    let groups = [];
-
-    // Step 1: Insert each treatment into applicable groups
-    for (const t of treatments) {
-      // Find groups where t fits (within LSD of ALL members)
-      for (const group of groups) {
-        let fits = true;
-        for (const member of group) {
-          if (Math.abs(t.mean - member.mean) > lsd) {
-            fits = false;
-            break;
-          }
-        }
-        if (fits) {
-          group.push(t);
-        }
-      }
-      // Always create singleton group (may become larger group later)
-      groups.push([t]);
-    }
-
-    // Step 2: Remove redundant groups (groups that are subsets of other groups)
-    groups = groups.filter(g => {
-      const gSet = new Set(g.map(t => t.treatment));
-      for (const other of groups) {
-        if (other === g) continue;
-        if (other.length > g.length) {
-          const otherSet = new Set(other.map(t => t.treatment));
-          let isSubset = true;
-          for (const gt of gSet) {
-            if (!otherSet.has(gt)) {
-              isSubset = false;
-              break;
-            }
-          }
-          if (isSubset) return false; // g is redundant
-        }
-      }
-      return true;
-    });
-
-    // Step 3: Assign letters to groups
-    const letterMap = new Map();
-    treatments.forEach(t => letterMap.set(t.treatment, ''));
-
-    groups.forEach((group, idx) => {
-      const letter = String.fromCharCode('a'.charCodeAt(0) + idx);
-      for (const member of group) {
-        letterMap.set(member.treatment, letterMap.get(member.treatment) + letter);
-      }
-    });
-
-    // Return with letters sorted alphabetically
-    return sortedTreatments.map(t => ({
-      ...t,
-      group: letterMap.get(t.treatment).split('').sort().join('')
-    }));
-  };
-
-  // Calculate RCBD ANOVA statistics for a single date
-  const calculateStats = (dateObj) => {
-    const assessmentData = dateObj.assessments[selectedAssessmentType];
-    if (!assessmentData) return null;
-
-    const allPlots = gridLayout.flat().filter(p => !p.isBlank);
-
-    // Get all values with treatment and block info
-    const values = allPlots
-      .map(plot => {
-        const v = assessmentData[plot.id];
-        if (!v?.entered || v.value === '' || isNaN(parseFloat(v.value))) return null;
-        return {
-          treatment: plot.treatment,
-          value: parseFloat(v.value),
-          block: plot.block
-        };
-      })
-      .filter(v => v !== null);
-
-    if (values.length === 0) return null;
-
-    // Get unique blocks and treatments
-    const blocks = [...new Set(values.map(v => v.block))];
-    const treatments = [...new Set(values.map(v => v.treatment))];
-    const numBlocks = blocks.length;
-    const numTreatments = treatments.length;
-    const totalN = values.length;
-
-    // Calculate grand mean and total
-    const grandTotal = values.reduce((sum, v) => sum + v.value, 0);
-    const grandMean = grandTotal / totalN;
-    const correctionFactor = (grandTotal * grandTotal) / totalN;
-
-    // Calculate block totals and means
-    const blockTotals = {};
-    blocks.forEach(b => {
-      const blockValues = values.filter(v => v.block === b);
-      blockTotals[b] = {
-        total: blockValues.reduce((sum, v) => sum + v.value, 0),
-        n: blockValues.length
-      };
-    });
-
-    // Calculate treatment totals and means
-    const treatmentTotals = {};
-    treatments.forEach(t => {
-      const treatValues = values.filter(v => v.treatment === t);
-      treatmentTotals[t] = {
-        total: treatValues.reduce((sum, v) => sum + v.value, 0),
-        values: treatValues.map(v => v.value),
-        n: treatValues.length,
-        mean: treatValues.reduce((sum, v) => sum + v.value, 0) / treatValues.length
-      };
-    });
-
-    // Sum of Squares calculations (RCBD method)
-    // Total SS = Σ(Y²) - CF
-    const ssTotal = values.reduce((sum, v) => sum + v.value * v.value, 0) - correctionFactor;
-
-    // Block SS = Σ(Block totals² / n_treatments) - CF
-    let ssBlock = 0;
-    blocks.forEach(b => {
-      const bt = blockTotals[b];
-      ssBlock += (bt.total * bt.total) / bt.n;
-    });
-    ssBlock -= correctionFactor;
-
-    // Treatment SS = Σ(Treatment totals² / n_blocks) - CF
-    let ssTreatment = 0;
-    treatments.forEach(t => {
-      const tt = treatmentTotals[t];
-      ssTreatment += (tt.total * tt.total) / tt.n;
-    });
-    ssTreatment -= correctionFactor;
-
-    // Residual SS = Total SS - Block SS - Treatment SS
-    const ssResidual = ssTotal - ssBlock - ssTreatment;
-
-    // Degrees of freedom (RCBD)
-    const dfBlock = numBlocks - 1;
-    const dfTreatment = numTreatments - 1;
-    const dfResidual = (numBlocks - 1) * (numTreatments - 1);
-    const dfTotal = totalN - 1;
-
-    // Mean squares
-    const msBlock = dfBlock > 0 ? ssBlock / dfBlock : 0;
-    const msTreatment = dfTreatment > 0 ? ssTreatment / dfTreatment : 0;
-    const msResidual = dfResidual > 0 ? ssResidual / dfResidual : 0;
-
-    // F-statistics (variance ratios)
-    const fBlock = msResidual > 0 ? msBlock / msResidual : 0;
-    const fTreatment = msResidual > 0 ? msTreatment / msResidual : 0;
-
-    // P-value for treatment effect
-    const pValue = dfTreatment > 0 && dfResidual > 0 && fTreatment > 0
-      ? 1 - jStat.centralF.cdf(fTreatment, dfTreatment, dfResidual)
-      : 1;
-    const significant = pValue < 0.05;
-
-    // Standard errors (GenStat formulas)
-    const replicates = numBlocks;
-    const ese = msResidual > 0 ? Math.sqrt(msResidual / replicates) : 0;  // e.s.e.
-    const sed = msResidual > 0 ? Math.sqrt(2 * msResidual / replicates) : 0;  // s.e.d.
-
-    // Fisher's LSD
-    const tCritical = dfResidual > 0 ? jStat.studentt.inv(0.975, dfResidual) : 2.064;
-    const lsd = sed * tCritical;
-
-    // Build treatment stats and assign letter groups
-    const treatmentStats = treatments.map(t => ({
-      treatment: t,
-      treatmentName: config.treatments[t] || `Treatment ${t + 1}`,
-      mean: treatmentTotals[t].mean,
-      n: treatmentTotals[t].n,
-      values: treatmentTotals[t].values
-    }));
-
-    // Sort by mean ASCENDING for GenStat-style letter assignment
-    const sortedStats = [...treatmentStats].sort((a, b) => a.mean - b.mean);
-
-    // Assign letters using GenStat algorithm
-    const statsWithLetters = assignLetters(sortedStats, lsd, significant);
-
-    // Create lookup for letters by treatment
-    const letterLookup = {};
-    statsWithLetters.forEach(s => {
-      letterLookup[s.treatment] = s.group;
-    });
-
-    // Add letters back to original treatment order
-    const finalStats = treatmentStats.map(ts => ({
-      ...ts,
-      group: letterLookup[ts.treatment],
-      stdError: ese
-    }));
-
-    return {
-      treatmentStats: finalStats,
-      sortedStats: statsWithLetters,
-      anova: {
-        ssBlock,
-        ssTreatment,
-        ssResidual,
-        ssTotal,
-        dfBlock,
-        dfTreatment,
-        dfResidual,
-        dfTotal,
-        msBlock,
-        msTreatment,
-        msResidual,
-        fBlock,
-        fTreatment,
-        pValue,
-        significant
-      },
-      standardErrors: {
-        ese,
-        sed,
-        lsd,
-        replicates
-      },
-      grandMean
-    };
-  };
+  const design = getDesign(config);
+  const factors = getTreatmentFactors(config);
+  const transformKey = getTransformKey(config, selectedAssessmentType);
+  const transformed = transformKey !== 'none';
+  const parametric = analysisMode === 'parametric';
+  const comparisonSettings = getComparisonSettings(config);
+  const comparisonMethod = COMPARISON_METHODS[comparisonSettings.method];
+  const alphaPercent = +(comparisonSettings.alpha * 100).toFixed(1);
+
+  // Letters and Dunnett '*' are highlighted; NS, ns and the control are not
+  const isGroupHighlighted = (group) => Boolean(group) && !['NS', 'ns', 'control'].includes(group);
+
+  // Covariance and spatial analysis aren't offered for split-plots (the covariates would act in both strata)
+  const covariateAllowed = design.type !== DESIGN_TYPES.SPLIT_PLOT;
+  const spatial = covariateAllowed ? spatialMethod : 'none';
+  const covariateLabel = covariateAllowed
+    ? getDateCovariate(assessmentDates, covariateKey, selectedAssessmentType, null)?.label
+    : null;
 
   return (
     <div className="space-y-6">
       {/* Summary Statistics Table with Significance */}
       <div className="bg-white p-6 rounded-lg shadow">
-        <h3 className="text-xl font-bold mb-4">Statistical Analysis - {selectedAssessmentType}</h3>
+        <div className="flex items-center justify-between mb-4 flex-wrap gap-2">
+          <h3 className="text-xl font-bold">Statistical Analysis - {selectedAssessmentType}</h3>
+          <select
+            value={analysisMode}
+            onChange={(e) => setModeOverrides({ ...modeOverrides, [selectedAssessmentType]: e.target.value })}
+            className="p-2 border rounded text-sm focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+            title="Default set per assessment type in the trial settings"
+          >
+            {Object.entries(ANALYSIS_MODES).map(([key, mode]) => (
+              <option key={key} value={key}>{mode.label}</option>
+            ))}
+          </select>
+        </div>
 
-        <div className="overflow-x-auto">
-          <table className="w-full text-sm border-collapse">
-            <thead>
-              <tr className="border-b-2 border-gray-300">
-                <th className="p-3 text-left bg-gray-100">Treatment</th>
-                {assessmentDates.map((dateObj, idx) => (
-                  <th key={idx} className="p-3 text-center bg-gray-100 min-w-40">
-                    <div className="font-semibold">{dateObj.date}</div>
-                    <div className="text-xs font-normal text-gray-600 mt-1">Mean ± SE (Group)</div>
-                  </th>
+        {/* Covariate (ANCOVA) */}
+        {parametric && covariateAllowed && (
+          <div className="flex items-center gap-2 mb-4 text-sm">
+            <label className="text-gray-700 font-medium">Covariate:</label>
+            <select
+              value={covariateKey}
+              onChange={(e) => setCovariateKey(e.target.value)}
+              className="p-2 border rounded text-sm focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+            >
+              <option value="">None</option>
+              {assessmentDates.map((dateObj, dateIdx) => config.assessmentTypes.map(type => (
+                <option key={`${dateIdx}|${type.name}`} value={`${dateIdx}|${type.name}`}>
+                  {type.name} - {dateObj.date}
+                </option>
+              )))}
+            </select>
+            {covariateKey && (
+              <span className="text-gray-500 text-xs">e.g. a pre-treatment assessment; means are adjusted to its mean</span>
+            )}
+            <label className="text-gray-700 font-medium ml-4">Spatial:</label>
+            <select
+              value={spatialMethod}
+              onChange={(e) => setSpatialMethod(e.target.value)}
+              className="p-2 border rounded text-sm focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+              title="Adjust for fertility gradients using plot positions"
+            >
+              {Object.entries(SPATIAL_METHODS).map(([key, method]) => (
+                <option key={key} value={key}>{method.label}</option>
+              ))}
+            </select>
+          </div>
+        )}
+
+        {!parametric ? (
+          <RankAnalysis
+            config={config}
+            assessmentDates={assessmentDates}
+            results={dateStats}
+            mode={analysisMode}
+          />
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm border-collapse">
+              <thead>
+                <tr className="border-b-2 border-gray-300">
+                  <th className="p-3 text-left bg-gray-100">Treatment</th>
+                  {assessmentDates.map((dateObj, idx) => (
+                    <th key={idx} className="p-3 text-center bg-gray-100 min-w-40">
+                      <div className="font-semibold">{dateObj.date}</div>
+                      <div className="text-xs font-normal text-gray-600 mt-1">
+                        {(covariateKey && covariateAllowed) || spatial !== 'none' ? 'Adj. mean' : 'Mean'} ± SE (Group){transformed && ' [back-transformed]'}
+                      </div>
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {config.treatments.map((treatment, treatmentIdx) => (
+                  <tr key={treatmentIdx} className="border-b hover:bg-gray-50">
+                    <td className="p-3 font-medium bg-gray-50">{treatment}</td>
+                    {assessmentDates.map((dateObj, dateIdx) => {
+                      const stats = dateStats[dateIdx];
+                      if (!stats) {
+                        return <td key={dateIdx} className="p-3 text-center text-gray-400">-</td>;
+                      }
+
+                      const treatmentStat = stats.treatmentStats.find(ts => ts.treatment === treatmentIdx);
+                      if (!treatmentStat) {
+                        return <td key={dateIdx} className="p-3 text-center text-gray-400">-</td>;
+                      }
+
+                      return (
+                        <td key={dateIdx} className="p-3 text-center">
+                          <div className="font-medium">
+                            {treatmentStat.mean.toFixed(2)} ± {treatmentStat.stdError.toFixed(3)}
+                            {treatmentStat.estimated > 0 && (
+                              <sup
+                                className="text-orange-600 font-bold ml-0.5"
+                                title={`${treatmentStat.estimated} missing plot(s) - adjusted least-squares mean`}
+                              >
+                                *
+                              </sup>
+                            )}
+                          </div>
+                          {isGroupHighlighted(treatmentStat.group) ? (
+                            <div className="text-xs font-bold text-blue-600">
+                              ({treatmentStat.group})
+                            </div>
+                          ) : (
+                            <div className="text-xs text-gray-400">
+                              ({treatmentStat.group || '-'})
+                            </div>
+                          )}
+                          {transformed && (
+                            <div className="text-xs text-gray-600">
+                              [{treatmentStat.backTransformedMean.toFixed(2)}]
+                            </div>
+                          )}
+                        </td>
+                      );
+                    })}
+                  </tr>
                 ))}
-              </tr>
-            </thead>
-            <tbody>
-              {config.treatments.map((treatment, treatmentIdx) => (
-                <tr key={treatmentIdx} className="border-b hover:bg-gray-50">
-                  <td className="p-3 font-medium bg-gray-50">{treatment}</td>
+                {/* Significance row at bottom of table */}
+                <tr className="border-t-2 border-gray-300 bg-gray-50">
+                  <td className="p-3 font-semibold">Significance</td>
                   {assessmentDates.map((dateObj, dateIdx) => {
-                    const stats = calculateStats(dateObj);
+                    const stats = dateStats[dateIdx];
                     if (!stats) {
                       return <td key={dateIdx} className="p-3 text-center text-gray-400">-</td>;
                     }
 
-                    const treatmentStat = stats.treatmentStats.find(ts => ts.treatment === treatmentIdx);
-                    if (!treatmentStat) {
-                      return <td key={dateIdx} className="p-3 text-center text-gray-400">-</td>;
-                    }
-
                     return (
                       <td key={dateIdx} className="p-3 text-center">
-                        <div className="font-medium">
-                          {treatmentStat.mean.toFixed(2)} ± {treatmentStat.stdError.toFixed(3)}
+                        <div className={`font-semibold ${stats.comparison.significant ? 'text-green-600' : 'text-gray-500'}`}>
+                          {stats.comparison.significant ? '✓ Sig.' : 'NS'}
                         </div>
-                        {stats.anova.significant ? (
-                          <div className="text-xs font-bold text-blue-600">
-                            ({treatmentStat.group})
-                          </div>
-                        ) : (
-                          <div className="text-xs text-gray-400">
-                            (NS)
+                        <div className="text-xs text-gray-600 mt-1">
+                          p = {stats.anova.pValue < 0.001 ? '<0.001' : stats.anova.pValue.toFixed(3)}
+                        </div>
+                        <div className="text-xs text-gray-500">
+                          F = {stats.anova.fTreatment.toFixed(2)}
+                        </div>
+                        {stats.comparison.criticalValue !== null && (
+                          <div className="text-xs text-gray-500">
+                            {formatCriticalValue(stats.comparison, comparisonSettings.alpha)}
                           </div>
                         )}
+                        {stats.comparison.message && (
+                          <div className="text-xs text-orange-600">{stats.comparison.message}</div>
+                        )}
                       </td>
                     );
                   })}
                 </tr>
-              ))}
-              {/* Significance row at bottom of table */}
-              <tr className="border-t-2 border-gray-300 bg-gray-50">
-                <td className="p-3 font-semibold">Significance</td>
-                {assessmentDates.map((dateObj, dateIdx) => {
-                  const stats = calculateStats(dateObj);
-                  if (!stats) {
-                    return <td key={dateIdx} className="p-3 text-center text-gray-400">-</td>;
-                  }
-
-                  return (
-                    <td key={dateIdx} className="p-3 text-center">
-                      <div className={`font-semibold ${stats.anova.significant ? 'text-green-600' : 'text-gray-500'}`}>
-                        {stats.anova.significant ? '✓ Sig.' : 'NS'}
-                      </div>
-                      <div className="text-xs text-gray-600 mt-1">
-                        p = {stats.anova.pValue < 0.001 ? '<0.001' : stats.anova.pValue.toFixed(3)}
-                      </div>
-                      <div className="text-xs text-gray-500">
-                        F = {stats.anova.fTreatment.toFixed(2)}
-                      </div>
-                      {stats.anova.significant && (
-                        <div className="text-xs text-gray-500">
-                          LSD: {stats.standardErrors.lsd.toFixed(3)}
+              </tbody>
+            </table>
+
+            <div className="mt-4 p-3 bg-blue-50 rounded text-sm">
+              <p className="text-gray-700">
+                <strong>{DESIGN_LABELS[design.type]} Analysis:</strong>{' '}
+                {comparisonMethod.letters
+                  ? `Treatments with different letters are significantly different by ${comparisonMethod.label} (p < ${comparisonSettings.alpha}).`
+                  : `* = significantly different from the control by Dunnett's test (p < ${comparisonSettings.alpha}, two-sided); ns = not different.`}
+                {comparisonMethod.protected && ' Letters only shown when the treatment F test is significant.'}
+                {comparisonSettings.method === 'duncan' && ' The critical range grows with the number of means a comparison spans.'}
+                {' '}The comparison procedure, significance level and control are set in the trial settings.
+                {design.type === DESIGN_TYPES.INCOMPLETE_BLOCK && ' Means are adjusted for block effects.'}
+                {spatial === 'trend' && ' Linear row and column position trends are fitted after blocks, so means are adjusted for steady field gradients.'}
+                {spatial === 'neighbour' && ' Papadakis nearest-neighbour adjustment: the mean residual of adjacent plots is fitted as a covariate, so means are adjusted for local fertility.'}
+                {covariateKey && covariateAllowed && ` Analysis of covariance: means, SE and critical differences are adjusted to the mean of the covariate ${covariateLabel}; plots without a covariate value are left out.`}
+                {transformed && ` Data were analysed on the ${TRANSFORMS[transformKey].label} scale: means, SE and critical differences are on that scale, with back-transformed means in [ ].`}
+                {factors.length > 0 && ` ${factors.map(f => f.name).join(' × ')} factorial: main effects and interactions are tested in the Analysis of Variance below.`}
+                {design.type === DESIGN_TYPES.SPLIT_PLOT && ` ${design.mainPlotFactor?.name || 'Main plot'} is tested against the main-plot error; letters compare the ${design.mainPlotFactor?.name || 'main'} × ${design.subPlotFactor?.name || 'sub'} interaction means.`}
+              </p>
+            </div>
+
+            {/* Missing plots */}
+            {(() => {
+              const datesWithMissing = assessmentDates
+                .map((dateObj, dateIdx) => ({ date: dateObj.date, stats: dateStats[dateIdx] }))
+                .filter(({ stats }) => stats?.estimatedPlots.length > 0);
+              if (datesWithMissing.length === 0) return null;
+
+              return (
+                <div className="mt-3 p-3 bg-orange-50 border border-orange-200 rounded text-sm">
+                  <p className="text-orange-800 mb-2">
+                    <strong>* Missing plots:</strong> the analysis is a least-squares fit of the unbalanced data, so
+                    residual d.f. are reduced and means marked * are adjusted for block effects. Estimated values
+                    (fitted from the model, as in Yates' missing-plot method) are shown for reference only.
+                  </p>
+                  <ul className="text-xs text-orange-900 space-y-1">
+                    {datesWithMissing.map(({ date, stats }) => (
+                      <li key={date}>
+                        <strong>{date}:</strong>{' '}
+                        {stats.estimatedPlots.map(p =>
+                          `${p.plotId} (${p.treatmentName}) ≈ ${p.value === null ? 'not estimable' : p.value.toFixed(2)}`
+                        ).join(', ')}
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              );
+            })()}
+          </div>
+        )}
+      </div>
+
+      {/* ANOVA Table */}
+      {parametric && (() => {
+        const dateIdx = anovaDateIndex ?? assessmentDates.length - 1;
+        const dateObj = assessmentDates[dateIdx];
+        const stats = dateObj ? dateStats[dateIdx] : null;
+        const formatNumber = (value, digits) => (value === null || value === undefined ? '' : value.toFixed(digits));
+
+        return (
+          <div className="bg-white p-6 rounded-lg shadow">
+            <div className="flex items-center justify-between mb-4 flex-wrap gap-2">
+              <h3 className="text-xl font-bold">
+                Analysis of Variance
+                {transformed && <span className="text-sm font-normal text-gray-600"> - {TRANSFORMS[transformKey].label} scale</span>}
+              </h3>
+              <select
+                value={dateIdx}
+                onChange={(e) => setAnovaDateIndex(parseInt(e.target.value, 10))}
+                className="p-2 border rounded text-sm focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+              >
+                {assessmentDates.map((d, idx) => (
+                  <option key={idx} value={idx}>{d.date}</option>
+                ))}
+              </select>
+            </div>
+
+            {!stats ? (
+              <p className="text-gray-500 text-sm">No data entered for this date.</p>
+            ) : (
+              <div className="overflow-x-auto">
+                <table className="w-full text-sm border-collapse">
+                  <thead>
+                    <tr className="border-b-2 border-gray-300 bg-gray-100">
+                      <th className="p-2 text-left">Source of variation</th>
+                      <th className="p-2 text-right">d.f.</th>
+                      <th className="p-2 text-right">s.s.</th>
+                      <th className="p-2 text-right">m.s.</th>
+                      <th className="p-2 text-right">v.r.</th>
+                      <th className="p-2 text-right">F pr.</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {stats.anova.sources.map((source, idx) => (
+                      <tr key={idx} className={`border-b ${source.source === 'Total' ? 'font-semibold' : ''}`}>
+                        <td className="p-2">{source.source}</td>
+                        <td className="p-2 text-right">{source.df}</td>
+                        <td className="p-2 text-right">{formatNumber(source.ss, 3)}</td>
+                        <td className="p-2 text-right">{formatNumber(source.ms, 3)}</td>
+                        <td className="p-2 text-right">{formatNumber(source.f, 2)}</td>
+                        <td className={`p-2 text-right ${source.p !== null && source.p < 0.05 ? 'text-green-600 font-semibold' : ''}`}>
+                          {source.p === null ? '' : source.p < 0.001 ? '<0.001' : source.p.toFixed(3)}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+                <p className="text-xs text-gray-600 mt-2">
+                  s.e.d. {stats.standardErrors.sed.toFixed(3)}
+                  {stats.standardErrors.lsd !== null && ` • l.s.d. (5%) ${stats.standardErrors.lsd.toFixed(3)}`}
+                  {comparisonSettings.method !== 'lsd' && stats.comparison.criticalValue !== null && ` • ${formatCriticalValue(stats.comparison, comparisonSettings.alpha)}`}
+                  {' '}• Grand mean {stats.grandMean.toFixed(3)}
+                  {stats.excluded > 0 && ` • ${stats.excluded} value(s) outside the range of the transform were left out`}
+                </p>
+                {stats.covariate && (
+                  <p className="text-xs text-gray-600 mt-1">
+                    Covariate {stats.covariate.label}: regression coefficient{' '}
+                    {stats.covariate.coefficient
+                      ? `${stats.covariate.coefficient.estimate.toFixed(4)} (s.e. ${stats.covariate.coefficient.se.toFixed(4)})`
+                      : 'not estimable'}
+                    {' '}• covariate mean {stats.covariate.mean.toFixed(3)}
+                    {stats.covariate.withoutCovariate > 0 && ` • ${stats.covariate.withoutCovariate} plot(s) without a covariate value left out`}
+                  </p>
+                )}
+
+                {/* Factorial main effects and interactions */}
+                {stats.factorialEffects?.length > 0 && (
+                  <div className="mt-6">
+                    <h4 className="font-semibold mb-3">Tables of Means</h4>
+                    <div className="grid gap-4 md:grid-cols-2">
+                      {stats.factorialEffects.map(effect => (
+                        <div key={effect.term} className="border rounded p-3">
+                          <div className="flex justify-between items-baseline mb-2">
+                            <span className="font-medium">{effect.source}</span>
+                            <span className={`text-xs ${effect.significant ? 'text-green-600 font-semibold' : 'text-gray-500'}`}>
+                              F = {formatNumber(effect.f, 2)}, p = {effect.p === null ? '-' : effect.p < 0.001 ? '<0.001' : effect.p.toFixed(3)}
+                            </span>
+                          </div>
+                          <table className="w-full text-sm">
+                            <tbody>
+                              {effect.means.map((m, idx) => (
+                                <tr key={idx} className="border-b last:border-b-0">
+                                  <td className="py-1">{m.label}</td>
+                                  <td className="py-1 text-right font-mono">{m.mean.toFixed(2)}</td>
+                                  {transformed && (
+                                    <td className="py-1 text-right font-mono text-gray-500">[{m.backTransformedMean.toFixed(2)}]</td>
+                                  )}
+                                </tr>
+                              ))}
+                            </tbody>
+                          </table>
+                          <p className="text-xs text-gray-600 mt-2">
+                            s.e.d. {effect.sed.toFixed(3)}
+                            {effect.lsd !== null && ` • l.s.d. (5%) ${effect.lsd.toFixed(3)}`}
+                          </p>
                         </div>
-                      )}
-                    </td>
-                  );
-                })}
-              </tr>
-            </tbody>
-          </table>
-
-          <div className="mt-4 p-3 bg-blue-50 rounded text-sm">
-            <p className="text-gray-700">
-              <strong>RCBD Analysis:</strong> Treatments with different letters are significantly different (p &lt; 0.05).
-              Letters only shown when treatment effect is significant. LSD = Fisher's Least Significant Difference.
+                      ))}
+                    </div>
+                  </div>
+                )}
+              </div>
+            )}
+          </div>
+        );
+      })()}
+
+      {/* Residual Diagnostics - same date as the ANOVA table */}
+      {parametric && (() => {
+        const dateIdx = anovaDateIndex ?? assessmentDates.length - 1;
+        const dateObj = assessmentDates[dateIdx];
+        const stats = dateObj ? dateStats[dateIdx] : null;
+        if (!stats) return null;
+
+        return (
+          <div className="bg-white p-6 rounded-lg shadow">
+            <h3 className="text-xl font-bold mb-1">Residual Diagnostics</h3>
+            <p className="text-sm text-gray-600 mb-4">
+              {dateObj.date}{transformed && ` • ${TRANSFORMS[transformKey].label} scale`}
+              {onShowPlot && ' • Click a red point to find the plot on the field map'}
             </p>
+            <ResidualDiagnostics
+              stats={stats}
+              treatments={config.treatments}
+              gridLayout={gridLayout}
+              onShowPlot={onShowPlot ? (plotId) => onShowPlot(dateObj.date, plotId) : null}
+            />
           </div>
+        );
+      })()}
+
+      {/* Across all dates: AUDPC and repeated measures */}
+      {assessmentDates.length > 1 && (
+        <div className="bg-white p-6 rounded-lg shadow">
+          <h3 className="text-xl font-bold mb-4">Across Dates - {selectedAssessmentType}</h3>
+          <AcrossDateAnalysis
+            config={config}
+            gridLayout={gridLayout}
+            assessmentDates={assessmentDates}
+            assessmentType={selectedAssessmentType}
+            transformKey={transformKey}
+          />
         </div>
-      </div>
+      )}
 
       {/* Box Plots */}
       <div className="bg-white p-6 rounded-lg shadow">
@@ -374,7 +472,7 @@ const Analysis = ({ config, gridLayout, assessmentDates, selectedAssessmentType
                 <div className="text-sm font-medium mb-2">{treatment}</div>
                 <div className="flex gap-2 items-end h-64">
                   {assessmentDates.map((dateObj, dateIdx) => {
-                    const stats = calculateStats(dateObj);
+                    const stats = dateStats[dateIdx];
                     if (!stats) return null;
 
                     const treatmentStat = stats.treatmentStats.find(ts => ts.treatment === treatmentIdx);
@@ -389,9 +487,7 @@ const Analysis = ({ config, gridLayout, assessmentDates, selectedAssessmentType
                     const median = ss.median(sorted);
 
                     // Get global min/max for scaling
-                    const allStats = assessmentDates
-                      .map(d => calculateStats(d))
-                      .filter(s => s !== null);
+                    const allStats = dateStats.filter(s => s !== null);
                     const allValues = allStats.flatMap(s => s.treatmentStats.flatMap(ts => ts.values || []));
                     if (allValues.length === 0) return null;
 
@@ -456,7 +552,13 @@ const Analysis = ({ config, gridLayout, assessmentDates, selectedAssessmentType
         <div className="mt-4 text-xs text-gray-600">
           <p>Each treatment shows box plots for all assessment dates side by side</p>
           <p>Different colors represent different assessment dates</p>
-          <p>Letters below indicate statistical groupings (Fisher's protected LSD test)</p>
+          <p>
+            {!parametric
+              ? `Letters below indicate groupings on ranks (${ANALYSIS_MODES[analysisMode].label}, ${alphaPercent}%)`
+              : comparisonMethod.letters
+                ? `Letters below indicate statistical groupings (${comparisonMethod.label}, ${alphaPercent}%)`
+                : `* below marks treatments different from the control (Dunnett, ${alphaPercent}%)`}
+          </p>
         </div>
       </div>
     </div>
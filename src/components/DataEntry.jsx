@@ -1,5 +1,5 @@
 import React, { useState } from 'react';
-import { Download, Unlock, Grid, List, FileText, BarChart3, Camera, Presentation, Settings, ChevronLeft, ChevronRight, Trash2, Plus } from 'lucide-react';
+import { Download, Unlock, Grid, List, FileText, BarChart3, Camera, Presentation, Settings, ChevronLeft, ChevronRight, Trash2, Plus, Users, AlertTriangle, History, Archive, FileSpreadsheet } from 'lucide-react';
 import DataEntryField from './DataEntryField';
 import DataEntryTable from './DataEntryTable';
 import DataEntryNotes from './DataEntryNotes';
@@ -8,7 +8,12 @@ import ImageryAnalyzer from './ImageryAnalyzer';
 import ErrorBoundary from './ErrorBoundary';
 import PresentationMode from './PresentationMode';
 import TrialConfigEditor from './TrialConfigEditor';
+import PlotHistoryPanel from './PlotHistoryPanel';
+import TrialSnapshots from './TrialSnapshots';
 import { deletePlotImages } from '../services/storage';
+import { getDisplayName, getAuditLog } from '../services/database';
+import { TRIAL_ROLES, ROLE_LABELS, canEnterData, canEditSettings } from '../utils/trialRoles';
+import { csvCell, exportTidyData } from '../utils/tidyExport';
 
 const DataEntry = ({
   trialId,
@@ -24,19 +29,65 @@ const DataEntry = ({
   onNotesChange,
   onUnlockLayout,
   onExportJSON,
+  onExportARM,
+  onExportExcel,
   onBackToLibrary,
-  onConfigChange
+  onConfigChange,
+  onRestoreSnapshot,
+  collaborators = [],
+  conflicts = [],
+  onActivePlotChange,
+  onResolveConflict,
+  role = TRIAL_ROLES.OWNER
 }) => {
+  // Client viewers only get the read-only analysis and presentation views
+  const readOnly = !canEnterData(role);
+  const settingsEditable = canEditSettings(role);
+
   const [currentDateIndex, setCurrentDateIndex] = useState(0);
   const [selectedAssessmentType, setSelectedAssessmentType] = useState(
     config.assessmentTypes[0]?.name || ''
   );
-  const [viewMode, setViewMode] = useState('field'); // 'field', 'table', 'notes', 'analysis', 'imagery', 'presentation'
+  const [viewMode, setViewMode] = useState(readOnly ? 'analysis' : 'field'); // 'field', 'table', 'notes', 'analysis', 'imagery', 'presentation'
   const [showInputDropdown, setShowInputDropdown] = useState(false);
+  const [showTidyDropdown, setShowTidyDropdown] = useState(false);
   const [showConfigEditor, setShowConfigEditor] = useState(false);
   const [newDateInput, setNewDateInput] = useState('');
+  const [historyPlot, setHistoryPlot] = useState(null);
+  const [highlightPlotId, setHighlightPlotId] = useState(null);
+  const [showSnapshots, setShowSnapshots] = useState(false);
 
   const currentDateObj = assessmentDates[currentDateIndex];
+  const activeConflict = conflicts[0];
+
+  // Jump from an analysis result to the plot on the field map
+  const handleShowPlot = (date, plotId) => {
+    const dateIndex = assessmentDates.findIndex(d => d.date === date);
+    if (dateIndex >= 0) setCurrentDateIndex(dateIndex);
+    setHighlightPlotId(plotId);
+    setViewMode('field');
+  };
+
+  // Tell collaborators which plot we're entering
+  const handlePlotFocus = (plot) => {
+    if (!onActivePlotChange || !currentDateObj) return;
+    onActivePlotChange({
+      date: currentDateObj.date,
+      assessmentType: selectedAssessmentType,
+      plotId: plot.id,
+      block: plot.block
+    });
+  };
+
+  // Describe where a collaborator is, e.g. "Sam is on Block 3 (plot 3-2)"
+  const describeCollaborator = (collaborator) => {
+    const name = getDisplayName(collaborator);
+    if (collaborator.block === undefined || collaborator.block === null) {
+      return `${name} is viewing this trial`;
+    }
+    const where = `${name} is on Block ${collaborator.block}`;
+    return collaborator.plotId ? `${where} (plot ${collaborator.plotId})` : where;
+  };
 
   // Add new assessment date
   const handleAddDate = (dateStr) => {
@@ -190,15 +241,15 @@ const DataEntry = ({
     if (!selectedAssessmentType) return;
 
     let csv = 'Plot,Block,Treatment';
-    assessmentDates.forEach(d => csv += `,${d.date}`);
+    assessmentDates.forEach(d => csv += `,${csvCell(d.date)}`);
     csv += '\n';
 
     gridLayout.flat().filter(p => !p.isBlank).forEach(plot => {
-      csv += `${plot.id},${plot.block},${plot.treatmentName}`;
+      csv += [plot.id, plot.block, plot.treatmentName].map(csvCell).join(',');
       assessmentDates.forEach(dateObj => {
         const assessmentData = dateObj.assessments[selectedAssessmentType];
         const value = assessmentData?.[plot.id]?.value || '';
-        csv += `,${value}`;
+        csv += `,${csvCell(value)}`;
       });
       csv += '\n';
     });
@@ -221,7 +272,7 @@ const DataEntry = ({
     csv += '\n';
     
     config.treatments.forEach((treatment, treatmentIdx) => {
-      csv += treatment;
+      csv += csvCell(treatment);
       assessmentDates.forEach(dateObj => {
         const assessmentData = dateObj.assessments[selectedAssessmentType];
         if (!assessmentData) {
@@ -257,6 +308,52 @@ const DataEntry = ({
     URL.revokeObjectURL(url);
   };
 
+  // Export every assessment type, date and plot in long format (CSV or Parquet)
+  const exportTidy = async (format) => {
+    setShowTidyDropdown(false);
+    try {
+      await exportTidyData({ config, gridLayout, assessmentDates, notes, photos }, format);
+    } catch (error) {
+      console.error('Tidy export failed:', error);
+      alert('Could not create the export file. Please try again.');
+    }
+  };
+
+  // Export the full audit trail (values, treatment names, layout) as CSV
+  const exportAuditLog = async () => {
+    let entries;
+    try {
+      entries = await getAuditLog(trialId);
+    } catch (error) {
+      alert('Could not load the audit log. Please check your connection and try again.');
+      return;
+    }
+
+    let csv = 'Changed At,Edited At,User,Change,Plot,Assessment Date,Assessment Type,Treatment #,Old Value,New Value\n';
+    [...entries].reverse().forEach(entry => {
+      csv += [
+        entry.changedAt,
+        entry.editedAt,
+        entry.userEmail,
+        entry.changeType,
+        entry.plotId,
+        entry.date,
+        entry.assessmentType,
+        entry.treatmentIndex !== null && entry.treatmentIndex !== undefined ? entry.treatmentIndex + 1 : '',
+        entry.oldValue,
+        entry.newValue
+      ].map(csvCell).join(',') + '\n';
+    });
+
+    const blob = new Blob([csv], { type: 'text/csv' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `${config.trialName}_audit_log.csv`;
+    a.click();
+    URL.revokeObjectURL(url);
+  };
+
   return (
     <div className="relative">
       {/* Fixed Side Date Navigation - Only show for input views (not imagery/presentation) */}
@@ -275,19 +372,21 @@ const DataEntry = ({
             <div className="text-xs text-gray-500 mb-1">Current</div>
             <div className="text-sm font-bold text-blue-600">{currentDateObj?.date}</div>
             <div className="text-xs text-gray-500 mt-1">{currentDateIndex + 1}/{assessmentDates.length}</div>
-            <button
-              onClick={() => {
-                const dateToDelete = assessmentDates[currentDateIndex].date;
-                if (!confirm(`Delete assessment date "${dateToDelete}"?\n\nThis will remove:\n• All assessment data for this date\n• All photos from this date\n• All notes from this date\n\nThis cannot be undone.`)) {
-                  return;
-                }
-                handleDeleteDate(currentDateIndex);
-              }}
-              className="mt-2 flex items-center gap-1 px-2 py-1 bg-red-500 text-white text-xs rounded hover:bg-red-600 transition mx-auto"
-              title="Delete this assessment date"
-            >
-              <Trash2 size={12} /> Delete
-            </button>
+            {!readOnly && (
+              <button
+                onClick={() => {
+                  const dateToDelete = assessmentDates[currentDateIndex].date;
+                  if (!confirm(`Delete assessment date "${dateToDelete}"?\n\nThis will remove:\n• All assessment data for this date\n• All photos from this date\n• All notes from this date\n\nThis cannot be undone.`)) {
+                    return;
+                  }
+                  handleDeleteDate(currentDateIndex);
+                }}
+                className="mt-2 flex items-center gap-1 px-2 py-1 bg-red-500 text-white text-xs rounded hover:bg-red-600 transition mx-auto"
+                title="Delete this assessment date"
+              >
+                <Trash2 size={12} /> Delete
+              </button>
+            )}
           </div>
 
           <button
@@ -307,17 +406,20 @@ const DataEntry = ({
         <div>
           <h1 className="text-2xl font-bold">{config.trialName}</h1>
           <p className="text-sm text-gray-600">
-            Auto-saved • {layoutLocked ? '🔒 Layout Locked' : '🔓 Layout Unlocked'}
+            {readOnly ? `Read-only • ${ROLE_LABELS[role]}` : 'Auto-saved'} • {layoutLocked ? '🔒 Layout Locked' : '🔓 Layout Unlocked'}
+            {role !== TRIAL_ROLES.OWNER && !readOnly && ` • ${ROLE_LABELS[role]}`}
           </p>
         </div>
         
         <div className="flex gap-2 flex-wrap">
-          <button
-            onClick={() => setShowConfigEditor(true)}
-            className="flex items-center gap-2 px-3 py-2 bg-blue-600 text-white rounded text-sm hover:bg-blue-700 transition"
-          >
-            <Settings size={16} /> Edit Config
-          </button>
+          {settingsEditable && (
+            <button
+              onClick={() => setShowConfigEditor(true)}
+              className="flex items-center gap-2 px-3 py-2 bg-blue-600 text-white rounded text-sm hover:bg-blue-700 transition"
+            >
+              <Settings size={16} /> Edit Config
+            </button>
+          )}
 
           <button
             onClick={exportToCSV}
@@ -326,6 +428,32 @@ const DataEntry = ({
             <Download size={16} /> Export Data
           </button>
 
+          <div className="relative">
+            <button
+              onClick={() => setShowTidyDropdown(!showTidyDropdown)}
+              className="flex items-center gap-2 px-3 py-2 bg-green-600 text-white rounded text-sm hover:bg-green-700 transition"
+              title="Every assessment type, date and plot, one row each"
+            >
+              <Download size={16} /> All Data ▼
+            </button>
+            {showTidyDropdown && (
+              <div className="absolute top-full left-0 mt-1 bg-white shadow-lg rounded border z-10 text-sm">
+                <button
+                  onClick={() => exportTidy('csv')}
+                  className="block w-full text-left px-4 py-2 hover:bg-gray-100 whitespace-nowrap"
+                >
+                  Tidy CSV
+                </button>
+                <button
+                  onClick={() => exportTidy('parquet')}
+                  className="block w-full text-left px-4 py-2 hover:bg-gray-100 whitespace-nowrap"
+                >
+                  Parquet (R / Python)
+                </button>
+              </div>
+            )}
+          </div>
+
           <button
             onClick={exportSummaryCSV}
             className="flex items-center gap-2 px-3 py-2 bg-green-600 text-white rounded text-sm hover:bg-green-700 transition"
@@ -333,6 +461,22 @@ const DataEntry = ({
             <Download size={16} /> Summary
           </button>
 
+          <button
+            onClick={onExportARM}
+            className="flex items-center gap-2 px-3 py-2 bg-green-600 text-white rounded text-sm hover:bg-green-700 transition"
+            title="Plot data, treatments and trial details in a workbook ARM can import"
+          >
+            <FileSpreadsheet size={16} /> ARM Export
+          </button>
+
+          <button
+            onClick={onExportExcel}
+            className="flex items-center gap-2 px-3 py-2 bg-green-600 text-white rounded text-sm hover:bg-green-700 transition"
+            title="One sheet per assessment date, in the layout Import Excel reads"
+          >
+            <FileSpreadsheet size={16} /> Excel Sheets
+          </button>
+
           <button
             onClick={onExportJSON}
             className="flex items-center gap-2 px-3 py-2 bg-purple-600 text-white rounded text-sm hover:bg-purple-700 transition"
@@ -340,7 +484,21 @@ const DataEntry = ({
             <Download size={16} /> Backup Trial
           </button>
 
-          {layoutLocked && (
+          <button
+            onClick={exportAuditLog}
+            className="flex items-center gap-2 px-3 py-2 bg-gray-600 text-white rounded text-sm hover:bg-gray-700 transition"
+          >
+            <History size={16} /> Audit Log
+          </button>
+
+          <button
+            onClick={() => setShowSnapshots(true)}
+            className="flex items-center gap-2 px-3 py-2 bg-purple-600 text-white rounded text-sm hover:bg-purple-700 transition"
+          >
+            <Archive size={16} /> Snapshots
+          </button>
+
+          {layoutLocked && settingsEditable && (
             <button
               onClick={onUnlockLayout}
               className="flex items-center gap-2 px-3 py-2 bg-red-600 text-white rounded text-sm hover:bg-red-700 transition"
@@ -358,31 +516,45 @@ const DataEntry = ({
         </div>
       </div>
 
+      {/* Collaborators currently in this trial */}
+      {collaborators.length > 0 && (
+        <div className="bg-orange-50 border border-orange-200 p-3 rounded-lg mb-4 flex items-start gap-2 text-sm text-orange-900">
+          <Users size={18} className="mt-0.5 flex-shrink-0" />
+          <div className="flex flex-wrap gap-x-4 gap-y-1">
+            {collaborators.map(collaborator => (
+              <span key={collaborator.userId}>{describeCollaborator(collaborator)}</span>
+            ))}
+          </div>
+        </div>
+      )}
+
       {/* Add Date Section - Only show when we have no dates or at the top */}
-      <div className="bg-white p-4 rounded-lg shadow mb-4">
-        <div className="flex gap-2 items-end">
-          <div className="flex-1">
-            <label className="block text-sm font-medium mb-2">Add Assessment Date</label>
-            <input
-              type="date"
-              value={newDateInput}
-              onChange={(e) => setNewDateInput(e.target.value)}
-              className="w-full p-2 border rounded focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
-            />
+      {!readOnly && (
+        <div className="bg-white p-4 rounded-lg shadow mb-4">
+          <div className="flex gap-2 items-end">
+            <div className="flex-1">
+              <label className="block text-sm font-medium mb-2">Add Assessment Date</label>
+              <input
+                type="date"
+                value={newDateInput}
+                onChange={(e) => setNewDateInput(e.target.value)}
+                className="w-full p-2 border rounded focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+              />
+            </div>
+            <button
+              onClick={() => {
+                if (newDateInput) {
+                  handleAddDate(newDateInput);
+                  setNewDateInput('');
+                }
+              }}
+              className="px-4 py-2 bg-green-600 text-white rounded hover:bg-green-700 flex items-center gap-2 transition"
+            >
+              <Plus size={20} /> Add Date
+            </button>
           </div>
-          <button
-            onClick={() => {
-              if (newDateInput) {
-                handleAddDate(newDateInput);
-                setNewDateInput('');
-              }
-            }}
-            className="px-4 py-2 bg-green-600 text-white rounded hover:bg-green-700 flex items-center gap-2 transition"
-          >
-            <Plus size={20} /> Add Date
-          </button>
         </div>
-      </div>
+      )}
 
       {assessmentDates.length === 0 && (
         <div className="bg-blue-50 border-2 border-blue-200 rounded-lg p-8 text-center mt-4">
@@ -404,41 +576,43 @@ const DataEntry = ({
           <div className="bg-white p-4 rounded-lg shadow mb-4">
             <div className="flex gap-2 flex-wrap">
               {/* Input Dropdown */}
-              <div className="relative">
-                <button 
-                  onClick={() => setShowInputDropdown(!showInputDropdown)}
-                  className={`flex items-center gap-2 px-4 py-2 rounded transition ${
-                    ['field', 'table', 'notes'].includes(viewMode) 
-                      ? 'bg-blue-600 text-white' 
-                      : 'bg-gray-200'
-                  }`}
-                >
-                  Input ▼
-                </button>
+              {!readOnly && (
+                <div className="relative">
+                  <button 
+                    onClick={() => setShowInputDropdown(!showInputDropdown)}
+                    className={`flex items-center gap-2 px-4 py-2 rounded transition ${
+                      ['field', 'table', 'notes'].includes(viewMode) 
+                        ? 'bg-blue-600 text-white' 
+                        : 'bg-gray-200'
+                    }`}
+                  >
+                    Input ▼
+                  </button>
                 
-                {showInputDropdown && (
-                  <div className="absolute top-full left-0 mt-1 bg-white shadow-lg rounded border z-10">
-                    <button 
-                      onClick={() => { setViewMode('field'); setShowInputDropdown(false); }}
-                      className="block w-full text-left px-4 py-2 hover:bg-gray-100 whitespace-nowrap"
-                    >
-                      <Grid size={16} className="inline mr-2" /> Field Map
-                    </button>
-                    <button 
-                      onClick={() => { setViewMode('table'); setShowInputDropdown(false); }}
-                      className="block w-full text-left px-4 py-2 hover:bg-gray-100 whitespace-nowrap"
-                    >
-                      <List size={16} className="inline mr-2" /> Table View
-                    </button>
-                    <button 
-                      onClick={() => { setViewMode('notes'); setShowInputDropdown(false); }}
-                      className="block w-full text-left px-4 py-2 hover:bg-gray-100 whitespace-nowrap"
-                    >
-                      <FileText size={16} className="inline mr-2" /> Notes
-                    </button>
-                  </div>
-                )}
-              </div>
+                  {showInputDropdown && (
+                    <div className="absolute top-full left-0 mt-1 bg-white shadow-lg rounded border z-10">
+                      <button 
+                        onClick={() => { setViewMode('field'); setShowInputDropdown(false); }}
+                        className="block w-full text-left px-4 py-2 hover:bg-gray-100 whitespace-nowrap"
+                      >
+                        <Grid size={16} className="inline mr-2" /> Field Map
+                      </button>
+                      <button 
+                        onClick={() => { setViewMode('table'); setShowInputDropdown(false); }}
+                        className="block w-full text-left px-4 py-2 hover:bg-gray-100 whitespace-nowrap"
+                      >
+                        <List size={16} className="inline mr-2" /> Table View
+                      </button>
+                      <button 
+                        onClick={() => { setViewMode('notes'); setShowInputDropdown(false); }}
+                        className="block w-full text-left px-4 py-2 hover:bg-gray-100 whitespace-nowrap"
+                      >
+                        <FileText size={16} className="inline mr-2" /> Notes
+                      </button>
+                    </div>
+                  )}
+                </div>
+              )}
               
               {/* Analysis Tab */}
               <button
@@ -450,15 +624,17 @@ const DataEntry = ({
                 <BarChart3 size={18} /> Analysis
               </button>
 
-              {/* Imagery Tab - Always available */}
-              <button
-                onClick={() => setViewMode('imagery')}
-                className={`flex items-center gap-2 px-4 py-2 rounded transition ${
-                  viewMode === 'imagery' ? 'bg-stri-teal text-white' : 'bg-gray-200'
-                }`}
-              >
-                <Camera size={18} /> Imagery
-              </button>
+              {/* Imagery Tab - Available to anyone who can enter data */}
+              {!readOnly && (
+                <button
+                  onClick={() => setViewMode('imagery')}
+                  className={`flex items-center gap-2 px-4 py-2 rounded transition ${
+                    viewMode === 'imagery' ? 'bg-stri-teal text-white' : 'bg-gray-200'
+                  }`}
+                >
+                  <Camera size={18} /> Imagery
+                </button>
+              )}
 
               {/* Presentation Tab - Only show if we have assessment dates */}
               {assessmentDates.length > 0 && (
@@ -499,8 +675,12 @@ const DataEntry = ({
               currentDateObj={currentDateObj}
               selectedAssessmentType={selectedAssessmentType}
               photos={photos}
+              collaborators={collaborators}
               onUpdateData={updateData}
               onPhotosChange={onPhotosChange}
+              onPlotFocus={handlePlotFocus}
+              onShowHistory={setHistoryPlot}
+              highlightPlotId={highlightPlotId}
             />
           )}
 
@@ -510,7 +690,10 @@ const DataEntry = ({
               gridLayout={gridLayout}
               currentDateObj={currentDateObj}
               selectedAssessmentType={selectedAssessmentType}
+              collaborators={collaborators}
               onUpdateData={updateData}
+              onPlotFocus={handlePlotFocus}
+              onShowHistory={setHistoryPlot}
             />
           )}
 
@@ -533,6 +716,7 @@ const DataEntry = ({
               gridLayout={gridLayout}
               assessmentDates={assessmentDates}
               selectedAssessmentType={selectedAssessmentType}
+              onShowPlot={readOnly ? null : handleShowPlot}
             />
           )}
 
@@ -570,8 +754,75 @@ const DataEntry = ({
       )}
       </div>
 
+      {/* Conflict Prompt - a colleague changed a plot we're also editing */}
+      {activeConflict && onResolveConflict && (
+        <div className="fixed inset-0 bg-black/50 z-50 flex items-center justify-center p-4">
+          <div className="bg-white rounded-lg shadow-xl max-w-md w-full p-6">
+            <div className="flex items-center gap-2 mb-3 text-orange-600">
+              <AlertTriangle size={24} />
+              <h3 className="text-lg font-bold">Conflicting Edit</h3>
+            </div>
+            <p className="text-sm text-gray-700 mb-4">
+              <strong>{getDisplayName({ email: activeConflict.authorEmail })}</strong> entered a value for
+              plot <strong>{activeConflict.plotId}</strong> ({activeConflict.assessmentType}, {activeConflict.date})
+              while you were editing it.
+            </p>
+            <div className="grid grid-cols-2 gap-3 mb-4 text-center">
+              <div className="p-3 bg-blue-50 rounded border border-blue-200">
+                <div className="text-xs text-gray-500 mb-1">Your value</div>
+                <div className="text-xl font-bold text-blue-700">{activeConflict.localValue || '—'}</div>
+              </div>
+              <div className="p-3 bg-orange-50 rounded border border-orange-200">
+                <div className="text-xs text-gray-500 mb-1">Their value</div>
+                <div className="text-xl font-bold text-orange-700">{activeConflict.value || '—'}</div>
+              </div>
+            </div>
+            <div className="flex gap-2">
+              <button
+                onClick={() => onResolveConflict(activeConflict, true)}
+                className="flex-1 px-4 py-2 bg-blue-600 text-white rounded hover:bg-blue-700 transition"
+              >
+                Keep Mine
+              </button>
+              <button
+                onClick={() => onResolveConflict(activeConflict, false)}
+                className="flex-1 px-4 py-2 bg-orange-500 text-white rounded hover:bg-orange-600 transition"
+              >
+                Use Theirs
+              </button>
+            </div>
+            {conflicts.length > 1 && (
+              <p className="text-xs text-gray-500 mt-3 text-center">{conflicts.length - 1} more conflict(s) waiting</p>
+            )}
+          </div>
+        </div>
+      )}
+
+      {/* Plot History Panel */}
+      {historyPlot && (
+        <PlotHistoryPanel
+          trialId={trialId}
+          plot={historyPlot}
+          assessmentDates={assessmentDates}
+          readOnly={readOnly}
+          onRevert={updateData}
+          onClose={() => setHistoryPlot(null)}
+        />
+      )}
+
+      {/* Snapshots Modal */}
+      {showSnapshots && (
+        <TrialSnapshots
+          trialId={trialId}
+          currentState={{ config, gridLayout, orientation, assessmentDates, notes, photos }}
+          canManage={settingsEditable && !!onRestoreSnapshot}
+          onRestore={onRestoreSnapshot}
+          onClose={() => setShowSnapshots(false)}
+        />
+      )}
+
       {/* Config Editor Modal */}
-      {showConfigEditor && (
+      {showConfigEditor && settingsEditable && (
         <TrialConfigEditor
           config={config}
           gridLayout={gridLayout}
@@ -1,5 +1,5 @@
-import React, { useState } from 'react';
-import { Eye, Camera, Plus, RotateCw } from 'lucide-react';
+import React, { useState, useEffect } from 'react';
+import { Eye, Camera, Plus, RotateCw, History } from 'lucide-react';
 import { uploadPlotImage } from '../services/storage';
 
 const DataEntryField = ({
@@ -9,12 +9,23 @@ const DataEntryField = ({
   currentDateObj,
   selectedAssessmentType,
   photos,
+  collaborators = [],
   onUpdateData,
-  onPhotosChange
+  onPhotosChange,
+  onPlotFocus,
+  onShowHistory,
+  highlightPlotId = null
 }) => {
   const [showTreatments, setShowTreatments] = useState(false);
   const [reverseColorScale, setReverseColorScale] = useState(false);
 
+  // Bring a plot picked elsewhere (e.g. an outlier in Analysis) into view
+  useEffect(() => {
+    if (!highlightPlotId) return;
+    document.querySelector(`[data-plot-id="${CSS.escape(highlightPlotId)}"]`)
+      ?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  }, [highlightPlotId]);
+
   const assessment = config.assessmentTypes.find(a => a.name === selectedAssessmentType);
 
   // Get color based on value
@@ -153,9 +164,34 @@ const DataEntryField = ({
                 const colorClass = getValueColor(plotData?.value);
                 const photoKey = `${currentDateObj.date}_${plot.id}`;
                 const plotPhotos = photos[photoKey] || [];
+                const collaboratorsHere = collaborators.filter(c =>
+                  c.plotId === plot.id && c.date === currentDateObj.date
+                );
                 
                 return (
-                  <div key={colIdx} className={`aspect-square p-2 border-2 rounded ${colorClass} transition-colors flex flex-col items-center justify-center`}>
+                  <div
+                    key={colIdx}
+                    data-plot-id={plot.id}
+                    className={`relative aspect-square p-2 border-2 rounded ${colorClass} transition-colors flex flex-col items-center justify-center ${
+                      plot.id === highlightPlotId ? 'ring-4 ring-red-500' : collaboratorsHere.length > 0 ? 'ring-2 ring-orange-400' : ''
+                    }`}
+                  >
+                    {/* Collaborators on this plot */}
+                    {collaboratorsHere.length > 0 && (
+                      <div className="absolute -top-2 right-1 text-[10px] font-semibold bg-orange-400 text-white px-1 rounded">
+                        {collaboratorsHere.map(c => c.name).join(', ')}
+                      </div>
+                    )}
+                    {/* Change history */}
+                    {onShowHistory && (
+                      <button
+                        onClick={() => onShowHistory(plot)}
+                        className="absolute top-1 left-1 p-0.5 text-gray-500 hover:text-gray-800 hover:bg-white/80 rounded"
+                        title="Plot history"
+                      >
+                        <History size={12} />
+                      </button>
+                    )}
                     {/* Large centered plot ID */}
                     <div className="text-2xl font-bold text-center">{plot.id}</div>
                     {showTreatments && (
@@ -170,6 +206,7 @@ const DataEntryField = ({
                       min={assessment?.min}
                       max={assessment?.max}
                       value={plotData?.value || ''}
+                      onFocus={() => onPlotFocus?.(plot)}
                       onChange={(e) => {
                         const val = e.target.value;
                         if (val === '' || (parseFloat(val) >= assessment.min && parseFloat(val) <= assessment.max)) {
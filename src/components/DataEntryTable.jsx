@@ -1,11 +1,15 @@
 import React from 'react';
+import { History } from 'lucide-react';
 
 const DataEntryTable = ({
   config,
   gridLayout,
   currentDateObj,
   selectedAssessmentType,
-  onUpdateData
+  collaborators = [],
+  onUpdateData,
+  onPlotFocus,
+  onShowHistory
 }) => {
   const assessment = config.assessmentTypes.find(a => a.name === selectedAssessmentType);
   const allPlots = gridLayout.flat().filter(p => !p.isBlank);
@@ -23,15 +27,26 @@ const DataEntryTable = ({
             <th className="p-3 text-left font-semibold">Block</th>
             <th className="p-3 text-left font-semibold">Treatment</th>
             <th className="p-3 text-left font-semibold">Value ({assessment?.min}-{assessment?.max})</th>
+            {onShowHistory && <th className="p-3"></th>}
           </tr>
         </thead>
         <tbody>
           {allPlots.map((plot, idx) => {
             const plotData = currentDateObj.assessments[selectedAssessmentType][plot.id];
+            const collaboratorsHere = collaborators.filter(c =>
+              c.plotId === plot.id && c.date === currentDateObj.date
+            );
             
             return (
-              <tr key={idx} className="border-b hover:bg-gray-50 transition">
-                <td className="p-3 font-medium">{plot.id}</td>
+              <tr key={idx} className={`border-b hover:bg-gray-50 transition ${collaboratorsHere.length > 0 ? 'bg-orange-50' : ''}`}>
+                <td className="p-3 font-medium">
+                  {plot.id}
+                  {collaboratorsHere.length > 0 && (
+                    <span className="ml-2 text-xs font-semibold bg-orange-400 text-white px-1 rounded">
+                      {collaboratorsHere.map(c => c.name).join(', ')}
+                    </span>
+                  )}
+                </td>
                 <td className="p-3">{plot.block}</td>
                 <td className="p-3">{plot.treatmentName}</td>
                 <td className="p-3">
@@ -41,6 +56,7 @@ const DataEntryTable = ({
                     min={assessment?.min}
                     max={assessment?.max}
                     value={plotData?.value || ''}
+                    onFocus={() => onPlotFocus?.(plot)}
                     onChange={(e) => {
                       const val = e.target.value;
                       if (val === '' || (parseFloat(val) >= assessment.min && parseFloat(val) <= assessment.max)) {
@@ -51,6 +67,17 @@ const DataEntryTable = ({
                     placeholder={`${assessment?.min}-${assessment?.max}`}
                   />
                 </td>
+                {onShowHistory && (
+                  <td className="p-3">
+                    <button
+                      onClick={() => onShowHistory(plot)}
+                      className="flex items-center gap-1 px-2 py-1 text-xs bg-gray-200 rounded hover:bg-gray-300 transition"
+                      title="Plot history"
+                    >
+                      <History size={12} /> History
+                    </button>
+                  </td>
+                )}
               </tr>
             );
           })}
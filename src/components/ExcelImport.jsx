@@ -1,6 +1,14 @@
-import React, { useState } from 'react';
-import { Upload, FileSpreadsheet, CheckCircle, AlertCircle, X, Download } from 'lucide-react';
-import { parseExcelFile } from '../utils/excelParser';
+import React, { useState, useEffect } from 'react';
+import { Upload, FileSpreadsheet, CheckCircle, AlertCircle, X, Download, Columns } from 'lucide-react';
+import {
+  readWorkbook,
+  detectMapping,
+  applyImportTemplate,
+  isMappingComplete,
+  parseWorkbook
+} from '../utils/excelParser';
+import { getImportTemplates, saveImportTemplate, deleteImportTemplate } from '../services/database';
+import ExcelImportMapping from './ExcelImportMapping';
 
 export default function ExcelImport({ onImport, onCancel }) {
   const [dragActive, setDragActive] = useState(false);
@@ -10,6 +18,19 @@ export default function ExcelImport({ onImport, onCancel }) {
   const [error, setError] = useState(null);
   const [showDateConfirmation, setShowDateConfirmation] = useState(false);
   const [selectedDates, setSelectedDates] = useState([]);
+  const [workbook, setWorkbook] = useState(null);
+  const [mapping, setMapping] = useState(null);
+  const [showMapping, setShowMapping] = useState(false);
+  const [mappingError, setMappingError] = useState(null);
+  const [templates, setTemplates] = useState([]);
+  const [usedTemplate, setUsedTemplate] = useState(null);
+
+  useEffect(() => {
+    // Templates need a login; without them the mapping step still works
+    getImportTemplates()
+      .then(setTemplates)
+      .catch(err => console.warn('Could not load import templates:', err));
+  }, []);
 
   const handleDrag = (e) => {
     e.preventDefault();
@@ -51,21 +72,37 @@ export default function ExcelImport({ onImport, onCancel }) {
 
     try {
       console.log('Starting to parse Excel file:', selectedFile.name);
-      const data = await parseExcelFile(selectedFile);
-      console.log('Parse successful:', data);
-      setParsedData(data);
-      setParsing(false);
+      const wb = await readWorkbook(selectedFile);
+      setWorkbook(wb);
 
-      // Initialize selected dates with detected defaults
-      if (data.dateInterpretations && data.dateInterpretations.length > 0) {
-        setSelectedDates(data.dateInterpretations.map(interp => interp.detected));
+      // In-house layout first, then the first saved template that fits the file
+      let fileMapping = detectMapping(wb);
+      let template = null;
+      if (!isMappingComplete(fileMapping)) {
+        for (const t of templates) {
+          const templateMapping = applyImportTemplate(wb, t.mapping);
+          if (isMappingComplete(templateMapping)) {
+            fileMapping = templateMapping;
+            template = t;
+            break;
+          }
+        }
+      }
+      setMapping(fileMapping);
+      setUsedTemplate(template);
+      setParsing(false);
 
-        // Only show date confirmation if there are fallback dates (parsing failures)
-        // Ambiguous dates (UK vs US) are fine - we default to UK format
-        const hasFallbacks = data.dateInterpretations.some(
-          interp => interp.options.length > 0 && interp.options[0].format === 'Fallback (today)'
-        );
-        setShowDateConfirmation(hasFallbacks);
+      if (!isMappingComplete(fileMapping)) {
+        // Unknown layout - ask the user to map it
+        setShowMapping(true);
+        return;
+      }
+      try {
+        showParsed(parseWorkbook(wb, fileMapping));
+      } catch (err) {
+        // Recognised but not readable as it stands - let the user fix the mapping
+        setMappingError(err.message);
+        setShowMapping(true);
       }
     } catch (err) {
       console.error('Parse error:', err);
@@ -75,6 +112,62 @@ export default function ExcelImport({ onImport, onCancel }) {
     }
   };
 
+  const showParsed = (data) => {
+    console.log('Parse successful:', data);
+    setParsedData(data);
+
+    // Initialize selected dates with detected defaults
+    if (data.dateInterpretations && data.dateInterpretations.length > 0) {
+      setSelectedDates(data.dateInterpretations.map(interp => interp.detected));
+
+      // Only show date confirmation if there are fallback dates (parsing failures)
+      // Ambiguous dates (UK vs US) are fine - we default to UK format
+      const hasFallbacks = data.dateInterpretations.some(
+        interp => interp.options.length > 0 && interp.options[0].format === 'Fallback (today)'
+      );
+      setShowDateConfirmation(hasFallbacks);
+    }
+  };
+
+  const handleMappingContinue = () => {
+    try {
+      showParsed(parseWorkbook(workbook, mapping));
+      setMappingError(null);
+      setShowMapping(false);
+    } catch (err) {
+      console.error('Parse error:', err);
+      setMappingError(err.message || 'Failed to parse Excel file');
+    }
+  };
+
+  const handleApplyTemplate = (template) => {
+    setMapping(applyImportTemplate(workbook, template.mapping));
+    setUsedTemplate(template);
+    setMappingError(null);
+  };
+
+  const handleSaveTemplate = async (name) => {
+    try {
+      const { headerRow, columns, skipMarker } = mapping;
+      const saved = await saveImportTemplate(name, { headerRow, columns, skipMarker });
+      setTemplates(prev => [...prev.filter(t => t.name !== saved.name), saved].sort((a, b) => a.name.localeCompare(b.name)));
+      setUsedTemplate(saved);
+      alert(`Template "${saved.name}" saved.`);
+    } catch (err) {
+      alert('Error saving template: ' + err.message);
+    }
+  };
+
+  const handleDeleteTemplate = async (template) => {
+    try {
+      await deleteImportTemplate(template.id);
+      setTemplates(prev => prev.filter(t => t.id !== template.id));
+      if (usedTemplate?.id === template.id) setUsedTemplate(null);
+    } catch (err) {
+      alert('Error deleting template: ' + err.message);
+    }
+  };
+
   const handleDateChange = (index, newDate) => {
     const newSelectedDates = [...selectedDates];
     newSelectedDates[index] = newDate;
@@ -107,6 +200,11 @@ export default function ExcelImport({ onImport, onCancel }) {
     setParsedData(null);
     setError(null);
     setParsing(false);
+    setWorkbook(null);
+    setMapping(null);
+    setShowMapping(false);
+    setMappingError(null);
+    setUsedTemplate(null);
   };
 
   return (
@@ -197,16 +295,43 @@ export default function ExcelImport({ onImport, onCancel }) {
             </div>
           )}
 
+          {/* Column Mapping */}
+          {showMapping && workbook && mapping && (
+            <ExcelImportMapping
+              workbook={workbook}
+              mapping={mapping}
+              onChange={(next) => {
+                setMapping(next);
+                setMappingError(null);
+              }}
+              templates={templates}
+              onApplyTemplate={handleApplyTemplate}
+              onSaveTemplate={handleSaveTemplate}
+              onDeleteTemplate={handleDeleteTemplate}
+              onContinue={handleMappingContinue}
+              error={mappingError}
+            />
+          )}
+
           {/* Preview Parsed Data */}
-          {parsedData && !parsing && (
+          {parsedData && !parsing && !showMapping && (
             <div className="space-y-4">
               <div className="border border-green-300 rounded-lg p-4 bg-green-50">
                 <div className="flex items-start space-x-3">
                   <CheckCircle className="h-5 w-5 text-green-600 flex-shrink-0 mt-0.5" />
                   <div className="flex-1">
                     <h3 className="font-medium text-green-900">File parsed successfully!</h3>
-                    <p className="text-sm text-green-700 mt-1">{file.name}</p>
+                    <p className="text-sm text-green-700 mt-1">
+                      {file.name}
+                      {usedTemplate && ` - using template "${usedTemplate.name}"`}
+                    </p>
                   </div>
+                  <button
+                    onClick={() => setShowMapping(true)}
+                    className="flex items-center gap-1 text-sm text-green-600 hover:text-green-800 underline"
+                  >
+                    <Columns size={14} /> Column mapping
+                  </button>
                   <button
                     onClick={handleReset}
                     className="text-sm text-green-600 hover:text-green-800 underline"
@@ -235,7 +360,7 @@ export default function ExcelImport({ onImport, onCancel }) {
                   </div>
                   <div>
                     <span className="text-sm font-medium text-gray-600">Treatments:</span>
-                    <p className="text-gray-900">{parsedData.config?.treatments || 0}</p>
+                    <p className="text-gray-900">{parsedData.config?.treatments?.length || 0}</p>
                   </div>
                   <div>
                     <span className="text-sm font-medium text-gray-600">Assessment Dates:</span>
@@ -397,7 +522,7 @@ export default function ExcelImport({ onImport, onCancel }) {
             >
               Cancel
             </button>
-            {parsedData && !showDateConfirmation && (
+            {parsedData && !showDateConfirmation && !showMapping && (
               <button
                 onClick={handleImport}
                 className="px-6 py-2 bg-blue-600 text-white rounded hover:bg-blue-700 transition-colors flex items-center space-x-2"
@@ -0,0 +1,307 @@
+import React, { useState } from 'react';
+import * as XLSX from 'xlsx';
+import { Save, Trash2 } from 'lucide-react';
+import { COLUMN_ROLES, getSheetRows, isMappingComplete } from '../utils/excelParser';
+
+// Rows shown in the sheet preview below the header row
+const PREVIEW_ROWS_AFTER_HEADER = 5;
+const MIN_PREVIEW_ROWS = 12;
+
+const ROLE_LABELS = {
+  [COLUMN_ROLES.BLOCK]: 'Block',
+  [COLUMN_ROLES.PLOT]: 'Plot',
+  [COLUMN_ROLES.TREATMENT]: 'Treatment',
+  [COLUMN_ROLES.ASSESSMENT]: 'Assessment'
+};
+
+// Block, plot and treatment can each be mapped to one column only
+const SINGLE_ROLES = [COLUMN_ROLES.BLOCK, COLUMN_ROLES.PLOT, COLUMN_ROLES.TREATMENT];
+
+const cellText = (cell) => String(cell ?? '').trim();
+
+// Column mapping step of the Excel import: header row, column roles, date sheets and templates
+const ExcelImportMapping = ({
+  workbook,
+  mapping,
+  onChange,
+  templates = [],
+  onApplyTemplate,
+  onSaveTemplate,
+  onDeleteTemplate,
+  onContinue,
+  error
+}) => {
+  const [templateId, setTemplateId] = useState('');
+  const [templateName, setTemplateName] = useState('');
+
+  const previewSheet = mapping.dateSheets[0] || workbook.SheetNames[0];
+  const rows = getSheetRows(workbook, previewSheet);
+  const previewRows = rows.slice(0, Math.max(MIN_PREVIEW_ROWS, mapping.headerRow + 1 + PREVIEW_ROWS_AFTER_HEADER));
+  const numCols = Math.max(0, ...previewRows.map(row => row.length));
+  const headerCells = Array.from({ length: numCols }, (_, idx) => cellText(rows[mapping.headerRow]?.[idx]));
+
+  // Mapped columns are matched by header text, or by position when the header is empty
+  const matches = (col, idx) => (cellText(col.header)
+    ? cellText(col.header).toLowerCase() === headerCells[idx].toLowerCase()
+    : col.index === idx);
+  const columnAt = (idx) => mapping.columns.find(col => matches(col, idx));
+  const otherColumns = mapping.columns.filter(col => !headerCells.some((_, idx) => matches(col, idx)));
+
+  const setHeaderRow = (headerRow) => {
+    onChange({
+      ...mapping,
+      headerRow,
+      // Keep roles by position, with the new row's header text
+      columns: mapping.columns.map(col => ({ ...col, header: cellText(rows[headerRow]?.[col.index]) }))
+    });
+  };
+
+  const setRole = (idx, role) => {
+    const columns = mapping.columns.filter(col =>
+      !matches(col, idx) && !(SINGLE_ROLES.includes(role) && col.role === role)
+    );
+    if (role) {
+      columns.push({
+        index: idx,
+        header: headerCells[idx],
+        role,
+        ...(role === COLUMN_ROLES.ASSESSMENT && { name: headerCells[idx] || `Assessment ${XLSX.utils.encode_col(idx)}` })
+      });
+    }
+    onChange({ ...mapping, columns: columns.sort((a, b) => a.index - b.index) });
+  };
+
+  const setAssessmentName = (idx, name) => {
+    onChange({
+      ...mapping,
+      columns: mapping.columns.map(col => (matches(col, idx) ? { ...col, name } : col))
+    });
+  };
+
+  const toggleSheet = (sheetName) => {
+    const selected = mapping.dateSheets.includes(sheetName)
+      ? mapping.dateSheets.filter(name => name !== sheetName)
+      : [...mapping.dateSheets, sheetName];
+    // Keep workbook order
+    onChange({ ...mapping, dateSheets: workbook.SheetNames.filter(name => selected.includes(name)) });
+  };
+
+  const selectedTemplate = templates.find(t => t.id === templateId) || null;
+
+  return (
+    <div className="border rounded-lg p-4 bg-gray-50 space-y-4">
+      <div>
+        <h3 className="font-bold text-lg text-gray-900">Map Columns</h3>
+        <p className="text-sm text-gray-600 mt-1">
+          Tell the importer where the headers are, which columns hold block, plot, treatment and
+          assessment values, and which sheets are assessment dates.
+        </p>
+      </div>
+
+      {/* Templates */}
+      <div className="flex flex-wrap items-end gap-2">
+        <div className="flex-1 min-w-[12rem]">
+          <label className="block text-xs font-medium text-gray-700 mb-1">Saved template</label>
+          <select
+            value={templateId}
+            onChange={(e) => {
+              setTemplateId(e.target.value);
+              const template = templates.find(t => t.id === e.target.value);
+              if (template) {
+                setTemplateName(template.name);
+                onApplyTemplate(template);
+              }
+            }}
+            className="w-full p-2 border rounded text-sm"
+          >
+            <option value="">{templates.length > 0 ? 'Choose a template...' : 'No saved templates'}</option>
+            {templates.map(template => (
+              <option key={template.id} value={template.id}>{template.name}</option>
+            ))}
+          </select>
+        </div>
+        {selectedTemplate && (
+          <button
+            onClick={() => {
+              if (!window.confirm(`Delete template "${selectedTemplate.name}"?`)) return;
+              onDeleteTemplate(selectedTemplate);
+              setTemplateId('');
+            }}
+            className="flex items-center gap-1 px-3 py-2 text-sm text-red-600 hover:text-red-800"
+          >
+            <Trash2 size={16} /> Delete
+          </button>
+        )}
+        <div className="flex-1 min-w-[12rem]">
+          <label className="block text-xs font-medium text-gray-700 mb-1">Save this mapping as</label>
+          <input
+            type="text"
+            value={templateName}
+            onChange={(e) => setTemplateName(e.target.value)}
+            className="w-full p-2 border rounded text-sm"
+            placeholder="e.g. Site B assessment sheet"
+          />
+        </div>
+        <button
+          onClick={() => onSaveTemplate(templateName.trim())}
+          disabled={!templateName.trim() || mapping.columns.length === 0}
+          className="flex items-center gap-1 px-3 py-2 bg-purple-600 text-white text-sm rounded hover:bg-purple-700 transition disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          <Save size={16} /> Save Template
+        </button>
+      </div>
+
+      {/* Date sheets */}
+      <div>
+        <span className="block text-xs font-medium text-gray-700 mb-1">Assessment date sheets</span>
+        <div className="flex flex-wrap gap-x-4 gap-y-1">
+          {workbook.SheetNames.map(name => (
+            <label key={name} className="flex items-center gap-1 text-sm">
+              <input
+                type="checkbox"
+                checked={mapping.dateSheets.includes(name)}
+                onChange={() => toggleSheet(name)}
+              />
+              {name}
+            </label>
+          ))}
+        </div>
+      </div>
+
+      {/* Sheet preview - click a row to make it the header row */}
+      <div>
+        <div className="flex items-center justify-between mb-1">
+          <span className="text-xs font-medium text-gray-700">
+            Preview of "{previewSheet}" - click the header row
+          </span>
+          <label className="flex items-center gap-2 text-xs text-gray-700">
+            Header row
+            <input
+              type="number"
+              min="1"
+              max={rows.length || 1}
+              value={mapping.headerRow + 1}
+              onChange={(e) => {
+                const row = parseInt(e.target.value, 10);
+                if (row >= 1) setHeaderRow(row - 1);
+              }}
+              className="w-16 p-1 border rounded"
+            />
+          </label>
+        </div>
+        <div className="bg-white border rounded overflow-x-auto max-h-64 overflow-y-auto">
+          <table className="text-xs border-collapse">
+            <thead className="bg-gray-100 sticky top-0">
+              <tr>
+                <th className="px-2 py-1 border text-gray-500">#</th>
+                {headerCells.map((_, idx) => (
+                  <th key={idx} className="px-2 py-1 border text-gray-500">{XLSX.utils.encode_col(idx)}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {previewRows.map((row, rowIdx) => (
+                <tr
+                  key={rowIdx}
+                  onClick={() => setHeaderRow(rowIdx)}
+                  className={`cursor-pointer ${rowIdx === mapping.headerRow ? 'bg-blue-100 font-semibold' : rowIdx < mapping.headerRow ? 'text-gray-400' : 'hover:bg-gray-50'}`}
+                >
+                  <td className="px-2 py-1 border text-gray-500">{rowIdx + 1}</td>
+                  {headerCells.map((_, idx) => (
+                    <td key={idx} className="px-2 py-1 border whitespace-nowrap">{cellText(row[idx])}</td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      {/* Column roles */}
+      <div>
+        <span className="block text-xs font-medium text-gray-700 mb-1">Columns</span>
+        <div className="bg-white border rounded">
+          <table className="w-full text-sm">
+            <thead className="bg-gray-50 border-b">
+              <tr>
+                <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 w-12">Col</th>
+                <th className="px-3 py-2 text-left text-xs font-medium text-gray-500">Header</th>
+                <th className="px-3 py-2 text-left text-xs font-medium text-gray-500">Use as</th>
+                <th className="px-3 py-2 text-left text-xs font-medium text-gray-500">Assessment name</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y">
+              {headerCells.map((header, idx) => {
+                const col = columnAt(idx);
+                return (
+                  <tr key={idx} className={col ? '' : 'text-gray-400'}>
+                    <td className="px-3 py-1">{XLSX.utils.encode_col(idx)}</td>
+                    <td className="px-3 py-1">{header || <span className="italic">(empty)</span>}</td>
+                    <td className="px-3 py-1">
+                      <select
+                        value={col?.role || ''}
+                        onChange={(e) => setRole(idx, e.target.value)}
+                        className="p-1 border rounded text-sm"
+                      >
+                        <option value="">Ignore</option>
+                        {Object.entries(ROLE_LABELS).map(([role, label]) => (
+                          <option key={role} value={role}>{label}</option>
+                        ))}
+                      </select>
+                    </td>
+                    <td className="px-3 py-1">
+                      {col?.role === COLUMN_ROLES.ASSESSMENT && (
+                        <input
+                          type="text"
+                          value={col.name || ''}
+                          onChange={(e) => setAssessmentName(idx, e.target.value)}
+                          className="w-full p-1 border rounded text-sm"
+                        />
+                      )}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+        {otherColumns.length > 0 && (
+          <p className="text-xs text-gray-600 mt-1">
+            Also mapped on other sheets: {otherColumns.map(col => `${col.header} (${ROLE_LABELS[col.role]})`).join(', ')}
+          </p>
+        )}
+      </div>
+
+      <label className="flex items-center gap-2 text-sm text-gray-700">
+        Skip rows whose first cell is
+        <input
+          type="text"
+          value={mapping.skipMarker}
+          onChange={(e) => onChange({ ...mapping, skipMarker: e.target.value })}
+          className="w-16 p-1 border rounded text-sm"
+          placeholder="none"
+        />
+        <span className="text-xs text-gray-500">(e.g. X for blank plots)</span>
+      </label>
+
+      {error && <p className="text-sm text-red-700">{error}</p>}
+
+      <div className="flex items-center justify-end gap-3">
+        {!isMappingComplete(mapping) && (
+          <span className="text-xs text-gray-600">
+            Map block, treatment and at least one assessment column, and pick at least one date sheet.
+          </span>
+        )}
+        <button
+          onClick={onContinue}
+          disabled={!isMappingComplete(mapping)}
+          className="px-4 py-2 bg-blue-600 text-white text-sm rounded hover:bg-blue-700 transition disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          Preview Import
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default ExcelImportMapping;
@@ -0,0 +1,300 @@
+import React, { useState, useMemo } from 'react';
+import { X, Layers, Plus } from 'lucide-react';
+import { suggestTreatmentMapping, analyseAcrossSites } from '../utils/metaAnalysis';
+
+const formatNumber = (value, digits) => (value === null || value === undefined ? '' : value.toFixed(digits));
+const formatP = (p) => (p === null || p === undefined ? '' : p < 0.001 ? '<0.001' : p.toFixed(3));
+
+// Dates of a trial with data for an assessment type, latest last
+const datesWithData = (trial, typeName) => (trial.assessmentDates || [])
+  .filter(d => Object.values(d.assessments?.[typeName] || {}).some(v => v?.entered && v.value !== ''))
+  .map(d => d.date)
+  .sort();
+
+// Combined analysis of several trials of the same protocol (sites / years)
+const MetaAnalysis = ({ trials, onClose }) => {
+  // Assessment type and date analysed at each site, defaulting to a type every trial shares
+  const [siteSettings, setSiteSettings] = useState(() => {
+    const shared = trials[0].config.assessmentTypes
+      .map(t => t.name)
+      .find(name => trials.every(trial => trial.config.assessmentTypes.some(t => t.name === name)));
+    return Object.fromEntries(trials.map(trial => {
+      const assessmentType = shared || trial.config.assessmentTypes[0]?.name || '';
+      const dates = datesWithData(trial, assessmentType);
+      return [trial.id, { assessmentType, date: dates[dates.length - 1] || '' }];
+    }));
+  });
+
+  const [treatmentMap, setTreatmentMap] = useState(() => suggestTreatmentMapping(trials));
+  const { pooled, mapping } = treatmentMap;
+
+  const updateSite = (trialId, field, value) => {
+    const trial = trials.find(t => t.id === trialId);
+    const next = { ...siteSettings[trialId], [field]: value };
+    if (field === 'assessmentType') {
+      const dates = datesWithData(trial, value);
+      next.date = dates[dates.length - 1] || '';
+    }
+    setSiteSettings({ ...siteSettings, [trialId]: next });
+  };
+
+  // A trial treatment maps to one pooled treatment at most
+  const updateMapping = (trialId, pooledIdx, trialIdx) => {
+    const row = mapping[trialId].map((current, idx) => {
+      if (idx === pooledIdx) return trialIdx;
+      return current === trialIdx ? null : current;
+    });
+    setTreatmentMap({ pooled, mapping: { ...mapping, [trialId]: row } });
+  };
+
+  const renamePooled = (pooledIdx, name) => {
+    setTreatmentMap({ pooled: pooled.map((p, idx) => (idx === pooledIdx ? name : p)), mapping });
+  };
+
+  const addPooled = () => {
+    setTreatmentMap({
+      pooled: [...pooled, `Treatment ${pooled.length + 1}`],
+      mapping: Object.fromEntries(Object.entries(mapping).map(([id, row]) => [id, [...row, null]]))
+    });
+  };
+
+  const result = useMemo(() => analyseAcrossSites(
+    trials.map(trial => ({ trial, name: trial.name, ...siteSettings[trial.id] })),
+    pooled,
+    mapping
+  ), [trials, siteSettings, pooled, mapping]);
+
+  const residualMs = result?.siteResults.map(s => s.residualMs).filter(ms => ms > 0) || [];
+  const varianceRatio = residualMs.length > 1 ? Math.max(...residualMs) / Math.min(...residualMs) : null;
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-lg shadow-xl max-w-6xl w-full max-h-[90vh] overflow-y-auto">
+        <div className="sticky top-0 bg-white border-b px-6 py-4 flex items-center justify-between z-10">
+          <div>
+            <h2 className="text-xl font-bold text-gray-800 flex items-center gap-2">
+              <Layers size={24} />
+              Combined Analysis Across Trials
+            </h2>
+            <p className="text-sm text-gray-600 mt-1">
+              {trials.length} trials as sites • site random, treatment × site interaction, pooled means
+            </p>
+          </div>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600 transition-colors">
+            <X size={24} />
+          </button>
+        </div>
+
+        <div className="p-6 space-y-8">
+          {/* Sites */}
+          <div>
+            <h3 className="text-lg font-semibold text-gray-800 mb-3">Sites</h3>
+            <table className="w-full text-sm border-collapse">
+              <thead>
+                <tr className="border-b-2 border-gray-300 bg-gray-100">
+                  <th className="p-2 text-left">Trial</th>
+                  <th className="p-2 text-left">Assessment type</th>
+                  <th className="p-2 text-left">Date</th>
+                </tr>
+              </thead>
+              <tbody>
+                {trials.map(trial => (
+                  <tr key={trial.id} className="border-b">
+                    <td className="p-2 font-medium">{trial.name}</td>
+                    <td className="p-2">
+                      <select
+                        value={siteSettings[trial.id].assessmentType}
+                        onChange={(e) => updateSite(trial.id, 'assessmentType', e.target.value)}
+                        className="p-1 border rounded text-sm"
+                      >
+                        {trial.config.assessmentTypes.map(type => (
+                          <option key={type.name} value={type.name}>{type.name}</option>
+                        ))}
+                      </select>
+                    </td>
+                    <td className="p-2">
+                      <select
+                        value={siteSettings[trial.id].date}
+                        onChange={(e) => updateSite(trial.id, 'date', e.target.value)}
+                        className="p-1 border rounded text-sm"
+                      >
+                        {datesWithData(trial, siteSettings[trial.id].assessmentType).length === 0 && (
+                          <option value="">No data</option>
+                        )}
+                        {datesWithData(trial, siteSettings[trial.id].assessmentType).map(date => (
+                          <option key={date} value={date}>{date}</option>
+                        ))}
+                      </select>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          {/* Treatment mapping */}
+          <div>
+            <div className="flex items-center justify-between mb-1">
+              <h3 className="text-lg font-semibold text-gray-800">Treatment Matching</h3>
+              <button
+                onClick={addPooled}
+                className="flex items-center gap-2 px-3 py-1.5 bg-green-600 text-white rounded hover:bg-green-700 transition-colors text-sm"
+              >
+                <Plus size={16} /> Add Treatment
+              </button>
+            </div>
+            <p className="text-sm text-gray-600 mb-3">
+              Names are matched ignoring case and punctuation. Pick the label each trial used for every pooled treatment.
+            </p>
+            <div className="overflow-x-auto">
+              <table className="w-full text-sm border-collapse">
+                <thead>
+                  <tr className="border-b-2 border-gray-300 bg-gray-100">
+                    <th className="p-2 text-left">Pooled treatment</th>
+                    {trials.map(trial => (
+                      <th key={trial.id} className="p-2 text-left">{trial.name}</th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  {pooled.map((name, pooledIdx) => (
+                    <tr key={pooledIdx} className="border-b">
+                      <td className="p-2">
+                        <input
+                          type="text"
+                          value={name}
+                          onChange={(e) => renamePooled(pooledIdx, e.target.value)}
+                          className="w-full px-2 py-1 border rounded"
+                        />
+                      </td>
+                      {trials.map(trial => (
+                        <td key={trial.id} className="p-2">
+                          <select
+                            value={mapping[trial.id][pooledIdx] ?? ''}
+                            onChange={(e) => updateMapping(trial.id, pooledIdx, e.target.value === '' ? null : parseInt(e.target.value, 10))}
+                            className={`w-full p-1 border rounded text-sm ${mapping[trial.id][pooledIdx] === null ? 'text-gray-400' : ''}`}
+                          >
+                            <option value="">- not in trial -</option>
+                            {trial.config.treatments.map((treatment, idx) => (
+                              <option key={idx} value={idx}>{treatment}</option>
+                            ))}
+                          </select>
+                        </td>
+                      ))}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+
+          {/* Results */}
+          {!result ? (
+            <p className="text-gray-500 text-sm">
+              Need data from at least two sites and two matched treatments.
+            </p>
+          ) : (
+            <>
+              <div>
+                <h3 className="text-lg font-semibold text-gray-800 mb-3">Analysis of Variance</h3>
+                <table className="w-full text-sm border-collapse">
+                  <thead>
+                    <tr className="border-b-2 border-gray-300 bg-gray-100">
+                      <th className="p-2 text-left">Source of variation</th>
+                      <th className="p-2 text-right">d.f.</th>
+                      <th className="p-2 text-right">s.s.</th>
+                      <th className="p-2 text-right">m.s.</th>
+                      <th className="p-2 text-right">v.r.</th>
+                      <th className="p-2 text-right">F pr.</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {result.sources.map(source => (
+                      <tr key={source.term} className={`border-b ${source.term === 'total' ? 'font-semibold' : ''}`}>
+                        <td className="p-2">{source.source}</td>
+                        <td className="p-2 text-right">{source.df}</td>
+                        <td className="p-2 text-right">{formatNumber(source.ss, 3)}</td>
+                        <td className="p-2 text-right">{formatNumber(source.ms, 3)}</td>
+                        <td className="p-2 text-right">{formatNumber(source.f, 2)}</td>
+                        <td className={`p-2 text-right ${source.p !== null && source.p < 0.05 ? 'text-green-600 font-semibold' : ''}`}>
+                          {formatP(source.p)}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+                <p className="text-xs text-gray-600 mt-2">
+                  Treatment is tested against Treatment × Site (sites random, {result.errorDf} d.f.).
+                  {result.varianceComponent !== null && ` Treatment × site variance component ${result.varianceComponent.toFixed(3)}.`}
+                </p>
+              </div>
+
+              <div>
+                <h3 className="text-lg font-semibold text-gray-800 mb-3">Treatment Means</h3>
+                <div className="overflow-x-auto">
+                  <table className="w-full text-sm border-collapse">
+                    <thead>
+                      <tr className="border-b-2 border-gray-300 bg-gray-100">
+                        <th className="p-2 text-left">Treatment</th>
+                        {result.siteResults.map(site => (
+                          <th key={site.name} className="p-2 text-right">{site.name}</th>
+                        ))}
+                        <th className="p-2 text-right">Pooled mean ± SE</th>
+                        <th className="p-2 text-center">Group</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {result.treatmentStats.map(t => (
+                        <tr key={t.treatment} className="border-b">
+                          <td className="p-2 font-medium">{t.treatmentName}</td>
+                          {result.siteResults.map(site => (
+                            <td key={site.name} className="p-2 text-right font-mono text-gray-600">
+                              {site.means[t.treatment] === null ? '-' : site.means[t.treatment].toFixed(2)}
+                            </td>
+                          ))}
+                          <td className="p-2 text-right font-mono font-semibold">
+                            {t.mean.toFixed(2)} ± {t.stdError.toFixed(2)}
+                            {t.sites < result.numSites && (
+                              <sup className="text-orange-600 ml-0.5" title={`Tested at ${t.sites} of ${result.numSites} sites - adjusted mean`}>*</sup>
+                            )}
+                          </td>
+                          <td className={`p-2 text-center text-xs ${result.significant ? 'font-bold text-blue-600' : 'text-gray-400'}`}>
+                            {t.group}
+                          </td>
+                        </tr>
+                      ))}
+                      <tr className="bg-gray-50 text-xs text-gray-600">
+                        <td className="p-2">Residual m.s.</td>
+                        {result.siteResults.map(site => (
+                          <td key={site.name} className="p-2 text-right">
+                            {formatNumber(site.residualMs, 3)}
+                            {site.p !== null && <div>p = {formatP(site.p)}</div>}
+                          </td>
+                        ))}
+                        <td colSpan={2} />
+                      </tr>
+                    </tbody>
+                  </table>
+                </div>
+                <p className="text-xs text-gray-600 mt-2">
+                  s.e.d. {result.sed.toFixed(3)}
+                  {result.lsd !== null && ` • l.s.d. (5%) ${result.lsd.toFixed(3)}`}
+                  {' '}• Letters from Fisher's protected LSD against the Treatment × Site mean square.
+                  {' '}* Treatment not tested at every site: its pooled mean is adjusted for site effects.
+                </p>
+                {varianceRatio !== null && varianceRatio > 3 && (
+                  <p className="text-xs text-orange-700 mt-1">
+                    Site residual variances differ {varianceRatio.toFixed(1)}-fold; pooling assumes similar
+                    precision at every site, so treat the combined tests with caution.
+                  </p>
+                )}
+              </div>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default MetaAnalysis;
@@ -0,0 +1,129 @@
+import React, { useState, useEffect } from 'react';
+import { X, History, Loader, RotateCcw } from 'lucide-react';
+import { getAuditLog, getDisplayName } from '../services/database';
+
+// Change history for one plot, with revert for assessment values
+const PlotHistoryPanel = ({
+  trialId,
+  plot,
+  assessmentDates,
+  readOnly = false,
+  onRevert,
+  onClose
+}) => {
+  const [entries, setEntries] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    loadHistory();
+  }, [trialId, plot.id]);
+
+  const loadHistory = async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      setEntries(await getAuditLog(trialId, { plotId: plot.id }));
+    } catch (err) {
+      setError('Could not load history. History needs a connection to the server.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Values can only be reverted on dates that still exist
+  const canRevert = (entry) => {
+    return !readOnly &&
+      entry.changeType === 'value' &&
+      assessmentDates.some(d => d.date === entry.date);
+  };
+
+  const handleRevert = (entry) => {
+    const restored = entry.oldValue ?? '';
+    if (!confirm(`Set ${entry.assessmentType} on ${entry.date} back to ${restored === '' ? 'empty' : restored}?`)) return;
+
+    onRevert(entry.date, entry.assessmentType, entry.plotId, restored);
+    onClose();
+  };
+
+  const formatValue = (value) => (value === null || value === undefined || value === '' ? '—' : value);
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-lg shadow-xl max-w-2xl w-full max-h-[90vh] overflow-y-auto">
+        {/* Header */}
+        <div className="sticky top-0 bg-white border-b px-6 py-4 flex items-center justify-between">
+          <div>
+            <h2 className="text-xl font-bold text-gray-800 flex items-center gap-2">
+              <History size={22} /> Plot {plot.id} History
+            </h2>
+            <p className="text-sm text-gray-600">
+              Block {plot.block}{plot.treatmentName ? ` • ${plot.treatmentName}` : ''}
+            </p>
+          </div>
+          <button onClick={onClose} className="p-2 hover:bg-gray-100 rounded-lg transition">
+            <X size={20} />
+          </button>
+        </div>
+
+        <div className="p-6">
+          {loading ? (
+            <div className="flex items-center gap-2 text-sm text-gray-500">
+              <Loader size={16} className="animate-spin" /> Loading history...
+            </div>
+          ) : error ? (
+            <div className="p-3 rounded text-sm bg-red-50 text-red-700 border border-red-200">{error}</div>
+          ) : entries.length === 0 ? (
+            <p className="text-sm text-gray-500">No changes recorded for this plot yet.</p>
+          ) : (
+            <table className="w-full text-sm border-collapse">
+              <thead>
+                <tr className="border-b-2 border-gray-300 bg-gray-50">
+                  <th className="p-2 text-left font-semibold">When</th>
+                  <th className="p-2 text-left font-semibold">Who</th>
+                  <th className="p-2 text-left font-semibold">Change</th>
+                  <th className="p-2 text-left font-semibold">Old → New</th>
+                  <th className="p-2"></th>
+                </tr>
+              </thead>
+              <tbody>
+                {entries.map(entry => (
+                  <tr key={entry.id} className="border-b hover:bg-gray-50 transition">
+                    <td className="p-2 whitespace-nowrap">
+                      {new Date(entry.editedAt || entry.changedAt).toLocaleString()}
+                    </td>
+                    <td className="p-2">{entry.userEmail ? getDisplayName({ email: entry.userEmail }) : '—'}</td>
+                    <td className="p-2">
+                      {entry.changeType === 'value'
+                        ? `${entry.assessmentType} (${entry.date})`
+                        : 'Treatment assignment'}
+                    </td>
+                    <td className="p-2 whitespace-nowrap">
+                      {formatValue(entry.oldValue)} → <strong>{formatValue(entry.newValue)}</strong>
+                    </td>
+                    <td className="p-2 text-right">
+                      {canRevert(entry) && (
+                        <button
+                          onClick={() => handleRevert(entry)}
+                          className="flex items-center gap-1 px-2 py-1 text-xs bg-gray-200 rounded hover:bg-gray-300 transition"
+                          title="Restore the old value"
+                        >
+                          <RotateCcw size={12} /> Revert
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+          <p className="text-xs text-gray-500 mt-4">
+            Edits made offline appear here once they have synced. Reverting is recorded as a new change.
+          </p>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default PlotHistoryPanel;
@@ -1,7 +1,10 @@
 import React, { useState, useEffect } from 'react';
 import { ChevronLeft, ChevronRight, Calendar, Image as ImageIcon, FileText, TrendingUp, Eye, EyeOff, ArrowUp, ArrowDown, Maximize2, MapPin, Grid } from 'lucide-react';
-import { jStat } from 'jstat';
 import { getImageUrl } from '../services/storage';
+import { COMPARISON_METHODS, getComparisonSettings } from '../utils/multipleComparisons';
+import { getTransformKey } from '../utils/transforms';
+import { analyseDesign } from '../stats';
+import { ANALYSIS_MODES, getAnalysisMode, analyseRanks } from '../utils/nonParametric';
 
 // Helper function to normalize date format to YYYY-MM-DD
 const normalizeDateFormat = (dateStr) => {
@@ -58,139 +61,6 @@ const calculateAutoScale = (values) => {
   };
 };
 
-// GenStat-style Compact Letter Display (CLD) algorithm for Fisher's LSD
-const assignLetters = (sortedTreatments, lsd, significant) => {
-  if (!significant) {
-    return sortedTreatments.map(t => ({ ...t, group: 'NS' }));
-  }
-
-  if (sortedTreatments.length === 0) {
-    return [];
-  }
-
-  // Sort by mean descending (standard for CLD)
-  const treatments = [...sortedTreatments].sort((a, b) => b.mean - a.mean);
-
-  // Groups: each group contains treatments that are ALL within LSD of each other
-  let groups = [];
-
-  // Step 1: Insert each treatment into applicable groups
-  for (const t of treatments) {
-    for (const group of groups) {
-      let fits = true;
-      for (const member of group) {
-        if (Math.abs(t.mean - member.mean) > lsd) {
-          fits = false;
-          break;
-        }
-      }
-      if (fits) {
-        group.push(t);
-      }
-    }
-    groups.push([t]);
-  }
-
-  // Step 2: Remove redundant groups
-  groups = groups.filter(g => {
-    const gSet = new Set(g.map(t => t.treatment));
-    for (const other of groups) {
-      if (other === g) continue;
-      if (other.length > g.length) {
-        const otherSet = new Set(other.map(t => t.treatment));
-        let isSubset = true;
-        for (const gt of gSet) {
-          if (!otherSet.has(gt)) {
-            isSubset = false;
-            break;
-          }
-        }
-        if (isSubset) return false;
-      }
-    }
-    return true;
-  });
-
-  // Step 3: Assign letters to groups
-  const letterMap = new Map();
-  treatments.forEach(t => letterMap.set(t.treatment, ''));
-
-  groups.forEach((group, idx) => {
-    const letter = String.fromCharCode('a'.charCodeAt(0) + idx);
-    for (const member of group) {
-      letterMap.set(member.treatment, letterMap.get(member.treatment) + letter);
-    }
-  });
-
-  return sortedTreatments.map(t => ({
-    ...t,
-    group: letterMap.get(t.treatment).split('').sort().join('')
-  }));
-};
-
-// Calculate RCBD ANOVA and LSD for a dataset
-const calculateAnovaStats = (treatmentStats, numBlocks) => {
-  const treatments = Object.keys(treatmentStats);
-  const numTreatments = treatments.length;
-
-  if (numTreatments < 2 || numBlocks < 2) {
-    return { significant: false, lsd: 0 };
-  }
-
-  // Collect all values
-  const allValues = [];
-  treatments.forEach(t => {
-    treatmentStats[t].values.forEach(v => allValues.push(v));
-  });
-
-  const totalN = allValues.length;
-  const grandTotal = allValues.reduce((sum, v) => sum + v, 0);
-  const grandMean = grandTotal / totalN;
-  const correctionFactor = (grandTotal * grandTotal) / totalN;
-
-  // Total SS
-  const ssTotal = allValues.reduce((sum, v) => sum + v * v, 0) - correctionFactor;
-
-  // Treatment SS
-  let ssTreatment = 0;
-  treatments.forEach(t => {
-    const tt = treatmentStats[t];
-    ssTreatment += (tt.total * tt.total) / tt.n;
-  });
-  ssTreatment -= correctionFactor;
-
-  // Residual SS (simplified - assumes balanced design)
-  const ssResidual = ssTotal - ssTreatment;
-
-  // Degrees of freedom
-  const dfTreatment = numTreatments - 1;
-  const dfResidual = totalN - numTreatments;
-
-  if (dfResidual <= 0) {
-    return { significant: false, lsd: 0 };
-  }
-
-  // Mean squares
-  const msTreatment = ssTreatment / dfTreatment;
-  const msResidual = ssResidual / dfResidual;
-
-  // F-statistic and p-value
-  const fTreatment = msResidual > 0 ? msTreatment / msResidual : 0;
-  const pValue = dfTreatment > 0 && dfResidual > 0 && fTreatment > 0
-    ? 1 - jStat.centralF.cdf(fTreatment, dfTreatment, dfResidual)
-    : 1;
-
-  const significant = pValue < 0.05;
-
-  // Calculate LSD
-  const replicates = numBlocks;
-  const sed = msResidual > 0 ? Math.sqrt(2 * msResidual / replicates) : 0;
-  const tCritical = dfResidual > 0 ? jStat.studentt.inv(0.975, dfResidual) : 2.064;
-  const lsd = sed * tCritical;
-
-  return { significant, lsd, pValue, fTreatment };
-};
-
 // Simple SVG Bar Chart Component by Treatment
 const SimpleBarChart = ({ data, min, max, currentDateColor }) => {
   const width = 600;
@@ -306,7 +176,7 @@ const SimpleBarChart = ({ data, min, max, currentDateColor }) => {
 };
 
 // Multi-Line Chart Component - One line per treatment
-const MultiLineChart = ({ treatmentData, treatmentColors, currentDate, min, max, allDates, statsData }) => {
+const MultiLineChart = ({ treatmentData, treatmentColors, currentDate, min, max, allDates, statsData, showLetterBrackets }) => {
   const width = 1100;  // Increased to make room for bigger legend
   const height = 450;  // Increased for better proportions
   const padding = 60;
@@ -392,7 +262,7 @@ const MultiLineChart = ({ treatmentData, treatmentColors, currentDate, min, max,
   const getLetterGroups = () => {
     const letterGroups = {};
     sortedTreatments.forEach((t, idx) => {
-      if (t.group && t.group !== 'NS') {
+      if (showLetterBrackets && t.group && t.group !== 'NS') {
         for (const letter of t.group) {
           if (!letterGroups[letter]) {
             letterGroups[letter] = [];
@@ -710,6 +580,9 @@ const PresentationMode = ({
 
   const currentDate = sortedDates[currentSlide];
 
+  const comparisonSettings = getComparisonSettings(config);
+  const comparisonMethod = COMPARISON_METHODS[comparisonSettings.method];
+
   // Group plots by treatment
   const getTreatmentGroups = () => {
     const groups = {};
@@ -969,71 +842,35 @@ const PresentationMode = ({
     const assessment = currentDate.assessments[typeName];
     if (!assessment) return [];
 
-    const treatmentStats = {};
+    // Same analysis as the Analysis tab: the assessment type's mode, then the trial's
+    // design, transform and comparison procedure (rank tests chart medians)
+    const mode = getAnalysisMode(config, typeName);
+    const stats = mode === 'parametric'
+      ? analyseDesign(config, gridLayout, assessment, { transform: getTransformKey(config, typeName) })
+      : analyseRanks(config, gridLayout, assessment, { mode, alpha: comparisonSettings.alpha });
+    if (!stats) return [];
 
-    // Get unique blocks for ANOVA calculation
-    const blocks = new Set();
-
-    // Calculate stats for each treatment
+    // Charts are keyed by the plots' treatment names
+    const treatmentNames = {};
     gridLayout.forEach(row => {
       row.forEach(plot => {
-        if (!plot.isBlank) {
-          const treatment = plot.treatmentName || 'Untreated';
-          blocks.add(plot.block);
-
-          // Only include visible treatments
-          if (!visibleTreatments[treatment]) return;
-
-          const plotData = assessment[plot.id];
-
-          if (plotData?.entered && plotData.value !== '') {
-            if (!treatmentStats[treatment]) {
-              treatmentStats[treatment] = { values: [], count: 0, total: 0, n: 0 };
-            }
-            const val = parseFloat(plotData.value);
-            treatmentStats[treatment].values.push(val);
-            treatmentStats[treatment].total += val;
-            treatmentStats[treatment].n++;
-            treatmentStats[treatment].count++;
-          }
-        }
+        if (!plot.isBlank) treatmentNames[plot.treatment] = plot.treatmentName || 'Untreated';
       });
     });
 
-    const numBlocks = blocks.size;
-
-    // Calculate ANOVA and get LSD
-    const anovaResult = calculateAnovaStats(treatmentStats, numBlocks);
-
-    // Build treatment data with means
-    const treatmentData = Object.entries(treatmentStats).map(([treatment, stats]) => {
-      const mean = stats.total / stats.n;
-      return {
-        treatment,
-        mean,
-        value: mean.toFixed(1),
-        count: stats.count,
-        color: treatmentColors[treatment]
-      };
-    });
-
-    // Sort by mean ascending for letter assignment
-    const sortedForLetters = [...treatmentData].sort((a, b) => a.mean - b.mean);
-
-    // Assign significance letters
-    const withLetters = assignLetters(sortedForLetters, anovaResult.lsd, anovaResult.significant);
-
-    // Create lookup for letters
-    const letterLookup = {};
-    withLetters.forEach(t => {
-      letterLookup[t.treatment] = t.group;
-    });
-
-    // Add letters to treatment data and sort by value descending for display
-    return treatmentData.map(t => ({
-      ...t,
-      group: letterLookup[t.treatment]
-    })).sort((a, b) => parseFloat(b.value) - parseFloat(a.value));
+    const treatmentData = stats.treatmentStats
+      .map(stat => ({
+        treatment: treatmentNames[stat.treatment] ?? stat.treatmentName,
+        mean: stat.backTransformedMean ?? stat.median,
+        value: (stat.backTransformedMean ?? stat.median).toFixed(1),
+        count: stat.n,
+        group: stat.group
+      }))
+      .filter(item => visibleTreatments[item.treatment])
+      .map(item => ({ ...item, color: treatmentColors[item.treatment] }));
+
+    // Sort by value descending for display
+    return treatmentData.sort((a, b) => parseFloat(b.value) - parseFloat(a.value));
   };
 
   const nextSlide = () => {
@@ -1064,11 +901,17 @@ const PresentationMode = ({
           <TrendingUp size={24} className="text-stri-teal" />
           Results by Treatment (Current Date)
         </h3>
+        <p className="text-sm text-gray-400 -mt-4 mb-4">
+          {comparisonMethod.letters
+            ? `Groups: ${comparisonMethod.label}, ${+(comparisonSettings.alpha * 100).toFixed(1)}% - treatments sharing a letter are not significantly different`
+            : `Dunnett vs control, ${+(comparisonSettings.alpha * 100).toFixed(1)}% - * differs from the control`}
+        </p>
 
         <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
           {config.assessmentTypes.filter(type => visibleAssessments[type.name]).map((type) => {
             const barData = prepareBarChartDataForType(type.name);
             if (barData.length === 0) return null;
+            const mode = getAnalysisMode(config, type.name);
 
             // Use config min/max by default, or auto-calculated when button is held
             let minValue = type.min;
@@ -1084,6 +927,11 @@ const PresentationMode = ({
             return (
               <div key={type.name} className="bg-gray-700 rounded-lg p-4">
                 <h4 className="text-lg font-semibold mb-3 text-center text-gray-200">{type.name}</h4>
+                {mode !== 'parametric' && (
+                  <p className="text-xs text-gray-400 text-center -mt-2 mb-3">
+                    Medians - groups from {ANALYSIS_MODES[mode].label}
+                  </p>
+                )}
                 <div className="flex justify-center">
                   <SimpleBarChart
                     data={barData}
@@ -1416,6 +1264,7 @@ const PresentationMode = ({
                     max={maxValue}
                     allDates={allDates}
                     statsData={statsData}
+                    showLetterBrackets={comparisonMethod.letters || getAnalysisMode(config, type.name) !== 'parametric'}
                   />
                 </div>
               </div>
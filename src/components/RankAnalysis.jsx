@@ -0,0 +1,100 @@
+import React from 'react';
+import { getComparisonSettings } from '../utils/multipleComparisons';
+
+const formatP = (p) => (p < 0.001 ? '<0.001' : p.toFixed(3));
+
+// Median / IQR summary and rank-based tests for every date of one assessment type
+// (results: analyseRanks for each date, null where there's nothing to test)
+const RankAnalysis = ({ config, assessmentDates, results, mode }) => {
+  const { alpha } = getComparisonSettings(config);
+  const isFriedman = mode === 'friedman';
+
+  return (
+    <div className="overflow-x-auto">
+      <table className="w-full text-sm border-collapse">
+        <thead>
+          <tr className="border-b-2 border-gray-300">
+            <th className="p-3 text-left bg-gray-100">Treatment</th>
+            {assessmentDates.map((dateObj, idx) => (
+              <th key={idx} className="p-3 text-center bg-gray-100 min-w-40">
+                <div className="font-semibold">{dateObj.date}</div>
+                <div className="text-xs font-normal text-gray-600 mt-1">
+                  Median [Q1-Q3] (Group)
+                </div>
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {config.treatments.map((treatment, treatmentIdx) => (
+            <tr key={treatmentIdx} className="border-b hover:bg-gray-50">
+              <td className="p-3 font-medium bg-gray-50">{treatment}</td>
+              {results.map((result, dateIdx) => {
+                const stat = result?.treatmentStats.find(ts => ts.treatment === treatmentIdx);
+                if (!stat) {
+                  return <td key={dateIdx} className="p-3 text-center text-gray-400">-</td>;
+                }
+
+                return (
+                  <td key={dateIdx} className="p-3 text-center">
+                    <div className="font-medium">
+                      {stat.median} <span className="text-gray-500">[{stat.q1}-{stat.q3}]</span>
+                    </div>
+                    <div className={`text-xs ${result.significant ? 'font-bold text-blue-600' : 'text-gray-400'}`}>
+                      ({stat.group})
+                    </div>
+                    <div className="text-xs text-gray-500">
+                      {isFriedman ? 'Rank sum' : 'Mean rank'} {stat.mean.toFixed(1)}
+                    </div>
+                  </td>
+                );
+              })}
+            </tr>
+          ))}
+          <tr className="border-t-2 border-gray-300 bg-gray-50">
+            <td className="p-3 font-semibold">Significance</td>
+            {results.map((result, dateIdx) => {
+              if (!result) {
+                return (
+                  <td key={dateIdx} className="p-3 text-center text-gray-400 text-xs">
+                    {isFriedman ? 'Needs 2+ complete blocks' : '-'}
+                  </td>
+                );
+              }
+
+              return (
+                <td key={dateIdx} className="p-3 text-center">
+                  <div className={`font-semibold ${result.significant ? 'text-green-600' : 'text-gray-500'}`}>
+                    {result.significant ? '✓ Sig.' : 'NS'}
+                  </div>
+                  <div className="text-xs text-gray-600 mt-1">p = {formatP(result.p)}</div>
+                  <div className="text-xs text-gray-500">
+                    {isFriedman ? 'χ²' : 'H'}({result.df}) = {result.statistic.toFixed(2)}
+                  </div>
+                  {isFriedman && (
+                    <div className="text-xs text-gray-500">
+                      {result.blocks} blocks{result.droppedBlocks > 0 && `, ${result.droppedBlocks} incomplete left out`}
+                    </div>
+                  )}
+                </td>
+              );
+            })}
+          </tr>
+        </tbody>
+      </table>
+
+      <div className="mt-4 p-3 bg-blue-50 rounded text-sm">
+        <p className="text-gray-700">
+          <strong>{isFriedman ? 'Friedman test' : 'Kruskal-Wallis test'}:</strong>{' '}
+          {isFriedman
+            ? 'treatments are ranked within each block; only blocks with every treatment are used.'
+            : 'all plots are ranked together, ignoring blocks.'}
+          {' '}Treatments with different letters differ on their {isFriedman ? 'rank sums' : 'mean ranks'} (Conover's test, p &lt; {alpha}).
+          Letters only shown when the overall test is significant.
+        </p>
+      </div>
+    </div>
+  );
+};
+
+export default RankAnalysis;
@@ -0,0 +1,178 @@
+import React, { useState, useMemo } from 'react';
+import { ALPHA_LEVELS } from '../utils/multipleComparisons';
+import { estimateResidualVariance, planReplicates, TARGET_POWER } from '../utils/powerAnalysis';
+import { DESIGN_TYPES, getDesign } from '../utils/experimentalDesigns';
+
+// How many blocks are needed to detect a difference, from a previous trial's residual variance
+const ReplicatePlanner = ({ config, trials = {}, onApply }) => {
+  const design = getDesign(config);
+  const trialList = Object.values(trials)
+    .filter(trial => trial.config?.assessmentTypes?.length > 0 && trial.assessmentDates?.length > 0)
+    .sort((a, b) => new Date(b.lastModified) - new Date(a.lastModified));
+
+  // Default to the latest trial that scored one of this trial's assessment types
+  const [sourceId, setSourceId] = useState(() => {
+    const names = config.assessmentTypes.map(t => t.name);
+    const match = trialList.find(trial => trial.config.assessmentTypes.some(t => names.includes(t.name)));
+    return match?.id || trialList[0]?.id || '';
+  });
+  const source = trialList.find(trial => trial.id === sourceId) || null;
+  const [typeName, setTypeName] = useState('');
+  const [manualMs, setManualMs] = useState('');
+  const [difference, setDifference] = useState('');
+  const [alpha, setAlpha] = useState(0.05);
+
+  const sourceType = source?.config.assessmentTypes.find(t => t.name === typeName)
+    || source?.config.assessmentTypes.find(t => config.assessmentTypes.some(own => own.name === t.name))
+    || source?.config.assessmentTypes[0];
+
+  const estimate = useMemo(
+    () => (source && sourceType ? estimateResidualVariance(source, sourceType.name) : null),
+    [source, sourceType]
+  );
+  const variance = source ? estimate?.ms ?? null : parseFloat(manualMs) || null;
+  const target = parseFloat(difference);
+
+  const plan = variance > 0 && target > 0
+    ? planReplicates(config, { difference: target, variance, alpha })
+    : null;
+
+  return (
+    <div className="p-4 border rounded bg-blue-50 space-y-3">
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+        <div>
+          <label className="block text-xs font-medium text-gray-700 mb-1">Variance from a previous trial</label>
+          <select
+            value={sourceId}
+            onChange={(e) => {
+              setSourceId(e.target.value);
+              setTypeName('');
+            }}
+            className="w-full p-2 border rounded text-sm"
+          >
+            <option value="">Enter residual m.s. by hand</option>
+            {trialList.map(trial => (
+              <option key={trial.id} value={trial.id}>{trial.name}</option>
+            ))}
+          </select>
+        </div>
+        {source ? (
+          <div>
+            <label className="block text-xs font-medium text-gray-700 mb-1">Assessment type</label>
+            <select
+              value={sourceType?.name || ''}
+              onChange={(e) => setTypeName(e.target.value)}
+              className="w-full p-2 border rounded text-sm"
+            >
+              {source.config.assessmentTypes.map(type => (
+                <option key={type.name} value={type.name}>{type.name}</option>
+              ))}
+            </select>
+          </div>
+        ) : (
+          <div>
+            <label className="block text-xs font-medium text-gray-700 mb-1">Residual mean square</label>
+            <input
+              type="number"
+              step="any"
+              min="0"
+              value={manualMs}
+              onChange={(e) => setManualMs(e.target.value)}
+              className="w-full p-2 border rounded text-sm"
+              placeholder="e.g. 0.45"
+            />
+          </div>
+        )}
+        <div>
+          <label className="block text-xs font-medium text-gray-700 mb-1">Difference to detect</label>
+          <input
+            type="number"
+            step="any"
+            min="0"
+            value={difference}
+            onChange={(e) => setDifference(e.target.value)}
+            className="w-full p-2 border rounded text-sm"
+            placeholder={sourceType ? `in ${sourceType.name} units` : 'in assessment units'}
+          />
+        </div>
+        <div>
+          <label className="block text-xs font-medium text-gray-700 mb-1">Significance level</label>
+          <select
+            value={alpha}
+            onChange={(e) => setAlpha(parseFloat(e.target.value))}
+            className="w-full p-2 border rounded text-sm"
+          >
+            {ALPHA_LEVELS.map(level => (
+              <option key={level} value={level}>{+(level * 100).toFixed(1)}%</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      {source && (
+        <p className="text-xs text-gray-600">
+          {estimate
+            ? <>Residual m.s. {estimate.ms.toFixed(3)} ({estimate.df} d.f. pooled over {estimate.dates} date{estimate.dates === 1 ? '' : 's'}), trial mean {estimate.grandMean.toFixed(2)}
+              {target > 0 && estimate.grandMean !== 0 && ` • the difference is ${Math.abs(target / estimate.grandMean * 100).toFixed(0)}% of the mean`}</>
+            : 'No analysable data for this assessment type in that trial.'}
+        </p>
+      )}
+
+      {plan && (
+        <>
+          <table className="w-full text-sm border-collapse bg-white">
+            <thead>
+              <tr className="border-b-2 border-gray-300 bg-gray-100">
+                <th className="p-2 text-left">{design.type === DESIGN_TYPES.CRD ? 'Replicates' : 'Blocks'}</th>
+                <th className="p-2 text-right">Residual d.f.</th>
+                <th className="p-2 text-right">s.e.d.</th>
+                <th className="p-2 text-right">l.s.d.</th>
+                <th className="p-2 text-right">Power</th>
+              </tr>
+            </thead>
+            <tbody>
+              {plan.rows.map(row => (
+                <tr
+                  key={row.blocks}
+                  className={`border-b ${row.blocks === plan.recommended ? 'bg-green-50 font-semibold' : ''} ${row.blocks === config.numBlocks ? 'text-blue-700' : ''}`}
+                >
+                  <td className="p-2">
+                    {row.blocks}
+                    {row.blocks === config.numBlocks && <span className="text-xs font-normal"> (current)</span>}
+                  </td>
+                  <td className="p-2 text-right">{row.df}</td>
+                  <td className="p-2 text-right">{row.sed === null ? '-' : row.sed.toFixed(3)}</td>
+                  <td className="p-2 text-right">{row.lsd === null ? '-' : row.lsd.toFixed(3)}</td>
+                  <td className={`p-2 text-right ${row.power !== null && row.power >= TARGET_POWER ? 'text-green-700' : 'text-orange-600'}`}>
+                    {row.power === null ? '-' : `${(row.power * 100).toFixed(0)}%`}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <div className="flex items-center justify-between gap-2 flex-wrap">
+            <p className="text-xs text-gray-600">
+              Power of a two-sided t-test between two treatment means at {+(alpha * 100).toFixed(1)}%.
+              {design.type === DESIGN_TYPES.SPLIT_PLOT && ' Uses the sub-plot residual; main-plot comparisons need more blocks.'}
+            </p>
+            {plan.recommended !== null ? (
+              <button
+                onClick={() => onApply(plan.recommended)}
+                disabled={plan.recommended === config.numBlocks}
+                className="px-4 py-2 bg-green-600 text-white text-sm rounded hover:bg-green-700 transition disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                Use {plan.recommended} {design.type === DESIGN_TYPES.CRD ? 'replicates' : 'blocks'} ({(TARGET_POWER * 100).toFixed(0)}% power)
+              </button>
+            ) : (
+              <p className="text-xs text-orange-700">
+                Even 8 blocks don't reach {(TARGET_POWER * 100).toFixed(0)}% power - consider a larger difference or a more precise assessment.
+              </p>
+            )}
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default ReplicatePlanner;
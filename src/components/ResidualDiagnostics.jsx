@@ -0,0 +1,209 @@
+import React, { useState } from 'react';
+import { AlertTriangle } from 'lucide-react';
+import { shapiroWilk, leveneTest, bartlettTest, normalQuantiles } from '../utils/diagnostics';
+import ResidualHeatmap from './ResidualHeatmap';
+
+const THRESHOLDS = [2, 2.5, 3];
+const WIDTH = 340;
+const HEIGHT = 240;
+const PADDING = 36;
+
+const formatP = (p) => (p < 0.001 ? '<0.001' : p.toFixed(3));
+
+// Simple SVG scatter plot; outlier points are red and clickable
+const ScatterPlot = ({ points, xLabel, yLabel, line, onPointClick }) => {
+  if (points.length === 0) return null;
+
+  const xs = points.map(p => p.x);
+  const ys = points.map(p => p.y);
+  const pad = (min, max) => (max - min || 1) * 0.08;
+  const xMin = Math.min(...xs) - pad(Math.min(...xs), Math.max(...xs));
+  const xMax = Math.max(...xs) + pad(Math.min(...xs), Math.max(...xs));
+  const yMin = Math.min(...ys, line === 'zero' ? 0 : Infinity) - pad(Math.min(...ys), Math.max(...ys));
+  const yMax = Math.max(...ys, line === 'zero' ? 0 : -Infinity) + pad(Math.min(...ys), Math.max(...ys));
+
+  const sx = (x) => PADDING + ((x - xMin) / (xMax - xMin)) * (WIDTH - PADDING - 10);
+  const sy = (y) => HEIGHT - PADDING - ((y - yMin) / (yMax - yMin)) * (HEIGHT - PADDING - 10);
+
+  return (
+    <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="w-full max-w-md bg-white border rounded">
+      {/* Axes */}
+      <line x1={PADDING} y1={HEIGHT - PADDING} x2={WIDTH - 10} y2={HEIGHT - PADDING} stroke="#9ca3af" />
+      <line x1={PADDING} y1={10} x2={PADDING} y2={HEIGHT - PADDING} stroke="#9ca3af" />
+      <text x={(WIDTH + PADDING) / 2} y={HEIGHT - 8} textAnchor="middle" fontSize="11" fill="#4b5563">{xLabel}</text>
+      <text x={12} y={(HEIGHT - PADDING) / 2} textAnchor="middle" fontSize="11" fill="#4b5563" transform={`rotate(-90 12 ${(HEIGHT - PADDING) / 2})`}>
+        {yLabel}
+      </text>
+      <text x={PADDING - 4} y={sy(yMax) + 8} textAnchor="end" fontSize="9" fill="#6b7280">{yMax.toFixed(1)}</text>
+      <text x={PADDING - 4} y={sy(yMin)} textAnchor="end" fontSize="9" fill="#6b7280">{yMin.toFixed(1)}</text>
+      <text x={sx(xMin)} y={HEIGHT - PADDING + 12} fontSize="9" fill="#6b7280">{xMin.toFixed(1)}</text>
+      <text x={sx(xMax)} y={HEIGHT - PADDING + 12} textAnchor="end" fontSize="9" fill="#6b7280">{xMax.toFixed(1)}</text>
+
+      {/* Reference line */}
+      {line === 'zero' && (
+        <line x1={sx(xMin)} y1={sy(0)} x2={sx(xMax)} y2={sy(0)} stroke="#2563eb" strokeDasharray="4 3" />
+      )}
+      {line === 'identity' && (
+        <line
+          x1={sx(Math.max(xMin, yMin))} y1={sy(Math.max(xMin, yMin))}
+          x2={sx(Math.min(xMax, yMax))} y2={sy(Math.min(xMax, yMax))}
+          stroke="#2563eb" strokeDasharray="4 3"
+        />
+      )}
+
+      {/* Points */}
+      {points.map((point, idx) => (
+        <circle
+          key={idx}
+          cx={sx(point.x)}
+          cy={sy(point.y)}
+          r={point.outlier ? 5 : 3.5}
+          fill={point.outlier ? '#dc2626' : '#3b82f6'}
+          fillOpacity={point.outlier ? 0.9 : 0.6}
+          className={point.outlier && onPointClick ? 'cursor-pointer' : ''}
+          onClick={point.outlier && onPointClick ? () => onPointClick(point.plotId) : undefined}
+        >
+          <title>{point.label}</title>
+        </circle>
+      ))}
+    </svg>
+  );
+};
+
+// Residual plots and assumption tests for one analysis
+const ResidualDiagnostics = ({ stats, treatments, gridLayout, onShowPlot }) => {
+  const [threshold, setThreshold] = useState(2.5);
+
+  const residuals = stats?.residuals || [];
+  if (residuals.length < 3 || stats.anova.dfResidual < 1) {
+    return <p className="text-gray-500 text-sm">Not enough data to check the residuals.</p>;
+  }
+
+  const isOutlier = (r) => r.standardized !== null && Math.abs(r.standardized) > threshold;
+  const outliers = residuals
+    .filter(isOutlier)
+    .sort((a, b) => Math.abs(b.standardized) - Math.abs(a.standardized));
+  const describe = (r) => `${r.plotId} (${treatments[r.treatment] || `Treatment ${r.treatment + 1}`})`;
+
+  const standardized = residuals.filter(r => r.standardized !== null);
+  const qq = normalQuantiles(standardized.map(r => r.standardized)).map(q => {
+    const r = standardized[q.index];
+    return {
+      x: q.theoretical,
+      y: q.sample,
+      outlier: isOutlier(r),
+      plotId: r.plotId,
+      label: `${describe(r)}: standardized residual ${r.standardized.toFixed(2)}`
+    };
+  });
+
+  const fittedPoints = residuals.map(r => ({
+    x: r.fitted,
+    y: r.residual,
+    outlier: isOutlier(r),
+    plotId: r.plotId,
+    label: `${describe(r)}: fitted ${r.fitted.toFixed(2)}, residual ${r.residual.toFixed(2)}`
+  }));
+
+  // Residuals grouped by treatment for the equal-variance tests
+  const groups = Object.values(residuals.reduce((acc, r) => {
+    (acc[r.treatment] = acc[r.treatment] || []).push(r.residual);
+    return acc;
+  }, {}));
+
+  const tests = [
+    { name: 'Shapiro-Wilk (normality)', result: shapiroWilk(residuals.map(r => r.residual)), statistic: r => `W = ${r.w.toFixed(3)}` },
+    { name: 'Levene (equal variances)', result: leveneTest(groups), statistic: r => `F(${r.df1}, ${r.df2}) = ${r.f.toFixed(2)}` },
+    { name: 'Bartlett (equal variances)', result: bartlettTest(groups), statistic: r => `χ²(${r.df}) = ${r.chiSquare.toFixed(2)}` }
+  ];
+
+  return (
+    <div className="space-y-4">
+      <div className="grid gap-4 md:grid-cols-2">
+        <div>
+          <h4 className="text-sm font-semibold text-gray-700 mb-1">Residuals vs Fitted</h4>
+          <ScatterPlot points={fittedPoints} xLabel="Fitted value" yLabel="Residual" line="zero" onPointClick={onShowPlot} />
+        </div>
+        <div>
+          <h4 className="text-sm font-semibold text-gray-700 mb-1">Normal Q-Q</h4>
+          <ScatterPlot points={qq} xLabel="Normal quantile" yLabel="Standardized residual" line="identity" onPointClick={onShowPlot} />
+        </div>
+      </div>
+
+      {/* Residuals on the field layout */}
+      {gridLayout && (
+        <div>
+          <h4 className="text-sm font-semibold text-gray-700 mb-1">Residuals on the Field Map</h4>
+          <ResidualHeatmap gridLayout={gridLayout} residuals={residuals} onShowPlot={onShowPlot} />
+        </div>
+      )}
+
+      {/* Assumption tests */}
+      <table className="w-full text-sm border-collapse">
+        <thead>
+          <tr className="border-b-2 border-gray-300 bg-gray-100">
+            <th className="p-2 text-left">Test</th>
+            <th className="p-2 text-right">Statistic</th>
+            <th className="p-2 text-right">p</th>
+            <th className="p-2 text-left">Interpretation</th>
+          </tr>
+        </thead>
+        <tbody>
+          {tests.map(test => (
+            <tr key={test.name} className="border-b">
+              <td className="p-2">{test.name}</td>
+              {test.result ? (
+                <>
+                  <td className="p-2 text-right font-mono">{test.statistic(test.result)}</td>
+                  <td className={`p-2 text-right ${test.result.p < 0.05 ? 'text-orange-600 font-semibold' : ''}`}>
+                    {formatP(test.result.p)}
+                  </td>
+                  <td className="p-2 text-gray-600">
+                    {test.result.p < 0.05 ? 'Assumption doubtful - consider a transformation' : 'No evidence against the assumption'}
+                  </td>
+                </>
+              ) : (
+                <td colSpan={3} className="p-2 text-gray-400">Not enough data</td>
+              )}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      {/* Large residuals */}
+      <div>
+        <div className="flex items-center gap-2 mb-2">
+          <h4 className="text-sm font-semibold text-gray-700">Large standardized residuals</h4>
+          <select
+            value={threshold}
+            onChange={(e) => setThreshold(parseFloat(e.target.value))}
+            className="p-1 border rounded text-xs"
+          >
+            {THRESHOLDS.map(t => <option key={t} value={t}>|r| &gt; {t}</option>)}
+          </select>
+        </div>
+        {outliers.length === 0 ? (
+          <p className="text-sm text-gray-500">None.</p>
+        ) : (
+          <ul className="flex flex-wrap gap-2">
+            {outliers.map(r => (
+              <li key={r.plotId}>
+                <button
+                  onClick={() => onShowPlot?.(r.plotId)}
+                  disabled={!onShowPlot}
+                  className="flex items-center gap-1 px-2 py-1 text-xs bg-red-50 text-red-700 border border-red-200 rounded hover:bg-red-100 disabled:hover:bg-red-50 transition"
+                  title={onShowPlot ? 'Show on the field map' : undefined}
+                >
+                  <AlertTriangle size={12} />
+                  {describe(r)}: {r.standardized.toFixed(2)}
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ResidualDiagnostics;
@@ -0,0 +1,65 @@
+import React from 'react';
+
+const LIMIT = 3;
+
+// Blue for negative, red for positive standardized residuals
+const cellColor = (standardized) => {
+  const strength = Math.min(1, Math.abs(standardized) / LIMIT);
+  return standardized < 0
+    ? `rgba(37, 99, 235, ${0.1 + 0.8 * strength})`
+    : `rgba(220, 38, 38, ${0.1 + 0.8 * strength})`;
+};
+
+// Standardized residuals drawn on the field layout, as in the data entry field map
+const ResidualHeatmap = ({ gridLayout, residuals, onShowPlot }) => {
+  const byPlot = Object.fromEntries(residuals.map(r => [r.plotId, r]));
+
+  return (
+    <div>
+      <div className="overflow-x-auto">
+        <div className="space-y-1 min-w-max">
+          {gridLayout.map((row, rowIdx) => (
+            <div key={rowIdx} className="grid gap-1" style={{ gridTemplateColumns: `repeat(${row.length}, minmax(3.5rem, 1fr))` }}>
+              {row.map((plot, colIdx) => {
+                if (plot.isBlank) {
+                  return <div key={colIdx} className="h-14 border-2 border-dashed border-gray-300 bg-gray-100 rounded" />;
+                }
+
+                const r = byPlot[plot.id];
+                if (!r || r.standardized === null) {
+                  return (
+                    <div key={colIdx} className="h-14 border-2 border-gray-200 bg-gray-50 rounded flex flex-col items-center justify-center">
+                      <span className="text-xs font-semibold text-gray-400">{plot.id}</span>
+                    </div>
+                  );
+                }
+
+                return (
+                  <button
+                    key={colIdx}
+                    onClick={onShowPlot ? () => onShowPlot(plot.id) : undefined}
+                    disabled={!onShowPlot}
+                    className="h-14 border-2 border-gray-200 rounded flex flex-col items-center justify-center hover:border-gray-500 disabled:hover:border-gray-200 transition"
+                    style={{ backgroundColor: cellColor(r.standardized) }}
+                    title={`${plot.id} (${plot.treatmentName}): residual ${r.residual.toFixed(2)}, standardized ${r.standardized.toFixed(2)}`}
+                  >
+                    <span className={`text-xs font-semibold ${Math.abs(r.standardized) > 2 ? 'text-white' : 'text-gray-800'}`}>{plot.id}</span>
+                    <span className={`text-[10px] ${Math.abs(r.standardized) > 2 ? 'text-white' : 'text-gray-700'}`}>{r.standardized.toFixed(1)}</span>
+                  </button>
+                );
+              })}
+            </div>
+          ))}
+        </div>
+      </div>
+      <div className="flex items-center gap-2 mt-2 text-xs text-gray-600">
+        <span>-{LIMIT}</span>
+        <div className="h-3 w-40 rounded" style={{ background: `linear-gradient(to right, ${cellColor(-LIMIT)}, ${cellColor(0)}, ${cellColor(LIMIT)})` }} />
+        <span>+{LIMIT}</span>
+        <span className="ml-2">Standardized residual - runs of one colour across rows or columns suggest a field gradient</span>
+      </div>
+    </div>
+  );
+};
+
+export default ResidualHeatmap;
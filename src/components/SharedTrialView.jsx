@@ -0,0 +1,149 @@
+import React, { useState, useEffect } from 'react';
+import { Loader, BarChart3, Presentation, Lock } from 'lucide-react';
+import Analysis from './Analysis';
+import PresentationMode from './PresentationMode';
+import { getSharedTrial } from '../services/database';
+
+// Read-only client portal opened from a sponsor share link (no login)
+const SharedTrialView = ({ token }) => {
+  const [shared, setShared] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [viewMode, setViewMode] = useState('presentation'); // 'presentation', 'analysis'
+  const [selectedAssessmentType, setSelectedAssessmentType] = useState('');
+
+  useEffect(() => {
+    const loadSharedTrial = async () => {
+      try {
+        const result = await getSharedTrial(token);
+        if (!result) {
+          setError('This link has expired or been revoked. Please ask the trial owner for a new link.');
+          return;
+        }
+        setShared(result);
+        setSelectedAssessmentType(result.trial.config?.assessmentTypes?.[0]?.name || '');
+      } catch (err) {
+        setError('Unable to load this trial. Please check the link and try again.');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadSharedTrial();
+  }, [token]);
+
+  if (loading) {
+    return (
+      <div className="min-h-screen bg-gray-100 flex items-center justify-center">
+        <div className="text-center">
+          <Loader size={48} className="animate-spin text-stri-teal mx-auto mb-4" />
+          <p className="text-gray-600">Loading trial...</p>
+        </div>
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="min-h-screen bg-gray-100 flex items-center justify-center p-4">
+        <div className="max-w-md w-full bg-white rounded-xl shadow-lg p-8 text-center">
+          <Lock size={40} className="text-gray-400 mx-auto mb-4" />
+          <h1 className="text-xl font-bold text-gray-900 mb-2">Link Unavailable</h1>
+          <p className="text-gray-600">{error}</p>
+        </div>
+      </div>
+    );
+  }
+
+  const { trial, expiresAt } = shared;
+
+  return (
+    <div className="p-4 max-w-7xl mx-auto">
+      {/* Header */}
+      <div className="mb-4 flex justify-between items-start flex-wrap gap-2">
+        <div>
+          <h1 className="text-2xl font-bold">{trial.name}</h1>
+          <p className="text-sm text-gray-600">
+            {trial.clientSponsor && <>Prepared for <strong>{trial.clientSponsor}</strong> • </>}
+            {trial.trialistName && <>Trialist: {trial.trialistName} • </>}
+            Read-only view
+          </p>
+        </div>
+        {expiresAt && (
+          <div className="text-xs text-gray-500 bg-gray-100 px-3 py-2 rounded">
+            Link expires {new Date(expiresAt).toLocaleDateString()}
+          </div>
+        )}
+      </div>
+
+      {trial.assessmentDates.length === 0 ? (
+        <div className="bg-blue-50 border-2 border-blue-200 rounded-lg p-8 text-center">
+          <p className="text-blue-700">No assessment data has been recorded for this trial yet.</p>
+        </div>
+      ) : (
+        <>
+          {/* View Mode Navigation */}
+          <div className="bg-white p-4 rounded-lg shadow mb-4 flex gap-2 flex-wrap">
+            <button
+              onClick={() => setViewMode('presentation')}
+              className={`flex items-center gap-2 px-4 py-2 rounded transition ${
+                viewMode === 'presentation' ? 'bg-stri-blue-info text-white' : 'bg-gray-200'
+              }`}
+            >
+              <Presentation size={18} /> Presentation
+            </button>
+            <button
+              onClick={() => setViewMode('analysis')}
+              className={`flex items-center gap-2 px-4 py-2 rounded transition ${
+                viewMode === 'analysis' ? 'bg-blue-600 text-white' : 'bg-gray-200'
+              }`}
+            >
+              <BarChart3 size={18} /> Analysis
+            </button>
+          </div>
+
+          {/* Assessment Type Selector */}
+          {viewMode === 'analysis' && (
+            <div className="bg-white p-4 rounded-lg shadow mb-4">
+              <label className="block text-sm font-medium mb-2">Assessment Type</label>
+              <select
+                value={selectedAssessmentType}
+                onChange={(e) => setSelectedAssessmentType(e.target.value)}
+                className="w-full p-2 border rounded focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+              >
+                {trial.config.assessmentTypes.map(type => (
+                  <option key={type.name} value={type.name}>
+                    {type.name} (Scale: {type.min}-{type.max})
+                  </option>
+                ))}
+              </select>
+            </div>
+          )}
+
+          {viewMode === 'presentation' && (
+            <PresentationMode
+              config={trial.config}
+              gridLayout={trial.gridLayout}
+              assessmentDates={trial.assessmentDates}
+              photos={trial.photos}
+              notes={trial.notes}
+              selectedAssessmentType={selectedAssessmentType}
+              onSelectAssessmentType={setSelectedAssessmentType}
+            />
+          )}
+
+          {viewMode === 'analysis' && selectedAssessmentType && (
+            <Analysis
+              config={trial.config}
+              gridLayout={trial.gridLayout}
+              assessmentDates={trial.assessmentDates}
+              selectedAssessmentType={selectedAssessmentType}
+            />
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default SharedTrialView;
@@ -1,5 +1,18 @@
 import React, { useState } from 'react';
-import { X, Save, Plus, Trash2, Edit2, Grip, RotateCw, Square, Columns, Rows, Shuffle } from 'lucide-react';
+import { X, Save, Plus, Trash2, Edit2, Grip, RotateCw, Square, Columns, Rows, Shuffle, Dices } from 'lucide-react';
+import {
+  CONSTRAINT_LABELS,
+  DEFAULT_CONSTRAINTS,
+  generateSeed,
+  parseSeed,
+  runSeededRandomization,
+  shuffle,
+  getTreatmentCode
+} from '../utils/randomization';
+import { TRANSFORMS } from '../utils/transforms';
+import { ANALYSIS_MODES } from '../utils/nonParametric';
+import { COMPARISON_METHODS, ALPHA_LEVELS, getComparisonSettings } from '../utils/multipleComparisons';
+import { getArmRatingType, getArmRatingUnit } from '../utils/armDescriptors';
 
 export default function TrialConfigEditor({ config, gridLayout, orientation, onSave, onCancel }) {
   // Debug logging
@@ -63,6 +76,9 @@ export default function TrialConfigEditor({ config, gridLayout, orientation, onS
   const [draggedPlot, setDraggedPlot] = useState(null);
   const [addRowCount, setAddRowCount] = useState(1);
   const [addColCount, setAddColCount] = useState(1);
+  // Auto-fill randomization settings, starting from the trial's last randomization
+  const [seedInput, setSeedInput] = useState(String(config.randomization?.seed ?? generateSeed()));
+  const [constraints, setConstraints] = useState({ ...DEFAULT_CONSTRAINTS, ...config.randomization?.constraints });
 
   const handleTrialNameChange = (value) => {
     setEditedConfig({ ...editedConfig, trialName: value });
@@ -92,10 +108,23 @@ export default function TrialConfigEditor({ config, gridLayout, orientation, onS
     if (!confirm('Remove this treatment? This may affect your trial layout.')) return;
 
     const newTreatments = editedConfig.treatments.filter((_, i) => i !== index);
+    const control = editedConfig.controlTreatment;
     setEditedConfig({
       ...editedConfig,
       treatments: newTreatments,
-      numTreatments: newTreatments.length
+      numTreatments: newTreatments.length,
+      // Keep the control pointing at the same treatment
+      controlTreatment: control === index ? null : control > index ? control - 1 : control
+    });
+  };
+
+  // Comparison procedure for treatment means
+  const comparisonSettings = getComparisonSettings(editedConfig);
+
+  const handleComparisonChange = (field, value) => {
+    setEditedConfig({
+      ...editedConfig,
+      comparison: { method: comparisonSettings.method, alpha: comparisonSettings.alpha, [field]: value }
     });
   };
 
@@ -244,7 +273,7 @@ export default function TrialConfigEditor({ config, gridLayout, orientation, onS
           value: `${block}-${treatmentIdx}`,
           block,
           treatment: treatmentIdx,
-          label: `B${block} - ${String.fromCharCode(65 + treatmentIdx)} (${treatment})`
+          label: `B${block} - ${getTreatmentCode(treatmentIdx)} (${treatment})`
         });
       });
     }
@@ -264,14 +293,35 @@ export default function TrialConfigEditor({ config, gridLayout, orientation, onS
   };
 
   // Auto-fill empty plots with random block-treatment combinations
+  // Seeded and constrained as in the layout editor, so the fill can be reproduced
   const autoFillAll = () => {
     const used = getUsedCombinations();
     const allCombos = getAllCombinations();
     const availableCombos = allCombos.filter(c => !used.has(c.value));
-    const shuffled = [...availableCombos].sort(() => Math.random() - 0.5);
 
+    let seed = parseSeed(seedInput);
+    if (seed === null) {
+      seed = generateSeed();
+      setSeedInput(String(seed));
+    }
+
+    const { gridLayout: newGrid, record } = runSeededRandomization(
+      (random) => fillPlots(shuffle(availableCombos, random)),
+      { seed, constraints, controlTreatment: editedConfig.controlTreatment ?? null }
+    );
+
+    setLocalGridLayout(newGrid);
+    setEditedConfig({ ...editedConfig, randomization: record });
+
+    if (record.violations.length > 0) {
+      alert(`No randomization met every constraint. The closest plan was kept:\n\n${record.violations.join('\n')}`);
+    }
+  };
+
+  // Put combinations into the empty plots in order
+  const fillPlots = (shuffled) => {
     let comboIdx = 0;
-    const newGrid = localGridLayout.map((row, rowIdx) => {
+    return localGridLayout.map((row, rowIdx) => {
       return row.map((plot, colIdx) => {
         if (!plot.isBlank && plot.block !== null && plot.treatment !== null) {
           return plot; // Keep existing assignments
@@ -290,8 +340,6 @@ export default function TrialConfigEditor({ config, gridLayout, orientation, onS
         };
       });
     });
-
-    setLocalGridLayout(newGrid);
   };
 
   // Clear all plot assignments
@@ -496,6 +544,38 @@ export default function TrialConfigEditor({ config, gridLayout, orientation, onS
                       />
                     </div>
 
+                    <div className="w-40">
+                      <label className="block text-xs font-medium text-gray-600 mb-1">
+                        Transform
+                      </label>
+                      <select
+                        value={type.transform || 'none'}
+                        onChange={(e) => handleAssessmentTypeChange(index, 'transform', e.target.value)}
+                        className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                        title="Analysis runs on the transformed scale"
+                      >
+                        {Object.entries(TRANSFORMS).map(([key, transform]) => (
+                          <option key={key} value={key}>{transform.label}</option>
+                        ))}
+                      </select>
+                    </div>
+
+                    <div className="w-48">
+                      <label className="block text-xs font-medium text-gray-600 mb-1">
+                        Analysis
+                      </label>
+                      <select
+                        value={type.analysis || 'parametric'}
+                        onChange={(e) => handleAssessmentTypeChange(index, 'analysis', e.target.value)}
+                        className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                        title="Default analysis; rank-based tests suit ordinal ratings"
+                      >
+                        {Object.entries(ANALYSIS_MODES).map(([key, mode]) => (
+                          <option key={key} value={key}>{mode.label}</option>
+                        ))}
+                      </select>
+                    </div>
+
                     <div className="flex items-end">
                       <button
                         onClick={() => handleRemoveAssessmentType(index)}
@@ -506,6 +586,34 @@ export default function TrialConfigEditor({ config, gridLayout, orientation, onS
                       </button>
                     </div>
                   </div>
+
+                  {/* ARM export descriptors */}
+                  <div className="flex gap-3 mt-3">
+                    <div className="w-40">
+                      <label className="block text-xs font-medium text-gray-600 mb-1">
+                        ARM Rating Type
+                      </label>
+                      <input
+                        type="text"
+                        value={type.ratingType || ''}
+                        onChange={(e) => handleAssessmentTypeChange(index, 'ratingType', e.target.value.toUpperCase())}
+                        className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                        placeholder={getArmRatingType({ ...type, ratingType: '' })}
+                      />
+                    </div>
+                    <div className="w-40">
+                      <label className="block text-xs font-medium text-gray-600 mb-1">
+                        Unit
+                      </label>
+                      <input
+                        type="text"
+                        value={type.unit || ''}
+                        onChange={(e) => handleAssessmentTypeChange(index, 'unit', e.target.value)}
+                        className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                        placeholder={getArmRatingUnit({ ...type, unit: '' })}
+                      />
+                    </div>
+                  </div>
                 </div>
               ))}
             </div>
@@ -548,6 +656,68 @@ export default function TrialConfigEditor({ config, gridLayout, orientation, onS
             </div>
           </div>
 
+          {/* Statistics Section */}
+          <div className="space-y-4">
+            <div>
+              <h3 className="text-lg font-semibold text-gray-800">Mean Comparisons</h3>
+              <p className="text-sm text-gray-600">Procedure used for the letters in Analysis and Presentation</p>
+            </div>
+
+            <div className="flex flex-wrap gap-3">
+              <div className="flex-1 min-w-48">
+                <label className="block text-xs font-medium text-gray-600 mb-1">
+                  Method
+                </label>
+                <select
+                  value={comparisonSettings.method}
+                  onChange={(e) => handleComparisonChange('method', e.target.value)}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                >
+                  {Object.entries(COMPARISON_METHODS).map(([key, method]) => (
+                    <option key={key} value={key}>{method.label}</option>
+                  ))}
+                </select>
+              </div>
+
+              <div className="w-32">
+                <label className="block text-xs font-medium text-gray-600 mb-1">
+                  Significance level
+                </label>
+                <select
+                  value={comparisonSettings.alpha}
+                  onChange={(e) => handleComparisonChange('alpha', parseFloat(e.target.value))}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                >
+                  {ALPHA_LEVELS.map(alpha => (
+                    <option key={alpha} value={alpha}>{alpha * 100}%</option>
+                  ))}
+                </select>
+              </div>
+
+              <div className="flex-1 min-w-48">
+                <label className="block text-xs font-medium text-gray-600 mb-1">
+                  Control treatment
+                </label>
+                <select
+                  value={comparisonSettings.controlTreatment ?? ''}
+                  onChange={(e) => setEditedConfig({
+                    ...editedConfig,
+                    controlTreatment: e.target.value === '' ? null : parseInt(e.target.value, 10)
+                  })}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                >
+                  <option value="">None</option>
+                  {editedConfig.treatments.map((treatment, idx) => (
+                    <option key={idx} value={idx}>{treatment}</option>
+                  ))}
+                </select>
+              </div>
+            </div>
+            {comparisonSettings.method === 'dunnett' && comparisonSettings.controlTreatment === null && (
+              <p className="text-sm text-orange-600">Dunnett's test needs a control treatment.</p>
+            )}
+          </div>
+
           {/* Field Map Editor Section */}
           {localGridLayout && localGridLayout.length > 0 && (
             <div className="space-y-4">
@@ -611,6 +781,36 @@ export default function TrialConfigEditor({ config, gridLayout, orientation, onS
                   Auto-fill
                 </button>
 
+                <div className="flex items-center gap-1">
+                  <label className="text-xs text-gray-600">Seed</label>
+                  <input
+                    type="text"
+                    value={seedInput}
+                    onChange={(e) => setSeedInput(e.target.value)}
+                    className="w-28 p-1 border rounded text-sm font-mono"
+                  />
+                  <button
+                    onClick={() => setSeedInput(String(generateSeed()))}
+                    className="p-1 bg-gray-100 hover:bg-gray-200 rounded transition"
+                    type="button"
+                    title="New random seed"
+                  >
+                    <Dices size={16} />
+                  </button>
+                </div>
+
+                {Object.entries(CONSTRAINT_LABELS).map(([key, label]) => (
+                  <label key={key} className="flex items-center gap-1 text-xs text-gray-700">
+                    <input
+                      type="checkbox"
+                      checked={constraints[key]}
+                      disabled={key === 'controlAwayFromEdges' && (editedConfig.controlTreatment ?? null) === null}
+                      onChange={(e) => setConstraints({ ...constraints, [key]: e.target.checked })}
+                    />
+                    {label}
+                  </label>
+                ))}
+
                 <button
                   onClick={clearAllPlots}
                   className="flex items-center gap-2 px-3 py-2 bg-red-100 text-red-700 rounded text-sm hover:bg-red-200 transition"
@@ -717,7 +917,7 @@ export default function TrialConfigEditor({ config, gridLayout, orientation, onS
                             {hasAssignment && (
                               <div className="text-center flex-1 flex flex-col items-center justify-center">
                                 <div className="font-bold text-3xl">
-                                  {String.fromCharCode(65 + plot.treatment)}
+                                  {getTreatmentCode(plot.treatment)}
                                 </div>
                                 <div className="text-sm opacity-90 font-medium">
                                   B{plot.block}
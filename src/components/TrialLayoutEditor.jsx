@@ -1,17 +1,43 @@
 import React, { useState, useEffect } from 'react';
-import { Plus, Minus, Shuffle, Lock, Trash2 } from 'lucide-react';
+import { Plus, Minus, Shuffle, Lock, Trash2, Dices, Printer } from 'lucide-react';
+import {
+  DESIGN_TYPES,
+  DESIGN_LABELS,
+  getDesign,
+  getRowLabel,
+  generateEmptyLayout as buildEmptyLayout,
+  getAllowedTreatments,
+  randomizeLayout,
+  getBlockProgress as getDesignBlockProgress,
+  isLayoutComplete
+} from '../utils/experimentalDesigns';
+import {
+  CONSTRAINT_LABELS,
+  DEFAULT_CONSTRAINTS,
+  generateSeed,
+  parseSeed,
+  runSeededRandomization,
+  buildRandomizationCertificate,
+  getTreatmentCode
+} from '../utils/randomization';
 
 const TrialLayoutEditor = ({
   config,
   gridLayout,
   orientation,
   onLayoutChange,
+  onConfigChange,
   onOrientationChange,
   onFinalize,
   onBack
 }) => {
   const [localGridLayout, setLocalGridLayout] = useState(gridLayout);
   const [localOrientation, setLocalOrientation] = useState(orientation);
+  const [seedInput, setSeedInput] = useState(String(config.randomization?.seed ?? generateSeed()));
+  const [constraints, setConstraints] = useState({ ...DEFAULT_CONSTRAINTS, ...config.randomization?.constraints });
+  const design = getDesign(config);
+  const rowLabel = getRowLabel(config);
+  const controlTreatment = config.controlTreatment ?? null;
 
   // Treatment colors (up to 17 treatments A-Q)
   const treatmentColors = {
@@ -29,39 +55,27 @@ const TrialLayoutEditor = ({
     }
   }, []);
 
-  // Generate empty layout (all plots unassigned)
+  // Generate empty layout (all plots unassigned) in the shape the design needs
   const generateEmptyLayout = () => {
-    const grid = [];
-    for (let block = 0; block < config.numBlocks; block++) {
-      const row = [];
-      for (let plotIdx = 0; plotIdx < config.numTreatments; plotIdx++) {
-        row.push({
-          id: `B${block + 1}-P${plotIdx + 1}`,
-          block: block + 1,
-          treatment: null, // Unassigned
-          treatmentName: null,
-          isBlank: false
-        });
-      }
-      grid.push(row);
-    }
+    const grid = buildEmptyLayout(config);
 
     setLocalGridLayout(grid);
     onLayoutChange(grid);
   };
 
-  // Get available treatments for a specific block (not yet assigned)
-  const getAvailableTreatments = (blockIdx) => {
-    const block = localGridLayout[blockIdx];
-    if (!block) return [...Array(config.numTreatments).keys()];
-
-    const usedTreatments = new Set(
-      block
-        .filter(plot => !plot.isBlank && plot.treatment !== null)
-        .map(plot => plot.treatment)
-    );
+  // Get treatments that can go in a plot without breaking the design
+  const getAvailableTreatments = (blockIdx, plotIdx) => {
+    return getAllowedTreatments(config, localGridLayout, blockIdx, plotIdx)
+      .filter(t => t !== localGridLayout[blockIdx]?.[plotIdx]?.treatment);
+  };
 
-    return [...Array(config.numTreatments).keys()].filter(t => !usedTreatments.has(t));
+  // Apply a hand edit; a randomized plan that is edited afterwards is flagged on its record
+  const updateLayout = (newGrid) => {
+    setLocalGridLayout(newGrid);
+    onLayoutChange(newGrid);
+    if (config.randomization && !config.randomization.editedAfter) {
+      onConfigChange({ ...config, randomization: { ...config.randomization, editedAfter: true } });
+    }
   };
 
   // Assign treatment to a plot
@@ -85,46 +99,57 @@ const TrialLayoutEditor = ({
       };
     }
 
-    setLocalGridLayout(newGrid);
-    onLayoutChange(newGrid);
+    updateLayout(newGrid);
   };
 
-  // Auto-fill all empty plots with random treatments (RCBD style)
+  // Auto-fill all empty plots with random treatments, following the design.
+  // The draw is seeded so the same seed and starting layout give the same plan.
   const autoFillAll = () => {
-    const newGrid = localGridLayout.map((block, blockIdx) => {
-      // Get treatments already assigned in this block
-      const assignedTreatments = new Set(
-        block
-          .filter(plot => !plot.isBlank && plot.treatment !== null)
-          .map(plot => plot.treatment)
-      );
-
-      // Get unassigned treatments
-      const unassignedTreatments = [...Array(config.numTreatments).keys()]
-        .filter(t => !assignedTreatments.has(t));
-
-      // Shuffle unassigned treatments
-      const shuffled = [...unassignedTreatments].sort(() => Math.random() - 0.5);
-
-      let shuffleIdx = 0;
-      return block.map(plot => {
-        if (plot.isBlank) return plot;
-        if (plot.treatment !== null) return plot; // Already assigned
-
-        // Assign next shuffled treatment
-        const treatmentIdx = shuffled[shuffleIdx++];
-        if (treatmentIdx === undefined) return plot; // No more treatments
-
-        return {
-          ...plot,
-          treatment: treatmentIdx,
-          treatmentName: config.treatments[treatmentIdx]
-        };
-      });
-    });
+    if (design.type === DESIGN_TYPES.LATIN_SQUARE &&
+        localGridLayout.some(block => block.some(p => !p.isBlank && p.treatment !== null)) &&
+        !confirm('A Latin square is randomized as a whole. Replace the current assignments?')) {
+      return;
+    }
+
+    let seed = parseSeed(seedInput);
+    if (seed === null) {
+      seed = generateSeed();
+      setSeedInput(String(seed));
+    }
+
+    const { gridLayout: newGrid, record } = runSeededRandomization(
+      (random) => randomizeLayout(config, localGridLayout, random),
+      { seed, constraints, controlTreatment }
+    );
 
     setLocalGridLayout(newGrid);
     onLayoutChange(newGrid);
+    onConfigChange({ ...config, randomization: record });
+
+    if (record.violations.length > 0) {
+      alert(`No randomization met every constraint. The closest plan was kept:\n\n${record.violations.join('\n')}`);
+    }
+  };
+
+  // Print the randomization record for the trial file
+  const printRandomizationRecord = () => {
+    const html = buildRandomizationCertificate(config, localGridLayout, {
+      rowLabel,
+      designLabel: DESIGN_LABELS[design.type]
+    });
+    const printWindow = window.open('', '_blank');
+    if (!printWindow) {
+      alert('Please allow pop-ups to print the randomization record');
+      return;
+    }
+    printWindow.document.write(html);
+    printWindow.document.close();
+    printWindow.focus();
+    printWindow.print();
+  };
+
+  const updateControlTreatment = (value) => {
+    onConfigChange({ ...config, controlTreatment: value === '' ? null : parseInt(value, 10) });
   };
 
   // Clear all assignments
@@ -137,8 +162,7 @@ const TrialLayoutEditor = ({
       }))
     );
 
-    setLocalGridLayout(newGrid);
-    onLayoutChange(newGrid);
+    updateLayout(newGrid);
   };
 
   // Clear single block
@@ -150,8 +174,7 @@ const TrialLayoutEditor = ({
       treatmentName: null
     }));
 
-    setLocalGridLayout(newGrid);
-    onLayoutChange(newGrid);
+    updateLayout(newGrid);
   };
 
   // Add blank plot to block
@@ -167,8 +190,7 @@ const TrialLayoutEditor = ({
     newGrid[blockIdx] = [...newGrid[blockIdx]];
     newGrid[blockIdx].splice(position, 0, blank);
 
-    setLocalGridLayout(newGrid);
-    onLayoutChange(newGrid);
+    updateLayout(newGrid);
   };
 
   // Remove blank plot
@@ -176,27 +198,22 @@ const TrialLayoutEditor = ({
     const newGrid = [...localGridLayout];
     newGrid[blockIdx] = newGrid[blockIdx].filter((_, idx) => idx !== plotIdx);
 
-    setLocalGridLayout(newGrid);
-    onLayoutChange(newGrid);
+    updateLayout(newGrid);
   };
 
-  // Check if all treatments are assigned in all blocks
-  const isComplete = () => {
-    return localGridLayout.every(block => {
-      const nonBlankPlots = block.filter(p => !p.isBlank);
-      const assignedCount = nonBlankPlots.filter(p => p.treatment !== null).length;
-      return assignedCount >= config.numTreatments;
-    });
-  };
+  // Check if every plot in every block is assigned
+  const isComplete = () => isLayoutComplete(config, localGridLayout);
 
-  // Count assigned treatments per block
-  const getBlockProgress = (blockIdx) => {
-    const block = localGridLayout[blockIdx];
-    if (!block) return { assigned: 0, total: config.numTreatments };
-    const nonBlankPlots = block.filter(p => !p.isBlank);
-    const assigned = nonBlankPlots.filter(p => p.treatment !== null).length;
-    return { assigned, total: config.numTreatments };
-  };
+  // Count assigned plots per block
+  const getBlockProgress = (blockIdx) => getDesignBlockProgress(config, localGridLayout[blockIdx]);
+
+  const layoutHint = {
+    [DESIGN_TYPES.RCBD]: 'Each treatment can only be used once per block.',
+    [DESIGN_TYPES.CRD]: `Each treatment is used ${config.numBlocks} times anywhere in the trial.`,
+    [DESIGN_TYPES.LATIN_SQUARE]: 'Each treatment is used once in every row and once in every column.',
+    [DESIGN_TYPES.SPLIT_PLOT]: `Plots in the same main plot share one ${design.mainPlotFactor?.name || 'main-plot'} level.`,
+    [DESIGN_TYPES.INCOMPLETE_BLOCK]: 'Each block holds a subset of the treatments, used once each. Auto-fill balances them across blocks.'
+  }[design.type];
 
   // Rotate compass
   const rotateCompass = (degrees) => {
@@ -211,7 +228,9 @@ const TrialLayoutEditor = ({
       <div className="mb-4 flex justify-between items-center">
         <div>
           <h1 className="text-3xl font-bold">Field Layout Builder</h1>
-          <p className="text-gray-600">Assign treatments to plots using the dropdown on each cell</p>
+          <p className="text-gray-600">
+            {DESIGN_LABELS[design.type]} • Assign treatments to plots using the dropdown on each cell
+          </p>
         </div>
         <button
           onClick={onBack}
@@ -257,15 +276,86 @@ const TrialLayoutEditor = ({
         </button>
       </div>
 
+      {/* Randomization Settings */}
+      <div className="bg-white p-4 rounded-lg shadow mb-4">
+        <div className="flex gap-4 flex-wrap items-end">
+          <div>
+            <label className="block text-xs font-medium text-gray-600 mb-1">Seed</label>
+            <div className="flex gap-1">
+              <input
+                type="text"
+                value={seedInput}
+                onChange={(e) => setSeedInput(e.target.value)}
+                className="w-36 p-2 border rounded text-sm font-mono focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+              />
+              <button
+                onClick={() => setSeedInput(String(generateSeed()))}
+                className="p-2 bg-gray-100 hover:bg-gray-200 rounded transition"
+                title="New random seed"
+              >
+                <Dices size={18} />
+              </button>
+            </div>
+          </div>
+
+          <div>
+            <label className="block text-xs font-medium text-gray-600 mb-1">Control Treatment</label>
+            <select
+              value={controlTreatment ?? ''}
+              onChange={(e) => updateControlTreatment(e.target.value)}
+              className="p-2 border rounded text-sm focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+            >
+              <option value="">None</option>
+              {config.treatments.map((treatment, idx) => (
+                <option key={idx} value={idx}>
+                  {getTreatmentCode(idx)} - {treatment}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          <div className="space-y-1">
+            {Object.entries(CONSTRAINT_LABELS).map(([key, label]) => (
+              <label key={key} className="flex items-center gap-2 text-sm">
+                <input
+                  type="checkbox"
+                  checked={constraints[key]}
+                  disabled={key === 'controlAwayFromEdges' && controlTreatment === null}
+                  onChange={(e) => setConstraints({ ...constraints, [key]: e.target.checked })}
+                />
+                {label}
+              </label>
+            ))}
+          </div>
+
+          <div className="flex-1" />
+
+          <button
+            onClick={printRandomizationRecord}
+            disabled={!config.randomization}
+            className="flex items-center gap-2 px-4 py-2 bg-gray-200 hover:bg-gray-300 rounded transition disabled:opacity-50 disabled:cursor-not-allowed"
+            title={config.randomization ? 'Print the randomization record' : 'Randomize the layout first'}
+          >
+            <Printer size={18} /> Randomization Record
+          </button>
+        </div>
+        {config.randomization && (
+          <p className="text-xs text-gray-500 mt-2">
+            Last randomized {new Date(config.randomization.performedAt).toLocaleString()} with seed {config.randomization.seed}
+            {config.randomization.editedAfter && ' • edited by hand since'}
+          </p>
+        )}
+      </div>
+
       {/* Field Map with Compass */}
       <div className="bg-white p-6 rounded-lg shadow">
         <div className="flex items-start justify-between mb-4">
           <div>
             <h3 className="text-lg font-semibold text-gray-700">
-              Field Map (Each row = 1 Block)
+              Field Map (Each row = 1 {rowLabel})
             </h3>
             <p className="text-sm text-gray-500 mt-1">
-              Click dropdown to assign treatment. Each treatment can only be used once per block.
+              Click dropdown to assign treatment. {layoutHint}
             </p>
           </div>
 
@@ -309,14 +399,13 @@ const TrialLayoutEditor = ({
         <div className="space-y-4">
           {localGridLayout.map((block, blockIdx) => {
             const progress = getBlockProgress(blockIdx);
-            const availableTreatments = getAvailableTreatments(blockIdx);
 
             return (
               <div key={blockIdx} className="border rounded-lg p-3 bg-gray-50">
                 {/* Block Header */}
                 <div className="flex items-center justify-between mb-2">
                   <div className="flex items-center gap-3">
-                    <span className="font-semibold text-gray-700">Block {blockIdx + 1}</span>
+                    <span className="font-semibold text-gray-700">{rowLabel} {blockIdx + 1}</span>
                     <span className={`text-xs px-2 py-0.5 rounded ${
                       progress.assigned >= progress.total
                         ? 'bg-green-100 text-green-700'
@@ -329,7 +418,7 @@ const TrialLayoutEditor = ({
                     <button
                       onClick={() => clearBlock(blockIdx)}
                       className="text-xs px-2 py-1 text-red-600 hover:bg-red-100 rounded transition"
-                      title="Clear this block"
+                      title={`Clear this ${rowLabel.toLowerCase()}`}
                     >
                       Clear
                     </button>
@@ -350,6 +439,7 @@ const TrialLayoutEditor = ({
                       key={plot.id}
                       className={`
                         rounded-lg shadow transition-all min-h-[70px] flex flex-col items-center justify-center p-1
+                        ${plot.mainPlot && plotIdx > 0 && block[plotIdx - 1].mainPlot !== plot.mainPlot ? 'ml-2' : ''}
                         ${plot.isBlank
                           ? 'bg-gray-200 border-2 border-dashed border-gray-400'
                           : plot.treatment !== null
@@ -376,9 +466,12 @@ const TrialLayoutEditor = ({
                           {/* Treatment Letter Display */}
                           {plot.treatment !== null && (
                             <div className="text-xl font-bold mb-1">
-                              {String.fromCharCode(65 + plot.treatment)}
+                              {getTreatmentCode(plot.treatment)}
                             </div>
                           )}
+                          {plot.mainPlot && plot.treatment === null && (
+                            <div className="text-[10px] text-gray-400 mb-1">Main plot {plot.mainPlot}</div>
+                          )}
 
                           {/* Dropdown Selector */}
                           <select
@@ -396,13 +489,13 @@ const TrialLayoutEditor = ({
                             {/* Show current treatment if assigned */}
                             {plot.treatment !== null && (
                               <option value={plot.treatment}>
-                                {String.fromCharCode(65 + plot.treatment)} - {config.treatments[plot.treatment]}
+                                {getTreatmentCode(plot.treatment)} - {config.treatments[plot.treatment]}
                               </option>
                             )}
                             {/* Show available treatments */}
-                            {availableTreatments.map(tIdx => (
+                            {getAvailableTreatments(blockIdx, plotIdx).map(tIdx => (
                               <option key={tIdx} value={tIdx}>
-                                {String.fromCharCode(65 + tIdx)} - {config.treatments[tIdx]}
+                                {getTreatmentCode(tIdx)} - {config.treatments[tIdx]}
                               </option>
                             ))}
                           </select>
@@ -435,7 +528,7 @@ const TrialLayoutEditor = ({
                   className="w-6 h-6 rounded flex items-center justify-center text-white font-bold text-sm shadow"
                   style={{ backgroundColor: treatmentColors[idx] }}
                 >
-                  {String.fromCharCode(65 + idx)}
+                  {getTreatmentCode(idx)}
                 </div>
                 <span className="text-sm truncate">{treatment}</span>
               </div>
@@ -448,8 +541,8 @@ const TrialLayoutEditor = ({
           <h4 className="font-medium mb-2 text-blue-800">How to use:</h4>
           <ul className="text-sm space-y-1 text-blue-700">
             <li>1. Click the dropdown on each plot to assign a treatment</li>
-            <li>2. Treatments disappear from the list once assigned (per block)</li>
-            <li>3. Use <strong>Auto-fill</strong> to randomly assign all remaining plots</li>
+            <li>2. Treatments disappear from the list once the design allows no more of them</li>
+            <li>3. Use <strong>Auto-fill</strong> to randomly assign all remaining plots (the same seed gives the same plan)</li>
             <li>4. Use <strong>Clear All</strong> to start over</li>
             <li>5. Click <strong>Finalize</strong> when all treatments are assigned</li>
           </ul>
@@ -1,10 +1,25 @@
 import React, { useState } from 'react';
-import { Plus, Trash2, Upload, Play, LogOut, User, FileSpreadsheet, ChevronDown, ChevronUp, Edit2 } from 'lucide-react';
+import { Plus, Trash2, Upload, Play, LogOut, User, FileSpreadsheet, ChevronDown, ChevronUp, Edit2, CloudOff, CheckCircle, Clock, AlertCircle, RefreshCw, Share2, Users, Layers, CheckSquare, Square } from 'lucide-react';
+import TrialShareDialog from './TrialShareDialog';
+import MetaAnalysis from './MetaAnalysis';
+import { ROLE_LABELS, TRIAL_ROLES, canEditSettings, canManageTrial } from '../utils/trialRoles';
 
-const TrialLibrary = ({ trials, loading, user, onCreateNew, onLoadTrial, onDeleteTrial, onImportTrial, onImportExcel, onLoadDemo, onSignOut, onUpdateTrialMetadata }) => {
+// Badge styling for each offline sync status
+const SYNC_BADGES = {
+  pending: { label: 'Pending sync', icon: Clock, className: 'bg-yellow-100 text-yellow-800' },
+  synced: { label: 'Synced', icon: CheckCircle, className: 'bg-green-100 text-green-700' },
+  failed: { label: 'Sync failed', icon: AlertCircle, className: 'bg-red-100 text-red-700' }
+};
+
+const TrialLibrary = ({ trials, loading, user, syncStatuses = {}, isOnline = true, onRetrySync, onCreateNew, onLoadTrial, onDeleteTrial, onImportTrial, onImportExcel, onLoadDemo, onSignOut, onUpdateTrialMetadata }) => {
   const [expandedTrials, setExpandedTrials] = useState({});
   const [editingTrial, setEditingTrial] = useState(null);
   const [metadataForm, setMetadataForm] = useState({});
+  const [sharingTrial, setSharingTrial] = useState(null);
+  // Selecting trials for a combined analysis across sites
+  const [selectMode, setSelectMode] = useState(false);
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [showMetaAnalysis, setShowMetaAnalysis] = useState(false);
 
   const trialList = Object.values(trials).sort((a, b) =>
     new Date(b.lastModified) - new Date(a.lastModified)
@@ -17,6 +32,17 @@ const TrialLibrary = ({ trials, loading, user, onCreateNew, onLoadTrial, onDelet
     }));
   };
 
+  const toggleSelected = (trialId) => {
+    setSelectedIds(prev => (prev.includes(trialId)
+      ? prev.filter(id => id !== trialId)
+      : [...prev, trialId]));
+  };
+
+  const cancelSelection = () => {
+    setSelectMode(false);
+    setSelectedIds([]);
+  };
+
   const startEditingMetadata = (trial) => {
     setEditingTrial(trial.id);
     setMetadataForm({
@@ -119,8 +145,51 @@ const TrialLibrary = ({ trials, loading, user, onCreateNew, onLoadTrial, onDelet
             className="hidden"
           />
         </label>
+
+        {trialList.length > 1 && !selectMode && (
+          <button
+            onClick={() => setSelectMode(true)}
+            className="flex items-center gap-2 px-6 py-3 bg-stri-blue-research text-white rounded-lg hover:bg-stri-blue-info transition"
+          >
+            <Layers size={20} /> Combine Trials
+          </button>
+        )}
       </div>
 
+      {/* Combined Analysis Selection */}
+      {selectMode && (
+        <div className="mb-4 p-4 bg-blue-50 border border-blue-300 rounded-lg flex items-center justify-between gap-3 flex-wrap">
+          <p className="text-sm text-gray-700">
+            <strong>{selectedIds.length} selected.</strong> Pick trials of the same protocol at different sites or years.
+          </p>
+          <div className="flex gap-2">
+            <button
+              onClick={() => setShowMetaAnalysis(true)}
+              disabled={selectedIds.length < 2}
+              className="flex items-center gap-2 px-4 py-2 bg-blue-600 text-white text-sm rounded hover:bg-blue-700 transition disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              <Layers size={16} /> Analyse Combined
+            </button>
+            <button
+              onClick={cancelSelection}
+              className="px-4 py-2 bg-gray-200 text-gray-700 text-sm rounded hover:bg-gray-300 transition"
+            >
+              Cancel
+            </button>
+          </div>
+        </div>
+      )}
+
+      {/* Offline Banner */}
+      {!isOnline && (
+        <div className="mb-4 p-4 bg-yellow-50 border border-yellow-300 rounded-lg flex items-center gap-3">
+          <CloudOff size={20} className="text-yellow-700" />
+          <p className="text-sm text-yellow-800">
+            <strong>You're offline.</strong> Changes are saved on this device and will sync automatically when the connection returns.
+          </p>
+        </div>
+      )}
+
       {/* Info Box */}
       <div className="mb-4 p-4 bg-blue-50 border border-blue-200 rounded-lg">
         <p className="text-sm text-gray-700">
@@ -140,15 +209,37 @@ const TrialLibrary = ({ trials, loading, user, onCreateNew, onLoadTrial, onDelet
             const isExpanded = expandedTrials[trial.id];
             const isEditing = editingTrial === trial.id;
             const stats = calculateStats(trial);
+            const syncStatus = syncStatuses[trial.id];
+            const syncBadge = SYNC_BADGES[syncStatus?.status || 'synced'];
+            const SyncIcon = syncBadge.icon;
+            const role = trial.role || TRIAL_ROLES.OWNER;
+            const isSelected = selectedIds.includes(trial.id);
 
             return (
               <div
                 key={trial.id}
-                className="bg-white p-6 rounded-lg shadow hover:shadow-lg transition-shadow"
+                className={`bg-white p-6 rounded-lg shadow hover:shadow-lg transition-shadow ${isSelected ? 'ring-2 ring-blue-500' : ''}`}
               >
                 {/* Card Header */}
                 <div className="flex justify-between items-start mb-4">
-                  <h3 className="text-lg font-bold flex-1">{trial.name}</h3>
+                  <div className="flex-1">
+                    {selectMode ? (
+                      <button
+                        onClick={() => toggleSelected(trial.id)}
+                        className="flex items-center gap-2 text-left"
+                      >
+                        {isSelected ? <CheckSquare size={18} className="text-blue-600" /> : <Square size={18} className="text-gray-400" />}
+                        <h3 className="text-lg font-bold">{trial.name}</h3>
+                      </button>
+                    ) : (
+                      <h3 className="text-lg font-bold">{trial.name}</h3>
+                    )}
+                    {role !== TRIAL_ROLES.OWNER && (
+                      <span className="inline-flex items-center gap-1 mt-1 px-2 py-0.5 rounded text-xs font-medium bg-purple-100 text-purple-700">
+                        <Users size={12} /> Shared with you · {ROLE_LABELS[role]}
+                      </span>
+                    )}
+                  </div>
                   <div className="flex gap-1">
                     <button
                       onClick={() => toggleExpand(trial.id)}
@@ -157,12 +248,23 @@ const TrialLibrary = ({ trials, loading, user, onCreateNew, onLoadTrial, onDelet
                     >
                       {isExpanded ? <ChevronUp size={18} /> : <ChevronDown size={18} />}
                     </button>
-                    <button
-                      onClick={() => onDeleteTrial(trial.id)}
-                      className="text-red-500 hover:bg-red-50 p-1 rounded transition"
-                    >
-                      <Trash2 size={18} />
-                    </button>
+                    {canManageTrial(role) && (
+                      <button
+                        onClick={() => setSharingTrial(trial)}
+                        className="text-stri-teal hover:bg-gray-100 p-1 rounded transition"
+                        title="Share trial"
+                      >
+                        <Share2 size={18} />
+                      </button>
+                    )}
+                    {canManageTrial(role) && (
+                      <button
+                        onClick={() => onDeleteTrial(trial.id)}
+                        className="text-red-500 hover:bg-red-50 p-1 rounded transition"
+                      >
+                        <Trash2 size={18} />
+                      </button>
+                    )}
                   </div>
                 </div>
 
@@ -178,6 +280,22 @@ const TrialLibrary = ({ trials, loading, user, onCreateNew, onLoadTrial, onDelet
                   <div>
                     <strong>Modified:</strong> {new Date(trial.lastModified).toLocaleDateString()}
                   </div>
+                  <div className="flex items-center gap-2">
+                    <span
+                      className={`inline-flex items-center gap-1 px-2 py-0.5 rounded text-xs font-medium ${syncBadge.className}`}
+                      title={syncStatus?.error || (syncStatus?.lastSynced ? `Last synced ${new Date(syncStatus.lastSynced).toLocaleString()}` : syncBadge.label)}
+                    >
+                      <SyncIcon size={12} /> {syncBadge.label}
+                    </span>
+                    {syncStatus?.status === 'failed' && onRetrySync && (
+                      <button
+                        onClick={onRetrySync}
+                        className="flex items-center gap-1 text-xs text-blue-600 hover:text-blue-700"
+                      >
+                        <RefreshCw size={12} /> Retry
+                      </button>
+                    )}
+                  </div>
                   {trial.layoutLocked && (
                     <div className="text-green-600 font-medium">✓ Layout Locked</div>
                   )}
@@ -188,7 +306,7 @@ const TrialLibrary = ({ trials, loading, user, onCreateNew, onLoadTrial, onDelet
                   <div className="mb-4 p-4 bg-gray-50 rounded-lg border border-gray-200">
                     <div className="flex justify-between items-center mb-3">
                       <h4 className="font-semibold text-gray-700">Trial Information</h4>
-                      {!isEditing && (
+                      {!isEditing && canEditSettings(role) && (
                         <button
                           onClick={() => startEditingMetadata(trial)}
                           className="flex items-center gap-1 text-sm text-blue-600 hover:text-blue-700"
@@ -302,6 +420,22 @@ const TrialLibrary = ({ trials, loading, user, onCreateNew, onLoadTrial, onDelet
           })
         )}
       </div>
+
+      {/* Share Dialog */}
+      {sharingTrial && (
+        <TrialShareDialog
+          trial={sharingTrial}
+          onClose={() => setSharingTrial(null)}
+        />
+      )}
+
+      {/* Combined Analysis */}
+      {showMetaAnalysis && (
+        <MetaAnalysis
+          trials={trialList.filter(trial => selectedIds.includes(trial.id))}
+          onClose={() => setShowMetaAnalysis(false)}
+        />
+      )}
     </div>
   );
 };
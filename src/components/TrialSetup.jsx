@@ -1,23 +1,216 @@
-import React from 'react';
-import { Plus, Trash2 } from 'lucide-react';
+import React, { useState } from 'react';
+import { Plus, Trash2, ChevronDown, ChevronUp } from 'lucide-react';
+import {
+  DESIGN_TYPES,
+  DESIGN_LABELS,
+  DESIGN_DESCRIPTIONS,
+  getDesign,
+  getTreatmentFactors,
+  buildFactorialTreatments,
+  buildSplitPlotTreatments
+} from '../utils/experimentalDesigns';
+import { getTreatmentCode } from '../utils/randomization';
+import ReplicatePlanner from './ReplicatePlanner';
+
+const MAX_TREATMENTS = 17;
+const MAX_FACTORS = 3;
+
+const DEFAULT_SPLIT_PLOT = {
+  mainPlotFactor: { name: 'Fungicide', levels: ['Untreated', 'Fungicide'] },
+  subPlotFactor: { name: 'Nitrogen rate', levels: ['0 kg N/ha', '25 kg N/ha', '50 kg N/ha'] }
+};
+
+const DEFAULT_FACTORS = [
+  { name: 'Product', levels: ['Product A', 'Product B'] },
+  { name: 'Rate', levels: ['Low', 'High'] }
+];
+
+const countCombinations = (factors) => factors.reduce((n, f) => n * f.levels.length, 1);
+
+// Name and levels of one treatment factor
+const FactorEditor = ({ title, factor, onChange, onRemove, canAddLevel }) => {
+  const updateLevel = (idx, value) => {
+    const levels = [...factor.levels];
+    levels[idx] = value;
+    onChange({ ...factor, levels });
+  };
+
+  const addLevel = () => {
+    if (!canAddLevel) {
+      alert(`A trial can have at most ${MAX_TREATMENTS} treatment combinations`);
+      return;
+    }
+    onChange({ ...factor, levels: [...factor.levels, `Level ${factor.levels.length + 1}`] });
+  };
+
+  const removeLevel = (idx) => {
+    if (factor.levels.length <= 2) {
+      alert('A factor needs at least 2 levels');
+      return;
+    }
+    onChange({ ...factor, levels: factor.levels.filter((_, i) => i !== idx) });
+  };
+
+  return (
+    <div className="p-3 border rounded bg-gray-50">
+      <div className="flex justify-between items-center mb-2">
+        <label className="block text-sm font-medium">{title}</label>
+        {onRemove && (
+          <button
+            onClick={onRemove}
+            className="text-xs text-red-600 hover:bg-red-50 px-2 py-1 rounded transition"
+          >
+            Remove factor
+          </button>
+        )}
+      </div>
+      <input
+        type="text"
+        value={factor.name}
+        onChange={(e) => onChange({ ...factor, name: e.target.value })}
+        className="w-full p-2 border rounded mb-2 focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+        placeholder="Factor name"
+      />
+      <div className="space-y-2">
+        {factor.levels.map((level, idx) => (
+          <div key={idx} className="flex gap-2">
+            <input
+              type="text"
+              value={level}
+              onChange={(e) => updateLevel(idx, e.target.value)}
+              className="flex-1 p-2 border rounded focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+            />
+            <button
+              onClick={() => removeLevel(idx)}
+              className="p-2 text-red-500 hover:bg-red-50 rounded transition"
+            >
+              <Trash2 size={20} />
+            </button>
+          </div>
+        ))}
+        <button
+          onClick={addLevel}
+          className="flex items-center gap-2 text-blue-600 hover:bg-blue-50 p-2 rounded transition"
+        >
+          <Plus size={20} /> Add Level
+        </button>
+      </div>
+    </div>
+  );
+};
+
+const TrialSetup = ({ config, trials, onConfigChange, onNext, onBack }) => {
+  const [showPlanner, setShowPlanner] = useState(false);
+  const design = getDesign(config);
+  const factors = getTreatmentFactors(config);
 
-const TrialSetup = ({ config, onConfigChange, onNext, onBack }) => {
-  
   const updateConfig = (field, value) => {
     onConfigChange({ ...config, [field]: value });
   };
 
+  // Keep design settings that depend on the treatment count in step
+  const withTreatments = (newConfig, treatments) => {
+    const num = treatments.length;
+    const newDesign = getDesign(newConfig);
+    const result = { ...newConfig, numTreatments: num, treatments };
+
+    // A Latin square has as many rows as treatments
+    if (newDesign.type === DESIGN_TYPES.LATIN_SQUARE) {
+      result.numBlocks = num;
+    }
+    if (newDesign.type === DESIGN_TYPES.INCOMPLETE_BLOCK && newDesign.blockSize >= num) {
+      result.design = { ...newDesign, blockSize: Math.max(2, num - 1) };
+    }
+    return result;
+  };
+
   const updateTreatmentCount = (num) => {
     const newTreatments = Array(num).fill(0).map((_, i) => 
-      config.treatments[i] || `Treatment ${String.fromCharCode(65 + i)}`
+      config.treatments[i] || `Treatment ${getTreatmentCode(i)}`
     );
-    onConfigChange({ 
-      ...config, 
-      numTreatments: num, 
-      treatments: newTreatments 
-    });
+    onConfigChange(withTreatments(config, newTreatments));
+  };
+
+  // Apply a split-plot design and regenerate its treatment combinations
+  const applySplitPlot = (newDesign) => {
+    onConfigChange(withTreatments(
+      { ...config, design: newDesign, factors: [] },
+      buildSplitPlotTreatments(newDesign)
+    ));
+  };
+
+  // Apply factorial factors and regenerate the treatment combinations
+  const applyFactors = (newFactors) => {
+    onConfigChange(withTreatments(
+      { ...config, factors: newFactors },
+      buildFactorialTreatments(newFactors)
+    ));
+  };
+
+  const updateTreatmentStructure = (structure) => {
+    if (structure === 'factorial') {
+      applyFactors(DEFAULT_FACTORS);
+    } else {
+      // Keep the generated combination names as a plain treatment list
+      onConfigChange({ ...config, factors: [] });
+    }
+  };
+
+  const updateDesignType = (type) => {
+    if (type === DESIGN_TYPES.SPLIT_PLOT) {
+      applySplitPlot({ ...DEFAULT_SPLIT_PLOT, ...design, type });
+      return;
+    }
+
+    const newConfig = { ...config, design: { type } };
+    if (type === DESIGN_TYPES.LATIN_SQUARE) {
+      newConfig.numBlocks = config.numTreatments;
+    }
+    if (type === DESIGN_TYPES.INCOMPLETE_BLOCK) {
+      newConfig.design.blockSize = Math.max(2, Math.ceil(config.numTreatments / 2));
+    }
+    onConfigChange(newConfig);
+  };
+
+  const updateSplitPlotFactor = (factorKey, factor) => {
+    applySplitPlot({ ...design, [factorKey]: factor });
   };
 
+  const updateFactor = (idx, factor) => {
+    applyFactors(factors.map((f, i) => (i === idx ? factor : f)));
+  };
+
+  const addFactor = () => {
+    if (countCombinations(factors) * 2 > MAX_TREATMENTS) {
+      alert(`A trial can have at most ${MAX_TREATMENTS} treatment combinations`);
+      return;
+    }
+    applyFactors([...factors, { name: `Factor ${factors.length + 1}`, levels: ['Level 1', 'Level 2'] }]);
+  };
+
+  const removeFactor = (idx) => {
+    applyFactors(factors.filter((_, i) => i !== idx));
+  };
+
+  // Can one more level be added to a factor without exceeding the treatment limit?
+  const canAddLevel = (factorList, idx) => {
+    const combos = countCombinations(factorList);
+    return combos / factorList[idx].levels.length * (factorList[idx].levels.length + 1) <= MAX_TREATMENTS;
+  };
+
+  const renderCombinations = () => (
+    <div>
+      <label className="block text-sm font-medium mb-2">Treatment Combinations ({config.treatments.length})</label>
+      <div className="flex flex-wrap gap-2">
+        {config.treatments.map((treatment, idx) => (
+          <span key={idx} className="text-xs px-2 py-1 bg-gray-100 rounded">
+            {getTreatmentCode(idx)}: {treatment}
+          </span>
+        ))}
+      </div>
+    </div>
+  );
+
   const updateTreatmentName = (idx, name) => {
     const newTreatments = [...config.treatments];
     newTreatments[idx] = name;
@@ -73,49 +266,175 @@ const TrialSetup = ({ config, onConfigChange, onNext, onBack }) => {
           />
         </div>
 
-        {/* Number of Blocks */}
+        {/* Experimental Design */}
         <div>
-          <label className="block text-sm font-medium mb-2">Number of Blocks (Replicates)</label>
-          <input
-            type="number"
-            value={config.numBlocks}
-            onChange={(e) => updateConfig('numBlocks', parseInt(e.target.value) || 1)}
+          <label className="block text-sm font-medium mb-2">Experimental Design</label>
+          <select
+            value={design.type}
+            onChange={(e) => updateDesignType(e.target.value)}
             className="w-full p-2 border rounded focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
-            min="1"
-            max="20"
-          />
+          >
+            {Object.values(DESIGN_TYPES).map(type => (
+              <option key={type} value={type}>{DESIGN_LABELS[type]}</option>
+            ))}
+          </select>
+          <p className="text-xs text-gray-500 mt-1">{DESIGN_DESCRIPTIONS[design.type]}</p>
         </div>
 
-        {/* Number of Treatments */}
-        <div>
-          <label className="block text-sm font-medium mb-2">Number of Treatments</label>
-          <input
-            type="number"
-            value={config.numTreatments}
-            onChange={(e) => updateTreatmentCount(parseInt(e.target.value) || 1)}
-            className="w-full p-2 border rounded focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
-            min="1"
-            max="17"
-          />
-          <p className="text-xs text-gray-500 mt-1">Max 17 treatments (A-Q)</p>
-        </div>
+        {/* Number of Blocks */}
+        {design.type !== DESIGN_TYPES.LATIN_SQUARE && (
+          <div>
+            <label className="block text-sm font-medium mb-2">
+              {design.type === DESIGN_TYPES.CRD ? 'Replicates per Treatment' : 'Number of Blocks (Replicates)'}
+            </label>
+            <input
+              type="number"
+              value={config.numBlocks}
+              onChange={(e) => updateConfig('numBlocks', parseInt(e.target.value) || 1)}
+              className="w-full p-2 border rounded focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+              min="1"
+              max="20"
+            />
+            {design.type === DESIGN_TYPES.INCOMPLETE_BLOCK && config.numBlocks % config.numTreatments !== 0 && (
+              <p className="text-xs text-orange-600 mt-1">
+                Use a multiple of {config.numTreatments} blocks so every treatment is replicated equally.
+              </p>
+            )}
+            <button
+              onClick={() => setShowPlanner(!showPlanner)}
+              className="flex items-center gap-1 text-sm text-blue-600 hover:text-blue-700 mt-2"
+            >
+              {showPlanner ? <ChevronUp size={16} /> : <ChevronDown size={16} />}
+              How many blocks do I need?
+            </button>
+            {showPlanner && (
+              <div className="mt-2">
+                <ReplicatePlanner
+                  config={config}
+                  trials={trials}
+                  onApply={(numBlocks) => updateConfig('numBlocks', numBlocks)}
+                />
+              </div>
+            )}
+          </div>
+        )}
 
-        {/* Treatment Names */}
-        <div>
-          <label className="block text-sm font-medium mb-2">Treatment Names</label>
-          <div className="space-y-2">
-            {config.treatments.map((treatment, idx) => (
-              <input
-                key={idx}
-                type="text"
-                value={treatment}
-                onChange={(e) => updateTreatmentName(idx, e.target.value)}
-                className="w-full p-2 border rounded focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
-                placeholder={`Treatment ${String.fromCharCode(65 + idx)}`}
+        {design.type === DESIGN_TYPES.SPLIT_PLOT ? (
+          /* Split-plot factors - treatments are every main × sub combination */
+          <div className="space-y-4">
+            {[
+              { key: 'mainPlotFactor', title: 'Main-plot Factor' },
+              { key: 'subPlotFactor', title: 'Sub-plot Factor' }
+            ].map(({ key, title }, idx) => (
+              <FactorEditor
+                key={key}
+                title={title}
+                factor={design[key]}
+                onChange={(factor) => updateSplitPlotFactor(key, factor)}
+                canAddLevel={canAddLevel([design.mainPlotFactor, design.subPlotFactor], idx)}
               />
             ))}
+            {renderCombinations()}
           </div>
-        </div>
+        ) : (
+          <>
+            {/* Treatment Structure */}
+            <div>
+              <label className="block text-sm font-medium mb-2">Treatment Structure</label>
+              <select
+                value={factors.length > 0 ? 'factorial' : 'single'}
+                onChange={(e) => updateTreatmentStructure(e.target.value)}
+                className="w-full p-2 border rounded focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+              >
+                <option value="single">Single factor (list of treatments)</option>
+                <option value="factorial">Factorial (e.g. product × rate)</option>
+              </select>
+            </div>
+
+            {factors.length > 0 ? (
+              /* Factorial - treatments are every combination of factor levels */
+              <div className="space-y-4">
+                {factors.map((factor, idx) => (
+                  <FactorEditor
+                    key={idx}
+                    title={`Factor ${idx + 1}`}
+                    factor={factor}
+                    onChange={(updated) => updateFactor(idx, updated)}
+                    onRemove={factors.length > 2 ? () => removeFactor(idx) : null}
+                    canAddLevel={canAddLevel(factors, idx)}
+                  />
+                ))}
+                {factors.length < MAX_FACTORS && (
+                  <button
+                    onClick={addFactor}
+                    className="flex items-center gap-2 text-blue-600 hover:bg-blue-50 p-2 rounded transition"
+                  >
+                    <Plus size={20} /> Add Factor
+                  </button>
+                )}
+                {renderCombinations()}
+                {design.type === DESIGN_TYPES.LATIN_SQUARE && (
+                  <p className="text-xs text-gray-500">Field is {config.numTreatments} rows × {config.numTreatments} columns</p>
+                )}
+              </div>
+            ) : (
+              /* Number of Treatments */
+              <div>
+                <label className="block text-sm font-medium mb-2">Number of Treatments</label>
+                <input
+                  type="number"
+                  value={config.numTreatments}
+                  onChange={(e) => updateTreatmentCount(Math.min(MAX_TREATMENTS, parseInt(e.target.value) || 1))}
+                  className="w-full p-2 border rounded focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                  min="1"
+                  max={MAX_TREATMENTS}
+                />
+                <p className="text-xs text-gray-500 mt-1">
+                  Max {MAX_TREATMENTS} treatments (A-Q)
+                  {design.type === DESIGN_TYPES.LATIN_SQUARE && ` • Field is ${config.numTreatments} rows × ${config.numTreatments} columns`}
+                </p>
+              </div>
+            )}
+
+            {/* Block Size (incomplete blocks) */}
+            {design.type === DESIGN_TYPES.INCOMPLETE_BLOCK && (
+              <div>
+                <label className="block text-sm font-medium mb-2">Plots per Block</label>
+                <input
+                  type="number"
+                  value={design.blockSize}
+                  onChange={(e) => updateConfig('design', {
+                    ...design,
+                    blockSize: Math.min(config.numTreatments - 1, Math.max(2, parseInt(e.target.value) || 2))
+                  })}
+                  className="w-full p-2 border rounded focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                  min="2"
+                  max={config.numTreatments - 1}
+                />
+                <p className="text-xs text-gray-500 mt-1">Must be smaller than the number of treatments</p>
+              </div>
+            )}
+
+            {/* Treatment Names */}
+            {factors.length === 0 && (
+              <div>
+                <label className="block text-sm font-medium mb-2">Treatment Names</label>
+                <div className="space-y-2">
+                  {config.treatments.map((treatment, idx) => (
+                    <input
+                      key={idx}
+                      type="text"
+                      value={treatment}
+                      onChange={(e) => updateTreatmentName(idx, e.target.value)}
+                      className="w-full p-2 border rounded focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                      placeholder={`Treatment ${getTreatmentCode(idx)}`}
+                    />
+                  ))}
+                </div>
+              </div>
+            )}
+          </>
+        )}
 
         {/* Assessment Types */}
         <div>
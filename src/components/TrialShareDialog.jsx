@@ -0,0 +1,309 @@
+import React, { useState, useEffect } from 'react';
+import { X, Share2, UserPlus, Trash2, Loader, UserCheck, Clock, Link2, Copy, Ban } from 'lucide-react';
+import {
+  getTrialMembers,
+  inviteTrialMember,
+  updateTrialMemberRole,
+  removeTrialMember,
+  getShareLinks,
+  createShareLink,
+  revokeShareLink,
+  buildShareUrl
+} from '../services/database';
+import { INVITABLE_ROLES, ROLE_LABELS, ROLE_DESCRIPTIONS, TRIAL_ROLES } from '../utils/trialRoles';
+
+const LINK_EXPIRY_OPTIONS = [
+  { days: 7, label: '1 week' },
+  { days: 30, label: '30 days' },
+  { days: 90, label: '90 days' },
+  { days: 365, label: '1 year' }
+];
+
+const TrialShareDialog = ({ trial, onClose }) => {
+  const [members, setMembers] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [inviteEmail, setInviteEmail] = useState('');
+  const [inviteRole, setInviteRole] = useState(TRIAL_ROLES.ASSESSOR);
+  const [inviting, setInviting] = useState(false);
+  const [message, setMessage] = useState(null);
+  const [shareLinks, setShareLinks] = useState([]);
+  const [linkLabel, setLinkLabel] = useState(trial.clientSponsor || '');
+  const [linkExpiryDays, setLinkExpiryDays] = useState(30);
+  const [creatingLink, setCreatingLink] = useState(false);
+
+  useEffect(() => {
+    loadMembers();
+  }, [trial.id]);
+
+  const loadMembers = async () => {
+    setLoading(true);
+    try {
+      const [memberList, linkList] = await Promise.all([
+        getTrialMembers(trial.id),
+        getShareLinks(trial.id)
+      ]);
+      setMembers(memberList);
+      setShareLinks(linkList);
+    } catch (error) {
+      setMessage({ type: 'error', text: 'Could not load members: ' + error.message });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleInvite = async (e) => {
+    e.preventDefault();
+    const email = inviteEmail.trim();
+    if (!email) return;
+
+    if (members.some(m => m.email === email.toLowerCase())) {
+      setMessage({ type: 'error', text: `${email} already has access to this trial.` });
+      return;
+    }
+
+    setInviting(true);
+    setMessage(null);
+    try {
+      const member = await inviteTrialMember(trial.id, email, inviteRole);
+      setMembers(prev => [...prev, member]);
+      setInviteEmail('');
+      setMessage({
+        type: 'success',
+        text: `Shared with ${member.email}. Let them know - the trial appears in their library when they sign in with this address.`
+      });
+    } catch (error) {
+      setMessage({ type: 'error', text: 'Could not share trial: ' + error.message });
+    } finally {
+      setInviting(false);
+    }
+  };
+
+  const handleRoleChange = async (member, role) => {
+    try {
+      const updated = await updateTrialMemberRole(member.id, role);
+      setMembers(prev => prev.map(m => (m.id === member.id ? updated : m)));
+    } catch (error) {
+      setMessage({ type: 'error', text: 'Could not change role: ' + error.message });
+    }
+  };
+
+  const handleRemove = async (member) => {
+    if (!confirm(`Stop sharing "${trial.name}" with ${member.email}?`)) return;
+
+    try {
+      await removeTrialMember(member.id);
+      setMembers(prev => prev.filter(m => m.id !== member.id));
+    } catch (error) {
+      setMessage({ type: 'error', text: 'Could not remove member: ' + error.message });
+    }
+  };
+
+  const handleCreateLink = async () => {
+    setCreatingLink(true);
+    setMessage(null);
+    try {
+      const link = await createShareLink(trial.id, { label: linkLabel.trim(), expiresInDays: linkExpiryDays });
+      setShareLinks(prev => [link, ...prev]);
+      await copyLink(link);
+    } catch (error) {
+      setMessage({ type: 'error', text: 'Could not create link: ' + error.message });
+    } finally {
+      setCreatingLink(false);
+    }
+  };
+
+  const copyLink = async (link) => {
+    const url = buildShareUrl(link.token);
+    try {
+      await navigator.clipboard.writeText(url);
+      setMessage({ type: 'success', text: 'Client link copied to clipboard.' });
+    } catch (error) {
+      window.prompt('Copy this client link:', url);
+    }
+  };
+
+  const handleRevokeLink = async (link) => {
+    if (!confirm('Revoke this link? Anyone using it will lose access immediately.')) return;
+
+    try {
+      const revoked = await revokeShareLink(link.id);
+      setShareLinks(prev => prev.map(l => (l.id === link.id ? revoked : l)));
+    } catch (error) {
+      setMessage({ type: 'error', text: 'Could not revoke link: ' + error.message });
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-lg shadow-xl max-w-lg w-full max-h-[90vh] overflow-y-auto">
+        {/* Header */}
+        <div className="sticky top-0 bg-white border-b px-6 py-4 flex items-center justify-between">
+          <div>
+            <h2 className="text-xl font-bold text-gray-800 flex items-center gap-2">
+              <Share2 size={22} /> Share Trial
+            </h2>
+            <p className="text-sm text-gray-600">{trial.name}</p>
+          </div>
+          <button onClick={onClose} className="p-2 hover:bg-gray-100 rounded-lg transition">
+            <X size={20} />
+          </button>
+        </div>
+
+        <div className="p-6 space-y-6">
+          {/* Invite Form */}
+          <form onSubmit={handleInvite} className="space-y-3">
+            <label className="block text-sm font-medium text-gray-700">Share by email</label>
+            <div className="flex gap-2">
+              <input
+                type="email"
+                value={inviteEmail}
+                onChange={(e) => setInviteEmail(e.target.value)}
+                placeholder="colleague@example.com"
+                className="flex-1 px-3 py-2 text-sm border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-blue-500"
+                required
+              />
+              <select
+                value={inviteRole}
+                onChange={(e) => setInviteRole(e.target.value)}
+                className="px-2 py-2 text-sm border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-blue-500"
+              >
+                {INVITABLE_ROLES.map(role => (
+                  <option key={role} value={role}>{ROLE_LABELS[role]}</option>
+                ))}
+              </select>
+            </div>
+            <p className="text-xs text-gray-500">{ROLE_DESCRIPTIONS[inviteRole]}</p>
+            <button
+              type="submit"
+              disabled={inviting}
+              className="flex items-center gap-2 px-4 py-2 bg-stri-teal text-white text-sm rounded hover:bg-stri-teal-light disabled:opacity-50 transition"
+            >
+              {inviting ? <Loader size={16} className="animate-spin" /> : <UserPlus size={16} />} Share
+            </button>
+          </form>
+
+          {message && (
+            <div className={`p-3 rounded text-sm ${message.type === 'error' ? 'bg-red-50 text-red-700 border border-red-200' : 'bg-green-50 text-green-700 border border-green-200'}`}>
+              {message.text}
+            </div>
+          )}
+
+          {/* Member List */}
+          <div>
+            <h3 className="text-sm font-semibold text-gray-700 mb-2">People with access</h3>
+            {loading ? (
+              <div className="flex items-center gap-2 text-sm text-gray-500">
+                <Loader size={16} className="animate-spin" /> Loading...
+              </div>
+            ) : members.length === 0 ? (
+              <p className="text-sm text-gray-500">Only you can see this trial.</p>
+            ) : (
+              <ul className="divide-y border rounded">
+                {members.map(member => (
+                  <li key={member.id} className="flex items-center gap-2 px-3 py-2">
+                    {member.accepted ? (
+                      <UserCheck size={16} className="text-green-600" title="Signed in" />
+                    ) : (
+                      <Clock size={16} className="text-yellow-600" title="Invite pending" />
+                    )}
+                    <span className="flex-1 text-sm truncate">{member.email}</span>
+                    <select
+                      value={member.role}
+                      onChange={(e) => handleRoleChange(member, e.target.value)}
+                      className="px-2 py-1 text-xs border border-gray-300 rounded"
+                    >
+                      {INVITABLE_ROLES.map(role => (
+                        <option key={role} value={role}>{ROLE_LABELS[role]}</option>
+                      ))}
+                    </select>
+                    <button
+                      onClick={() => handleRemove(member)}
+                      className="text-red-500 hover:bg-red-50 p-1 rounded transition"
+                      title="Remove access"
+                    >
+                      <Trash2 size={16} />
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+
+          {/* Client Links */}
+          <div className="pt-4 border-t">
+            <h3 className="text-sm font-semibold text-gray-700 mb-1 flex items-center gap-2">
+              <Link2 size={16} /> Client links
+            </h3>
+            <p className="text-xs text-gray-500 mb-3">
+              Read-only presentation, analysis and photos. No login needed; stops working when it expires or is revoked.
+            </p>
+            <div className="flex gap-2 mb-3">
+              <input
+                type="text"
+                value={linkLabel}
+                onChange={(e) => setLinkLabel(e.target.value)}
+                placeholder="Label, e.g. sponsor name"
+                className="flex-1 px-3 py-2 text-sm border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-blue-500"
+              />
+              <select
+                value={linkExpiryDays}
+                onChange={(e) => setLinkExpiryDays(parseInt(e.target.value, 10))}
+                className="px-2 py-2 text-sm border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-blue-500"
+              >
+                {LINK_EXPIRY_OPTIONS.map(option => (
+                  <option key={option.days} value={option.days}>{option.label}</option>
+                ))}
+              </select>
+              <button
+                onClick={handleCreateLink}
+                disabled={creatingLink}
+                className="flex items-center gap-1 px-3 py-2 bg-stri-blue-research text-white text-sm rounded hover:bg-stri-blue-info disabled:opacity-50 transition"
+              >
+                {creatingLink ? <Loader size={16} className="animate-spin" /> : <Link2 size={16} />} Create
+              </button>
+            </div>
+
+            {shareLinks.length > 0 && (
+              <ul className="divide-y border rounded">
+                {shareLinks.map(link => (
+                  <li key={link.id} className={`flex items-center gap-2 px-3 py-2 ${link.active ? '' : 'opacity-50'}`}>
+                    <div className="flex-1 min-w-0">
+                      <div className="text-sm truncate">{link.label || 'Client link'}</div>
+                      <div className="text-xs text-gray-500">
+                        {link.revokedAt
+                          ? `Revoked ${new Date(link.revokedAt).toLocaleDateString()}`
+                          : link.active
+                            ? `Expires ${new Date(link.expiresAt).toLocaleDateString()}`
+                            : `Expired ${new Date(link.expiresAt).toLocaleDateString()}`}
+                      </div>
+                    </div>
+                    {link.active && (
+                      <>
+                        <button
+                          onClick={() => copyLink(link)}
+                          className="text-blue-600 hover:bg-blue-50 p-1 rounded transition"
+                          title="Copy link"
+                        >
+                          <Copy size={16} />
+                        </button>
+                        <button
+                          onClick={() => handleRevokeLink(link)}
+                          className="text-red-500 hover:bg-red-50 p-1 rounded transition"
+                          title="Revoke link"
+                        >
+                          <Ban size={16} />
+                        </button>
+                      </>
+                    )}
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default TrialShareDialog;
@@ -0,0 +1,304 @@
+import React, { useState, useEffect } from 'react';
+import { X, Archive, Loader, Trash2, RotateCcw, GitCompare } from 'lucide-react';
+import { getSnapshots, getSnapshot, createSnapshot, deleteSnapshot } from '../services/database';
+import { diffSnapshots } from '../utils/snapshotDiff';
+
+const CURRENT = 'current';
+const MAX_VALUE_ROWS = 100;
+
+// Named restore points for a trial: take, compare, restore and delete
+const TrialSnapshots = ({
+  trialId,
+  currentState,
+  canManage = false,
+  onRestore,
+  onClose
+}) => {
+  const [snapshots, setSnapshots] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [message, setMessage] = useState(null);
+  const [newName, setNewName] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [compareFrom, setCompareFrom] = useState('');
+  const [compareTo, setCompareTo] = useState(CURRENT);
+  const [diff, setDiff] = useState(null);
+  const [comparing, setComparing] = useState(false);
+  const [loadedData, setLoadedData] = useState({});
+
+  useEffect(() => {
+    loadSnapshots();
+  }, [trialId]);
+
+  const loadSnapshots = async () => {
+    setLoading(true);
+    try {
+      const list = await getSnapshots(trialId);
+      setSnapshots(list);
+      if (list.length > 0) setCompareFrom(list[0].id);
+    } catch (error) {
+      setMessage({ type: 'error', text: 'Could not load snapshots: ' + error.message });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Snapshot data is only fetched when needed, then kept
+  const loadData = async (snapshotId) => {
+    if (snapshotId === CURRENT) return currentState;
+    if (loadedData[snapshotId]) return loadedData[snapshotId];
+
+    const snapshot = await getSnapshot(snapshotId);
+    setLoadedData(prev => ({ ...prev, [snapshotId]: snapshot.data }));
+    return snapshot.data;
+  };
+
+  const labelFor = (id) => {
+    if (id === CURRENT) return 'Current trial';
+    return snapshots.find(s => s.id === id)?.name || 'Snapshot';
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    const name = newName.trim();
+    if (!name) return;
+
+    setSaving(true);
+    setMessage(null);
+    try {
+      const snapshot = await createSnapshot(trialId, name, currentState);
+      setSnapshots(prev => [snapshot, ...prev]);
+      setLoadedData(prev => ({ ...prev, [snapshot.id]: snapshot.data }));
+      setNewName('');
+      setMessage({ type: 'success', text: `Snapshot "${name}" saved.` });
+    } catch (error) {
+      setMessage({ type: 'error', text: 'Could not save snapshot: ' + error.message });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleCompare = async () => {
+    if (!compareFrom || !compareTo || compareFrom === compareTo) return;
+
+    setComparing(true);
+    setMessage(null);
+    try {
+      const [before, after] = await Promise.all([loadData(compareFrom), loadData(compareTo)]);
+      setDiff({ from: compareFrom, to: compareTo, ...diffSnapshots(before, after) });
+    } catch (error) {
+      setMessage({ type: 'error', text: 'Could not compare snapshots: ' + error.message });
+    } finally {
+      setComparing(false);
+    }
+  };
+
+  const handleRestore = async (snapshot) => {
+    if (!confirm(`Restore "${snapshot.name}"?\n\nSettings, layout, values, notes and photo links will be replaced with the snapshot. A snapshot of the current trial is taken first so you can undo this.`)) {
+      return;
+    }
+
+    try {
+      const data = await loadData(snapshot.id);
+      await onRestore(snapshot, data);
+      onClose();
+    } catch (error) {
+      setMessage({ type: 'error', text: 'Could not restore snapshot: ' + error.message });
+    }
+  };
+
+  const handleDelete = async (snapshot) => {
+    if (!confirm(`Delete snapshot "${snapshot.name}"? This cannot be undone.`)) return;
+
+    try {
+      await deleteSnapshot(snapshot.id);
+      setSnapshots(prev => prev.filter(s => s.id !== snapshot.id));
+      if (compareFrom === snapshot.id) setCompareFrom('');
+      if (compareTo === snapshot.id) setCompareTo(CURRENT);
+    } catch (error) {
+      setMessage({ type: 'error', text: 'Could not delete snapshot: ' + error.message });
+    }
+  };
+
+  const formatValue = (value) => (value === null || value === undefined || value === '' ? '—' : value);
+
+  const renderChangeList = (title, items, describe) => {
+    if (items.length === 0) return null;
+    return (
+      <div>
+        <h4 className="text-sm font-semibold text-gray-700 mb-1">{title} ({items.length})</h4>
+        <ul className="text-xs border rounded divide-y max-h-48 overflow-y-auto">
+          {items.slice(0, MAX_VALUE_ROWS).map((item, idx) => {
+            const { label, before, after } = describe(item);
+            return (
+              <li key={idx} className="px-2 py-1 flex justify-between gap-2">
+                <span className="text-gray-600 truncate">{label}</span>
+                <span className="whitespace-nowrap">
+                  {formatValue(before)} → <strong>{formatValue(after)}</strong>
+                </span>
+              </li>
+            );
+          })}
+          {items.length > MAX_VALUE_ROWS && (
+            <li className="px-2 py-1 text-gray-500">…and {items.length - MAX_VALUE_ROWS} more</li>
+          )}
+        </ul>
+      </div>
+    );
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-lg shadow-xl max-w-2xl w-full max-h-[90vh] overflow-y-auto">
+        {/* Header */}
+        <div className="sticky top-0 bg-white border-b px-6 py-4 flex items-center justify-between">
+          <div>
+            <h2 className="text-xl font-bold text-gray-800 flex items-center gap-2">
+              <Archive size={22} /> Snapshots
+            </h2>
+            <p className="text-sm text-gray-600">{currentState.config.trialName}</p>
+          </div>
+          <button onClick={onClose} className="p-2 hover:bg-gray-100 rounded-lg transition">
+            <X size={20} />
+          </button>
+        </div>
+
+        <div className="p-6 space-y-6">
+          {/* Take Snapshot */}
+          {canManage && (
+            <form onSubmit={handleCreate} className="flex gap-2">
+              <input
+                type="text"
+                value={newName}
+                onChange={(e) => setNewName(e.target.value)}
+                placeholder='e.g. "Pre-application baseline"'
+                className="flex-1 px-3 py-2 text-sm border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-blue-500"
+                required
+              />
+              <button
+                type="submit"
+                disabled={saving}
+                className="flex items-center gap-2 px-4 py-2 bg-stri-teal text-white text-sm rounded hover:bg-stri-teal-light disabled:opacity-50 transition"
+              >
+                {saving ? <Loader size={16} className="animate-spin" /> : <Archive size={16} />} Take Snapshot
+              </button>
+            </form>
+          )}
+
+          {message && (
+            <div className={`p-3 rounded text-sm ${message.type === 'error' ? 'bg-red-50 text-red-700 border border-red-200' : 'bg-green-50 text-green-700 border border-green-200'}`}>
+              {message.text}
+            </div>
+          )}
+
+          {/* Snapshot List */}
+          <div>
+            <h3 className="text-sm font-semibold text-gray-700 mb-2">Saved snapshots</h3>
+            {loading ? (
+              <div className="flex items-center gap-2 text-sm text-gray-500">
+                <Loader size={16} className="animate-spin" /> Loading...
+              </div>
+            ) : snapshots.length === 0 ? (
+              <p className="text-sm text-gray-500">No snapshots yet.</p>
+            ) : (
+              <ul className="divide-y border rounded">
+                {snapshots.map(snapshot => (
+                  <li key={snapshot.id} className="flex items-center gap-2 px-3 py-2">
+                    <div className="flex-1 min-w-0">
+                      <div className="text-sm font-medium truncate">{snapshot.name}</div>
+                      <div className="text-xs text-gray-500">
+                        {new Date(snapshot.created).toLocaleString()}
+                        {snapshot.createdByEmail && ` • ${snapshot.createdByEmail}`}
+                      </div>
+                    </div>
+                    {canManage && (
+                      <>
+                        <button
+                          onClick={() => handleRestore(snapshot)}
+                          className="flex items-center gap-1 px-2 py-1 text-xs bg-gray-200 rounded hover:bg-gray-300 transition"
+                          title="Restore this snapshot"
+                        >
+                          <RotateCcw size={12} /> Restore
+                        </button>
+                        <button
+                          onClick={() => handleDelete(snapshot)}
+                          className="text-red-500 hover:bg-red-50 p-1 rounded transition"
+                          title="Delete snapshot"
+                        >
+                          <Trash2 size={16} />
+                        </button>
+                      </>
+                    )}
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+
+          {/* Compare */}
+          {snapshots.length > 0 && (
+            <div className="pt-4 border-t space-y-3">
+              <h3 className="text-sm font-semibold text-gray-700 flex items-center gap-2">
+                <GitCompare size={16} /> Compare
+              </h3>
+              <div className="flex gap-2 items-center flex-wrap">
+                <select
+                  value={compareFrom}
+                  onChange={(e) => setCompareFrom(e.target.value)}
+                  className="flex-1 px-2 py-2 text-sm border border-gray-300 rounded"
+                >
+                  <option value="">Select…</option>
+                  {snapshots.map(s => <option key={s.id} value={s.id}>{s.name}</option>)}
+                  <option value={CURRENT}>Current trial</option>
+                </select>
+                <span className="text-gray-500">→</span>
+                <select
+                  value={compareTo}
+                  onChange={(e) => setCompareTo(e.target.value)}
+                  className="flex-1 px-2 py-2 text-sm border border-gray-300 rounded"
+                >
+                  {snapshots.map(s => <option key={s.id} value={s.id}>{s.name}</option>)}
+                  <option value={CURRENT}>Current trial</option>
+                </select>
+                <button
+                  onClick={handleCompare}
+                  disabled={comparing || !compareFrom || compareFrom === compareTo}
+                  className="flex items-center gap-1 px-3 py-2 bg-blue-600 text-white text-sm rounded hover:bg-blue-700 disabled:opacity-50 transition"
+                >
+                  {comparing ? <Loader size={16} className="animate-spin" /> : <GitCompare size={16} />} Compare
+                </button>
+              </div>
+
+              {diff && (
+                <div className="space-y-3">
+                  <p className="text-sm text-gray-600">
+                    <strong>{labelFor(diff.from)}</strong> → <strong>{labelFor(diff.to)}</strong>:{' '}
+                    {diff.total === 0 ? 'no differences' : `${diff.total} difference(s)`}
+                  </p>
+                  {renderChangeList('Settings', diff.settings, item => item)}
+                  {renderChangeList('Layout', diff.layout, item => ({
+                    label: `Plot ${item.plotId}`, before: item.before, after: item.after
+                  }))}
+                  {renderChangeList('Values', diff.values, item => ({
+                    label: `${item.date} • ${item.assessmentType} • ${item.plotId}`, before: item.before, after: item.after
+                  }))}
+                  {renderChangeList('Notes', diff.notes, item => ({
+                    label: item.key.replace('_', ' • '), before: item.before, after: item.after
+                  }))}
+                  {renderChangeList('Photos', diff.photos, item => ({
+                    label: item.key.replace('_', ' • '), before: `${item.before} photo(s)`, after: `${item.after} photo(s)`
+                  }))}
+                </div>
+              )}
+            </div>
+          )}
+
+          <p className="text-xs text-gray-500">
+            Photos are kept as links; a photo deleted from storage can't be brought back by restoring.
+          </p>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default TrialSnapshots;
@@ -1,4 +1,16 @@
 import { supabase } from './supabase';
+import {
+  isOfflineStoreAvailable,
+  getLocalTrials,
+  putLocalTrials,
+  deleteLocalTrial,
+  enqueueChange,
+  getQueuedChanges,
+  removeQueuedChanges,
+  getSyncStatuses as getLocalSyncStatuses,
+  setSyncStatus
+} from './offlineStore';
+import { TRIAL_ROLES } from '../utils/trialRoles';
 
 /**
  * Database service for trial data operations
@@ -9,144 +21,1063 @@ import { supabase } from './supabase';
 // TRIAL CRUD OPERATIONS
 // =====================================================
 
+// Trial row columns an assessor writes. The protect_trial_settings trigger
+// refuses changes to the others, and an assessor's copy of them may be stale.
+const ASSESSOR_COLUMNS = ['assessment_dates', 'photos', 'notes', 'last_modified'];
+
+/**
+ * Get all trials for the current user
+ * Falls back to the local offline copy when Supabase can't be reached,
+ * and prefers local copies of trials that still have unsynced edits
+ * @returns {Promise<Object>} Trials object keyed by ID
+ */
+export const getAllTrials = async () => {
+  try {
+    const { data, error } = await supabase
+      .from('trials')
+      .select('*')
+      .order('last_modified', { ascending: false });
+
+    if (error) throw error;
+
+    // Rebuild assessment values from the per-plot observation rows
+    const observations = await fetchObservations(data.map(trial => trial.id));
+    const roles = await fetchTrialRoles(data);
+
+    // Convert array to object keyed by ID for compatibility with existing code
+    const trialsObject = {};
+    data.forEach(trial => {
+      trialsObject[trial.id] = {
+        ...applyObservations(
+          convertFromDatabase(trial),
+          observations.filter(row => row.trial_id === trial.id)
+        ),
+        role: roles[trial.id]
+      };
+    });
+
+    if (!isOfflineStoreAvailable()) return trialsObject;
+
+    // Keep local versions of trials that haven't finished syncing
+    const [localTrials, pendingChanges] = await Promise.all([
+      getLocalTrials(),
+      getQueuedChanges()
+    ]);
+    const pendingTrialIds = new Set(pendingChanges.map(change => change.trialId));
+    pendingTrialIds.forEach(trialId => {
+      if (localTrials[trialId] && trialsObject[trialId]) {
+        trialsObject[trialId] = localTrials[trialId];
+      }
+    });
+
+    await putLocalTrials(Object.values(trialsObject));
+
+    return trialsObject;
+  } catch (error) {
+    console.error('Error fetching trials:', error);
+
+    if (isOfflineStoreAvailable()) {
+      const localTrials = await getLocalTrials();
+      if (Object.keys(localTrials).length > 0) {
+        console.warn('[database] Using offline copy of trials');
+        return localTrials;
+      }
+    }
+
+    throw error;
+  }
+};
+
+/**
+ * Get a single trial by ID
+ * @param {string} trialId - Trial UUID
+ * @returns {Promise<Object>} Trial data
+ */
+export const getTrial = async (trialId) => {
+  try {
+    const { data, error } = await supabase
+      .from('trials')
+      .select('*')
+      .eq('id', trialId)
+      .single();
+
+    if (error) throw error;
+
+    const observations = await fetchObservations([trialId]);
+    const roles = await fetchTrialRoles([data]);
+    return { ...applyObservations(convertFromDatabase(data), observations), role: roles[trialId] };
+  } catch (error) {
+    console.error('Error fetching trial:', error);
+    throw error;
+  }
+};
+
+/**
+ * Create a new trial
+ * @param {Object} trialData - Trial data object
+ * @returns {Promise<Object>} Created trial with ID
+ */
+export const createTrial = async (trialData) => {
+  try {
+    const { data: { user } } = await supabase.auth.getUser();
+
+    if (!user) {
+      throw new Error('User must be authenticated to create trials');
+    }
+
+    console.log('[createTrial] Input trialData:', trialData);
+    console.log('[createTrial] trialData.id:', trialData.id);
+
+    const dbTrial = convertToDatabase(trialData, user.id);
+
+    console.log('[createTrial] Converted dbTrial:', dbTrial);
+    console.log('[createTrial] dbTrial.id:', dbTrial.id);
+
+    const { data, error } = await supabase
+      .from('trials')
+      .insert(dbTrial)
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    // Values travel as observation rows, not inside the trial row
+    const rows = await saveObservations(
+      data.id,
+      diffAssessmentDates([], trialData.assessmentDates || [])
+    );
+
+    const createdTrial = {
+      ...applyObservations(convertFromDatabase(data), rows),
+      role: TRIAL_ROLES.OWNER
+    };
+    if (isOfflineStoreAvailable()) {
+      await putLocalTrials(createdTrial);
+    }
+
+    return createdTrial;
+  } catch (error) {
+    console.error('Error creating trial:', error);
+    throw error;
+  }
+};
+
+/**
+ * Update an existing trial's row (config, layout, date list, photos, notes).
+ * Assessment values are not written here - see saveObservations.
+ * For assessors (trialData.role) only the date list, photos and notes are sent.
+ * @param {string} trialId - Trial UUID
+ * @param {Object} trialData - Updated trial data
+ * @returns {Promise<Object>} Updated trial, merged with the latest observations
+ */
+export const updateTrial = async (trialId, trialData) => {
+  try {
+    const { data: { user } } = await supabase.auth.getUser();
+
+    if (!user) {
+      throw new Error('User must be authenticated to update trials');
+    }
+
+    let dbTrial = convertToDatabase(trialData, user.id);
+    delete dbTrial.id; // Don't update ID
+    delete dbTrial.user_id; // Don't update user_id
+    delete dbTrial.created_at; // Don't update created_at
+
+    if (trialData.role === TRIAL_ROLES.ASSESSOR) {
+      dbTrial = Object.fromEntries(ASSESSOR_COLUMNS.map(column => [column, dbTrial[column]]));
+    }
+
+    const { data, error } = await supabase
+      .from('trials')
+      .update(dbTrial)
+      .eq('id', trialId)
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    const observations = await fetchObservations([trialId]);
+    const roles = await fetchTrialRoles([data]);
+    return { ...applyObservations(convertFromDatabase(data), observations), role: roles[trialId] };
+  } catch (error) {
+    console.error('Error updating trial:', error);
+    throw error;
+  }
+};
+
+/**
+ * Delete a trial
+ * @param {string} trialId - Trial UUID
+ * @returns {Promise<void>}
+ */
+export const deleteTrial = async (trialId) => {
+  try {
+    const { error } = await supabase
+      .from('trials')
+      .delete()
+      .eq('id', trialId);
+
+    if (error) throw error;
+
+    if (isOfflineStoreAvailable()) {
+      await deleteLocalTrial(trialId);
+      notifySyncListeners();
+    }
+  } catch (error) {
+    console.error('Error deleting trial:', error);
+    throw error;
+  }
+};
+
+// =====================================================
+// TRIAL SHARING
+// =====================================================
+
+/**
+ * Work out the current user's role on each trial
+ * @param {Object[]} dbTrials - Trial rows from the database
+ * @returns {Promise<Object>} Roles keyed by trial ID
+ */
+const fetchTrialRoles = async (dbTrials) => {
+  const { data: { session } } = await supabase.auth.getSession();
+  const user = session?.user;
+  const roles = {};
+
+  const sharedIds = [];
+  dbTrials.forEach(trial => {
+    if (user && trial.user_id === user.id) {
+      roles[trial.id] = TRIAL_ROLES.OWNER;
+    } else {
+      sharedIds.push(trial.id);
+    }
+  });
+
+  if (!user || sharedIds.length === 0) return roles;
+
+  const { data, error } = await supabase
+    .from('trial_members')
+    .select('trial_id, role, user_id, email')
+    .in('trial_id', sharedIds);
+
+  if (error) throw error;
+
+  const email = (user.email || '').toLowerCase();
+  data.forEach(member => {
+    if (member.user_id === user.id || member.email === email) {
+      roles[member.trial_id] = member.role;
+    }
+  });
+
+  return roles;
+};
+
+/**
+ * Link any pending invites for the signed-in user's email to their account
+ * @returns {Promise<number>} Number of invites claimed
+ */
+export const claimTrialInvites = async () => {
+  try {
+    const { data, error } = await supabase.rpc('claim_trial_invites');
+    if (error) throw error;
+    return data || 0;
+  } catch (error) {
+    console.error('Error claiming trial invites:', error);
+    return 0;
+  }
+};
+
+/**
+ * Get everyone a trial is shared with
+ * @param {string} trialId - Trial UUID
+ * @returns {Promise<Object[]>} Members in app format
+ */
+export const getTrialMembers = async (trialId) => {
+  try {
+    const { data, error } = await supabase
+      .from('trial_members')
+      .select('*')
+      .eq('trial_id', trialId)
+      .order('created_at', { ascending: true });
+
+    if (error) throw error;
+
+    return data.map(convertMemberFromDatabase);
+  } catch (error) {
+    console.error('Error fetching trial members:', error);
+    throw error;
+  }
+};
+
+/**
+ * Share a trial with someone by email
+ * Only the pending member row is created; no account or email is made from
+ * the client. The invitee claims it when they next sign in with that
+ * address (claimTrialInvites).
+ * @param {string} trialId - Trial UUID
+ * @param {string} email - Invitee's email address
+ * @param {string} role - 'editor', 'assessor' or 'viewer'
+ * @returns {Promise<Object>} Pending member in app format
+ */
+export const inviteTrialMember = async (trialId, email, role) => {
+  try {
+    const { data: { user } } = await supabase.auth.getUser();
+
+    if (!user) {
+      throw new Error('User must be authenticated to share trials');
+    }
+
+    const normalizedEmail = email.trim().toLowerCase();
+
+    const { data, error } = await supabase
+      .from('trial_members')
+      .insert({
+        trial_id: trialId,
+        email: normalizedEmail,
+        role,
+        invited_by: user.id
+      })
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    return convertMemberFromDatabase(data);
+  } catch (error) {
+    console.error('Error inviting trial member:', error);
+    throw error;
+  }
+};
+
+/**
+ * Change a member's role
+ * @param {string} memberId - trial_members row UUID
+ * @param {string} role - New role
+ * @returns {Promise<Object>} Updated member
+ */
+export const updateTrialMemberRole = async (memberId, role) => {
+  try {
+    const { data, error } = await supabase
+      .from('trial_members')
+      .update({ role })
+      .eq('id', memberId)
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    return convertMemberFromDatabase(data);
+  } catch (error) {
+    console.error('Error updating trial member:', error);
+    throw error;
+  }
+};
+
+/**
+ * Stop sharing a trial with a member
+ * @param {string} memberId - trial_members row UUID
+ * @returns {Promise<void>}
+ */
+export const removeTrialMember = async (memberId) => {
+  try {
+    const { error } = await supabase
+      .from('trial_members')
+      .delete()
+      .eq('id', memberId);
+
+    if (error) throw error;
+  } catch (error) {
+    console.error('Error removing trial member:', error);
+    throw error;
+  }
+};
+
+// =====================================================
+// CLIENT SHARE LINKS
+// =====================================================
+
+/**
+ * Build the URL a sponsor opens for a share link
+ * @param {string} token - Share link token
+ * @returns {string} Full URL to the read-only client view
+ */
+export const buildShareUrl = (token) => {
+  const url = new URL(window.location.href);
+  url.search = '';
+  url.hash = '';
+  url.searchParams.set('share', token);
+  return url.toString();
+};
+
+/**
+ * Get all client share links for a trial, newest first
+ * @param {string} trialId - Trial UUID
+ * @returns {Promise<Object[]>} Share links in app format
+ */
+export const getShareLinks = async (trialId) => {
+  try {
+    const { data, error } = await supabase
+      .from('trial_share_links')
+      .select('*')
+      .eq('trial_id', trialId)
+      .order('created_at', { ascending: false });
+
+    if (error) throw error;
+
+    return data.map(convertShareLinkFromDatabase);
+  } catch (error) {
+    console.error('Error fetching share links:', error);
+    throw error;
+  }
+};
+
+/**
+ * Create an expiring read-only link for a trial
+ * @param {string} trialId - Trial UUID
+ * @param {Object} options - { label, expiresInDays }
+ * @returns {Promise<Object>} Created share link
+ */
+export const createShareLink = async (trialId, { label, expiresInDays }) => {
+  try {
+    const { data: { user } } = await supabase.auth.getUser();
+
+    if (!user) {
+      throw new Error('User must be authenticated to create share links');
+    }
+
+    const expiresAt = new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000);
+
+    const { data, error } = await supabase
+      .from('trial_share_links')
+      .insert({
+        trial_id: trialId,
+        label: label || null,
+        created_by: user.id,
+        expires_at: expiresAt.toISOString()
+      })
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    return convertShareLinkFromDatabase(data);
+  } catch (error) {
+    console.error('Error creating share link:', error);
+    throw error;
+  }
+};
+
+/**
+ * Revoke a share link so it stops working immediately
+ * @param {string} linkId - Share link UUID
+ * @returns {Promise<Object>} Revoked share link
+ */
+export const revokeShareLink = async (linkId) => {
+  try {
+    const { data, error } = await supabase
+      .from('trial_share_links')
+      .update({ revoked_at: new Date().toISOString() })
+      .eq('id', linkId)
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    return convertShareLinkFromDatabase(data);
+  } catch (error) {
+    console.error('Error revoking share link:', error);
+    throw error;
+  }
+};
+
+/**
+ * Load a trial through a share link token (no login required)
+ * @param {string} token - Share link token
+ * @returns {Promise<Object|null>} { trial, label, expiresAt } or null if invalid/expired/revoked
+ */
+export const getSharedTrial = async (token) => {
+  try {
+    const { data, error } = await supabase.rpc('get_shared_trial', { p_token: token });
+
+    if (error) throw error;
+    if (!data) return null;
+
+    return {
+      trial: applyObservations(convertFromDatabase(data.trial), data.observations || []),
+      label: data.link?.label,
+      expiresAt: data.link?.expires_at
+    };
+  } catch (error) {
+    console.error('Error fetching shared trial:', error);
+    throw error;
+  }
+};
+
+// =====================================================
+// PLOT OBSERVATIONS
+// =====================================================
+
+const OBSERVATION_CONFLICT_KEY = 'trial_id,assessment_date,assessment_type,plot_id';
+const OBSERVATIONS_PAGE_SIZE = 1000;
+
+const observationKey = (date, assessmentType, plotId) => `${date}|${assessmentType}|${plotId}`;
+
+/**
+ * Flatten assessment dates into a map of individual plot cells
+ * @param {Object[]} assessmentDates - Assessment dates in app format
+ * @returns {Map<string, Object>} Cells keyed by date|type|plot
+ */
+const flattenAssessmentDates = (assessmentDates) => {
+  const cells = new Map();
+
+  (assessmentDates || []).forEach(dateObj => {
+    Object.entries(dateObj.assessments || {}).forEach(([assessmentType, plots]) => {
+      Object.entries(plots || {}).forEach(([plotId, cell]) => {
+        cells.set(observationKey(dateObj.date, assessmentType, plotId), {
+          date: dateObj.date,
+          assessmentType,
+          plotId,
+          value: cell?.value ?? '',
+          entered: !!cell?.entered
+        });
+      });
+    });
+  });
+
+  return cells;
+};
+
+/**
+ * Work out which plot cells changed between two versions of a trial's
+ * assessment dates. Cells that disappeared (deleted dates or renamed
+ * assessment types) are returned with deleted: true.
+ * @param {Object[]} previousDates - Assessment dates before the edit
+ * @param {Object[]} nextDates - Assessment dates after the edit
+ * @returns {Object[]} Changed cells { date, assessmentType, plotId, value, entered, deleted, updatedAt }
+ */
+export const diffAssessmentDates = (previousDates, nextDates) => {
+  const before = flattenAssessmentDates(previousDates);
+  const after = flattenAssessmentDates(nextDates);
+  const updatedAt = new Date().toISOString();
+  const changes = [];
+
+  after.forEach((cell, key) => {
+    const previous = before.get(key);
+    const changed = previous
+      ? String(previous.value) !== String(cell.value) || previous.entered !== cell.entered
+      : cell.entered;
+
+    if (changed) {
+      changes.push({ ...cell, deleted: false, updatedAt });
+    }
+  });
+
+  before.forEach((cell, key) => {
+    if (!after.has(key)) {
+      changes.push({ ...cell, deleted: true, updatedAt });
+    }
+  });
+
+  return changes;
+};
+
+/**
+ * Fetch observation rows for a set of trials, paging past the API row limit
+ * @param {string[]} trialIds - Trial UUIDs
+ * @returns {Promise<Object[]>} Observation rows
+ */
+const fetchObservations = async (trialIds) => {
+  if (!trialIds || trialIds.length === 0) return [];
+
+  const rows = [];
+  let from = 0;
+
+  while (true) {
+    const { data, error } = await supabase
+      .from('plot_observations')
+      .select('*')
+      .in('trial_id', trialIds)
+      .order('id', { ascending: true })
+      .range(from, from + OBSERVATIONS_PAGE_SIZE - 1);
+
+    if (error) throw error;
+
+    rows.push(...data);
+    if (data.length < OBSERVATIONS_PAGE_SIZE) break;
+    from += OBSERVATIONS_PAGE_SIZE;
+  }
+
+  return rows;
+};
+
+/**
+ * Write changed plot cells as incremental upserts (and deletes for removed cells).
+ * Only the cells that changed are sent, so edits from different assessors merge.
+ * @param {string} trialId - Trial UUID
+ * @param {Object[]} changes - Changed cells from diffAssessmentDates
+ * @returns {Promise<Object[]>} Upserted observation rows
+ */
+export const saveObservations = async (trialId, changes) => {
+  if (!changes || changes.length === 0) return [];
+
+  try {
+    const { data: { session } } = await supabase.auth.getSession();
+    const user = session?.user;
+
+    if (!user) {
+      throw new Error('User must be authenticated to save observations');
+    }
+
+    // Latest change for each cell wins
+    const latestChanges = new Map();
+    changes.forEach(change => {
+      latestChanges.set(observationKey(change.date, change.assessmentType, change.plotId), change);
+    });
+
+    const upserts = [];
+    const deletions = {};
+    latestChanges.forEach(change => {
+      if (change.deleted) {
+        const groupKey = `${change.date}|${change.assessmentType}`;
+        if (!deletions[groupKey]) {
+          deletions[groupKey] = { date: change.date, assessmentType: change.assessmentType, plotIds: [] };
+        }
+        deletions[groupKey].plotIds.push(change.plotId);
+      } else {
+        upserts.push(convertObservationToDatabase(trialId, change, user));
+      }
+    });
+
+    let savedRows = [];
+    if (upserts.length > 0) {
+      const { data, error } = await supabase
+        .from('plot_observations')
+        .upsert(upserts, { onConflict: OBSERVATION_CONFLICT_KEY })
+        .select();
+
+      if (error) throw error;
+      savedRows = data || [];
+    }
+
+    for (const group of Object.values(deletions)) {
+      const { error } = await supabase
+        .from('plot_observations')
+        .delete()
+        .eq('trial_id', trialId)
+        .eq('assessment_date', normalizeDateFormat(group.date))
+        .eq('assessment_type', group.assessmentType)
+        .in('plot_id', group.plotIds);
+
+      if (error) throw error;
+    }
+
+    return savedRows;
+  } catch (error) {
+    console.error('Error saving observations:', error);
+    throw error;
+  }
+};
+
+// =====================================================
+// AUDIT TRAIL
+// =====================================================
+
+/**
+ * Get the audit log for a trial, newest first.
+ * Entries are written by database triggers (see supabase-audit-log.sql).
+ * @param {string} trialId - Trial UUID
+ * @param {Object} options - { plotId } to limit to one plot's history
+ * @returns {Promise<Object[]>} Audit entries in app format
+ */
+export const getAuditLog = async (trialId, { plotId } = {}) => {
+  try {
+    const entries = [];
+    let from = 0;
+
+    while (true) {
+      let query = supabase
+        .from('trial_audit_log')
+        .select('*')
+        .eq('trial_id', trialId);
+
+      if (plotId) {
+        query = query.eq('plot_id', plotId);
+      }
+
+      const { data, error } = await query
+        .order('changed_at', { ascending: false })
+        .order('id', { ascending: false })
+        .range(from, from + OBSERVATIONS_PAGE_SIZE - 1);
+
+      if (error) throw error;
+
+      entries.push(...data.map(convertAuditEntryFromDatabase));
+      if (data.length < OBSERVATIONS_PAGE_SIZE) break;
+      from += OBSERVATIONS_PAGE_SIZE;
+    }
+
+    return entries;
+  } catch (error) {
+    console.error('Error fetching audit log:', error);
+    throw error;
+  }
+};
+
+// =====================================================
+// TRIAL SNAPSHOTS
+// =====================================================
+
 /**
- * Get all trials for the current user
- * @returns {Promise<Object>} Trials object keyed by ID
+ * List a trial's snapshots, newest first (without their data)
+ * @param {string} trialId - Trial UUID
+ * @returns {Promise<Object[]>} Snapshots in app format
  */
-export const getAllTrials = async () => {
+export const getSnapshots = async (trialId) => {
   try {
     const { data, error } = await supabase
-      .from('trials')
-      .select('*')
-      .order('last_modified', { ascending: false });
+      .from('trial_snapshots')
+      .select('id, trial_id, name, created_by, created_by_email, created_at')
+      .eq('trial_id', trialId)
+      .order('created_at', { ascending: false });
 
     if (error) throw error;
 
-    // Convert array to object keyed by ID for compatibility with existing code
-    const trialsObject = {};
-    data.forEach(trial => {
-      trialsObject[trial.id] = convertFromDatabase(trial);
-    });
-
-    return trialsObject;
+    return data.map(convertSnapshotFromDatabase);
   } catch (error) {
-    console.error('Error fetching trials:', error);
+    console.error('Error fetching snapshots:', error);
     throw error;
   }
 };
 
 /**
- * Get a single trial by ID
- * @param {string} trialId - Trial UUID
- * @returns {Promise<Object>} Trial data
+ * Get a single snapshot including its trial data
+ * @param {string} snapshotId - Snapshot UUID
+ * @returns {Promise<Object>} Snapshot with data { config, gridLayout, orientation, assessmentDates, notes, photos }
  */
-export const getTrial = async (trialId) => {
+export const getSnapshot = async (snapshotId) => {
   try {
     const { data, error } = await supabase
-      .from('trials')
+      .from('trial_snapshots')
       .select('*')
-      .eq('id', trialId)
+      .eq('id', snapshotId)
       .single();
 
     if (error) throw error;
 
-    return convertFromDatabase(data);
+    return convertSnapshotFromDatabase(data);
   } catch (error) {
-    console.error('Error fetching trial:', error);
+    console.error('Error fetching snapshot:', error);
     throw error;
   }
 };
 
 /**
- * Create a new trial
- * @param {Object} trialData - Trial data object
- * @returns {Promise<Object>} Created trial with ID
+ * Take a named snapshot of a trial's current state
+ * @param {string} trialId - Trial UUID
+ * @param {string} name - Snapshot name, e.g. "Pre-application baseline"
+ * @param {Object} trial - Trial state with config, gridLayout, orientation, assessmentDates, notes, photos
+ * @returns {Promise<Object>} Created snapshot
  */
-export const createTrial = async (trialData) => {
+export const createSnapshot = async (trialId, name, trial) => {
   try {
     const { data: { user } } = await supabase.auth.getUser();
 
     if (!user) {
-      throw new Error('User must be authenticated to create trials');
+      throw new Error('User must be authenticated to create snapshots');
     }
 
-    console.log('[createTrial] Input trialData:', trialData);
-    console.log('[createTrial] trialData.id:', trialData.id);
+    const { data, error } = await supabase
+      .from('trial_snapshots')
+      .insert({
+        trial_id: trialId,
+        name,
+        data: {
+          config: trial.config,
+          gridLayout: trial.gridLayout || [],
+          orientation: trial.orientation || 0,
+          assessmentDates: trial.assessmentDates || [],
+          notes: trial.notes || {},
+          photos: trial.photos || {}
+        },
+        created_by: user.id,
+        created_by_email: user.email
+      })
+      .select()
+      .single();
 
-    const dbTrial = convertToDatabase(trialData, user.id);
+    if (error) throw error;
 
-    console.log('[createTrial] Converted dbTrial:', dbTrial);
-    console.log('[createTrial] dbTrial.id:', dbTrial.id);
+    return convertSnapshotFromDatabase(data);
+  } catch (error) {
+    console.error('Error creating snapshot:', error);
+    throw error;
+  }
+};
+
+/**
+ * Delete a snapshot
+ * @param {string} snapshotId - Snapshot UUID
+ * @returns {Promise<void>}
+ */
+export const deleteSnapshot = async (snapshotId) => {
+  try {
+    const { error } = await supabase
+      .from('trial_snapshots')
+      .delete()
+      .eq('id', snapshotId);
+
+    if (error) throw error;
+  } catch (error) {
+    console.error('Error deleting snapshot:', error);
+    throw error;
+  }
+};
+
+// =====================================================
+// EXCEL IMPORT TEMPLATES
+// =====================================================
 
+/**
+ * List the current user's Excel import templates by name
+ * @returns {Promise<Object[]>} Templates in app format
+ */
+export const getImportTemplates = async () => {
+  try {
     const { data, error } = await supabase
-      .from('trials')
-      .insert(dbTrial)
-      .select()
-      .single();
+      .from('import_templates')
+      .select('*')
+      .order('name', { ascending: true });
 
     if (error) throw error;
 
-    return convertFromDatabase(data);
+    return data.map(convertImportTemplateFromDatabase);
   } catch (error) {
-    console.error('Error creating trial:', error);
+    console.error('Error fetching import templates:', error);
     throw error;
   }
 };
 
 /**
- * Update an existing trial
- * @param {string} trialId - Trial UUID
- * @param {Object} trialData - Updated trial data
- * @returns {Promise<Object>} Updated trial
+ * Save a named import template, replacing any template with the same name
+ * @param {string} name - Template name, e.g. "Site B assessment sheet"
+ * @param {Object} mapping - { headerRow, columns, skipMarker }
+ * @returns {Promise<Object>} Saved template
  */
-export const updateTrial = async (trialId, trialData) => {
+export const saveImportTemplate = async (name, mapping) => {
   try {
     const { data: { user } } = await supabase.auth.getUser();
 
     if (!user) {
-      throw new Error('User must be authenticated to update trials');
+      throw new Error('User must be authenticated to save import templates');
     }
 
-    const dbTrial = convertToDatabase(trialData, user.id);
-    delete dbTrial.id; // Don't update ID
-    delete dbTrial.user_id; // Don't update user_id
-    delete dbTrial.created_at; // Don't update created_at
-
     const { data, error } = await supabase
-      .from('trials')
-      .update(dbTrial)
-      .eq('id', trialId)
+      .from('import_templates')
+      .upsert({
+        user_id: user.id,
+        name,
+        mapping,
+        updated_at: new Date().toISOString()
+      }, { onConflict: 'user_id,name' })
       .select()
       .single();
 
     if (error) throw error;
 
-    return convertFromDatabase(data);
+    return convertImportTemplateFromDatabase(data);
   } catch (error) {
-    console.error('Error updating trial:', error);
+    console.error('Error saving import template:', error);
     throw error;
   }
 };
 
 /**
- * Delete a trial
- * @param {string} trialId - Trial UUID
+ * Delete an import template
+ * @param {string} templateId - Template UUID
  * @returns {Promise<void>}
  */
-export const deleteTrial = async (trialId) => {
+export const deleteImportTemplate = async (templateId) => {
   try {
     const { error } = await supabase
-      .from('trials')
+      .from('import_templates')
       .delete()
-      .eq('id', trialId);
+      .eq('id', templateId);
 
     if (error) throw error;
   } catch (error) {
-    console.error('Error deleting trial:', error);
+    console.error('Error deleting import template:', error);
     throw error;
   }
 };
 
+// =====================================================
+// OFFLINE SYNC
+// =====================================================
+
+export const SYNC_STATUS = {
+  PENDING: 'pending',
+  SYNCED: 'synced',
+  FAILED: 'failed'
+};
+
+const syncListeners = new Set();
+let activeSync = null;
+let syncRequested = false;
+
+/**
+ * Check whether the browser currently reports a network connection
+ * @returns {boolean} True if online
+ */
+export const isOnline = () => {
+  return typeof navigator === 'undefined' || navigator.onLine !== false;
+};
+
+/**
+ * Push the latest sync statuses to every subscriber
+ */
+const notifySyncListeners = async () => {
+  if (syncListeners.size === 0) return;
+
+  try {
+    const statuses = await getSyncStatuses();
+    syncListeners.forEach(listener => listener(statuses));
+  } catch (error) {
+    console.error('[database] Error reading sync statuses:', error);
+  }
+};
+
+/**
+ * Get the sync status of every trial with a recorded status
+ * @returns {Promise<Object>} Status records keyed by trial ID
+ */
+export const getSyncStatuses = async () => {
+  if (!isOfflineStoreAvailable()) return {};
+  return getLocalSyncStatuses();
+};
+
+/**
+ * Subscribe to sync status changes
+ * @param {Function} callback - Called with statuses keyed by trial ID
+ * @returns {Object} Subscription object with unsubscribe method
+ */
+export const subscribeToSyncStatus = (callback) => {
+  syncListeners.add(callback);
+  getSyncStatuses().then(callback).catch(error => {
+    console.error('[database] Error reading sync statuses:', error);
+  });
+
+  return {
+    unsubscribe: () => syncListeners.delete(callback)
+  };
+};
+
+/**
+ * Save a trial locally first, queue the edit and sync when online.
+ * Edits are never lost while offline - they are replayed by
+ * syncPendingChanges once the connection returns.
+ * @param {string} trialId - Trial UUID
+ * @param {Object} trialData - Updated trial data
+ * @param {Object[]} [observationChanges] - Changed plot cells from diffAssessmentDates
+ * @returns {Promise<Object>} The locally saved trial
+ */
+export const saveTrial = async (trialId, trialData, observationChanges = []) => {
+  const localTrial = { ...trialData, id: trialId };
+
+  if (!isOfflineStoreAvailable()) {
+    await saveObservations(trialId, observationChanges);
+    return updateTrial(trialId, localTrial);
+  }
+
+  await putLocalTrials(localTrial);
+  if (observationChanges.length > 0) {
+    await enqueueChange({ type: 'observations', trialId, payload: observationChanges });
+  }
+  await enqueueChange({ type: 'update', trialId, payload: localTrial });
+  await setSyncStatus(trialId, { status: SYNC_STATUS.PENDING, error: null });
+  notifySyncListeners();
+
+  if (isOnline()) {
+    syncPendingChanges();
+  }
+
+  return localTrial;
+};
+
+/**
+ * Replay queued edits to Supabase in the order they were made.
+ * Plot observation changes are upserted cell by cell; trial row
+ * updates collapse to the most recent one.
+ * A trial whose replay fails is marked failed and keeps its queue,
+ * so it is retried on the next sync.
+ * @returns {Promise<Object>} Statuses keyed by trial ID
+ */
+export const syncPendingChanges = async () => {
+  if (!isOfflineStoreAvailable()) return {};
+
+  // Only one replay at a time; edits queued meanwhile trigger a follow-up run
+  if (activeSync) {
+    syncRequested = true;
+    return activeSync;
+  }
+
+  activeSync = (async () => {
+    try {
+      if (!isOnline()) return getSyncStatuses();
+
+      const changes = await getQueuedChanges();
+      const changesByTrial = {};
+      changes.forEach(change => {
+        if (!changesByTrial[change.trialId]) changesByTrial[change.trialId] = [];
+        changesByTrial[change.trialId].push(change);
+      });
+
+      for (const [trialId, trialChanges] of Object.entries(changesByTrial)) {
+        try {
+          const observationChanges = trialChanges
+            .filter(change => change.type === 'observations')
+            .flatMap(change => change.payload);
+          const updates = trialChanges.filter(change => change.type === 'update');
+
+          await saveObservations(trialId, observationChanges);
+          const syncedTrial = updates.length > 0
+            ? await updateTrial(trialId, updates[updates.length - 1].payload)
+            : await getTrial(trialId);
+
+          await removeQueuedChanges(trialChanges.map(change => change.seq));
+
+          // Only overwrite the local copy if nothing new was queued meanwhile
+          const remaining = await getQueuedChanges(trialId);
+          if (remaining.length === 0) {
+            await putLocalTrials(syncedTrial);
+            await setSyncStatus(trialId, {
+              status: SYNC_STATUS.SYNCED,
+              error: null,
+              lastSynced: new Date().toISOString()
+            });
+          }
+        } catch (error) {
+          console.error(`[database] Sync failed for trial ${trialId}:`, error);
+          await setSyncStatus(trialId, {
+            status: SYNC_STATUS.FAILED,
+            error: error.message || String(error)
+          });
+        }
+      }
+
+      return getSyncStatuses();
+    } finally {
+      activeSync = null;
+      notifySyncListeners();
+
+      if (syncRequested) {
+        syncRequested = false;
+        syncPendingChanges();
+      }
+    }
+  })();
+
+  return activeSync;
+};
+
 // =====================================================
 // DATA CONVERSION HELPERS
 // =====================================================
@@ -165,7 +1096,7 @@ const convertToDatabase = (trial, userId) => {
     grid_layout: trial.gridLayout || [],
     orientation: trial.orientation || 0,
     layout_locked: trial.layoutLocked || false,
-    assessment_dates: trial.assessmentDates || [],
+    assessment_dates: toAssessmentSkeleton(trial.assessmentDates || []),
     photos: trial.photos || {},
     notes: trial.notes || {},
     trialist_name: trial.trialistName || null,
@@ -188,6 +1119,179 @@ const convertToDatabase = (trial, userId) => {
   return dbTrial;
 };
 
+/**
+ * Strip plot values from assessment dates, keeping each date and its
+ * assessment types. Values live in the plot_observations table.
+ * @param {Object[]} assessmentDates - Assessment dates in app format
+ * @returns {Object[]} Date list without plot values
+ */
+const toAssessmentSkeleton = (assessmentDates) => {
+  return assessmentDates.map(({ assessments, ...dateObj }) => ({
+    ...dateObj,
+    assessments: Object.fromEntries(
+      Object.keys(assessments || {}).map(assessmentType => [assessmentType, {}])
+    )
+  }));
+};
+
+/**
+ * Convert a changed cell to a plot_observations row
+ * @param {string} trialId - Trial UUID
+ * @param {Object} change - Changed cell from diffAssessmentDates
+ * @param {Object} user - Authenticated Supabase user
+ * @returns {Object} Database-formatted observation
+ */
+const convertObservationToDatabase = (trialId, change, user) => ({
+  trial_id: trialId,
+  assessment_date: normalizeDateFormat(change.date),
+  assessment_type: change.assessmentType,
+  plot_id: change.plotId,
+  value: change.value === '' || change.value === null || change.value === undefined
+    ? null
+    : String(change.value),
+  entered: change.entered,
+  author_id: user.id,
+  author_email: user.email || null,
+  updated_at: change.updatedAt || new Date().toISOString()
+});
+
+/**
+ * Rebuild a trial's assessment values from its observation rows.
+ * Every date/assessment type gets an entry for every plot, as the UI expects.
+ * @param {Object} trial - App-formatted trial
+ * @param {Object[]} rows - plot_observations rows for this trial
+ * @returns {Object} Trial with assessmentDates populated
+ */
+const applyObservations = (trial, rows) => {
+  // Observation rows are matched on YYYY-MM-DD, so legacy dates are normalised to match
+  const assessmentDates = (trial.assessmentDates || []).map(dateObj => ({
+    ...dateObj,
+    date: normalizeDateFormat(dateObj.date),
+    assessments: Object.fromEntries(
+      Object.entries(dateObj.assessments || {}).map(([type, plots]) => [type, { ...plots }])
+    )
+  }));
+  const datesByKey = new Map(assessmentDates.map(dateObj => [dateObj.date, dateObj]));
+
+  // Dates recorded by a colleague that this trial row doesn't list yet
+  const newDates = [];
+
+  rows.forEach(row => {
+    const date = normalizeDateFormat(row.assessment_date);
+    let dateObj = datesByKey.get(date);
+    if (!dateObj) {
+      dateObj = { date, assessments: {} };
+      datesByKey.set(date, dateObj);
+      newDates.push(dateObj);
+    }
+
+    if (!dateObj.assessments[row.assessment_type]) {
+      dateObj.assessments[row.assessment_type] = {};
+    }
+    dateObj.assessments[row.assessment_type][row.plot_id] = {
+      value: row.value ?? '',
+      entered: row.entered
+    };
+  });
+
+  newDates.sort((a, b) => a.date.localeCompare(b.date));
+  const allDates = [...assessmentDates, ...newDates];
+
+  const plotIds = (trial.gridLayout || []).flat()
+    .filter(plot => plot && !plot.isBlank)
+    .map(plot => plot.id);
+  allDates.forEach(dateObj => {
+    Object.values(dateObj.assessments).forEach(plots => {
+      plotIds.forEach(plotId => {
+        if (!plots[plotId]) plots[plotId] = { value: '', entered: false };
+      });
+    });
+  });
+
+  return { ...trial, assessmentDates: allDates };
+};
+
+/**
+ * Convert a trial_members row to app format
+ * @param {Object} dbMember - Member row from database
+ * @returns {Object} App-formatted member
+ */
+const convertMemberFromDatabase = (dbMember) => ({
+  id: dbMember.id,
+  trialId: dbMember.trial_id,
+  email: dbMember.email,
+  userId: dbMember.user_id,
+  role: dbMember.role,
+  invitedBy: dbMember.invited_by,
+  created: dbMember.created_at,
+  accepted: !!dbMember.user_id
+});
+
+/**
+ * Convert a trial_share_links row to app format
+ * @param {Object} dbLink - Share link row from database
+ * @returns {Object} App-formatted share link
+ */
+const convertShareLinkFromDatabase = (dbLink) => ({
+  id: dbLink.id,
+  trialId: dbLink.trial_id,
+  token: dbLink.token,
+  label: dbLink.label,
+  created: dbLink.created_at,
+  expiresAt: dbLink.expires_at,
+  revokedAt: dbLink.revoked_at,
+  active: !dbLink.revoked_at && new Date(dbLink.expires_at) > new Date()
+});
+
+/**
+ * Convert a trial_audit_log row to app format
+ * @param {Object} dbEntry - Audit row from database
+ * @returns {Object} App-formatted audit entry
+ */
+const convertAuditEntryFromDatabase = (dbEntry) => ({
+  id: dbEntry.id,
+  trialId: dbEntry.trial_id,
+  changeType: dbEntry.change_type,
+  plotId: dbEntry.plot_id,
+  date: dbEntry.assessment_date,
+  assessmentType: dbEntry.assessment_type,
+  treatmentIndex: dbEntry.treatment_index,
+  oldValue: dbEntry.old_value,
+  newValue: dbEntry.new_value,
+  userId: dbEntry.user_id,
+  userEmail: dbEntry.user_email,
+  editedAt: dbEntry.edited_at,
+  changedAt: dbEntry.changed_at
+});
+
+/**
+ * Convert a trial_snapshots row to app format
+ * @param {Object} dbSnapshot - Snapshot row from database
+ * @returns {Object} App-formatted snapshot (data only when it was selected)
+ */
+const convertSnapshotFromDatabase = (dbSnapshot) => ({
+  id: dbSnapshot.id,
+  trialId: dbSnapshot.trial_id,
+  name: dbSnapshot.name,
+  createdBy: dbSnapshot.created_by,
+  createdByEmail: dbSnapshot.created_by_email,
+  created: dbSnapshot.created_at,
+  data: dbSnapshot.data
+});
+
+/**
+ * Convert an import_templates row to app format
+ * @param {Object} dbTemplate - Template row from database
+ * @returns {Object} App-formatted template
+ */
+const convertImportTemplateFromDatabase = (dbTemplate) => ({
+  id: dbTemplate.id,
+  name: dbTemplate.name,
+  mapping: dbTemplate.mapping,
+  created: dbTemplate.created_at,
+  updated: dbTemplate.updated_at
+});
+
 /**
  * Normalize date string to YYYY-MM-DD format
  * Handles both UK (DD/MM/YYYY) and US (MM/DD/YYYY) formats
@@ -289,6 +1393,7 @@ const convertFromDatabase = (dbTrial) => {
     clientSponsor: dbTrial.client_sponsor,
     contactInfo: dbTrial.contact_info,
     metadata: dbTrial.metadata || {},
+    ownerId: dbTrial.user_id,
     created: dbTrial.created_at,
     lastModified: dbTrial.last_modified
   };
@@ -334,7 +1439,7 @@ export const migrateFromLocalStorage = async (localTrials) => {
 };
 
 // =====================================================
-// REALTIME SUBSCRIPTIONS (Optional Enhancement)
+// REALTIME SUBSCRIPTIONS
 // =====================================================
 
 /**
@@ -362,3 +1467,164 @@ export const subscribeToTrials = (callback) => {
     unsubscribe: () => subscription.unsubscribe()
   };
 };
+
+// Trial row fields a colleague's save replaces outright, and those merged key by key
+const REMOTE_SETTINGS_FIELDS = ['config', 'gridLayout', 'orientation', 'layoutLocked'];
+const REMOTE_KEYED_FIELDS = ['notes', 'photos'];
+
+/**
+ * Compare two JSON values, ignoring key order (jsonb columns come back
+ * with their keys reordered)
+ */
+const sameJson = (a, b) => {
+  if (a === b) return true;
+  if (a === null || b === null || typeof a !== 'object' || typeof b !== 'object') return false;
+  if (Array.isArray(a) !== Array.isArray(b)) return false;
+
+  const keys = Object.keys(a);
+  if (keys.length !== Object.keys(b).length) return false;
+  return keys.every(key => Object.prototype.hasOwnProperty.call(b, key) && sameJson(a[key], b[key]));
+};
+
+/**
+ * Merge a trial saved on another device into the open copy. Settings the
+ * colleague changed replace ours. Notes and photos are merged by key: keys
+ * they changed or removed take their version, and every other key keeps
+ * ours, so unsaved local notes and photos survive.
+ * @param {Object} base - Trial fields as last saved or received by this device
+ * @param {Object} local - Trial fields currently open
+ * @param {Object} remote - Trial fields from the colleague's save
+ * @returns {Object} Only the fields that need updating locally
+ */
+export const mergeRemoteTrial = (base, local, remote) => {
+  const updates = {};
+
+  REMOTE_SETTINGS_FIELDS.forEach(field => {
+    if (!sameJson(base[field], remote[field])) {
+      updates[field] = remote[field];
+    }
+  });
+
+  REMOTE_KEYED_FIELDS.forEach(field => {
+    const before = base[field] || {};
+    const after = remote[field] || {};
+    if (sameJson(before, after)) return;
+
+    const merged = { ...(local[field] || {}) };
+    new Set([...Object.keys(before), ...Object.keys(after)]).forEach(key => {
+      if (sameJson(before[key], after[key])) return;
+      if (after[key] === undefined) {
+        delete merged[key];
+      } else {
+        merged[key] = after[key];
+      }
+    });
+    updates[field] = merged;
+  });
+
+  return updates;
+};
+
+/**
+ * Subscribe to plot value changes for one trial, including a colleague's
+ * edits from another device
+ * @param {string} trialId - Trial UUID
+ * @param {Function} callback - Called with { date, assessmentType, plotId, value, entered, deleted, authorId, authorEmail, updatedAt }
+ * @returns {Object} Subscription object with unsubscribe method
+ */
+export const subscribeToObservations = (trialId, callback) => {
+  const subscription = supabase
+    .channel(`plot-observations-${trialId}`)
+    .on(
+      'postgres_changes',
+      {
+        event: '*',
+        schema: 'public',
+        table: 'plot_observations',
+        filter: `trial_id=eq.${trialId}`
+      },
+      (payload) => {
+        const deleted = payload.eventType === 'DELETE';
+        const row = deleted ? payload.old : payload.new;
+        if (!row?.plot_id) return;
+
+        callback({
+          date: normalizeDateFormat(row.assessment_date),
+          assessmentType: row.assessment_type,
+          plotId: row.plot_id,
+          value: deleted ? '' : (row.value ?? ''),
+          entered: deleted ? false : row.entered,
+          deleted,
+          authorId: row.author_id,
+          authorEmail: row.author_email,
+          updatedAt: row.updated_at
+        });
+      }
+    )
+    .subscribe();
+
+  return {
+    unsubscribe: () => subscription.unsubscribe()
+  };
+};
+
+/**
+ * Join the presence channel for a trial so collaborators can see
+ * which plot each other is working on
+ * @param {string} trialId - Trial UUID
+ * @param {Object} user - Authenticated Supabase user
+ * @param {Function} onChange - Called with other collaborators' presence states
+ * @returns {Object} { update(state), leave() }
+ */
+export const joinTrialPresence = (trialId, user, onChange) => {
+  const channel = supabase.channel(`trial-presence-${trialId}`, {
+    config: { presence: { key: user.id } }
+  });
+
+  const baseState = {
+    userId: user.id,
+    email: user.email,
+    name: getDisplayName(user)
+  };
+  let currentState = { ...baseState };
+
+  channel
+    .on('presence', { event: 'sync' }, () => {
+      const presenceState = channel.presenceState();
+      const others = Object.entries(presenceState)
+        .filter(([key]) => key !== user.id)
+        .map(([, states]) => states[states.length - 1])
+        .filter(Boolean);
+      onChange(others);
+    })
+    .subscribe(async (status) => {
+      if (status === 'SUBSCRIBED') {
+        await channel.track(currentState);
+      }
+    });
+
+  return {
+    update: (state) => {
+      currentState = { ...baseState, ...state };
+      channel.track(currentState);
+    },
+    leave: () => {
+      channel.untrack();
+      supabase.removeChannel(channel);
+    }
+  };
+};
+
+/**
+ * Friendly name for a user, e.g. "sam.jones@stri.co.uk" -> "Sam"
+ * @param {Object} user - Supabase user or presence state
+ * @returns {string} Display name
+ */
+export const getDisplayName = (user) => {
+  if (user?.user_metadata?.full_name) return user.user_metadata.full_name;
+  if (user?.name) return user.name;
+
+  const localPart = (user?.email || '').split('@')[0].split(/[._-]/)[0];
+  if (!localPart) return 'A colleague';
+  return localPart.charAt(0).toUpperCase() + localPart.slice(1);
+};
@@ -0,0 +1,162 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { getTrial, saveTrial, mergeRemoteTrial } from './database';
+
+// Supabase client that records writes; every query resolves to the
+// response set for its table
+const db = vi.hoisted(() => ({ user: null, role: null, writes: [], rows: {} }));
+
+vi.mock('./supabase', () => {
+  const query = (table) => {
+    const builder = {};
+    ['select', 'eq', 'in', 'order', 'range', 'single'].forEach(method => {
+      builder[method] = () => builder;
+    });
+    ['insert', 'update', 'upsert', 'delete'].forEach(method => {
+      builder[method] = (values) => {
+        db.writes.push({ table, method, values });
+        return builder;
+      };
+    });
+    builder.then = (resolve) => resolve({ data: db.rows[table], error: null });
+    return builder;
+  };
+  return {
+    supabase: {
+      auth: {
+        getUser: async () => ({ data: { user: db.user } }),
+        getSession: async () => ({ data: { session: { user: db.user } } })
+      },
+      from: query
+    }
+  };
+});
+
+vi.spyOn(console, 'error').mockImplementation(() => {});
+
+const OWNER_ID = 'owner-id';
+
+const trial = (role) => ({
+  id: 'trial-1',
+  role,
+  name: 'Wheat 2025',
+  config: { trialName: 'Wheat 2025', treatments: ['A', 'B'], assessmentTypes: [{ name: 'Septoria', min: 0, max: 100 }] },
+  gridLayout: [[{ id: '1-1', block: 1, treatment: 0 }, { id: '1-2', block: 1, treatment: 1 }]],
+  orientation: 0,
+  layoutLocked: true,
+  assessmentDates: [{ date: '2025-06-01', assessments: { Septoria: { '1-1': { value: '5', entered: true } } } }],
+  photos: { '2025-06-01_1-1': ['a.jpg'] },
+  notes: { '2025-06-01_Septoria': 'Wet' },
+  lastModified: '2025-06-01T10:00:00.000Z'
+});
+
+const signInAs = (id, role) => {
+  db.user = { id, email: `${id}@example.com` };
+  db.rows = {
+    trials: { id: 'trial-1', user_id: OWNER_ID, config: {}, grid_layout: [], assessment_dates: [] },
+    trial_members: [{ trial_id: 'trial-1', role, user_id: id, email: db.user.email }],
+    plot_observations: []
+  };
+};
+
+const trialUpdate = () => db.writes.find(w => w.table === 'trials' && w.method === 'update').values;
+
+beforeEach(() => {
+  db.writes = [];
+});
+
+describe('saveTrial', () => {
+  it('sends only the data columns for an assessor', async () => {
+    signInAs('assessor-id', 'assessor');
+    await saveTrial('trial-1', trial('assessor'));
+
+    const update = trialUpdate();
+    expect(Object.keys(update).sort()).toEqual(['assessment_dates', 'last_modified', 'notes', 'photos']);
+    expect(update).not.toHaveProperty('config');
+    expect(update).not.toHaveProperty('grid_layout');
+    // Values go to plot_observations, not the trial row
+    expect(update.assessment_dates).toEqual([{ date: '2025-06-01', assessments: { Septoria: {} } }]);
+    expect(update.notes).toEqual({ '2025-06-01_Septoria': 'Wet' });
+  });
+
+  it('sends settings for an editor', async () => {
+    signInAs('editor-id', 'editor');
+    await saveTrial('trial-1', trial('editor'));
+
+    const update = trialUpdate();
+    expect(update).toMatchObject({
+      name: 'Wheat 2025',
+      orientation: 0,
+      layout_locked: true,
+      config: trial('editor').config,
+      grid_layout: trial('editor').gridLayout
+    });
+    expect(update).not.toHaveProperty('user_id');
+    expect(update).not.toHaveProperty('id');
+  });
+});
+
+describe('getTrial', () => {
+  it('puts observations on a legacy date into that date', async () => {
+    signInAs(OWNER_ID, 'owner');
+    db.rows.trials = {
+      id: 'trial-1',
+      user_id: OWNER_ID,
+      config: {},
+      grid_layout: [[{ id: '1-1' }]],
+      assessment_dates: [{ date: '15/06/2025', assessments: { Septoria: {} } }]
+    };
+    db.rows.plot_observations = [
+      { assessment_date: '2025-06-15', assessment_type: 'Septoria', plot_id: '1-1', value: '5', entered: true }
+    ];
+
+    const loaded = await getTrial('trial-1');
+    expect(loaded.assessmentDates).toEqual([
+      { date: '2025-06-15', assessments: { Septoria: { '1-1': { value: '5', entered: true } } } }
+    ]);
+  });
+});
+
+describe('mergeRemoteTrial', () => {
+  const base = {
+    config: { trialName: 'Wheat 2025', treatments: ['A', 'B'] },
+    gridLayout: [[{ id: '1-1', treatment: 0 }]],
+    orientation: 0,
+    layoutLocked: true,
+    notes: { '2025-06-01_Septoria': 'Wet', '2025-06-08_Septoria': 'Dry' },
+    photos: { '2025-06-01_1-1': ['a.jpg'] }
+  };
+
+  it('ignores our own save echoing back, whatever its key order', () => {
+    const echo = { ...base, config: { treatments: ['A', 'B'], trialName: 'Wheat 2025' } };
+    const local = { ...base, notes: { ...base.notes, '2025-06-15_Septoria': 'Unsaved' } };
+    expect(mergeRemoteTrial(base, local, echo)).toEqual({});
+  });
+
+  it("takes a colleague's settings", () => {
+    const remote = { ...base, config: { ...base.config, treatments: ['Control', 'B'] }, layoutLocked: false };
+    expect(mergeRemoteTrial(base, base, remote)).toEqual({
+      config: remote.config,
+      layoutLocked: false
+    });
+  });
+
+  it("merges a colleague's notes and photos with ours by key", () => {
+    const local = {
+      ...base,
+      notes: { ...base.notes, '2025-06-15_Septoria': 'Unsaved' },
+      photos: { '2025-06-01_1-1': ['a.jpg', 'b.jpg'] }
+    };
+    const remote = {
+      ...base,
+      notes: { '2025-06-01_Septoria': 'Wet, rain overnight' },
+      photos: { ...base.photos, '2025-06-01_1-2': ['c.jpg'] }
+    };
+
+    expect(mergeRemoteTrial(base, local, remote)).toEqual({
+      // Their edit and deletion, our unsaved note
+      notes: { '2025-06-01_Septoria': 'Wet, rain overnight', '2025-06-15_Septoria': 'Unsaved' },
+      // Their new plot photo, our unsaved photo
+      photos: { '2025-06-01_1-1': ['a.jpg', 'b.jpg'], '2025-06-01_1-2': ['c.jpg'] }
+    });
+  });
+});
@@ -0,0 +1,264 @@
+/**
+ * Offline store for trial data
+ * Keeps a local IndexedDB copy of every trial plus a queue of edits
+ * that have not yet reached Supabase
+ */
+
+const DB_NAME = 'trial-data-tool';
+const DB_VERSION = 1;
+
+export const STORES = {
+  TRIALS: 'trials',
+  SYNC_QUEUE: 'syncQueue',
+  SYNC_STATUS: 'syncStatus'
+};
+
+let dbPromise = null;
+
+// =====================================================
+// CONNECTION HELPERS
+// =====================================================
+
+/**
+ * Check whether IndexedDB is usable in this browser
+ * @returns {boolean} True if IndexedDB is available
+ */
+export const isOfflineStoreAvailable = () => {
+  return typeof indexedDB !== 'undefined';
+};
+
+/**
+ * Open (and upgrade if needed) the local database
+ * @returns {Promise<IDBDatabase>} Open database connection
+ */
+const openDatabase = () => {
+  if (dbPromise) return dbPromise;
+
+  dbPromise = new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+    request.onupgradeneeded = () => {
+      const db = request.result;
+
+      if (!db.objectStoreNames.contains(STORES.TRIALS)) {
+        db.createObjectStore(STORES.TRIALS, { keyPath: 'id' });
+      }
+
+      if (!db.objectStoreNames.contains(STORES.SYNC_QUEUE)) {
+        const queue = db.createObjectStore(STORES.SYNC_QUEUE, { keyPath: 'seq', autoIncrement: true });
+        queue.createIndex('trialId', 'trialId', { unique: false });
+      }
+
+      if (!db.objectStoreNames.contains(STORES.SYNC_STATUS)) {
+        db.createObjectStore(STORES.SYNC_STATUS, { keyPath: 'trialId' });
+      }
+    };
+
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => {
+      dbPromise = null;
+      reject(request.error);
+    };
+  });
+
+  return dbPromise;
+};
+
+/**
+ * Run an operation inside a transaction and resolve once it commits
+ * @param {string|string[]} storeNames - Object store(s) to open
+ * @param {IDBTransactionMode} mode - 'readonly' or 'readwrite'
+ * @param {Function} operation - Receives the transaction, returns an IDBRequest or value
+ * @returns {Promise<any>} Result of the operation's request
+ */
+const withTransaction = async (storeNames, mode, operation) => {
+  const db = await openDatabase();
+
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeNames, mode);
+    let result;
+
+    const request = operation(tx);
+    if (request && typeof request === 'object' && 'onsuccess' in request) {
+      request.onsuccess = () => {
+        result = request.result;
+      };
+    } else {
+      result = request;
+    }
+
+    tx.oncomplete = () => resolve(result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+};
+
+// =====================================================
+// LOCAL TRIAL CACHE
+// =====================================================
+
+/**
+ * Get all locally cached trials
+ * @returns {Promise<Object>} Trials object keyed by ID
+ */
+export const getLocalTrials = async () => {
+  try {
+    const list = await withTransaction(STORES.TRIALS, 'readonly', tx =>
+      tx.objectStore(STORES.TRIALS).getAll()
+    );
+
+    const trialsObject = {};
+    (list || []).forEach(trial => {
+      trialsObject[trial.id] = trial;
+    });
+    return trialsObject;
+  } catch (error) {
+    console.error('[offlineStore] Error reading local trials:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get a single locally cached trial
+ * @param {string} trialId - Trial UUID
+ * @returns {Promise<Object|undefined>} Trial data, if cached
+ */
+export const getLocalTrial = async (trialId) => {
+  return withTransaction(STORES.TRIALS, 'readonly', tx =>
+    tx.objectStore(STORES.TRIALS).get(trialId)
+  );
+};
+
+/**
+ * Write one or more trials to the local cache
+ * @param {Object|Object[]} trials - Trial(s) in app format
+ * @returns {Promise<void>}
+ */
+export const putLocalTrials = async (trials) => {
+  const list = Array.isArray(trials) ? trials : [trials];
+
+  try {
+    await withTransaction(STORES.TRIALS, 'readwrite', tx => {
+      const store = tx.objectStore(STORES.TRIALS);
+      list.forEach(trial => store.put(trial));
+    });
+  } catch (error) {
+    console.error('[offlineStore] Error caching trials:', error);
+    throw error;
+  }
+};
+
+/**
+ * Remove a trial and everything queued for it from the local store
+ * @param {string} trialId - Trial UUID
+ * @returns {Promise<void>}
+ */
+export const deleteLocalTrial = async (trialId) => {
+  await withTransaction(
+    [STORES.TRIALS, STORES.SYNC_QUEUE, STORES.SYNC_STATUS],
+    'readwrite',
+    tx => {
+      tx.objectStore(STORES.TRIALS).delete(trialId);
+      tx.objectStore(STORES.SYNC_STATUS).delete(trialId);
+
+      const cursorRequest = tx.objectStore(STORES.SYNC_QUEUE)
+        .index('trialId')
+        .openCursor(IDBKeyRange.only(trialId));
+      cursorRequest.onsuccess = () => {
+        const cursor = cursorRequest.result;
+        if (cursor) {
+          cursor.delete();
+          cursor.continue();
+        }
+      };
+    }
+  );
+};
+
+// =====================================================
+// SYNC QUEUE
+// =====================================================
+
+/**
+ * Append a change to the sync queue
+ * @param {Object} change - { type, trialId, payload }
+ * @returns {Promise<number>} Sequence number of the queued change
+ */
+export const enqueueChange = async (change) => {
+  return withTransaction(STORES.SYNC_QUEUE, 'readwrite', tx =>
+    tx.objectStore(STORES.SYNC_QUEUE).add({
+      ...change,
+      queuedAt: new Date().toISOString()
+    })
+  );
+};
+
+/**
+ * Get queued changes in the order they were recorded
+ * @param {string} [trialId] - Only return changes for this trial
+ * @returns {Promise<Object[]>} Queued changes sorted by sequence number
+ */
+export const getQueuedChanges = async (trialId) => {
+  const changes = await withTransaction(STORES.SYNC_QUEUE, 'readonly', tx => {
+    const store = tx.objectStore(STORES.SYNC_QUEUE);
+    return trialId
+      ? store.index('trialId').getAll(IDBKeyRange.only(trialId))
+      : store.getAll();
+  });
+
+  return (changes || []).sort((a, b) => a.seq - b.seq);
+};
+
+/**
+ * Remove changes from the queue once they have been replayed
+ * @param {number[]} seqs - Sequence numbers to remove
+ * @returns {Promise<void>}
+ */
+export const removeQueuedChanges = async (seqs) => {
+  if (!seqs || seqs.length === 0) return;
+
+  await withTransaction(STORES.SYNC_QUEUE, 'readwrite', tx => {
+    const store = tx.objectStore(STORES.SYNC_QUEUE);
+    seqs.forEach(seq => store.delete(seq));
+  });
+};
+
+// =====================================================
+// SYNC STATUS
+// =====================================================
+
+/**
+ * Get the sync status of every trial that has one recorded
+ * @returns {Promise<Object>} Status records keyed by trial ID
+ */
+export const getSyncStatuses = async () => {
+  const list = await withTransaction(STORES.SYNC_STATUS, 'readonly', tx =>
+    tx.objectStore(STORES.SYNC_STATUS).getAll()
+  );
+
+  const statuses = {};
+  (list || []).forEach(entry => {
+    statuses[entry.trialId] = entry;
+  });
+  return statuses;
+};
+
+/**
+ * Record the sync status of a trial
+ * @param {string} trialId - Trial UUID
+ * @param {Object} status - { status, error, lastSynced }
+ * @returns {Promise<Object>} Stored status record
+ */
+export const setSyncStatus = async (trialId, status) => {
+  const record = {
+    trialId,
+    ...status,
+    updatedAt: new Date().toISOString()
+  };
+
+  await withTransaction(STORES.SYNC_STATUS, 'readwrite', tx =>
+    tx.objectStore(STORES.SYNC_STATUS).put(record)
+  );
+
+  return record;
+};
@@ -0,0 +1,316 @@
+import { jStat } from 'jstat';
+import { fitLinearModel, leastSquaresMeans, predict, covariateCoefficient } from '../utils/linearModel';
+import { DESIGN_TYPES } from '../utils/experimentalDesigns';
+import {
+  getModelTerms,
+  termLabel,
+  fProbability,
+  factorKey,
+  addDesignFactors,
+  collectObservations
+} from '../utils/designAnalysis';
+import { TRANSFORMS } from '../utils/transforms';
+import { addSpatialCovariates } from '../utils/spatial';
+import { getComparisonSettings, compareTreatments } from '../utils/multipleComparisons';
+
+/**
+ * Statistics engine shared by the analysis and presentation views
+ *
+ * Input is long-format: one observation per plot with its block, row,
+ * column, treatment index and value. The trial config supplies the design
+ * (RCBD, CRD, Latin square, incomplete block or split-plot, optionally
+ * factorial), which picks the linear model from designAnalysis.getModelTerms.
+ * The model is fitted by least squares, so missing plots and unbalanced data
+ * are handled without special cases.
+ *
+ * The analysis returned has:
+ * - anova: { sources: [{ term, source, df, ss, ms, f, p }], pValue, significant,
+ *   dfResidual, msResidual, ... } with pValue from the headline treatment test
+ * - treatmentStats: [{ treatment, treatmentName, mean, backTransformedMean,
+ *   stdError, n, values, estimated, group }] least-squares means with
+ *   comparison groups (letters, or * / ns / control for Dunnett)
+ * - standardErrors: { ese, sed, lsd, replicates } (l.s.d. at 5%, null without residual d.f.)
+ * - comparison: the full compareTreatments result for the trial's procedure
+ * - factorialEffects, estimatedPlots, residuals, covariate, spatial, grandMean
+ */
+
+/**
+ * Analyse long-format observations under a trial's design
+ * @param {Object[]} observations - One per plot: { plotId, block, row, column, treatment, value },
+ *   value null for a missing plot. treatment is the index into config.treatments.
+ * @param {Object} config - Trial config: design, treatments, factors and the comparison settings
+ * @param {Object} options - { transform } key of TRANSFORMS to analyse on (default 'none'),
+ *   { covariate } { values: { plotId: number }, label } for analysis of covariance (not for split-plots),
+ *   { spatial } key of SPATIAL_METHODS for field-trend adjustment (not for split-plots),
+ *   { comparison } { method, alpha, controlTreatment } (default: the trial's settings)
+ * @returns {Object|null} Analysis (see above) or null with no data
+ */
+export const analyseObservations = (observations, config, { transform = 'none', covariate = null, spatial = 'none', comparison = null } = {}) => {
+  const model = getModelTerms(config);
+  if (!model) return null;
+  const { design, factors, factorTerms: treatmentTerms } = model;
+  const useCovariate = Boolean(covariate) && design.type !== DESIGN_TYPES.SPLIT_PLOT;
+  const spatialMethod = design.type !== DESIGN_TYPES.SPLIT_PLOT ? spatial : 'none';
+
+  // Analyse on the transformed scale; values the transform can't take count as missing
+  const { apply, back } = TRANSFORMS[transform] || TRANSFORMS.none;
+  const transformedPlots = observations
+    .map(o => addDesignFactors(config, o))
+    .map(o => {
+      const value = o.value === null ? null : apply(o.value);
+      const covariateValue = useCovariate ? covariate.values[o.plotId] : undefined;
+      return {
+        ...o,
+        raw: o.value,
+        value: Number.isFinite(value) ? value : null,
+        ...(useCovariate && { covariate: Number.isFinite(covariateValue) ? covariateValue : null })
+      };
+    });
+  const { plots: allPlots, terms: spatialTerms } = addSpatialCovariates(transformedPlots, spatialMethod);
+
+  // ANCOVA and spatial covariates are fitted after the blocking terms, so treatments are adjusted for them
+  const covariates = [...(useCovariate ? ['covariate'] : []), ...spatialTerms];
+  const firstTreatmentTerm = model.terms.indexOf(model.treatmentTerms[0]);
+  const terms = [...model.terms.slice(0, firstTreatmentTerm), ...covariates, ...model.terms.slice(firstTreatmentTerm)];
+  // Plots without a covariate value can't be used in the covariance analysis
+  const withoutCovariate = useCovariate ? allPlots.filter(o => o.value !== null && o.covariate === null).length : 0;
+  const analysed = allPlots.filter(o => o.value !== null && (!useCovariate || o.covariate !== null));
+  const excluded = allPlots.filter(o => o.value === null && o.raw !== null).length;
+  if (analysed.length === 0) return null;
+
+  const fit = fitLinearModel(analysed, terms, { covariates });
+
+  // Missing plots get their least-squares fitted value (equivalent to Yates'
+  // missing-plot estimate). They are reported, not added to the data: the
+  // ANOVA and adjusted means come from the unbalanced fit itself.
+  const modelFactors = [...new Set(terms.filter(t => !covariates.includes(t)).flatMap(t => t.split(':')))];
+  const seenLevels = Object.fromEntries(modelFactors.map(f => [f, new Set(analysed.map(o => String(o[f])))]));
+  const estimatedPlots = allPlots
+    .filter(o => o.value === null)
+    .map(o => {
+      const estimable = modelFactors.every(f => seenLevels[f].has(String(o[f])));
+      return {
+        plotId: o.plotId,
+        block: o.block,
+        treatment: o.treatment,
+        treatmentName: config.treatments[o.treatment] || `Treatment ${o.treatment + 1}`,
+        value: estimable
+          ? back(predict(fit, {
+            ...Object.fromEntries(modelFactors.map(f => [f, String(o[f])])),
+            ...Object.fromEntries(covariates.map(c => [c, o[c]]))
+          }))
+          : null
+      };
+    });
+  const residual = fit.residual;
+  const isSplitPlot = design.type === DESIGN_TYPES.SPLIT_PLOT;
+  const mainPlotError = isSplitPlot ? fit.anova.find(a => a.term === 'block:main') : null;
+  // No l.s.d. without residual d.f.
+  const tResidual = residual.df > 0 ? jStat.studentt.inv(0.975, residual.df) : null;
+
+  // Main-plot factor is tested against the main-plot error; everything else against the residual
+  // Spatial covariates aliased with the blocking (e.g. row trend with rows as blocks) are left out
+  const sources = fit.anova.filter(a => a.df > 0 || !spatialTerms.includes(a.term)).map(({ term, df, ss, ms }) => {
+    const error = term === 'main' && mainPlotError?.df > 0 ? mainPlotError : residual;
+    const tested = term !== 'block:main';
+    const f = tested && error.ms > 0 ? ms / error.ms : null;
+    return {
+      term,
+      source: termLabel(design, term, factors),
+      df,
+      ss,
+      ms,
+      f,
+      p: f !== null ? fProbability(f, df, error.df) : null,
+      errorDf: error.df
+    };
+  });
+  // The covariate line is adjusted for treatments: refit with the covariate last
+  let covariateResult = null;
+  if (useCovariate) {
+    const adjusted = fitLinearModel(analysed, [...terms.filter(t => t !== 'covariate'), 'covariate'], { covariates })
+      .anova.find(a => a.term === 'covariate');
+    const source = sources.find(s => s.term === 'covariate');
+    const f = adjusted.df > 0 && residual.ms > 0 ? adjusted.ms / residual.ms : null;
+    Object.assign(source, { ss: adjusted.ss, ms: adjusted.ms, f, p: f !== null ? fProbability(f, adjusted.df, residual.df) : null });
+    covariateResult = {
+      label: covariate.label,
+      mean: analysed.reduce((sum, o) => sum + o.covariate, 0) / analysed.length,
+      coefficient: covariateCoefficient(fit, 'covariate'),
+      f,
+      p: source.p,
+      withoutCovariate
+    };
+  }
+  sources.push({ term: 'residual', source: 'Residual', df: residual.df, ss: residual.ss, ms: residual.ms, f: null, p: null });
+  sources.push({ term: 'total', source: 'Total', df: fit.total.df, ss: fit.total.ss, ms: null, f: null, p: null });
+
+  // Headline test: treatments, or the interaction for split-plots. For a
+  // factorial the factorial terms together span the treatment comparisons.
+  let headline = sources.find(s => s.term === (isSplitPlot ? 'main:sub' : 'treatment'));
+  if (factors.length > 0) {
+    const parts = sources.filter(s => treatmentTerms.includes(s.term));
+    const df = parts.reduce((sum, s) => sum + s.df, 0);
+    const ssTreatment = parts.reduce((sum, s) => sum + s.ss, 0);
+    const ms = df > 0 ? ssTreatment / df : 0;
+    const f = residual.ms > 0 ? ms / residual.ms : null;
+    headline = { df, ss: ssTreatment, ms, f, p: f !== null ? fProbability(f, df, residual.df) : null };
+  }
+  const numSub = design.subPlotFactor?.levels?.length || 1;
+
+  const cellTerm = isSplitPlot ? 'main:sub' : factors.length > 0 ? treatmentTerms[treatmentTerms.length - 1] : 'treatment';
+  const lsm = leastSquaresMeans(fit, cellTerm);
+  const treatmentStats = lsm.means.map(m => {
+    const treatment = isSplitPlot
+      ? Number(m.values.main) * numSub + Number(m.values.sub)
+      : factors.length > 0
+        ? factors.reduce((idx, factor, f) => idx * factor.levels.length + Number(m.values[factorKey(f)]), 0)
+        : Number(m.values.treatment);
+    return {
+      treatment,
+      treatmentName: config.treatments[treatment] || `Treatment ${treatment + 1}`,
+      mean: m.mean,
+      n: m.n,
+      backTransformedMean: back(m.mean),
+      values: analysed.filter(o => o.treatment === treatment).map(o => o.raw),
+      stdError: m.se,
+      estimated: estimatedPlots.filter(p => p.treatment === treatment).length
+    };
+  });
+
+  const replicates = treatmentStats.length > 0
+    ? treatmentStats.reduce((sum, t) => sum + t.n, 0) / treatmentStats.length
+    : 0;
+
+  let ese = treatmentStats.length > 0
+    ? treatmentStats.reduce((sum, t) => sum + t.stdError, 0) / treatmentStats.length
+    : 0;
+  let sed = lsm.averageSed;
+  let dfLsd = residual.df;
+
+  // Comparing main × sub means at different main-plot levels mixes both error
+  // strata: SED = √(2[(b-1)Eb + Ea] / rb), with Satterthwaite degrees of freedom
+  if (isSplitPlot && mainPlotError?.df > 0 && residual.df > 0) {
+    const r = new Set(analysed.map(o => o.block)).size;
+    const b = numSub;
+    const combined = ((b - 1) * residual.ms + mainPlotError.ms) / (r * b);
+    ese = Math.sqrt(combined);
+    sed = Math.sqrt(2 * combined);
+    const numerator = Math.pow((b - 1) * residual.ms + mainPlotError.ms, 2);
+    const denominator = Math.pow((b - 1) * residual.ms, 2) / residual.df +
+      Math.pow(mainPlotError.ms, 2) / mainPlotError.df;
+    dfLsd = denominator > 0 ? numerator / denominator : residual.df;
+    treatmentStats.forEach(t => { t.stdError = ese; });
+  }
+
+  const tCritical = dfLsd > 0 ? jStat.studentt.inv(0.975, dfLsd) : null;
+  const pValue = headline?.p ?? 1;
+
+  // Means, F-test and LSD for each main effect and interaction of a factorial
+  const factorialEffects = treatmentTerms.map(term => {
+    const source = sources.find(s => s.term === term);
+    const termMeans = leastSquaresMeans(fit, term);
+    const keys = term.split(':');
+    const byLevel = (a, b) => keys.reduce((c, key) => c || Number(a.values[key]) - Number(b.values[key]), 0);
+    return {
+      term,
+      source: source.source,
+      df: source.df,
+      f: source.f,
+      p: source.p,
+      significant: source.p !== null && source.p < 0.05,
+      sed: termMeans.averageSed,
+      lsd: tResidual !== null ? termMeans.averageSed * tResidual : null,
+      means: [...termMeans.means].sort(byLevel).map(m => ({
+        label: keys
+          .map(key => factors[parseInt(key.slice(1), 10)].levels[Number(m.values[key])])
+          .join(' × '),
+        mean: m.mean,
+        backTransformedMean: back(m.mean),
+        se: m.se,
+        n: m.n
+      }))
+    };
+  });
+
+  // Residuals for checking the model assumptions (on the analysed scale)
+  const residualPoints = analysed.map((o, i) => {
+    const leverage = fit.leverage[i];
+    const scale = residual.ms * (1 - leverage);
+    return {
+      plotId: o.plotId,
+      treatment: o.treatment,
+      block: o.block,
+      row: o.row,
+      column: o.column,
+      value: o.value,
+      fitted: fit.fitted[i],
+      residual: fit.residuals[i],
+      standardized: scale > 1e-12 ? fit.residuals[i] / Math.sqrt(scale) : null
+    };
+  });
+
+  const analysis = {
+    treatmentStats,
+    factorialEffects,
+    estimatedPlots,
+    residuals: residualPoints,
+    anova: {
+      sources,
+      ssTreatment: headline?.ss ?? 0,
+      dfTreatment: headline?.df ?? 0,
+      msTreatment: headline?.ms ?? 0,
+      fTreatment: headline?.f ?? 0,
+      ssResidual: residual.ss,
+      dfResidual: residual.df,
+      msResidual: residual.ms,
+      ssTotal: fit.total.ss,
+      dfTotal: fit.total.df,
+      pValue,
+      significant: pValue < 0.05
+    },
+    standardErrors: {
+      ese,
+      sed,
+      lsd: tCritical !== null ? sed * tCritical : null,
+      replicates
+    },
+    grandMean: fit.grandMean,
+    covariate: covariateResult,
+    spatial: spatialMethod,
+    transform,
+    excluded
+  };
+
+  // Comparison groups with the trial's procedure, from the same s.e.d. and d.f. as
+  // the l.s.d. (Satterthwaite d.f. for split-plot means at different main-plot levels)
+  const settings = comparison || getComparisonSettings(config);
+  const groups = compareTreatments(treatmentStats, {
+    ...settings,
+    sed,
+    df: dfLsd,
+    pValue
+  });
+
+  return {
+    ...analysis,
+    treatmentStats: groups.treatments,
+    comparison: groups
+  };
+};
+
+/**
+ * Analyse one date of one assessment type, straight from the trial's field grid
+ * @param {Object} config - Trial config (config.design picks the model)
+ * @param {Object[][]} gridLayout - Grid layout
+ * @param {Object} assessmentData - { plotId: { value, entered } }
+ * @param {Object} options - As for analyseObservations
+ * @returns {Object|null} Analysis or null with no data
+ */
+export const analyseDesign = (config, gridLayout, assessmentData, options = {}) => {
+  return analyseObservations(
+    collectObservations(config, gridLayout, assessmentData, { includeMissing: true }),
+    config,
+    options
+  );
+};
@@ -0,0 +1,297 @@
+import { describe, it, expect } from 'vitest';
+import { jStat } from 'jstat';
+import { analyseObservations } from './index';
+
+/**
+ * Reference analyses from published examples. Each dataset's ANOVA is given
+ * in the cited source; GenStat and R (aov / lm) give the same tables.
+ */
+
+const source = (stats, term) => stats.anova.sources.find(s => s.term === term);
+
+const expectMeans = (means, expected) => {
+  expect(means).toHaveLength(expected.length);
+  expected.forEach((value, idx) => expect(means[idx]).toBeCloseTo(value, 2));
+};
+
+// Observations for a two-way table values[treatment][block]
+const blockedObservations = (values) => values.flatMap((row, treatment) =>
+  row.map((value, b) => ({
+    plotId: `${b + 1}-${treatment + 1}`,
+    block: b + 1,
+    row: b + 1,
+    column: treatment + 1,
+    treatment,
+    value
+  }))
+);
+
+describe('RCBD', () => {
+  // Montgomery, Design and Analysis of Experiments (8th ed.), Example 4.1:
+  // vascular graft, 4 extrusion pressures in 6 batches of resin
+  const graft = [
+    [90.3, 89.2, 98.2, 93.9, 87.4, 97.9],
+    [92.5, 89.5, 90.6, 94.7, 87.0, 95.8],
+    [85.5, 90.8, 89.6, 86.2, 88.0, 93.4],
+    [82.5, 89.5, 85.6, 87.4, 78.9, 90.7]
+  ];
+  const config = { treatments: ['8500', '8700', '8900', '9100'], comparison: { method: 'tukey', alpha: 0.05 } };
+
+  it('matches the published ANOVA', () => {
+    const stats = analyseObservations(blockedObservations(graft), config);
+    expect(source(stats, 'treatment').ss).toBeCloseTo(178.17, 2);
+    expect(source(stats, 'block').ss).toBeCloseTo(192.25, 2);
+    expect(stats.anova.ssResidual).toBeCloseTo(109.89, 2);
+    expect(stats.anova.dfResidual).toBe(15);
+    expect(stats.anova.fTreatment).toBeCloseTo(8.11, 2);
+    expect(stats.anova.pValue).toBeCloseTo(0.0019, 4);
+  });
+
+  it('gives treatment means, s.e.d. and l.s.d.', () => {
+    const stats = analyseObservations(blockedObservations(graft), config);
+    expectMeans(stats.treatmentStats.map(t => t.mean), [92.82, 91.68, 88.92, 85.77]);
+    // s.e.d. = √(2 × 7.33 / 6)
+    expect(stats.standardErrors.sed).toBeCloseTo(Math.sqrt((2 * 109.89 / 15) / 6), 3);
+    expect(stats.standardErrors.lsd).toBeCloseTo(jStat.studentt.inv(0.975, 15) * stats.standardErrors.sed, 6);
+  });
+
+  it('groups means by Tukey HSD (q 4.08 at 4 means, 15 d.f.)', () => {
+    const stats = analyseObservations(blockedObservations(graft), config);
+    // HSD = q √(MSE / b) = 4.08 × √(7.33 / 6) = 4.51
+    expect(stats.comparison.criticalValue).toBeCloseTo(4.51, 1);
+    // 9100 differs from 8500 and 8700 only
+    expect(stats.treatmentStats.map(t => t.group)).toEqual(['a', 'a', 'ab', 'b']);
+  });
+});
+
+describe('RCBD with a missing plot', () => {
+  // Montgomery's graft data with pressure 8900 in batch 3 missing
+  const graft = [
+    [90.3, 89.2, 98.2, 93.9, 87.4, 97.9],
+    [92.5, 89.5, 90.6, 94.7, 87.0, 95.8],
+    [85.5, 90.8, null, 86.2, 88.0, 93.4],
+    [82.5, 89.5, 85.6, 87.4, 78.9, 90.7]
+  ];
+  const t = 4;
+  const b = 6;
+  const present = graft.flat().filter(v => v !== null);
+  const treatmentTotal = graft[2].filter(v => v !== null).reduce((sum, v) => sum + v, 0);
+  const blockTotal = graft.map(row => row[2]).filter(v => v !== null).reduce((sum, v) => sum + v, 0);
+  const grandTotal = present.reduce((sum, v) => sum + v, 0);
+  // Yates (1933): x = (tT + bB - G) / ((t - 1)(b - 1))
+  const yates = (t * treatmentTotal + b * blockTotal - grandTotal) / ((t - 1) * (b - 1));
+
+  // Residual sum of squares of a complete two-way table
+  const residualSs = (values) => {
+    const mean = values.flat().reduce((sum, v) => sum + v, 0) / (t * b);
+    const rowMeans = values.map(row => row.reduce((sum, v) => sum + v, 0) / b);
+    const colMeans = values[0].map((_, j) => values.reduce((sum, row) => sum + row[j], 0) / t);
+    return values.reduce((sum, row, i) =>
+      sum + row.reduce((s, v, j) => s + Math.pow(v - rowMeans[i] - colMeans[j] + mean, 2), 0), 0);
+  };
+
+  it("estimates the missing value by Yates' formula", () => {
+    const stats = analyseObservations(blockedObservations(graft), { treatments: ['8500', '8700', '8900', '9100'] });
+    expect(stats.estimatedPlots).toHaveLength(1);
+    expect(stats.estimatedPlots[0].plotId).toBe('3-3');
+    expect(stats.estimatedPlots[0].value).toBeCloseTo(yates, 6);
+  });
+
+  it('loses one residual d.f. and matches the residual s.s. with the estimate inserted', () => {
+    const stats = analyseObservations(blockedObservations(graft), { treatments: ['8500', '8700', '8900', '9100'] });
+    const completed = graft.map((row, i) => row.map((v, j) => (i === 2 && j === 2 ? yates : v)));
+    expect(stats.anova.dfResidual).toBe(14);
+    expect(stats.anova.ssResidual).toBeCloseTo(residualSs(completed), 6);
+    expect(stats.treatmentStats[2].estimated).toBe(1);
+  });
+});
+
+describe('Latin square', () => {
+  // Montgomery (8th ed.), Example 4.3: rocket propellant, 5 formulations
+  // in batches of raw material (rows) × operators (columns)
+  const square = [
+    'A24 B20 C19 D24 E24',
+    'B17 C24 D30 E27 A36',
+    'C18 D38 E26 A27 B21',
+    'D26 E31 A26 B23 C22',
+    'E22 A30 B20 C29 D31'
+  ];
+  const observations = square.flatMap((line, r) => line.split(' ').map((cell, c) => ({
+    plotId: `${r + 1}-${c + 1}`,
+    block: r + 1,
+    row: r + 1,
+    column: c + 1,
+    treatment: cell.charCodeAt(0) - 65,
+    value: Number(cell.slice(1))
+  })));
+  const config = { design: { type: 'latinSquare' }, treatments: ['A', 'B', 'C', 'D', 'E'] };
+
+  it('matches the published ANOVA', () => {
+    const stats = analyseObservations(observations, config);
+    expect(source(stats, 'treatment').ss).toBeCloseTo(330, 6);
+    expect(source(stats, 'row').ss).toBeCloseTo(68, 6);
+    expect(source(stats, 'column').ss).toBeCloseTo(150, 6);
+    expect(stats.anova.ssResidual).toBeCloseTo(128, 6);
+    expect(stats.anova.dfResidual).toBe(12);
+    expect(stats.anova.fTreatment).toBeCloseTo(7.73, 2);
+    expect(stats.anova.pValue).toBeCloseTo(0.0025, 4);
+  });
+});
+
+describe('Factorial', () => {
+  // Montgomery (8th ed.), Example 5.1: battery life, 3 materials × 3
+  // temperatures, 4 replicates, completely randomized
+  const battery = [
+    [[130, 155, 74, 180], [34, 40, 80, 75], [20, 70, 82, 58]],
+    [[150, 188, 159, 126], [136, 122, 106, 115], [25, 70, 58, 45]],
+    [[138, 110, 168, 160], [174, 120, 150, 139], [96, 104, 82, 60]]
+  ];
+  const observations = battery.flatMap((temperatures, m) => temperatures.flatMap((values, t) =>
+    values.map((value, rep) => ({
+      plotId: `${m}-${t}-${rep}`,
+      block: rep + 1,
+      row: rep + 1,
+      column: m * 3 + t + 1,
+      treatment: m * 3 + t,
+      value
+    }))
+  ));
+  const config = {
+    design: { type: 'crd' },
+    factors: [
+      { name: 'Material', levels: ['1', '2', '3'] },
+      { name: 'Temperature', levels: ['15', '70', '125'] }
+    ],
+    treatments: ['1', '2', '3'].flatMap(m => ['15', '70', '125'].map(t => `${m} × ${t}`))
+  };
+
+  it('matches the published ANOVA', () => {
+    const stats = analyseObservations(observations, config);
+    const material = source(stats, 'f0');
+    const temperature = source(stats, 'f1');
+    const interaction = source(stats, 'f0:f1');
+    expect(material.ss).toBeCloseTo(10683.72, 2);
+    expect(temperature.ss).toBeCloseTo(39118.72, 2);
+    expect(interaction.ss).toBeCloseTo(9613.78, 2);
+    expect(interaction.df).toBe(4);
+    expect(stats.anova.ssResidual).toBeCloseTo(18230.75, 2);
+    expect(stats.anova.dfResidual).toBe(27);
+    expect(material.f).toBeCloseTo(7.91, 2);
+    expect(temperature.f).toBeCloseTo(28.97, 2);
+    expect(interaction.f).toBeCloseTo(3.56, 2);
+    expect(interaction.p).toBeCloseTo(0.0186, 3);
+  });
+
+  it('gives main-effect means', () => {
+    const stats = analyseObservations(observations, config);
+    const material = stats.factorialEffects.find(e => e.term === 'f0');
+    expectMeans(material.means.map(m => m.mean), [83.17, 108.33, 125.08]);
+  });
+});
+
+describe('Split-plot', () => {
+  // Yates (1935) oats: 6 blocks, varieties on main plots, 4 nitrogen rates
+  // on sub-plots. Reference: R, aov(Y ~ N * V + Error(B / V), data = MASS::oats),
+  // and the GenStat oats example for the standard errors.
+  const oats = [
+    [[111, 130, 157, 174], [117, 114, 161, 141], [105, 140, 118, 156]],
+    [[61, 91, 97, 100], [70, 108, 126, 149], [96, 124, 121, 144]],
+    [[68, 64, 112, 86], [60, 102, 89, 96], [89, 129, 132, 124]],
+    [[74, 89, 81, 122], [64, 103, 132, 133], [70, 89, 104, 117]],
+    [[62, 90, 100, 116], [80, 82, 94, 126], [63, 70, 109, 99]],
+    [[53, 74, 118, 113], [89, 82, 86, 104], [97, 99, 119, 121]]
+  ];
+  const observations = oats.flatMap((varieties, b) => varieties.flatMap((rates, v) =>
+    rates.map((value, n) => ({
+      plotId: `${b + 1}-${v * 4 + n + 1}`,
+      block: b + 1,
+      row: b + 1,
+      column: v * 4 + n + 1,
+      treatment: v * 4 + n,
+      value
+    }))
+  ));
+  const design = {
+    type: 'splitPlot',
+    mainPlotFactor: { name: 'Variety', levels: ['Victory', 'Golden rain', 'Marvellous'] },
+    subPlotFactor: { name: 'Nitrogen', levels: ['0', '0.2', '0.4', '0.6'] }
+  };
+  const config = {
+    design,
+    treatments: design.mainPlotFactor.levels.flatMap(v => design.subPlotFactor.levels.map(n => `${v} × ${n}`)),
+    comparison: { method: 'lsd', alpha: 0.05 }
+  };
+
+  it('matches the published ANOVA in both strata', () => {
+    const stats = analyseObservations(observations, config);
+    expect(source(stats, 'block').ss).toBeCloseTo(15875.3, 1);
+    const variety = source(stats, 'main');
+    expect(variety.ss).toBeCloseTo(1786.4, 1);
+    expect(variety.errorDf).toBe(10);
+    expect(variety.f).toBeCloseTo(1.485, 3);
+    expect(variety.p).toBeCloseTo(0.2724, 4);
+    expect(source(stats, 'block:main').ss).toBeCloseTo(6013.3, 1);
+    const nitrogen = source(stats, 'sub');
+    expect(nitrogen.ss).toBeCloseTo(20020.5, 1);
+    expect(nitrogen.f).toBeCloseTo(37.686, 3);
+    const interaction = source(stats, 'main:sub');
+    expect(interaction.ss).toBeCloseTo(321.75, 2);
+    expect(interaction.f).toBeCloseTo(0.303, 3);
+    expect(interaction.p).toBeCloseTo(0.9322, 4);
+    expect(stats.anova.ssResidual).toBeCloseTo(7968.75, 2);
+    expect(stats.anova.dfResidual).toBe(45);
+  });
+
+  it('gives the s.e.d. for interaction means at different main-plot levels with Satterthwaite d.f.', () => {
+    const stats = analyseObservations(observations, config);
+    // GenStat: V × N s.e.d. 9.715 on 30.23 d.f. (different levels of V)
+    expect(stats.standardErrors.sed).toBeCloseTo(9.715, 3);
+    expect(stats.standardErrors.lsd).toBeCloseTo(jStat.studentt.inv(0.975, 30.23) * 9.715, 2);
+  });
+
+  it('compares means with the same d.f. as the l.s.d.', () => {
+    const stats = analyseObservations(observations, config);
+    expect(stats.comparison.criticalValue).toBeCloseTo(stats.standardErrors.lsd, 6);
+  });
+});
+
+describe('Analysis of covariance', () => {
+  // Montgomery (8th ed.), Example 15.5: breaking strength (y) of fibre from
+  // 3 machines, with diameter (x) as covariate
+  const machines = [
+    [[36, 20], [41, 25], [39, 24], [42, 25], [49, 32]],
+    [[40, 22], [48, 28], [39, 22], [45, 30], [44, 28]],
+    [[35, 21], [37, 23], [42, 26], [34, 21], [32, 15]]
+  ];
+  const observations = [];
+  const covariate = { values: {}, label: 'Diameter' };
+  machines.forEach((fibres, treatment) => fibres.forEach(([y, x], rep) => {
+    const plotId = `${treatment + 1}-${rep + 1}`;
+    observations.push({ plotId, block: rep + 1, row: rep + 1, column: treatment + 1, treatment, value: y });
+    covariate.values[plotId] = x;
+  }));
+  const config = { design: { type: 'crd' }, treatments: ['1', '2', '3'] };
+
+  it('matches the published adjusted ANOVA and means', () => {
+    const stats = analyseObservations(observations, config, { covariate });
+    expect(stats.anova.ssResidual).toBeCloseTo(27.99, 2);
+    expect(stats.anova.dfResidual).toBe(11);
+    expect(source(stats, 'treatment').ss).toBeCloseTo(13.28, 2);
+    expect(source(stats, 'treatment').f).toBeCloseTo(2.61, 2);
+    expect(stats.covariate.coefficient.estimate).toBeCloseTo(0.954, 3);
+    expectMeans(stats.treatmentStats.map(t => t.mean), [40.38, 41.42, 38.80]);
+  });
+});
+
+describe('Degenerate data', () => {
+  it('gives no l.s.d. without residual degrees of freedom', () => {
+    // One plot per treatment in a CRD: nothing left to estimate error
+    const observations = [5, 7, 9].map((value, treatment) => ({
+      plotId: `1-${treatment + 1}`, block: 1, row: 1, column: treatment + 1, treatment, value
+    }));
+    const stats = analyseObservations(observations, { design: { type: 'crd' }, treatments: ['A', 'B', 'C'] });
+    expect(stats.anova.dfResidual).toBe(0);
+    expect(stats.standardErrors.lsd).toBeNull();
+    expect(stats.comparison.criticalValue).toBeNull();
+  });
+});
@@ -0,0 +1,26 @@
+/**
+ * ARM descriptors of an assessment type, for the ARM export.
+ * Kept apart from armExport.js so the config editor doesn't load xlsx.
+ */
+
+/**
+ * ARM rating type of an assessment type (set in the trial config, or from its name)
+ * @param {Object} type - Assessment type
+ * @returns {string} e.g. 'QUALIT'
+ */
+export const getArmRatingType = (type) => {
+  if (type.ratingType) return type.ratingType;
+  return String(type.name || '').toUpperCase().replace(/[^A-Z0-9]/g, '').slice(0, 6);
+};
+
+/**
+ * ARM rating unit of an assessment type (set in the trial config, or from its scale)
+ * @param {Object} type - Assessment type
+ * @returns {string} e.g. '%' for 0-100, '1-9' for a 1-9 scale
+ */
+export const getArmRatingUnit = (type) => {
+  if (type.unit) return type.unit;
+  if (type.min === 0 && type.max === 100) return '%';
+  if (Number.isInteger(type.min) && Number.isInteger(type.max)) return `${type.min}-${type.max}`;
+  return 'NUMBER';
+};
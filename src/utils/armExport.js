@@ -0,0 +1,157 @@
+import * as XLSX from 'xlsx';
+import {
+  DESIGN_LABELS,
+  DESIGN_TYPES,
+  getDesign,
+  getTreatmentFactors,
+  getFactorLevels,
+  getSplitPlotLevels
+} from './experimentalDesigns';
+import { getArmRatingType, getArmRatingUnit } from './armDescriptors';
+
+/**
+ * Export a trial as an ARM-importable workbook
+ *
+ * ARM numbers plots by replicate: 101, 102, ... in replicate 1, 201, ... in
+ * replicate 2. Plot Data has one column per assessment date and type, with
+ * ARM's descriptor rows (rating date, rating type, rating unit) above the
+ * plot rows. Trial Info and Treatments sheets carry the protocol details.
+ */
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * ARM plot numbers: replicate × 100 + position within the replicate, in field order
+ * @param {Object[][]} gridLayout - Grid layout
+ * @returns {Object} { [plotId]: plotNumber }
+ */
+export const getArmPlotNumbers = (gridLayout) => {
+  const byBlock = {};
+  gridLayout.forEach(row => {
+    row.forEach(plot => {
+      if (plot.isBlank) return;
+      const block = plot.block || 1;
+      (byBlock[block] = byBlock[block] || []).push(plot);
+    });
+  });
+
+  // Replicates of 100 or more plots need another digit
+  const largest = Math.max(0, ...Object.values(byBlock).map(plots => plots.length));
+  const multiplier = Math.pow(10, Math.max(2, String(largest).length));
+
+  const numbers = {};
+  Object.keys(byBlock).sort((a, b) => a - b).forEach(block => {
+    byBlock[block].forEach((plot, idx) => {
+      numbers[plot.id] = Number(block) * multiplier + idx + 1;
+    });
+  });
+  return numbers;
+};
+
+// Excel date serial for an ISO date, shown as ARM shows dates (e.g. Jun-15-2025)
+const dateCell = (date) => {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(date);
+  if (!match) return date;
+  const days = (Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])) - Date.UTC(1899, 11, 30)) / MS_PER_DAY;
+  return { t: 'n', v: days, z: 'mmm-dd-yyyy' };
+};
+
+const hasValue = (v) => v?.entered && v.value !== '' && !isNaN(parseFloat(v.value));
+
+// Factors named in the Treatments sheet (split-plot main/sub, or factorial factors)
+const treatmentLevels = (config) => {
+  const design = getDesign(config);
+  if (design.type === DESIGN_TYPES.SPLIT_PLOT) {
+    const factors = [design.mainPlotFactor, design.subPlotFactor];
+    return {
+      names: factors.map(f => f?.name || ''),
+      levels: (idx) => {
+        const { main, sub } = getSplitPlotLevels(design, idx);
+        return [factors[0]?.levels?.[main] ?? '', factors[1]?.levels?.[sub] ?? ''];
+      }
+    };
+  }
+  const factors = getTreatmentFactors(config);
+  return {
+    names: factors.map(f => f.name),
+    levels: (idx) => getFactorLevels(factors, idx).map((level, f) => factors[f].levels[level])
+  };
+};
+
+/**
+ * Build the ARM workbook
+ * @param {Object} trial - { config, gridLayout, assessmentDates, trialistName, clientSponsor, contactInfo, metadata }
+ * @returns {Object} XLSX workbook
+ */
+export const buildArmWorkbook = (trial) => {
+  const { config, gridLayout = [], assessmentDates = [] } = trial;
+  const plotNumbers = getArmPlotNumbers(gridLayout);
+  const plots = gridLayout.flat()
+    .filter(plot => !plot.isBlank && plotNumbers[plot.id] !== undefined)
+    .sort((a, b) => plotNumbers[a.id] - plotNumbers[b.id]);
+
+  // One column per date and assessment type with any data
+  const columns = [];
+  [...assessmentDates]
+    .sort((a, b) => String(a.date).localeCompare(String(b.date)))
+    .forEach(dateObj => {
+      config.assessmentTypes.forEach(type => {
+        const data = dateObj.assessments?.[type.name];
+        if (data && plots.some(plot => hasValue(data[plot.id]))) {
+          columns.push({ date: dateObj.date, type, data });
+        }
+      });
+    });
+
+  const descriptor = (label, cell) => [label, '', '', ...columns.map(cell)];
+  const plotData = [
+    descriptor('Rating Date', c => dateCell(c.date)),
+    descriptor('Rating Type', c => getArmRatingType(c.type)),
+    descriptor('Rating Unit', c => getArmRatingUnit(c.type)),
+    descriptor('Description', c => c.type.name),
+    ['Plot', 'Trt', 'Rep', ...columns.map((_, idx) => idx + 1)],
+    ...plots.map(plot => [
+      plotNumbers[plot.id],
+      plot.treatment !== null && plot.treatment !== undefined ? plot.treatment + 1 : '',
+      plot.block || 1,
+      ...columns.map(c => (hasValue(c.data[plot.id]) ? parseFloat(c.data[plot.id].value) : ''))
+    ])
+  ];
+
+  const { names: factorNames, levels } = treatmentLevels(config);
+  const treatments = [
+    ['Trt No.', 'Treatment Name', ...factorNames],
+    ...config.treatments.map((name, idx) => [idx + 1, name, ...(factorNames.length > 0 ? levels(idx) : [])])
+  ];
+
+  const design = getDesign(config);
+  const metadata = Object.entries(trial.metadata || {})
+    .filter(([, value]) => value !== null && value !== undefined && value !== '')
+    .map(([key, value]) => [key, typeof value === 'object' ? JSON.stringify(value) : value]);
+  const info = [
+    ['Trial Name', config.trialName || ''],
+    ['Sponsor', trial.clientSponsor || ''],
+    ['Investigator', trial.trialistName || ''],
+    ['Contact', trial.contactInfo || ''],
+    ['Experimental Design', DESIGN_LABELS[design.type] || design.type],
+    ['Treatments', config.treatments.length],
+    ['Replicates', new Set(plots.map(plot => plot.block || 1)).size],
+    ...metadata,
+    ['Exported', new Date().toISOString().split('T')[0]]
+  ];
+
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(plotData), 'Plot Data');
+  XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(treatments), 'Treatments');
+  XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(info), 'Trial Info');
+  return workbook;
+};
+
+/**
+ * Download the ARM workbook
+ * @param {Object} trial - As for buildArmWorkbook
+ */
+export const exportArmWorkbook = (trial) => {
+  const name = (trial.config.trialName || 'trial').replace(/\s+/g, '_');
+  XLSX.writeFile(buildArmWorkbook(trial), `${name}_ARM.xlsx`);
+};
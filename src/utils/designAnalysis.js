@@ -0,0 +1,163 @@
+import { jStat } from 'jstat';
+import {
+  DESIGN_TYPES,
+  getDesign,
+  getSplitPlotLevels,
+  getTreatmentFactors,
+  getFactorLevels
+} from './experimentalDesigns';
+import { SPATIAL_TERM_LABELS } from './spatial';
+
+/**
+ * Model structure for the designs in experimentalDesigns.js, and for
+ * factorial treatment structures within them: the terms fitted, their
+ * labels, and the design factors of each observation. The analysis
+ * itself is in src/stats.
+ */
+
+// Model terms fitted for each design, in order
+const MODEL_TERMS = {
+  rcbd: ['block', 'treatment'],
+  crd: ['treatment'],
+  latinSquare: ['row', 'column', 'treatment'],
+  incompleteBlock: ['block', 'treatment'],
+  splitPlot: ['block', 'main', 'block:main', 'sub', 'main:sub']
+};
+
+// Factorial terms are named f0, f1, ... and f0:f1, ...
+export const factorKey = (idx) => `f${idx}`;
+
+const factorialTerms = (numFactors) => {
+  // Every subset of factors, main effects first, then two-way interactions, ...
+  const subsets = [];
+  for (let mask = 1; mask < (1 << numFactors); mask++) {
+    const members = [...Array(numFactors).keys()].filter(f => mask & (1 << f));
+    subsets.push(members);
+  }
+  return subsets
+    .sort((a, b) => a.length - b.length || a.join().localeCompare(b.join()))
+    .map(members => members.map(factorKey).join(':'));
+};
+
+/**
+ * Model terms for a trial's design and treatment structure
+ * @param {Object} config - Trial config
+ * @returns {Object|null} { design, factors, terms, factorTerms, treatmentTerms } or null for an unknown design.
+ *   treatmentTerms are the terms for treatment comparisons (as opposed to blocking)
+ */
+export const getModelTerms = (config) => {
+  const design = getDesign(config);
+  const designTerms = MODEL_TERMS[design.type];
+  if (!designTerms) return null;
+
+  // Factorial trials replace the single treatment term with main effects and interactions
+  const factors = getTreatmentFactors(config);
+  const factorTerms = factors.length > 0 ? factorialTerms(factors.length) : [];
+  const terms = factors.length > 0
+    ? [...designTerms.filter(t => t !== 'treatment'), ...factorTerms]
+    : designTerms;
+  const treatmentTerms = factors.length > 0
+    ? factorTerms
+    : design.type === DESIGN_TYPES.SPLIT_PLOT ? ['main', 'sub', 'main:sub'] : ['treatment'];
+
+  return { design, factors, terms, factorTerms, treatmentTerms };
+};
+
+/**
+ * Display name of a model term, e.g. 'f0:f1' -> 'Rate × Timing'
+ * @param {Object} design - Trial design
+ * @param {string} term - Model term
+ * @param {Object[]} factors - Treatment factors of a factorial
+ * @returns {string}
+ */
+export const termLabel = (design, term, factors = []) => {
+  const mainName = design.mainPlotFactor?.name || 'Main plot';
+  const subName = design.subPlotFactor?.name || 'Sub plot';
+  if (term.endsWith(':date')) {
+    return `${termLabel(design, term.slice(0, -':date'.length), factors)} × Date`;
+  }
+  if (/^f\d/.test(term)) {
+    return term.split(':')
+      .map(key => factors[parseInt(key.slice(1), 10)]?.name || key)
+      .join(' × ');
+  }
+  switch (term) {
+    case 'block': return 'Block';
+    case 'row': return 'Row';
+    case 'column': return 'Column';
+    case 'treatment': return 'Treatment';
+    case 'main': return mainName;
+    case 'block:main': return 'Main-plot error';
+    case 'sub': return subName;
+    case 'main:sub': return `${mainName} × ${subName}`;
+    case 'plot': return 'Whole-plot error';
+    case 'date': return 'Date';
+    case 'covariate': return 'Covariate';
+    default: return SPATIAL_TERM_LABELS[term] || term;
+  }
+};
+
+/**
+ * Upper-tail probability of an F ratio (1 when it can't be tested)
+ * @param {number} f - Variance ratio
+ * @param {number} df1 - Numerator degrees of freedom
+ * @param {number} df2 - Denominator degrees of freedom
+ * @returns {number}
+ */
+export const fProbability = (f, df1, df2) => {
+  if (!(df1 > 0 && df2 > 0 && f > 0)) return 1;
+  return 1 - jStat.centralF.cdf(f, df1, df2);
+};
+
+/**
+ * Add the factors a design's model needs, worked out from the treatment index:
+ * main and sub for split-plots, f0, f1, ... for factorial treatment structures
+ * @param {Object} config - Trial config
+ * @param {Object} observation - { treatment, ... }
+ * @returns {Object} Observation with the design factors added
+ */
+export const addDesignFactors = (config, observation) => {
+  const design = getDesign(config);
+  const result = { ...observation };
+  if (design.type === DESIGN_TYPES.SPLIT_PLOT) {
+    const levels = getSplitPlotLevels(design, observation.treatment);
+    result.main = levels.main;
+    result.sub = levels.sub;
+  }
+  getFactorLevels(getTreatmentFactors(config), observation.treatment).forEach((level, f) => {
+    result[factorKey(f)] = level;
+  });
+  return result;
+};
+
+/**
+ * Collect analysable plot values with their design factors
+ * @param {Object} config - Trial config
+ * @param {Object[][]} gridLayout - Grid layout
+ * @param {Object} assessmentData - { plotId: { value, entered } } for one date and type
+ * @param {Object} options - { includeMissing } also return plots with no value (value null)
+ * @returns {Object[]} Observations
+ */
+export const collectObservations = (config, gridLayout, assessmentData, { includeMissing = false } = {}) => {
+  const observations = [];
+
+  gridLayout.forEach((gridRow, rowIdx) => {
+    gridRow.forEach((plot, colIdx) => {
+      if (plot.isBlank || plot.treatment === null || plot.treatment === undefined) return;
+      const v = assessmentData[plot.id];
+      const hasValue = v?.entered && v.value !== '' && !isNaN(parseFloat(v.value));
+      if (!hasValue && !includeMissing) return;
+
+      observations.push(addDesignFactors(config, {
+        plotId: plot.id,
+        block: plot.block,
+        row: plot.row ?? rowIdx + 1,
+        column: plot.column ?? colIdx + 1,
+        treatment: plot.treatment,
+        value: hasValue ? parseFloat(v.value) : null
+      }));
+    });
+  });
+
+  return observations;
+};
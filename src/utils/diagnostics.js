@@ -0,0 +1,149 @@
+import { jStat } from 'jstat';
+
+/**
+ * Checks of the ANOVA assumptions on model residuals:
+ * normality (Shapiro-Wilk, Q-Q plot) and equal variances (Levene, Bartlett)
+ */
+
+const polynomial = (coefficients, x) => coefficients.reduce((sum, c, i) => sum + c * Math.pow(x, i), 0);
+
+const mean = (values) => values.reduce((sum, v) => sum + v, 0) / values.length;
+
+/**
+ * Shapiro-Wilk W test for normality (Royston 1992 approximation)
+ * @param {number[]} values - Sample, 3 to 5000 values
+ * @returns {Object|null} { w, p } or null if the test can't be run
+ */
+export const shapiroWilk = (values) => {
+  const n = values.length;
+  if (n < 3 || n > 5000) return null;
+
+  const x = [...values].sort((a, b) => a - b);
+  const xMean = mean(x);
+  const ssq = x.reduce((sum, v) => sum + (v - xMean) * (v - xMean), 0);
+  if (ssq <= 0) return null;
+
+  // Coefficients from expected normal order statistics
+  const m = x.map((_, i) => jStat.normal.inv((i + 1 - 0.375) / (n + 0.25), 0, 1));
+  const mm = m.reduce((sum, v) => sum + v * v, 0);
+  const a = new Array(n);
+
+  if (n === 3) {
+    a[0] = -Math.SQRT1_2;
+    a[1] = 0;
+    a[2] = Math.SQRT1_2;
+  } else {
+    const u = 1 / Math.sqrt(n);
+    const an = polynomial([0, 0.221157, -0.147981, -2.07119, 4.434685, -2.706056], u) + m[n - 1] / Math.sqrt(mm);
+    let phi;
+    let first = 1;
+    a[n - 1] = an;
+    a[0] = -an;
+    if (n > 5) {
+      const an1 = polynomial([0, 0.042981, -0.293762, -1.752461, 5.682633, -3.582633], u) + m[n - 2] / Math.sqrt(mm);
+      a[n - 2] = an1;
+      a[1] = -an1;
+      phi = (mm - 2 * m[n - 1] ** 2 - 2 * m[n - 2] ** 2) / (1 - 2 * an ** 2 - 2 * an1 ** 2);
+      first = 2;
+    } else {
+      phi = (mm - 2 * m[n - 1] ** 2) / (1 - 2 * an ** 2);
+    }
+    for (let i = first; i < n - first; i++) {
+      a[i] = m[i] / Math.sqrt(phi);
+    }
+  }
+
+  const numerator = a.reduce((sum, ai, i) => sum + ai * x[i], 0);
+  const w = Math.min(1, (numerator * numerator) / ssq);
+
+  let p;
+  if (n === 3) {
+    p = Math.max(0, Math.min(1, (6 / Math.PI) * (Math.asin(Math.sqrt(w)) - Math.asin(Math.sqrt(0.75)))));
+  } else if (n <= 11) {
+    const gamma = polynomial([-2.273, 0.459], n);
+    const mu = polynomial([0.544, -0.39978, 0.025054, -6.714e-4], n);
+    const sigma = Math.exp(polynomial([1.3822, -0.77857, 0.062767, -0.0020322], n));
+    const z = (-Math.log(gamma - Math.log(1 - w)) - mu) / sigma;
+    p = 1 - jStat.normal.cdf(z, 0, 1);
+  } else {
+    const ln = Math.log(n);
+    const mu = polynomial([-1.5861, -0.31082, -0.083751, 0.0038915], ln);
+    const sigma = Math.exp(polynomial([-0.4803, -0.082676, 0.0030302], ln));
+    const z = (Math.log(1 - w) - mu) / sigma;
+    p = 1 - jStat.normal.cdf(z, 0, 1);
+  }
+
+  return { w, p: Number.isFinite(p) ? p : 1 };
+};
+
+/**
+ * Levene's test for equal variances (absolute deviations from group means)
+ * @param {number[][]} groups - Values per group
+ * @returns {Object|null} { f, df1, df2, p } or null if the test can't be run
+ */
+export const leveneTest = (groups) => {
+  const used = groups.filter(g => g.length >= 2);
+  const k = used.length;
+  const n = used.reduce((sum, g) => sum + g.length, 0);
+  if (k < 2 || n - k < 1) return null;
+
+  const deviations = used.map(g => {
+    const gMean = mean(g);
+    return g.map(v => Math.abs(v - gMean));
+  });
+  const groupMeans = deviations.map(mean);
+  const grandMean = mean(deviations.flat());
+
+  const ssBetween = deviations.reduce((sum, d, i) => sum + d.length * (groupMeans[i] - grandMean) ** 2, 0);
+  const ssWithin = deviations.reduce((sum, d, i) => sum + d.reduce((s, v) => s + (v - groupMeans[i]) ** 2, 0), 0);
+  const df1 = k - 1;
+  const df2 = n - k;
+  if (ssWithin <= 0) return null;
+
+  const f = (ssBetween / df1) / (ssWithin / df2);
+  return { f, df1, df2, p: 1 - jStat.centralF.cdf(f, df1, df2) };
+};
+
+/**
+ * Bartlett's test for equal variances
+ * @param {number[][]} groups - Values per group
+ * @returns {Object|null} { chiSquare, df, p } or null if the test can't be run
+ */
+export const bartlettTest = (groups) => {
+  const used = groups.filter(g => g.length >= 2);
+  const k = used.length;
+  if (k < 2) return null;
+
+  const variances = used.map(g => {
+    const gMean = mean(g);
+    return g.reduce((sum, v) => sum + (v - gMean) ** 2, 0) / (g.length - 1);
+  });
+  if (variances.some(v => v <= 0)) return null;
+
+  const n = used.reduce((sum, g) => sum + g.length, 0);
+  const pooled = used.reduce((sum, g, i) => sum + (g.length - 1) * variances[i], 0) / (n - k);
+  const numerator = (n - k) * Math.log(pooled) -
+    used.reduce((sum, g, i) => sum + (g.length - 1) * Math.log(variances[i]), 0);
+  const correction = 1 + (used.reduce((sum, g) => sum + 1 / (g.length - 1), 0) - 1 / (n - k)) / (3 * (k - 1));
+  const chiSquare = numerator / correction;
+  const df = k - 1;
+
+  return { chiSquare, df, p: 1 - jStat.chisquare.cdf(chiSquare, df) };
+};
+
+/**
+ * Normal Q-Q points for residuals (Blom plotting positions)
+ * @param {number[]} values - Residuals (standardized for a reference line of y = x)
+ * @returns {Object[]} [{ theoretical, sample, index }] sorted by sample value
+ */
+export const normalQuantiles = (values) => {
+  const n = values.length;
+  return values
+    .map((value, index) => ({ value, index }))
+    .sort((a, b) => a.value - b.value)
+    .map((item, rank) => ({
+      theoretical: jStat.normal.inv((rank + 1 - 0.375) / (n + 0.25), 0, 1),
+      sample: item.value,
+      index: item.index
+    }));
+};
@@ -0,0 +1,90 @@
+import * as XLSX from 'xlsx';
+import { getArmPlotNumbers } from './armExport';
+
+/**
+ * Write a trial back out as an in-house assessment workbook ("WA Assessment
+ * Sheet" / "DS Curative" style), in the shape excelParser.js reads: one
+ * sheet per assessment date with metadata rows, a Block!/Plot!/Treat header
+ * row and one column per assessment type. A Trial Plan sheet lists the
+ * treatment names and assessment scales, which the parser reads back.
+ */
+
+// Characters Excel doesn't allow in sheet names
+const INVALID_SHEET_CHARS = /[:\\/?*[\]]/g;
+
+const sheetName = (date, used) => {
+  const base = String(date || 'Assessment').replace(INVALID_SHEET_CHARS, '-').slice(0, 28);
+  let name = base;
+  for (let n = 2; used.has(name.toLowerCase()); n++) name = `${base} ${n}`;
+  used.add(name.toLowerCase());
+  return name;
+};
+
+/**
+ * Build the assessment workbook
+ * @param {Object} trial - { config, gridLayout, assessmentDates, notes, trialistName, metadata }
+ * @returns {Object} XLSX workbook
+ */
+export const buildAssessmentWorkbook = (trial) => {
+  const { config, gridLayout = [], assessmentDates = [], notes = {} } = trial;
+  const metadata = trial.metadata || {};
+  const plotNumbers = getArmPlotNumbers(gridLayout);
+  const plots = gridLayout.flat()
+    .filter(plot => !plot.isBlank && plot.treatment !== null && plot.treatment !== undefined)
+    .sort((a, b) => plotNumbers[a.id] - plotNumbers[b.id]);
+  const typeNames = config.assessmentTypes.map(type => type.name);
+
+  const workbook = XLSX.utils.book_new();
+  const used = new Set();
+
+  [...assessmentDates]
+    .sort((a, b) => String(a.date).localeCompare(String(b.date)))
+    .forEach(dateObj => {
+      const dateNotes = typeNames
+        .filter(name => notes[`${dateObj.date}_${name}`]?.trim())
+        .map(name => `${name}: ${notes[`${dateObj.date}_${name}`].trim()}`)
+        .join('; ');
+
+      const rows = [
+        ['Trial Name', config.trialName || ''],
+        // ISO dates are read back without asking which day/month order was meant
+        ['Date', dateObj.date],
+        ['Area', metadata.area || ''],
+        ['Assessor', metadata.assessor || trial.trialistName || ''],
+        ['Notes', dateNotes],
+        [],
+        ['Block!', 'Plot!', 'Treat', ...typeNames],
+        ...plots.map(plot => [
+          plot.block || 1,
+          plotNumbers[plot.id],
+          plot.treatment + 1,
+          ...typeNames.map(name => {
+            const v = dateObj.assessments?.[name]?.[plot.id];
+            return v?.entered && v.value !== '' && !isNaN(parseFloat(v.value)) ? parseFloat(v.value) : '';
+          })
+        ])
+      ];
+      XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(rows), sheetName(dateObj.date, used));
+    });
+
+  const plan = [
+    ['Trial Name', config.trialName || ''],
+    [],
+    ['Treat', 'Treatment'],
+    ...config.treatments.map((name, idx) => [idx + 1, name]),
+    [],
+    ['Assessment', 'Min', 'Max', 'Unit'],
+    ...config.assessmentTypes.map(type => [type.name, type.min, type.max, type.unit || ''])
+  ];
+  XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(plan), 'Trial Plan');
+  return workbook;
+};
+
+/**
+ * Download the assessment workbook
+ * @param {Object} trial - As for buildAssessmentWorkbook
+ */
+export const exportAssessmentWorkbook = (trial) => {
+  const name = (trial.config.trialName || 'trial').replace(/\s+/g, '_');
+  XLSX.writeFile(buildAssessmentWorkbook(trial), `${name}_assessments.xlsx`);
+};
@@ -0,0 +1,68 @@
+import { describe, it, expect, vi } from 'vitest';
+import * as XLSX from 'xlsx';
+import { buildAssessmentWorkbook } from './excelExport';
+import { detectMapping, parseWorkbook } from './excelParser';
+
+vi.spyOn(console, 'log').mockImplementation(() => {});
+
+// Two blocks of two treatments, with plot IDs as the parser numbers them
+const plot = (block, treatment) => ({
+  id: `${block}-${treatment + 1}`,
+  block,
+  treatment,
+  isBlank: false
+});
+
+const trial = {
+  config: {
+    trialName: 'Fusarium curative',
+    treatments: ['Untreated', 'Ryder'],
+    assessmentTypes: [
+      { name: 'Turf Quality', min: 1, max: 9, unit: '' },
+      { name: 'Disease', min: 0, max: 100, unit: '%' }
+    ]
+  },
+  gridLayout: [
+    [plot(1, 0), plot(1, 1)],
+    [plot(2, 1), plot(2, 0)]
+  ],
+  assessmentDates: [{
+    date: '2025-07-03',
+    assessments: {
+      'Turf Quality': {
+        '1-1': { value: '5', entered: true },
+        '1-2': { value: '7', entered: true },
+        '2-1': { value: '6', entered: true },
+        '2-2': { value: '', entered: false }
+      },
+      Disease: {
+        '1-1': { value: '20', entered: true },
+        '1-2': { value: '2.5', entered: true },
+        '2-1': { value: '25', entered: true },
+        '2-2': { value: '0', entered: true }
+      }
+    }
+  }],
+  notes: {}
+};
+
+// Through a file and back, as a user would re-import an export
+const roundTrip = (workbook) =>
+  XLSX.read(XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' }), { type: 'buffer' });
+
+describe('buildAssessmentWorkbook', () => {
+  it('reads back through detectMapping and parseWorkbook', () => {
+    const workbook = roundTrip(buildAssessmentWorkbook(trial));
+    const imported = parseWorkbook(workbook, detectMapping(workbook));
+
+    expect(imported.name).toBe('Fusarium curative');
+    expect(imported.config.treatments).toEqual(['Untreated', 'Ryder']);
+    expect(imported.config.assessmentTypes).toEqual(trial.config.assessmentTypes);
+    expect(imported.gridLayout.flat().map(p => [p.id, p.treatmentName])).toEqual([
+      ['1-1', 'Untreated'], ['1-2', 'Ryder'], ['2-2', 'Ryder'], ['2-1', 'Untreated']
+    ]);
+
+    expect(imported.assessmentDates.map(d => d.date)).toEqual(['2025-07-03']);
+    expect(imported.assessmentDates[0].assessments).toEqual(trial.assessmentDates[0].assessments);
+  });
+});
@@ -2,13 +2,79 @@ import * as XLSX from 'xlsx';
 
 /**
  * Parses Excel trial data files and converts them to Trial Data Tool format
+ *
+ * A sheet is read through a column mapping: which row holds the headers,
+ * which columns are block, plot, treatment and assessments, which sheets are
+ * assessment dates and which rows to skip. detectMapping builds one for the
+ * in-house sheets (Block!/Plot!/Treat headers); files from other sites are
+ * mapped in the import wizard and the mapping saved as a named template.
  */
 
+export const COLUMN_ROLES = {
+  BLOCK: 'block',
+  PLOT: 'plot',
+  TREATMENT: 'treatment',
+  ASSESSMENT: 'assessment'
+};
+
+// Rows searched for a header row
+const HEADER_SEARCH_ROWS = 20;
+
+const cellText = (cell) => String(cell ?? '').trim();
+
+/**
+ * Sheets that aren't assessment dates by default ("Sheet1", "Trial Plan", "spare empty")
+ */
+function isDataSheetName(name) {
+  const lowerName = name.toLowerCase();
+  return !lowerName.includes('sheet1') &&
+         !lowerName.includes('trial plan') &&
+         !lowerName.includes('spare') &&
+         !lowerName.includes('empty');
+}
+
+/**
+ * Treatment names and assessment scales from a "Trial Plan" sheet, if the
+ * workbook has one: "[1] Untreated" labels as in the in-house sheets, or the
+ * Treat/Treatment and Assessment/Min/Max/Unit tables the assessment export writes
+ */
+function readTrialPlan(workbook) {
+  const plan = { treatmentNames: {}, scales: {} };
+  const planSheet = workbook.SheetNames.find(name => name.toLowerCase().includes('trial plan'));
+  if (!planSheet) return plan;
+
+  let table = null;
+  getSheetRows(workbook, planSheet).forEach(row => {
+    const first = cellText(row[0]);
+    const label = first.match(/^\[(\d+)\]\s*(.+)$/);
+    if (label) {
+      plan.treatmentNames[Number(label[1])] = label[2].trim();
+      return;
+    }
+
+    if (!first) {
+      table = null;
+    } else if (['treat', 'assessment'].includes(first.toLowerCase())) {
+      table = first.toLowerCase();
+    } else if (table === 'treat' && /^\d+$/.test(first) && cellText(row[1])) {
+      plan.treatmentNames[Number(first)] = cellText(row[1]);
+    } else if (table === 'assessment') {
+      const min = parseFloat(row[1]);
+      const max = parseFloat(row[2]);
+      if (!isNaN(min) && !isNaN(max)) {
+        plan.scales[first] = { min, max, unit: cellText(row[3]) };
+      }
+    }
+  });
+
+  return plan;
+}
+
 /**
  * Find the header row in a sheet by looking for column markers
  */
 function findHeaderRow(data) {
-  for (let i = 0; i < Math.min(data.length, 20); i++) {
+  for (let i = 0; i < Math.min(data.length, HEADER_SEARCH_ROWS); i++) {
     const row = data[i];
     const hasBlockMarker = row.some(cell =>
       String(cell).toLowerCase().includes('block!')
@@ -41,9 +107,9 @@ function extractMetadata(data, headerRowIndex) {
     const firstCell = String(row[0] || '').toLowerCase();
 
     if (firstCell.includes('trial name') || firstCell.includes('trial code')) {
-      // Trial name might be in the same row or next cell
+      // Trial name is the first cell after the label (skipping a repeated label)
       metadata.trialName = row.find((cell, idx) =>
-        idx > 0 && cell && !String(cell).toLowerCase().includes('trial')
+        idx > 0 && cell && !/^trial (name|code)/i.test(String(cell).trim())
       ) || '';
     } else if (firstCell.includes('date')) {
       metadata.date = row[1] || '';
@@ -91,37 +157,78 @@ function parseHeaders(headerRow) {
   return headers;
 }
 
+/**
+ * Header row of a sheet under a mapping: the mapped row if it has the
+ * block column's header, otherwise the first row that does (sheets of one
+ * file don't always have the same number of metadata rows)
+ */
+function locateHeaderRow(data, mapping) {
+  const blockHeader = cellText(mapping.columns.find(col => col.role === COLUMN_ROLES.BLOCK)?.header).toLowerCase();
+  const hasBlockHeader = (row) => (row || []).some(cell => cellText(cell).toLowerCase() === blockHeader);
+  if (!blockHeader || hasBlockHeader(data[mapping.headerRow])) return mapping.headerRow;
+
+  const found = data.slice(0, HEADER_SEARCH_ROWS).findIndex(hasBlockHeader);
+  return found === -1 ? mapping.headerRow : found;
+}
+
+/**
+ * Column indices of a sheet under a mapping
+ * Columns are found by header text, so sheets may order them differently;
+ * columns without header text are taken by position.
+ */
+function resolveColumns(headerRow, mapping) {
+  const cells = headerRow.map(cell => cellText(cell).toLowerCase());
+  const indexOf = (col) => (cellText(col.header) ? cells.indexOf(cellText(col.header).toLowerCase()) : col.index);
+  const roleIndex = (role) => {
+    const col = mapping.columns.find(c => c.role === role);
+    return col ? indexOf(col) : -1;
+  };
+
+  return {
+    blockCol: roleIndex(COLUMN_ROLES.BLOCK),
+    plotCol: roleIndex(COLUMN_ROLES.PLOT),
+    treatmentCol: roleIndex(COLUMN_ROLES.TREATMENT),
+    assessmentCols: mapping.columns
+      .filter(col => col.role === COLUMN_ROLES.ASSESSMENT)
+      .map(col => ({ name: cellText(col.name) || cellText(col.header), index: indexOf(col) }))
+      .filter(col => col.name && col.index !== -1)
+  };
+}
+
 /**
  * Parse data rows and extract plot information
+ * Rows whose first cell is the skip marker (e.g. "X" for blanks) are left out.
+ * Numeric treatment codes are kept as numbers, anything else as its label.
  */
-function parseDataRows(data, headerRowIndex, headers) {
+function parseDataRows(data, headerRowIndex, headers, skipMarker) {
   const plots = [];
+  const marker = cellText(skipMarker).toUpperCase();
 
   for (let i = headerRowIndex + 1; i < data.length; i++) {
     const row = data[i];
 
-    // Skip empty rows or rows with "X" markers (blanks)
+    // Skip empty rows or rows with the skip marker
     if (!row || row.length === 0) continue;
-    if (String(row[0]).toUpperCase() === 'X') continue;
+    if (marker && cellText(row[0]).toUpperCase() === marker) continue;
 
     const block = row[headers.blockCol];
-    const plot = row[headers.plotCol];
-    const treatment = row[headers.treatmentCol];
+    const plot = headers.plotCol === -1 ? plots.length + 1 : row[headers.plotCol];
+    const treatment = cellText(row[headers.treatmentCol]);
 
     // Skip if essential data is missing
-    if (!block || !plot || !treatment) continue;
+    if (!block || !plot || !treatment || isNaN(Number(block))) continue;
 
     const plotData = {
       block: Number(block),
       plot: Number(plot),
-      treatment: Number(treatment),
+      treatment: isNaN(Number(treatment)) ? treatment : Number(treatment),
       values: {}
     };
 
-    // Extract assessment values
+    // Extract assessment values (text such as "-" or "n/a" is treated as missing)
     headers.assessmentCols.forEach(col => {
       const value = row[col.index];
-      if (value !== '' && value !== null && value !== undefined) {
+      if (value !== '' && value !== null && value !== undefined && Number.isFinite(Number(value))) {
         plotData.values[col.name] = Number(value);
       }
     });
@@ -135,17 +242,15 @@ function parseDataRows(data, headerRowIndex, headers) {
 /**
  * Parse a single sheet (one assessment date)
  */
-function parseSheet(sheet, sheetName) {
-  const data = XLSX.utils.sheet_to_json(sheet, { header: 1, defval: '' });
-
-  const headerRowIndex = findHeaderRow(data);
-  if (headerRowIndex === -1) {
-    throw new Error(`Could not find header row in sheet: ${sheetName}`);
+function parseSheet(data, sheetName, mapping) {
+  const headerRowIndex = locateHeaderRow(data, mapping);
+  const headers = resolveColumns(data[headerRowIndex] || [], mapping);
+  if (headers.blockCol === -1 || headers.treatmentCol === -1) {
+    throw new Error(`Could not find the block and treatment columns in sheet: ${sheetName}`);
   }
 
   const metadata = extractMetadata(data, headerRowIndex);
-  const headers = parseHeaders(data[headerRowIndex]);
-  const plots = parseDataRows(data, headerRowIndex, headers);
+  const plots = parseDataRows(data, headerRowIndex, headers, mapping.skipMarker);
 
   return {
     sheetName,
@@ -156,70 +261,145 @@ function parseSheet(sheet, sheetName) {
 }
 
 /**
- * Main function to parse Excel file and convert to Trial Data Tool format
+ * Read an Excel file into a workbook
+ * @param {File} file - .xlsx or .xls file
+ * @returns {Promise<Object>} XLSX workbook
  */
-export function parseExcelFile(file) {
+export function readWorkbook(file) {
   return new Promise((resolve, reject) => {
-    try {
-      console.log('[Parser] Starting file read...');
-      const reader = new FileReader();
-
-      reader.onload = (e) => {
-        try {
-          console.log('[Parser] File loaded, starting parse...');
-          const data = new Uint8Array(e.target.result);
-          const workbook = XLSX.read(data, { type: 'array' });
-
-          console.log('[Parser] Workbook read, sheet names:', workbook.SheetNames);
-
-          // Filter out sheets like "Sheet1", "Trial Plan", "spare empty"
-          const dataSheets = workbook.SheetNames.filter(name => {
-            const lowerName = name.toLowerCase();
-            return !lowerName.includes('sheet1') &&
-                   !lowerName.includes('trial plan') &&
-                   !lowerName.includes('spare') &&
-                   !lowerName.includes('empty');
-          });
-
-          console.log('[Parser] Data sheets found:', dataSheets);
-
-          if (dataSheets.length === 0) {
-            reject(new Error('No data sheets found in the Excel file'));
-            return;
-          }
-
-          // Parse all sheets
-          console.log('[Parser] Parsing sheets...');
-          const parsedSheets = dataSheets.map(sheetName => {
-            const sheet = workbook.Sheets[sheetName];
-            return parseSheet(sheet, sheetName);
-          });
-
-          console.log('[Parser] Converting to trial format...');
-          // Convert to Trial Data Tool format
-          const trialData = convertToTrialFormat(parsedSheets);
-
-          console.log('[Parser] Success! Trial data created:', trialData.name);
-          resolve(trialData);
-        } catch (error) {
-          console.error('[Parser] Error in onload:', error);
-          reject(error);
-        }
-      };
+    console.log('[Parser] Starting file read...');
+    const reader = new FileReader();
+
+    reader.onload = (e) => {
+      try {
+        const workbook = XLSX.read(new Uint8Array(e.target.result), { type: 'array' });
+        console.log('[Parser] Workbook read, sheet names:', workbook.SheetNames);
+        resolve(workbook);
+      } catch (error) {
+        console.error('[Parser] Error reading workbook:', error);
+        reject(error);
+      }
+    };
 
-      reader.onerror = (error) => {
-        console.error('[Parser] FileReader error:', error);
-        reject(new Error('Failed to read file'));
-      };
+    reader.onerror = (error) => {
+      console.error('[Parser] FileReader error:', error);
+      reject(new Error('Failed to read file'));
+    };
 
-      reader.readAsArrayBuffer(file);
-    } catch (error) {
-      console.error('[Parser] Error setting up reader:', error);
-      reject(error);
-    }
+    reader.readAsArrayBuffer(file);
   });
 }
 
+/**
+ * Rows of a sheet as arrays of cell values ('' for empty cells)
+ * @param {Object} workbook - XLSX workbook
+ * @param {string} sheetName - Sheet name
+ * @returns {Array[]} Rows
+ */
+export function getSheetRows(workbook, sheetName) {
+  const sheet = workbook.Sheets[sheetName];
+  return sheet ? XLSX.utils.sheet_to_json(sheet, { header: 1, defval: '' }) : [];
+}
+
+/**
+ * Mapping for the in-house layout: Block!/Plot!/Treat headers, assessment
+ * columns after them (taken from every sheet), "X" rows skipped
+ * @param {Object} workbook - XLSX workbook
+ * @returns {Object} { headerRow, columns: [{ index, header, role, name }], dateSheets, skipMarker }
+ */
+export function detectMapping(workbook) {
+  const sheets = workbook.SheetNames
+    .filter(isDataSheetName)
+    .map(name => {
+      const data = getSheetRows(workbook, name);
+      return { name, data, headerRow: findHeaderRow(data) };
+    })
+    .filter(sheet => sheet.headerRow !== -1);
+
+  const mapping = { headerRow: 0, columns: [], dateSheets: sheets.map(sheet => sheet.name), skipMarker: 'X' };
+  if (sheets.length === 0) return mapping;
+
+  const first = sheets[0];
+  const headerRow = first.data[first.headerRow];
+  const headers = parseHeaders(headerRow);
+  mapping.headerRow = first.headerRow;
+  [
+    [headers.blockCol, COLUMN_ROLES.BLOCK],
+    [headers.plotCol, COLUMN_ROLES.PLOT],
+    [headers.treatmentCol, COLUMN_ROLES.TREATMENT]
+  ].forEach(([index, role]) => {
+    if (index !== -1) mapping.columns.push({ index, header: cellText(headerRow[index]), role });
+  });
+
+  sheets.forEach(sheet => {
+    parseHeaders(sheet.data[sheet.headerRow]).assessmentCols.forEach(col => {
+      if (mapping.columns.some(c => c.role === COLUMN_ROLES.ASSESSMENT && c.header === col.name)) return;
+      mapping.columns.push({ index: col.index, header: col.name, role: COLUMN_ROLES.ASSESSMENT, name: col.name });
+    });
+  });
+
+  return mapping;
+}
+
+/**
+ * Apply a saved template to a workbook: its column mapping, with the sheets
+ * that have its block column as the date sheets
+ * @param {Object} workbook - XLSX workbook
+ * @param {Object} templateMapping - { headerRow, columns, skipMarker } from a saved template
+ * @returns {Object} Mapping
+ */
+export function applyImportTemplate(workbook, templateMapping) {
+  const mapping = { ...templateMapping, dateSheets: [] };
+  mapping.dateSheets = workbook.SheetNames.filter(name => {
+    const data = getSheetRows(workbook, name);
+    const headers = resolveColumns(data[locateHeaderRow(data, mapping)] || [], mapping);
+    return headers.blockCol !== -1 && headers.treatmentCol !== -1 && data.length > 0;
+  });
+  return mapping;
+}
+
+/**
+ * Whether a mapping has everything needed to import
+ * @param {Object} mapping - Column mapping
+ * @returns {boolean}
+ */
+export function isMappingComplete(mapping) {
+  const has = (role) => mapping.columns.some(col => col.role === role);
+  return has(COLUMN_ROLES.BLOCK) && has(COLUMN_ROLES.TREATMENT) && has(COLUMN_ROLES.ASSESSMENT) &&
+    mapping.dateSheets.length > 0;
+}
+
+/**
+ * Convert a workbook to Trial Data Tool format using a column mapping
+ * @param {Object} workbook - XLSX workbook
+ * @param {Object} mapping - From detectMapping, applyImportTemplate or the import wizard
+ * @returns {Object} Trial data
+ */
+export function parseWorkbook(workbook, mapping) {
+  if (mapping.dateSheets.length === 0) {
+    throw new Error('No data sheets found in the Excel file');
+  }
+
+  console.log('[Parser] Parsing sheets:', mapping.dateSheets);
+  const parsedSheets = mapping.dateSheets.map(sheetName =>
+    parseSheet(getSheetRows(workbook, sheetName), sheetName, mapping)
+  );
+
+  console.log('[Parser] Converting to trial format...');
+  const trialData = convertToTrialFormat(parsedSheets, readTrialPlan(workbook));
+
+  console.log('[Parser] Success! Trial data created:', trialData.name);
+  return trialData;
+}
+
+/**
+ * Main function to parse an in-house Excel file and convert to Trial Data Tool format
+ */
+export async function parseExcelFile(file) {
+  const workbook = await readWorkbook(file);
+  return parseWorkbook(workbook, detectMapping(workbook));
+}
+
 /**
  * Convert 2-digit year to 4-digit year
  * Uses 2000-2099 range (assumes years 00-99 mean 2000-2099)
@@ -416,13 +596,35 @@ function normalizeDateFormat(dateStr) {
 }
 
 /**
- * Convert parsed sheets to Trial Data Tool format
+ * Number treatments given as labels (e.g. "Untreated", "A") in order of
+ * appearance, keeping the labels as treatment names
  */
-function convertToTrialFormat(parsedSheets) {
-  if (parsedSheets.length === 0) {
+function numberTreatmentLabels(parsedSheets) {
+  const allPlots = parsedSheets.flatMap(sheet => sheet.plots);
+  if (!allPlots.some(plot => typeof plot.treatment === 'string')) {
+    return { parsedSheets, labels: null };
+  }
+
+  const labels = [...new Set(allPlots.map(plot => String(plot.treatment)))];
+  return {
+    parsedSheets: parsedSheets.map(sheet => ({
+      ...sheet,
+      plots: sheet.plots.map(plot => ({ ...plot, treatment: labels.indexOf(String(plot.treatment)) + 1 }))
+    })),
+    labels
+  };
+}
+
+/**
+ * Convert parsed sheets to Trial Data Tool format, taking treatment names
+ * and assessment scales from the trial plan where it has them
+ */
+function convertToTrialFormat(sheetsToConvert, plan = { treatmentNames: {}, scales: {} }) {
+  if (sheetsToConvert.length === 0) {
     throw new Error('No sheets to process');
   }
 
+  const { parsedSheets, labels } = numberTreatmentLabels(sheetsToConvert);
   const firstSheet = parsedSheets[0];
 
   // Extract unique treatments and blocks
@@ -438,15 +640,18 @@ function convertToTrialFormat(parsedSheets) {
     });
   });
 
-  const assessmentTypes = Array.from(assessmentTypesSet).map(name => ({
-    name,
-    min: 0,
-    max: 100, // Default, user can adjust
-    unit: guessUnit(name)
-  }));
+  const assessmentTypes = Array.from(assessmentTypesSet).map(name => {
+    const scale = plan.scales[name];
+    return scale ? { name, ...scale } : {
+      name,
+      min: 0,
+      max: 100, // Default, user can adjust
+      unit: guessUnit(name)
+    };
+  });
 
   // Create treatment names array
-  const treatmentNames = treatments.map((t, i) => `Treatment ${t}`);
+  const treatmentNames = treatments.map(t => (labels ? labels[t - 1] : plan.treatmentNames[t] || `Treatment ${t}`));
 
   // Create grid layout
   const gridLayout = createGridLayout(allPlots, blocks.length, treatments, treatmentNames);
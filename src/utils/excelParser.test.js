@@ -0,0 +1,111 @@
+import { describe, it, expect, vi } from 'vitest';
+import * as XLSX from 'xlsx';
+import { COLUMN_ROLES, applyImportTemplate, detectMapping, isMappingComplete, parseWorkbook } from './excelParser';
+
+vi.spyOn(console, 'log').mockImplementation(() => {});
+
+const workbookOf = (sheets) => {
+  const workbook = XLSX.utils.book_new();
+  Object.entries(sheets).forEach(([name, rows]) => {
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(rows), name);
+  });
+  return workbook;
+};
+
+// Another site's layout: Rep/Trt/Plot No headers, a varying number of
+// metadata rows, text treatment labels and "-" for a missed plot
+const siteWorkbook = () => workbookOf({
+  '12.06.25': [
+    ['Trial code', 'SB-25-04'],
+    ['Assessor', 'J. Smith'],
+    ['Rep', 'Plot No', 'Trt', 'Disease %', 'Height'],
+    [1, 101, 'Untreated', 20, 55],
+    [1, 102, 'Product A', 5, 60],
+    [2, 201, 'Product A', '-', 58],
+    [2, 202, 'Untreated', 25, 54],
+    ['', '', '', '', '']
+  ],
+  '26.06.25': [
+    ['Trial code', 'SB-25-04'],
+    ['Trt', 'Rep', 'Plot No', 'Height', 'Disease %'],
+    ['Untreated', 1, 101, 70, 30],
+    ['Product A', 1, 102, 75, 8],
+    ['Product A', 2, 201, 74, 6],
+    ['Untreated', 2, 202, 69, 35]
+  ],
+  Notes: [['Sprayed 1 June']]
+});
+
+const template = {
+  headerRow: 2,
+  columns: [
+    { index: 0, header: 'Rep', role: COLUMN_ROLES.BLOCK },
+    { index: 1, header: 'Plot No', role: COLUMN_ROLES.PLOT },
+    { index: 2, header: 'Trt', role: COLUMN_ROLES.TREATMENT },
+    { index: 3, header: 'Disease %', role: COLUMN_ROLES.ASSESSMENT, name: 'Septoria' },
+    { index: 4, header: 'Height', role: COLUMN_ROLES.ASSESSMENT, name: 'Height' }
+  ],
+  skipMarker: ''
+};
+
+describe('applyImportTemplate', () => {
+  it("takes the sheets with the template's block column as date sheets", () => {
+    const mapping = applyImportTemplate(siteWorkbook(), template);
+    expect(mapping.dateSheets).toEqual(['12.06.25', '26.06.25']);
+    expect(mapping.columns).toEqual(template.columns);
+    expect(isMappingComplete(mapping)).toBe(true);
+  });
+
+  it('reads columns by header, wherever the header row is and whatever the column order', () => {
+    const trial = parseWorkbook(siteWorkbook(), applyImportTemplate(siteWorkbook(), template));
+    expect(trial.name).toBe('SB-25-04');
+    expect(trial.config.treatments).toEqual(['Untreated', 'Product A']);
+    expect(trial.config.assessmentTypes.map(type => type.name)).toEqual(['Septoria', 'Height']);
+    expect(trial.assessmentDates.map(d => d.date)).toEqual(['2025-06-12', '2025-06-26']);
+
+    const [first, second] = trial.assessmentDates;
+    // Plot IDs are block-treatment; Untreated is treatment 1
+    expect(first.assessments.Septoria['2-1']).toEqual({ value: '25', entered: true });
+    expect(second.assessments.Septoria['2-1']).toEqual({ value: '35', entered: true });
+    expect(second.assessments.Height['1-2']).toEqual({ value: '75', entered: true });
+  });
+
+  it('treats text values as missing', () => {
+    const trial = parseWorkbook(siteWorkbook(), applyImportTemplate(siteWorkbook(), template));
+    expect(trial.assessmentDates[0].assessments.Septoria['2-2']).toEqual({ value: '', entered: false });
+    expect(trial.assessmentDates[0].assessments.Height['2-2']).toEqual({ value: '58', entered: true });
+  });
+
+  it('finds no date sheets in a workbook without the block column', () => {
+    const workbook = workbookOf({ Data: [['Block', 'Treatment', 'Yield'], [1, 1, 5]] });
+    const mapping = applyImportTemplate(workbook, template);
+    expect(mapping.dateSheets).toEqual([]);
+    expect(isMappingComplete(mapping)).toBe(false);
+  });
+});
+
+describe('detectMapping', () => {
+  it('maps the in-house Block!/Plot!/Treat layout and skips X rows', () => {
+    const workbook = workbookOf({
+      'Trial Plan': [['Treat', 'Treatment'], [1, 'Untreated']],
+      '15.05.25': [
+        ['Trial Name', 'WA-01'],
+        ['Date', '15/05/2025'],
+        ['Block!', 'Plot!', 'Treat', 'Septoria'],
+        [1, 1, 1, 10],
+        [1, 2, 2, 4],
+        ['X', '', '', '']
+      ]
+    });
+    const mapping = detectMapping(workbook);
+    expect(mapping.headerRow).toBe(2);
+    expect(mapping.dateSheets).toEqual(['15.05.25']);
+    expect(mapping.skipMarker).toBe('X');
+    expect(mapping.columns.map(col => [col.header, col.role])).toEqual([
+      ['Block!', COLUMN_ROLES.BLOCK],
+      ['Plot!', COLUMN_ROLES.PLOT],
+      ['Treat', COLUMN_ROLES.TREATMENT],
+      ['Septoria', COLUMN_ROLES.ASSESSMENT]
+    ]);
+  });
+});
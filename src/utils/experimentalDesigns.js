@@ -0,0 +1,429 @@
+/**
+ * Experimental designs supported by the layout editor and Analysis
+ * The chosen design is stored as config.design; trials created before
+ * designs existed have no config.design and are treated as RCBD.
+ */
+
+import { shuffle } from './randomization';
+
+export const DESIGN_TYPES = {
+  RCBD: 'rcbd',
+  CRD: 'crd',
+  LATIN_SQUARE: 'latinSquare',
+  SPLIT_PLOT: 'splitPlot',
+  INCOMPLETE_BLOCK: 'incompleteBlock'
+};
+
+export const DESIGN_LABELS = {
+  rcbd: 'Randomized Complete Block (RCBD)',
+  crd: 'Completely Randomized (CRD)',
+  latinSquare: 'Latin Square',
+  splitPlot: 'Split-Plot',
+  incompleteBlock: 'Incomplete Block'
+};
+
+export const DESIGN_DESCRIPTIONS = {
+  rcbd: 'Every treatment appears once in each block. Each row of the field map is a block.',
+  crd: 'Treatments are replicated and randomized over the whole area with no blocking.',
+  latinSquare: 'Each treatment appears once in every row and every column. Needs as many rows and columns as treatments.',
+  splitPlot: 'Main-plot factor (e.g. fungicide) is randomized to main plots in each block, and the sub-plot factor (e.g. nitrogen rate) within each main plot.',
+  incompleteBlock: 'Blocks are smaller than the number of treatments. Treatments are allocated with a cyclic balanced design.'
+};
+
+/**
+ * Get the trial's design, defaulting older trials to RCBD
+ * @param {Object} config - Trial config
+ * @returns {Object} Design with at least { type }
+ */
+export const getDesign = (config) => {
+  return { type: DESIGN_TYPES.RCBD, ...(config?.design || {}) };
+};
+
+/**
+ * Treatment names for every combination of factor levels
+ * The first factor varies slowest, so for two factors
+ * treatment index = firstIndex * secondLevels.length + secondIndex
+ * @param {Object[]} factors - [{ name, levels }]
+ * @returns {string[]} Treatment names
+ */
+export const buildFactorialTreatments = (factors) => {
+  return factors.reduce(
+    (names, factor) => names.flatMap(prefix =>
+      (factor.levels || []).map(level => (prefix ? `${prefix} × ${level}` : level))
+    ),
+    ['']
+  ).filter(name => name !== '');
+};
+
+/**
+ * Level index of each factor for a factorial treatment
+ * @param {Object[]} factors - [{ name, levels }]
+ * @param {number} treatmentIdx - Treatment index
+ * @returns {number[]} One level index per factor
+ */
+export const getFactorLevels = (factors, treatmentIdx) => {
+  const levels = [];
+  let remainder = treatmentIdx;
+  for (let f = factors.length - 1; f >= 0; f--) {
+    const count = factors[f].levels?.length || 1;
+    levels[f] = remainder % count;
+    remainder = Math.floor(remainder / count);
+  }
+  return levels;
+};
+
+/**
+ * Factorial treatment structure for designs other than split-plot
+ * Stored as config.factors; a single-factor trial has none.
+ * @param {Object} config - Trial config
+ * @returns {Object[]} [{ name, levels }], empty when treatments are a flat list
+ */
+export const getTreatmentFactors = (config) => {
+  if (getDesign(config).type === DESIGN_TYPES.SPLIT_PLOT) return [];
+  return (config?.factors || []).length >= 2 ? config.factors : [];
+};
+
+/**
+ * Treatment names for a split-plot design (every main × sub level combination)
+ * Treatment index = mainIndex * subLevels.length + subIndex
+ * @param {Object} design - Split-plot design
+ * @returns {string[]} Treatment names
+ */
+export const buildSplitPlotTreatments = (design) => {
+  return buildFactorialTreatments([
+    design.mainPlotFactor || { levels: [] },
+    design.subPlotFactor || { levels: [] }
+  ]);
+};
+
+/**
+ * Main and sub level indices of a split-plot treatment
+ * @param {Object} design - Split-plot design
+ * @param {number} treatmentIdx - Treatment index
+ * @returns {Object} { main, sub }
+ */
+export const getSplitPlotLevels = (design, treatmentIdx) => {
+  const numSub = design.subPlotFactor?.levels?.length || 1;
+  return {
+    main: Math.floor(treatmentIdx / numSub),
+    sub: treatmentIdx % numSub
+  };
+};
+
+/**
+ * Number of plots in each block (row) of the layout
+ * @param {Object} config - Trial config
+ * @returns {number}
+ */
+export const getPlotsPerBlock = (config) => {
+  const design = getDesign(config);
+  if (design.type === DESIGN_TYPES.INCOMPLETE_BLOCK) {
+    return Math.min(design.blockSize || config.numTreatments, config.numTreatments);
+  }
+  return config.numTreatments;
+};
+
+/**
+ * What a row of the layout is called for this design
+ * @param {Object} config - Trial config
+ * @returns {string}
+ */
+export const getRowLabel = (config) => {
+  const type = getDesign(config).type;
+  return type === DESIGN_TYPES.LATIN_SQUARE || type === DESIGN_TYPES.CRD ? 'Row' : 'Block';
+};
+
+/**
+ * Generate an empty layout for the design (all plots unassigned)
+ * @param {Object} config - Trial config
+ * @returns {Object[][]} Grid layout
+ */
+export const generateEmptyLayout = (config) => {
+  const design = getDesign(config);
+  const plotsPerBlock = getPlotsPerBlock(config);
+  const numSub = design.subPlotFactor?.levels?.length || 1;
+
+  const grid = [];
+  for (let block = 0; block < config.numBlocks; block++) {
+    const row = [];
+    for (let plotIdx = 0; plotIdx < plotsPerBlock; plotIdx++) {
+      const plot = {
+        id: `B${block + 1}-P${plotIdx + 1}`,
+        block: block + 1,
+        row: block + 1,
+        column: plotIdx + 1,
+        treatment: null, // Unassigned
+        treatmentName: null,
+        isBlank: false
+      };
+      if (design.type === DESIGN_TYPES.SPLIT_PLOT) {
+        plot.mainPlot = Math.floor(plotIdx / numSub) + 1;
+      }
+      row.push(plot);
+    }
+    grid.push(row);
+  }
+  return grid;
+};
+
+/**
+ * Does an existing layout still have the shape the design needs?
+ * @param {Object} config - Trial config
+ * @param {Object[][]} gridLayout - Grid layout
+ * @returns {boolean}
+ */
+export const layoutFitsDesign = (config, gridLayout) => {
+  if (!gridLayout || gridLayout.length !== config.numBlocks) return false;
+
+  const design = getDesign(config);
+  const plotsPerBlock = getPlotsPerBlock(config);
+  return gridLayout.every(block => {
+    const plots = block.filter(p => !p.isBlank);
+    if (plots.length !== plotsPerBlock) return false;
+    if (design.type === DESIGN_TYPES.SPLIT_PLOT) return plots.every(p => p.mainPlot);
+    return true;
+  });
+};
+
+// Cyclic incomplete block design: block b holds treatments b, b+1, ... b+k-1 (mod v)
+const incompleteBlockSets = (numTreatments, blockSize, numBlocks) => {
+  const sets = [];
+  for (let b = 0; b < numBlocks; b++) {
+    const set = [];
+    for (let j = 0; j < blockSize; j++) {
+      set.push((b + j) % numTreatments);
+    }
+    sets.push(set);
+  }
+  return sets;
+};
+
+const assignedTreatments = (plots) => plots
+  .filter(p => !p.isBlank && p.treatment !== null)
+  .map(p => p.treatment);
+
+/**
+ * Treatments that may go in a plot without breaking the design
+ * @param {Object} config - Trial config
+ * @param {Object[][]} gridLayout - Grid layout
+ * @param {number} blockIdx - Row index in the grid
+ * @param {number} plotIdx - Plot index in the row
+ * @returns {number[]} Allowed treatment indices (excluding the plot's current one)
+ */
+export const getAllowedTreatments = (config, gridLayout, blockIdx, plotIdx) => {
+  const design = getDesign(config);
+  const allTreatments = [...Array(config.numTreatments).keys()];
+  const block = gridLayout[blockIdx] || [];
+  const plot = block[plotIdx];
+  const otherPlots = block.filter((_, idx) => idx !== plotIdx);
+  const usedInBlock = new Set(assignedTreatments(otherPlots));
+
+  switch (design.type) {
+    case DESIGN_TYPES.CRD: {
+      // Each treatment up to numBlocks (replicates) times in the whole trial
+      const counts = {};
+      gridLayout.forEach((row, rIdx) => row.forEach((p, pIdx) => {
+        if (rIdx === blockIdx && pIdx === plotIdx) return;
+        if (!p.isBlank && p.treatment !== null) counts[p.treatment] = (counts[p.treatment] || 0) + 1;
+      }));
+      return allTreatments.filter(t => (counts[t] || 0) < config.numBlocks);
+    }
+
+    case DESIGN_TYPES.LATIN_SQUARE: {
+      // Once per row and once per column
+      const usedInColumn = new Set(
+        gridLayout.flatMap((row, rIdx) => rIdx === blockIdx ? [] : row
+          .filter(p => !p.isBlank && p.column === plot?.column && p.treatment !== null)
+          .map(p => p.treatment))
+      );
+      return allTreatments.filter(t => !usedInBlock.has(t) && !usedInColumn.has(t));
+    }
+
+    case DESIGN_TYPES.SPLIT_PLOT: {
+      // Plots in the same main plot share one main-plot level, and each
+      // main-plot level goes to only one main plot per block
+      const mainLevelOf = (t) => getSplitPlotLevels(design, t).main;
+      const sameMainPlot = otherPlots.filter(p => p.mainPlot === plot?.mainPlot);
+      const otherMainPlots = otherPlots.filter(p => p.mainPlot !== plot?.mainPlot);
+      const mainLevelHere = assignedTreatments(sameMainPlot).map(mainLevelOf)[0];
+      const mainLevelsElsewhere = new Set(assignedTreatments(otherMainPlots).map(mainLevelOf));
+
+      return allTreatments.filter(t => {
+        if (usedInBlock.has(t)) return false;
+        const main = mainLevelOf(t);
+        if (mainLevelHere !== undefined) return main === mainLevelHere;
+        return !mainLevelsElsewhere.has(main);
+      });
+    }
+
+    default:
+      // RCBD and incomplete blocks: each treatment at most once per block
+      return allTreatments.filter(t => !usedInBlock.has(t));
+  }
+};
+
+// A random n × n Latin square: cyclic square with rows, columns and symbols permuted
+const randomLatinSquare = (n, random) => {
+  const rowOrder = shuffle([...Array(n).keys()], random);
+  const colOrder = shuffle([...Array(n).keys()], random);
+  const symbols = shuffle([...Array(n).keys()], random);
+  return rowOrder.map(r => colOrder.map(c => symbols[(r + c) % n]));
+};
+
+const withTreatment = (config, plot, treatmentIdx) => {
+  if (treatmentIdx === undefined || treatmentIdx === null) return plot;
+  return { ...plot, treatment: treatmentIdx, treatmentName: config.treatments[treatmentIdx] };
+};
+
+/**
+ * Randomly assign all unassigned plots, respecting the design.
+ * Plots that are already assigned are kept, except in a Latin square,
+ * which is always re-randomized as a whole.
+ * @param {Object} config - Trial config
+ * @param {Object[][]} gridLayout - Grid layout
+ * @param {Function} random - Random number generator returning [0, 1)
+ * @returns {Object[][]} New grid layout
+ */
+export const randomizeLayout = (config, gridLayout, random = Math.random) => {
+  const design = getDesign(config);
+  const allTreatments = [...Array(config.numTreatments).keys()];
+
+  switch (design.type) {
+    case DESIGN_TYPES.CRD: {
+      const counts = {};
+      assignedTreatments(gridLayout.flat()).forEach(t => { counts[t] = (counts[t] || 0) + 1; });
+      const remaining = [];
+      allTreatments.forEach(t => {
+        for (let i = counts[t] || 0; i < config.numBlocks; i++) remaining.push(t);
+      });
+      const shuffled = shuffle(remaining, random);
+      let next = 0;
+      return gridLayout.map(block => block.map(plot => {
+        if (plot.isBlank || plot.treatment !== null) return plot;
+        return withTreatment(config, plot, shuffled[next++]);
+      }));
+    }
+
+    case DESIGN_TYPES.LATIN_SQUARE: {
+      const square = randomLatinSquare(config.numTreatments, random);
+      return gridLayout.map((block, blockIdx) => block.map(plot => {
+        if (plot.isBlank) return plot;
+        const column = (plot.column || 1) - 1;
+        return withTreatment(config, plot, square[blockIdx]?.[column]);
+      }));
+    }
+
+    case DESIGN_TYPES.SPLIT_PLOT: {
+      const numMain = design.mainPlotFactor?.levels?.length || 0;
+      const numSub = design.subPlotFactor?.levels?.length || 0;
+
+      return gridLayout.map(block => {
+        const mainPlots = [...new Set(block.filter(p => !p.isBlank).map(p => p.mainPlot))];
+
+        // Main-plot level already fixed by an assigned sub-plot
+        const mainLevelOf = {};
+        block.forEach(p => {
+          if (!p.isBlank && p.treatment !== null) {
+            mainLevelOf[p.mainPlot] = getSplitPlotLevels(design, p.treatment).main;
+          }
+        });
+        const freeMainLevels = shuffle(
+          [...Array(numMain).keys()].filter(m => !Object.values(mainLevelOf).includes(m)),
+          random
+        );
+        mainPlots.forEach(mp => {
+          if (mainLevelOf[mp] === undefined) mainLevelOf[mp] = freeMainLevels.shift();
+        });
+
+        // Randomize sub-plot levels within each main plot
+        const subQueues = {};
+        mainPlots.forEach(mp => {
+          const usedSubs = block
+            .filter(p => p.mainPlot === mp && !p.isBlank && p.treatment !== null)
+            .map(p => getSplitPlotLevels(design, p.treatment).sub);
+          subQueues[mp] = shuffle([...Array(numSub).keys()].filter(s => !usedSubs.includes(s)), random);
+        });
+
+        return block.map(plot => {
+          if (plot.isBlank || plot.treatment !== null) return plot;
+          const main = mainLevelOf[plot.mainPlot];
+          const sub = subQueues[plot.mainPlot]?.shift();
+          if (main === undefined || sub === undefined) return plot;
+          return withTreatment(config, plot, main * numSub + sub);
+        });
+      });
+    }
+
+    case DESIGN_TYPES.INCOMPLETE_BLOCK: {
+      const blockSize = getPlotsPerBlock(config);
+
+      // Random treatment labels and block order on top of the cyclic design
+      const labels = shuffle(allTreatments, random);
+      const sets = shuffle(
+        incompleteBlockSets(config.numTreatments, blockSize, gridLayout.length),
+        random
+      ).map(set => set.map(t => labels[t]));
+
+      // Blocks with assignments take a set that contains them
+      const setForBlock = [];
+      const unusedSets = [...sets];
+      gridLayout.forEach((block, blockIdx) => {
+        const assigned = assignedTreatments(block);
+        if (assigned.length === 0) return;
+        const matchIdx = unusedSets.findIndex(set => assigned.every(t => set.includes(t)));
+        if (matchIdx >= 0) setForBlock[blockIdx] = unusedSets.splice(matchIdx, 1)[0];
+      });
+
+      return gridLayout.map((block, blockIdx) => {
+        const set = setForBlock[blockIdx] ||
+          (assignedTreatments(block).length === 0 ? unusedSets.shift() : null);
+        if (!set) return block;
+
+        const assigned = assignedTreatments(block);
+        const queue = shuffle(set.filter(t => !assigned.includes(t)), random);
+        return block.map(plot => {
+          if (plot.isBlank || plot.treatment !== null) return plot;
+          return withTreatment(config, plot, queue.shift());
+        });
+      });
+    }
+
+    default: {
+      // RCBD: each block gets a fresh random order of its unassigned treatments
+      return gridLayout.map(block => {
+        const assigned = assignedTreatments(block);
+        const queue = shuffle(allTreatments.filter(t => !assigned.includes(t)), random);
+        return block.map(plot => {
+          if (plot.isBlank || plot.treatment !== null) return plot;
+          return withTreatment(config, plot, queue.shift());
+        });
+      });
+    }
+  }
+};
+
+/**
+ * Assigned and required plot counts for one block (row) of the layout
+ * @param {Object} config - Trial config
+ * @param {Object[]} block - Plots in the row
+ * @returns {Object} { assigned, total }
+ */
+export const getBlockProgress = (config, block) => {
+  const total = getPlotsPerBlock(config);
+  if (!block) return { assigned: 0, total };
+  const assigned = block.filter(p => !p.isBlank && p.treatment !== null).length;
+  return { assigned, total };
+};
+
+/**
+ * Is every block fully assigned?
+ * @param {Object} config - Trial config
+ * @param {Object[][]} gridLayout - Grid layout
+ * @returns {boolean}
+ */
+export const isLayoutComplete = (config, gridLayout) => {
+  return gridLayout.length > 0 && gridLayout.every(block => {
+    const progress = getBlockProgress(config, block);
+    return progress.assigned >= progress.total;
+  });
+};
@@ -0,0 +1,274 @@
+/**
+ * Least-squares linear models for designed experiments
+ *
+ * Terms are fitted in order (sequential / Type I sums of squares), so the
+ * same code handles complete and incomplete blocks, Latin squares and
+ * split-plots. Each term is a factor name or an interaction such as
+ * 'block:main'. Columns that are aliased with earlier ones are dropped
+ * while fitting, so over-parameterised terms need no special coding.
+ * Terms listed as covariates are fitted as a single numeric column
+ * (centred on their mean), so adjusted means are at the covariate mean.
+ */
+
+const ALIAS_TOLERANCE = 1e-9;
+const MAX_REFERENCE_GRID = 20000;
+
+const dot = (a, b) => {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) sum += a[i] * b[i];
+  return sum;
+};
+
+const termFactors = (term) => term.split(':');
+
+const levelKey = (observation, factors) => factors.map(f => String(observation[f])).join('|');
+
+/**
+ * Fit a linear model to observations
+ * @param {Object[]} observations - One object per plot with the response and factor values
+ * @param {string[]} terms - Model terms in fitting order, e.g. ['block', 'treatment']
+ * @param {Object} options - { response } property name holding the value (default 'value'),
+ *   { covariates } terms that are numeric covariates rather than factors
+ * @returns {Object} Fit with anova terms, residual, fitted values, residuals, leverages and coefficients
+ */
+export const fitLinearModel = (observations, terms, { response = 'value', covariates = [] } = {}) => {
+  const n = observations.length;
+  const y = Float64Array.from(observations.map(o => o[response]));
+
+  // Orthonormal basis (Q), triangular factor (R) and column definitions
+  const q = [];
+  const r = [];
+  const columns = [];
+  const qty = [];
+
+  const addColumn = (values, definition) => {
+    const v = Float64Array.from(values);
+    const originalNorm = Math.sqrt(dot(v, v));
+    if (originalNorm === 0) return false;
+
+    const rColumn = new Array(q.length).fill(0);
+    // Two passes of modified Gram-Schmidt for numerical stability
+    for (let pass = 0; pass < 2; pass++) {
+      for (let j = 0; j < q.length; j++) {
+        const proj = dot(q[j], v);
+        rColumn[j] += proj;
+        for (let i = 0; i < n; i++) v[i] -= proj * q[j][i];
+      }
+    }
+
+    const norm = Math.sqrt(dot(v, v));
+    if (norm <= ALIAS_TOLERANCE * originalNorm) return false;
+
+    for (let i = 0; i < n; i++) v[i] /= norm;
+    rColumn.push(norm);
+    q.push(v);
+    r.push(rColumn);
+    columns.push(definition);
+    qty.push(dot(v, y));
+    return true;
+  };
+
+  // Intercept
+  addColumn(new Array(n).fill(1), { term: null });
+
+  const anova = terms.map(term => {
+    if (covariates.includes(term)) {
+      const start = qty.length;
+      const mean = observations.reduce((sum, o) => sum + o[term], 0) / n;
+      addColumn(observations.map(o => o[term] - mean), { term, covariate: term, mean });
+      const df = qty.length - start;
+      const ss = df > 0 ? qty[start] * qty[start] : 0;
+      return { term, df, ss, ms: ss };
+    }
+
+    const factors = termFactors(term);
+    const levels = [...new Set(observations.map(o => levelKey(o, factors)))].sort();
+    const start = qty.length;
+
+    levels.forEach(level => {
+      addColumn(observations.map(o => (levelKey(o, factors) === level ? 1 : 0)), { term, factors, level });
+    });
+
+    const df = qty.length - start;
+    const ss = qty.slice(start).reduce((sum, v) => sum + v * v, 0);
+    return { term, df, ss, ms: df > 0 ? ss / df : 0 };
+  });
+
+  const rank = qty.length;
+  const explained = qty.reduce((sum, v) => sum + v * v, 0);
+
+  // Fitted values Q Q'y and leverages (diagonal of the hat matrix Q Q')
+  const fitted = new Array(n).fill(0);
+  const leverage = new Array(n).fill(0);
+  for (let j = 0; j < rank; j++) {
+    for (let i = 0; i < n; i++) {
+      fitted[i] += q[j][i] * qty[j];
+      leverage[i] += q[j][i] * q[j][i];
+    }
+  }
+  const residuals = fitted.map((f, i) => y[i] - f);
+  const ssResidual = Math.max(0, dot(y, y) - explained);
+  const dfResidual = n - rank;
+  const grandMean = n > 0 ? y.reduce((sum, v) => sum + v, 0) / n : 0;
+  const ssTotal = Math.max(0, dot(y, y) - n * grandMean * grandMean);
+
+  // Solve R b = Q'y and invert R for the coefficient covariance
+  const p = rank;
+  const rInv = Array.from({ length: p }, () => new Float64Array(p));
+  for (let col = 0; col < p; col++) {
+    rInv[col][col] = 1 / r[col][col];
+    for (let row = col - 1; row >= 0; row--) {
+      let sum = 0;
+      for (let k = row + 1; k <= col; k++) sum += r[k][row] * rInv[k][col];
+      rInv[row][col] = -sum / r[row][row];
+    }
+  }
+  const coefficients = new Float64Array(p);
+  for (let row = 0; row < p; row++) {
+    let sum = 0;
+    for (let k = row; k < p; k++) sum += rInv[row][k] * qty[k];
+    coefficients[row] = sum;
+  }
+
+  return {
+    n,
+    terms,
+    covariates,
+    observations,
+    anova,
+    residual: {
+      df: dfResidual,
+      ss: ssResidual,
+      ms: dfResidual > 0 ? ssResidual / dfResidual : 0
+    },
+    total: { df: n - 1, ss: ssTotal },
+    grandMean,
+    fitted,
+    residuals,
+    leverage,
+    columns,
+    coefficients,
+    rInv
+  };
+};
+
+/**
+ * Model row (x vector) for an arbitrary combination of factor values
+ * Covariates not given in `values` are set to their mean.
+ */
+const modelRow = (fit, values) => fit.columns.map(column => {
+  if (column.term === null) return 1;
+  if (column.covariate) {
+    const value = values[column.covariate];
+    return value === undefined || value === null ? 0 : value - column.mean;
+  }
+  return levelKey(values, column.factors) === column.level ? 1 : 0;
+});
+
+/**
+ * Fitted value for a combination of factor values, e.g. a missing plot
+ * Only meaningful when every level in `values` was seen while fitting.
+ * @param {Object} fit - Result of fitLinearModel
+ * @param {Object} values - Factor values, e.g. { block: 2, treatment: 1 }
+ * @returns {number} Predicted response
+ */
+export const predict = (fit, values) => dot(modelRow(fit, values), fit.coefficients);
+
+/**
+ * Variance factor L (X'X)^-1 L' for a linear combination of coefficients
+ */
+const varianceFactor = (fit, l) => {
+  // (X'X)^-1 = R^-1 R^-T, so L (X'X)^-1 L' = |R^-T L'|^2
+  let sum = 0;
+  for (let k = 0; k < l.length; k++) {
+    let v = 0;
+    for (let j = 0; j <= k; j++) v += fit.rInv[j][k] * l[j];
+    sum += v * v;
+  }
+  return sum;
+};
+
+/**
+ * Least-squares (adjusted) means for a term, averaged over the levels of
+ * every other factor in the model
+ * @param {Object} fit - Result of fitLinearModel
+ * @param {string} term - Factor or interaction to get means for
+ * @param {Object} options - { errorMs } mean square to use for standard errors (default residual)
+ * @returns {Object} { means: [{ level, values, mean, se, n }], sed(i, j), averageSed }
+ */
+export const leastSquaresMeans = (fit, term, { errorMs = fit.residual.ms } = {}) => {
+  const targetFactors = termFactors(term);
+  const otherFactors = [...new Set(fit.terms.filter(t => !fit.covariates.includes(t)).flatMap(termFactors))]
+    .filter(f => !targetFactors.includes(f));
+
+  const levelsOf = (factor) => [...new Set(fit.observations.map(o => String(o[factor])))].sort();
+
+  // Reference grid over the other factors
+  let grid = [{}];
+  otherFactors.forEach(factor => {
+    const levels = levelsOf(factor);
+    grid = grid.flatMap(point => levels.map(level => ({ ...point, [factor]: level })));
+  });
+  if (grid.length > MAX_REFERENCE_GRID) {
+    // Too many combinations to enumerate - average over the observed ones instead
+    grid = fit.observations.map(o => Object.fromEntries(otherFactors.map(f => [f, String(o[f])])));
+  }
+
+  const targetLevels = [...new Set(fit.observations.map(o => levelKey(o, targetFactors)))].sort();
+
+  const means = targetLevels.map(level => {
+    const parts = level.split('|');
+    const target = Object.fromEntries(targetFactors.map((f, i) => [f, parts[i]]));
+    const l = new Array(fit.columns.length).fill(0);
+    grid.forEach(point => {
+      modelRow(fit, { ...point, ...target }).forEach((v, k) => { l[k] += v / grid.length; });
+    });
+
+    const matching = fit.observations.filter(o => levelKey(o, targetFactors) === level);
+    return {
+      level,
+      values: target,
+      l,
+      mean: dot(l, fit.coefficients),
+      se: Math.sqrt(errorMs * varianceFactor(fit, l)),
+      n: matching.length
+    };
+  });
+
+  const sed = (i, j) => {
+    const diff = means[i].l.map((v, k) => v - means[j].l[k]);
+    return Math.sqrt(errorMs * varianceFactor(fit, diff));
+  };
+
+  let sedSum = 0;
+  let pairs = 0;
+  for (let i = 0; i < means.length; i++) {
+    for (let j = i + 1; j < means.length; j++) {
+      sedSum += sed(i, j);
+      pairs++;
+    }
+  }
+
+  return {
+    means: means.map(({ l, ...rest }) => rest),
+    sed,
+    averageSed: pairs > 0 ? sedSum / pairs : 0
+  };
+};
+
+/**
+ * Regression coefficient of a covariate with its standard error
+ * @param {Object} fit - Result of fitLinearModel with the covariate fitted
+ * @param {string} covariate - Covariate term
+ * @returns {Object|null} { estimate, se } or null if the covariate was aliased
+ */
+export const covariateCoefficient = (fit, covariate) => {
+  const index = fit.columns.findIndex(column => column.covariate === covariate);
+  if (index < 0) return null;
+  const l = new Array(fit.columns.length).fill(0);
+  l[index] = 1;
+  return {
+    estimate: fit.coefficients[index],
+    se: Math.sqrt(fit.residual.ms * varianceFactor(fit, l))
+  };
+};
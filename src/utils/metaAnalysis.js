@@ -0,0 +1,155 @@
+import { fitLinearModel, leastSquaresMeans } from './linearModel';
+import { collectObservations, fProbability } from './designAnalysis';
+import { analyseDesign } from '../stats';
+import { compareTreatments } from './multipleComparisons';
+
+/**
+ * Combined analysis of one protocol run at several sites (or years)
+ *
+ * Each selected trial is a site. Treatments are matched across trials through
+ * a mapping onto a pooled treatment list, since labels often differ. The model
+ * is site + block within site + treatment + treatment × site. Sites are
+ * random, so treatments are tested against the treatment × site interaction
+ * and pooled means use it for their standard errors.
+ */
+
+const normaliseName = (name) => String(name || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+/**
+ * Suggest a pooled treatment list and how each trial's treatments map onto it
+ * Treatments with the same name (ignoring case, spaces and punctuation) are matched.
+ * @param {Object[]} trials - Trials with config.treatments
+ * @returns {Object} { pooled: string[], mapping: { [trialId]: (number|null)[] } } mapping[trialId][pooledIdx] = treatment index in that trial
+ */
+export const suggestTreatmentMapping = (trials) => {
+  const pooled = [];
+  const keys = [];
+  trials.forEach(trial => {
+    trial.config.treatments.forEach(name => {
+      const key = normaliseName(name);
+      if (!keys.includes(key)) {
+        keys.push(key);
+        pooled.push(name);
+      }
+    });
+  });
+
+  const mapping = Object.fromEntries(trials.map(trial => {
+    const trialKeys = trial.config.treatments.map(normaliseName);
+    return [trial.id, keys.map(key => {
+      const idx = trialKeys.indexOf(key);
+      return idx >= 0 ? idx : null;
+    })];
+  }));
+
+  return { pooled, mapping };
+};
+
+/**
+ * Combined analysis across sites
+ * @param {Object[]} sites - [{ trial, name, assessmentType, date }] one per selected trial
+ * @param {string[]} pooled - Pooled treatment names
+ * @param {Object} mapping - { [trialId]: (number|null)[] } from suggestTreatmentMapping (possibly edited)
+ * @returns {Object|null} { sources, means, siteResults, interaction, varianceComponent, sed, lsd } or null
+ */
+export const analyseAcrossSites = (sites, pooled, mapping) => {
+  const siteResults = [];
+  const observations = [];
+
+  sites.forEach((site, siteIdx) => {
+    const dateObj = site.trial.assessmentDates?.find(d => d.date === site.date);
+    const assessmentData = dateObj?.assessments?.[site.assessmentType];
+    if (!assessmentData) return;
+
+    // Trial treatment index -> pooled index
+    const toPooled = {};
+    (mapping[site.trial.id] || []).forEach((trialIdx, pooledIdx) => {
+      if (trialIdx !== null && trialIdx !== undefined) toPooled[trialIdx] = pooledIdx;
+    });
+
+    const siteObservations = collectObservations(site.trial.config, site.trial.gridLayout, assessmentData)
+      .filter(o => toPooled[o.treatment] !== undefined)
+      .map(o => ({ site: String(siteIdx), block: o.block, treatment: String(toPooled[o.treatment]), value: o.value }));
+    if (siteObservations.length === 0) return;
+    observations.push(...siteObservations);
+
+    // The site's own analysis, under its own design; its means are least-squares
+    // means like the pooled ones, so a site with missing plots is adjusted for blocks
+    const own = analyseDesign(site.trial.config, site.trial.gridLayout, assessmentData);
+    const means = {};
+    pooled.forEach((_, pooledIdx) => {
+      const trialIdx = mapping[site.trial.id]?.[pooledIdx];
+      const stat = own?.treatmentStats.find(t => t.treatment === trialIdx);
+      means[pooledIdx] = stat ? stat.mean : null;
+    });
+    siteResults.push({
+      name: site.name,
+      n: siteObservations.length,
+      means,
+      residualMs: own?.anova.msResidual ?? null,
+      dfResidual: own?.anova.dfResidual ?? null,
+      p: own?.anova.pValue ?? null
+    });
+  });
+
+  const numSites = new Set(observations.map(o => o.site)).size;
+  const usedTreatments = new Set(observations.map(o => o.treatment));
+  if (numSites < 2 || usedTreatments.size < 2) return null;
+
+  const fit = fitLinearModel(observations, ['site', 'site:block', 'treatment', 'site:treatment']);
+  const anova = Object.fromEntries(fit.anova.map(a => [a.term, a]));
+  const residual = fit.residual;
+  const interaction = anova['site:treatment'];
+
+  // Random sites: treatments against the interaction, the interaction against the pooled residual
+  const treatmentError = interaction.df > 0 ? interaction : residual;
+  const test = (term, error) => {
+    const { df, ss, ms } = anova[term];
+    const f = df > 0 && error.ms > 0 ? ms / error.ms : null;
+    return { df, ss, ms, f, p: f !== null ? fProbability(f, df, error.df) : null };
+  };
+  const sources = [
+    { term: 'site', source: 'Site', ...test('site', anova['site:block'].df > 0 ? anova['site:block'] : residual) },
+    { term: 'site:block', source: 'Block within site', ...test('site:block', residual) },
+    { term: 'treatment', source: 'Treatment', ...test('treatment', treatmentError) },
+    { term: 'site:treatment', source: 'Treatment × Site', ...test('site:treatment', residual) },
+    { term: 'residual', source: 'Pooled residual', df: residual.df, ss: residual.ss, ms: residual.ms, f: null, p: null },
+    { term: 'total', source: 'Total', df: fit.total.df, ss: fit.total.ss, ms: null, f: null, p: null }
+  ];
+
+  const lsm = leastSquaresMeans(fit, 'treatment', { errorMs: treatmentError.ms });
+  const treatmentStats = lsm.means.map(m => ({
+    treatment: Number(m.values.treatment),
+    treatmentName: pooled[Number(m.values.treatment)],
+    mean: m.mean,
+    stdError: m.se,
+    n: m.n,
+    sites: new Set(observations.filter(o => o.treatment === m.values.treatment).map(o => o.site)).size
+  }));
+  const headline = sources.find(s => s.term === 'treatment');
+  const comparison = compareTreatments(treatmentStats, {
+    method: 'lsd',
+    alpha: 0.05,
+    sed: lsm.averageSed,
+    df: treatmentError.df,
+    pValue: headline.p
+  });
+
+  // Treatment × site variance component from the expected mean squares
+  const replicates = observations.length / (numSites * usedTreatments.size);
+  const varianceComponent = interaction.df > 0 && replicates > 0
+    ? Math.max(0, (interaction.ms - residual.ms) / replicates)
+    : null;
+
+  return {
+    sources,
+    treatmentStats: comparison.treatments,
+    siteResults,
+    numSites,
+    significant: comparison.significant,
+    sed: lsm.averageSed,
+    lsd: comparison.criticalValue,
+    errorDf: treatmentError.df,
+    varianceComponent
+  };
+};
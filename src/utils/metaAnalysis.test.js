@@ -0,0 +1,43 @@
+import { describe, it, expect } from 'vitest';
+import { analyseAcrossSites, suggestTreatmentMapping } from './metaAnalysis';
+
+// RCBD site with two treatments; values[block][treatment], null for a missing plot
+const site = (id, values) => {
+  const gridLayout = values.map((row, b) =>
+    row.map((_, t) => ({ id: `${b + 1}-${t + 1}`, block: b + 1, treatment: t, isBlank: false }))
+  );
+  const assessments = {};
+  values.forEach((row, b) => row.forEach((value, t) => {
+    assessments[`${b + 1}-${t + 1}`] = value === null ? { value: '', entered: false } : { value: String(value), entered: true };
+  }));
+
+  return {
+    trial: {
+      id,
+      config: { treatments: ['Untreated', 'Product A'] },
+      gridLayout,
+      assessmentDates: [{ date: '2025-06-01', assessments: { Disease: assessments } }]
+    },
+    name: id,
+    assessmentType: 'Disease',
+    date: '2025-06-01'
+  };
+};
+
+describe('analyseAcrossSites', () => {
+  it('gives each site its least-squares means, adjusted for a missing plot', () => {
+    const sites = [
+      // Product A is missing from the block with the most disease
+      site('North', [[10, 12], [20, 22], [30, null]]),
+      site('South', [[5, 9], [7, 11], [6, 10]])
+    ];
+    const { pooled, mapping } = suggestTreatmentMapping(sites.map(s => s.trial));
+    const result = analyseAcrossSites(sites, pooled, mapping);
+
+    // The raw mean of Product A at North would be 17; block-adjusted it is 22
+    expect(result.siteResults[0].means[0]).toBeCloseTo(20, 8);
+    expect(result.siteResults[0].means[1]).toBeCloseTo(22, 8);
+    expect(result.siteResults[1].means[0]).toBeCloseTo(6, 8);
+    expect(result.siteResults[1].means[1]).toBeCloseTo(10, 8);
+  });
+});
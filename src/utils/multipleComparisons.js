@@ -0,0 +1,253 @@
+import { jStat } from 'jstat';
+
+/**
+ * Multiple comparison procedures for treatment means
+ *
+ * All procedures work from the average s.e.d. and residual d.f. of the
+ * analysis. Letter methods give a compact letter display; Dunnett compares
+ * each treatment with the control only. Settings are kept per trial in
+ * config.comparison = { method, alpha }, the control in config.controlTreatment.
+ */
+
+export const COMPARISON_METHODS = {
+  lsd: {
+    label: "Fisher's protected LSD",
+    short: 'LSD',
+    letters: true,
+    protected: true
+  },
+  tukey: {
+    label: 'Tukey HSD',
+    short: 'HSD',
+    letters: true,
+    protected: false
+  },
+  duncan: {
+    label: "Duncan's multiple range",
+    short: 'Duncan',
+    letters: true,
+    protected: false
+  },
+  bonferroni: {
+    label: 'Bonferroni',
+    short: 'Bonferroni',
+    letters: true,
+    protected: false
+  },
+  dunnett: {
+    label: 'Dunnett vs control',
+    short: 'Dunnett',
+    letters: false,
+    protected: false
+  }
+};
+
+export const ALPHA_LEVELS = [0.1, 0.05, 0.01];
+
+export const DEFAULT_COMPARISON = { method: 'lsd', alpha: 0.05 };
+
+/**
+ * Comparison settings for a trial, falling back to protected LSD at 5%
+ * @param {Object} config - Trial config
+ * @returns {Object} { method, alpha, controlTreatment }
+ */
+export const getComparisonSettings = (config) => {
+  const saved = config?.comparison || {};
+  const controlTreatment = config?.controlTreatment;
+  return {
+    method: COMPARISON_METHODS[saved.method] ? saved.method : DEFAULT_COMPARISON.method,
+    alpha: ALPHA_LEVELS.includes(saved.alpha) ? saved.alpha : DEFAULT_COMPARISON.alpha,
+    controlTreatment: controlTreatment === undefined ? null : controlTreatment
+  };
+};
+
+const dunnettCache = new Map();
+
+// Simpson's rule over [a, b] with an even number of intervals
+const simpson = (fn, a, b, intervals) => {
+  const h = (b - a) / intervals;
+  let sum = fn(a) + fn(b);
+  for (let i = 1; i < intervals; i++) {
+    sum += fn(a + i * h) * (i % 2 === 0 ? 2 : 4);
+  }
+  return (sum * h) / 3;
+};
+
+// P(max |T_i| <= d) for m comparisons with a common control (correlation 0.5)
+const dunnettProbability = (d, m, df) => {
+  const inner = (s) => simpson(
+    (y) => jStat.normal.pdf(y, 0, 1) * Math.pow(
+      jStat.normal.cdf(y + d * Math.SQRT2 * s, 0, 1) - jStat.normal.cdf(y - d * Math.SQRT2 * s, 0, 1),
+      m
+    ),
+    -8, 8, 80
+  );
+  if (!Number.isFinite(df) || df > 2000) return inner(1);
+
+  // s = sqrt(chi-square(df) / df)
+  const logConst = (df / 2) * Math.log(df) - (df / 2 - 1) * Math.log(2) - jStat.gammaln(df / 2);
+  const density = (s) => (s <= 0 ? 0 : Math.exp(logConst + (df - 1) * Math.log(s) - (df * s * s) / 2));
+  const spread = 8 / Math.sqrt(2 * df);
+  return simpson((s) => density(s) * inner(s), Math.max(0, 1 - spread), 1 + spread, 60);
+};
+
+/**
+ * Two-sided Dunnett critical value (equal replication)
+ * @param {number} alpha - Significance level
+ * @param {number} m - Number of treatments compared with the control
+ * @param {number} df - Residual degrees of freedom
+ * @returns {number}
+ */
+export const dunnettCritical = (alpha, m, df) => {
+  const key = `${alpha}|${m}|${df}`;
+  if (dunnettCache.has(key)) return dunnettCache.get(key);
+
+  let low = 0;
+  let high = 20;
+  for (let i = 0; i < 40; i++) {
+    const mid = (low + high) / 2;
+    if (dunnettProbability(mid, m, df) < 1 - alpha) {
+      low = mid;
+    } else {
+      high = mid;
+    }
+  }
+  const critical = (low + high) / 2;
+  dunnettCache.set(key, critical);
+  return critical;
+};
+
+/**
+ * GenStat-style compact letter display
+ * Two treatments share a letter only if they are not different from each other;
+ * there is no transitive inheritance.
+ * @param {Object[]} treatments - Treatments with { treatment, mean }
+ * @param {Function} isDifferent - (a, b) => true if a and b differ significantly
+ * @returns {Object[]} Treatments in the given order with group letters
+ */
+export const assignLetters = (treatments, isDifferent) => {
+  if (treatments.length === 0) return [];
+
+  // Sort by mean descending (standard for CLD)
+  const sorted = [...treatments].sort((a, b) => b.mean - a.mean);
+
+  // Groups: each group contains treatments that are ALL not different from each other
+  let groups = [];
+
+  // Step 1: Insert each treatment into applicable groups
+  for (const t of sorted) {
+    for (const group of groups) {
+      if (group.every(member => !isDifferent(t, member))) {
+        group.push(t);
+      }
+    }
+    // Always create singleton group (may become larger group later)
+    groups.push([t]);
+  }
+
+  // Step 2: Remove redundant groups (groups that are subsets of other groups)
+  groups = groups.filter(g => !groups.some(other =>
+    other !== g && other.length > g.length && g.every(t => other.includes(t))
+  ));
+
+  // Step 3: Assign letters to groups
+  const letterMap = new Map();
+  sorted.forEach(t => letterMap.set(t.treatment, ''));
+  groups.forEach((group, idx) => {
+    const letter = String.fromCharCode('a'.charCodeAt(0) + idx);
+    for (const member of group) {
+      letterMap.set(member.treatment, letterMap.get(member.treatment) + letter);
+    }
+  });
+
+  return treatments.map(t => ({
+    ...t,
+    group: letterMap.get(t.treatment).split('').sort().join('')
+  }));
+};
+
+/**
+ * Compare treatment means with the chosen procedure
+ * Groups are letters for letter methods, 'NS' when a protected test is not
+ * significant, and 'control', '*' or 'ns' for Dunnett.
+ * @param {Object[]} treatments - Treatments with { treatment, mean }
+ * @param {Object} options - { method, alpha, sed, df, pValue, controlTreatment }
+ * @returns {Object} { treatments, significant, criticalValue, criticalLabel, message }
+ */
+export const compareTreatments = (treatments, { method = 'lsd', alpha = 0.05, sed, df, pValue, controlTreatment = null }) => {
+  const procedure = COMPARISON_METHODS[method] || COMPARISON_METHODS.lsd;
+  const significant = pValue !== null && pValue !== undefined && pValue < alpha;
+  const k = treatments.length;
+  const result = { significant, criticalValue: null, criticalLabel: procedure.short, message: null };
+
+  if (k < 2 || !(sed > 0) || !(df > 0)) {
+    return { ...result, treatments: treatments.map(t => ({ ...t, group: 'NS' })) };
+  }
+
+  if (method === 'dunnett') {
+    const control = treatments.find(t => t.treatment === controlTreatment);
+    if (!control) {
+      return {
+        ...result,
+        treatments: treatments.map(t => ({ ...t, group: '' })),
+        message: 'Choose a control treatment in the trial settings for Dunnett\'s test'
+      };
+    }
+    const criticalValue = dunnettCritical(alpha, k - 1, df) * sed;
+    return {
+      ...result,
+      criticalValue,
+      treatments: treatments.map(t => ({
+        ...t,
+        group: t === control ? 'control' : Math.abs(t.mean - control.mean) > criticalValue ? '*' : 'ns'
+      }))
+    };
+  }
+
+  if (procedure.protected && !significant) {
+    return {
+      ...result,
+      criticalValue: jStat.studentt.inv(1 - alpha / 2, df) * sed,
+      treatments: treatments.map(t => ({ ...t, group: 'NS' }))
+    };
+  }
+
+  let isDifferent;
+  if (method === 'duncan') {
+    // Critical range depends on how many means the pair spans
+    const ranks = new Map([...treatments].sort((a, b) => a.mean - b.mean).map((t, idx) => [t.treatment, idx]));
+    const ranges = Array.from({ length: k + 1 }, (_, p) =>
+      p < 2 ? 0 : jStat.tukey.inv(Math.pow(1 - alpha, p - 1), p, df) * sed / Math.SQRT2
+    );
+    isDifferent = (a, b) =>
+      Math.abs(a.mean - b.mean) > ranges[Math.abs(ranks.get(a.treatment) - ranks.get(b.treatment)) + 1];
+    result.criticalValue = ranges[2];
+    result.criticalRange = [ranges[2], ranges[k]];
+  } else {
+    const pairs = (k * (k - 1)) / 2;
+    const critical = {
+      lsd: () => jStat.studentt.inv(1 - alpha / 2, df) * sed,
+      tukey: () => jStat.tukey.inv(1 - alpha, k, df) * sed / Math.SQRT2,
+      bonferroni: () => jStat.studentt.inv(1 - alpha / (2 * pairs), df) * sed
+    }[method] || (() => jStat.studentt.inv(1 - alpha / 2, df) * sed);
+    result.criticalValue = critical();
+    isDifferent = (a, b) => Math.abs(a.mean - b.mean) > result.criticalValue;
+  }
+
+  return { ...result, treatments: assignLetters(treatments, isDifferent) };
+};
+
+/**
+ * Short text for the critical difference, e.g. "HSD (5%): 1.234"
+ * @param {Object} comparison - Result of compareTreatments
+ * @param {number} alpha - Significance level
+ * @returns {string}
+ */
+export const formatCriticalValue = (comparison, alpha) => {
+  if (comparison.criticalValue === null) return '';
+  const level = `${comparison.criticalLabel} (${+(alpha * 100).toFixed(1)}%)`;
+  if (comparison.criticalRange) {
+    return `${level}: ${comparison.criticalRange[0].toFixed(3)}–${comparison.criticalRange[1].toFixed(3)}`;
+  }
+  return `${level}: ${comparison.criticalValue.toFixed(3)}`;
+};
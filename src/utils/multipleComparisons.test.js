@@ -0,0 +1,71 @@
+import { describe, it, expect } from 'vitest';
+import { compareTreatments, dunnettCritical } from './multipleComparisons';
+
+/**
+ * Critical values at 5% with 12 error d.f., from the published tables
+ * (Student's t, studentized range, Harter's (1960) corrected Duncan ranges,
+ * Dunnett) and R: qt, qtukey, p.adjust and multcomp::glht.
+ * Letters run from the highest mean.
+ */
+
+const means = [20, 22, 25, 30].map((mean, treatment) => ({ treatment, name: `T${treatment + 1}`, mean }));
+const options = { alpha: 0.05, df: 12, pValue: 0.001 };
+
+describe('compareTreatments', () => {
+  it('LSD uses t(0.975, 12) = 2.179', () => {
+    const result = compareTreatments(means, { ...options, method: 'lsd', sed: 1 });
+    expect(result.criticalValue).toBeCloseTo(2.179, 3);
+    // T1 and T2 differ by 2, less than the l.s.d.
+    expect(result.treatments.map(t => t.group)).toEqual(['c', 'c', 'b', 'a']);
+  });
+
+  it('Tukey HSD uses q(4, 12) = 4.20', () => {
+    // With s.e.d. √2 the HSD equals q
+    const result = compareTreatments(means, { ...options, method: 'tukey', sed: Math.SQRT2 });
+    expect(result.criticalValue).toBeCloseTo(4.20, 2);
+    expect(result.treatments.map(t => t.group)).toEqual(['c', 'bc', 'b', 'a']);
+  });
+
+  it("Duncan's ranges run from r(2, 12) = 3.082 to r(4, 12) = 3.313", () => {
+    const result = compareTreatments(means, { ...options, method: 'duncan', sed: Math.SQRT2 });
+    expect(result.criticalRange[0]).toBeCloseTo(3.082, 2);
+    expect(result.criticalRange[1]).toBeCloseTo(3.313, 2);
+    // T1 and T3 span three means, so are tested against r(3, 12) = 3.225
+    expect(result.treatments.map(t => t.group)).toEqual(['c', 'bc', 'b', 'a']);
+  });
+
+  it('Bonferroni splits alpha over the 6 pairs: t(1 - 0.05/12, 12) = 3.153', () => {
+    const result = compareTreatments(means, { ...options, method: 'bonferroni', sed: 1 });
+    expect(result.criticalValue).toBeCloseTo(3.153, 3);
+  });
+
+  it("Dunnett's two-sided value for 3 comparisons with a control is 2.68", () => {
+    const result = compareTreatments(means, { ...options, method: 'dunnett', sed: 1, controlTreatment: 0 });
+    expect(Math.abs(result.criticalValue - 2.68)).toBeLessThan(0.02);
+    expect(result.treatments.map(t => t.group)).toEqual(['control', 'ns', '*', '*']);
+  });
+
+  it('Dunnett asks for a control when none is set', () => {
+    const result = compareTreatments(means, { ...options, method: 'dunnett', sed: 1 });
+    expect(result.criticalValue).toBeNull();
+    expect(result.message).toMatch(/control/);
+  });
+
+  it('gives no groups without error degrees of freedom', () => {
+    const result = compareTreatments(means, { ...options, method: 'lsd', sed: 1, df: 0 });
+    expect(result.criticalValue).toBeNull();
+    expect(result.treatments.every(t => t.group === 'NS')).toBe(true);
+  });
+});
+
+describe('dunnettCritical', () => {
+  it('matches the two-sided 5% table', () => {
+    // Dunnett (1964): 2 comparisons on 10 d.f., 5 comparisons on 20 d.f.
+    expect(Math.abs(dunnettCritical(0.05, 2, 10) - 2.57)).toBeLessThan(0.02);
+    expect(Math.abs(dunnettCritical(0.05, 5, 20) - 2.73)).toBeLessThan(0.02);
+  });
+
+  it('equals t for a single comparison', () => {
+    expect(dunnettCritical(0.05, 1, 12)).toBeCloseTo(2.179, 2);
+  });
+});
@@ -0,0 +1,210 @@
+import { jStat } from 'jstat';
+import * as ss from 'simple-statistics';
+import { collectObservations } from './designAnalysis';
+import { assignLetters } from './multipleComparisons';
+
+/**
+ * Rank-based analysis for ordinal ratings (e.g. 1-9 visual quality scores)
+ *
+ * Friedman ranks treatments within each complete block; Kruskal-Wallis ranks
+ * all plots together. Treatments are then compared on their ranks with
+ * Conover's t-based procedure (as in agricolae), protected by the overall test.
+ * The default is set per assessment type as assessmentType.analysis.
+ */
+
+export const ANALYSIS_MODES = {
+  parametric: { label: 'ANOVA (parametric)' },
+  friedman: { label: 'Friedman (blocked ranks)' },
+  kruskal: { label: 'Kruskal-Wallis (ranks)' }
+};
+
+/**
+ * Analysis mode set for an assessment type (parametric if not set)
+ * @param {Object} config - Trial config
+ * @param {string} assessmentTypeName - Assessment type name
+ * @returns {string} Key of ANALYSIS_MODES
+ */
+export const getAnalysisMode = (config, assessmentTypeName) => {
+  const type = config?.assessmentTypes?.find(t => t.name === assessmentTypeName);
+  return ANALYSIS_MODES[type?.analysis] ? type.analysis : 'parametric';
+};
+
+/**
+ * Average ranks, with tied values sharing the mean of their ranks
+ * @param {number[]} values
+ * @returns {Object} { ranks, ties } where ties is Σ(t³ - t) over tie groups
+ */
+export const rankValues = (values) => {
+  const order = values.map((value, index) => ({ value, index })).sort((a, b) => a.value - b.value);
+  const ranks = new Array(values.length);
+  let ties = 0;
+  let i = 0;
+  while (i < order.length) {
+    let j = i;
+    while (j + 1 < order.length && order[j + 1].value === order[i].value) j++;
+    const rank = (i + j + 2) / 2;
+    for (let k = i; k <= j; k++) ranks[order[k].index] = rank;
+    const t = j - i + 1;
+    ties += t * t * t - t;
+    i = j + 1;
+  }
+  return { ranks, ties };
+};
+
+const summarise = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  return {
+    n: sorted.length,
+    median: ss.median(sorted),
+    q1: ss.quantileSorted(sorted, 0.25),
+    q3: ss.quantileSorted(sorted, 0.75)
+  };
+};
+
+/**
+ * Friedman test on complete blocks
+ * Several plots of one treatment in a block are averaged first.
+ * @param {Object[]} observations - [{ block, treatment, value }]
+ * @returns {Object|null} { statistic, df, p, blocks, droppedBlocks, rankSums, criticalDifference(alpha) } or null
+ */
+export const friedmanTest = (observations) => {
+  const treatments = [...new Set(observations.map(o => o.treatment))].sort((a, b) => a - b);
+  const k = treatments.length;
+  const byBlock = {};
+  observations.forEach(o => {
+    byBlock[o.block] = byBlock[o.block] || {};
+    (byBlock[o.block][o.treatment] = byBlock[o.block][o.treatment] || []).push(o.value);
+  });
+
+  const blockIds = Object.keys(byBlock);
+  const complete = blockIds.filter(b => treatments.every(t => byBlock[b][t]?.length > 0));
+  const b = complete.length;
+  if (k < 2 || b < 2) return null;
+
+  const rankSums = Object.fromEntries(treatments.map(t => [t, 0]));
+  let sumSquaredRanks = 0;
+  let ties = 0;
+  complete.forEach(block => {
+    const values = treatments.map(t => ss.mean(byBlock[block][t]));
+    const ranked = rankValues(values);
+    ranked.ranks.forEach((r, idx) => {
+      rankSums[treatments[idx]] += r;
+      sumSquaredRanks += r * r;
+    });
+    ties += ranked.ties;
+  });
+
+  const sumRankSquares = Object.values(rankSums).reduce((sum, r) => sum + r * r, 0);
+  const correction = 1 - ties / (b * k * (k * k - 1));
+  const statistic = correction > 0
+    ? ((12 / (b * k * (k + 1))) * sumRankSquares - 3 * b * (k + 1)) / correction
+    : 0;
+  const df = k - 1;
+
+  // Conover: t-based least significant difference between rank sums
+  const dfError = (b - 1) * (k - 1);
+  const varianceTerm = (2 * (b * sumSquaredRanks - sumRankSquares)) / dfError;
+  const criticalDifference = (alpha) =>
+    varianceTerm > 0 ? jStat.studentt.inv(1 - alpha / 2, dfError) * Math.sqrt(varianceTerm) : 0;
+
+  return {
+    statistic,
+    df,
+    p: statistic > 0 ? 1 - jStat.chisquare.cdf(statistic, df) : 1,
+    blocks: b,
+    droppedBlocks: blockIds.length - b,
+    rankSums,
+    criticalDifference
+  };
+};
+
+/**
+ * Kruskal-Wallis test
+ * @param {Object[]} observations - [{ treatment, value }]
+ * @returns {Object|null} { statistic, df, p, meanRanks, criticalDifference(alpha, nA, nB) } or null
+ */
+export const kruskalWallisTest = (observations) => {
+  const n = observations.length;
+  const treatments = [...new Set(observations.map(o => o.treatment))];
+  const k = treatments.length;
+  if (k < 2 || n - k < 1) return null;
+
+  const { ranks, ties } = rankValues(observations.map(o => o.value));
+  const rankSums = {};
+  const counts = {};
+  observations.forEach((o, idx) => {
+    rankSums[o.treatment] = (rankSums[o.treatment] || 0) + ranks[idx];
+    counts[o.treatment] = (counts[o.treatment] || 0) + 1;
+  });
+
+  const correction = 1 - ties / (n * n * n - n);
+  const h = correction > 0
+    ? ((12 / (n * (n + 1))) * treatments.reduce((sum, t) => sum + (rankSums[t] * rankSums[t]) / counts[t], 0) - 3 * (n + 1)) / correction
+    : 0;
+  const df = k - 1;
+
+  // Conover-Iman: t-based least significant difference between mean ranks
+  const s2 = (ranks.reduce((sum, r) => sum + r * r, 0) - (n * (n + 1) * (n + 1)) / 4) / (n - 1);
+  const criticalDifference = (alpha, nA, nB) => {
+    const variance = (s2 * (n - 1 - h)) / (n - k) * (1 / nA + 1 / nB);
+    return variance > 0 ? jStat.studentt.inv(1 - alpha / 2, n - k) * Math.sqrt(variance) : 0;
+  };
+
+  return {
+    statistic: h,
+    df,
+    p: h > 0 ? 1 - jStat.chisquare.cdf(h, df) : 1,
+    meanRanks: Object.fromEntries(treatments.map(t => [t, rankSums[t] / counts[t]])),
+    counts,
+    criticalDifference
+  };
+};
+
+/**
+ * Rank-based analysis of one date of one assessment type
+ * @param {Object} config - Trial config
+ * @param {Object[][]} gridLayout - Grid layout
+ * @param {Object} assessmentData - { plotId: { value, entered } }
+ * @param {Object} options - { mode: 'friedman' | 'kruskal', alpha }
+ * @returns {Object|null} { mode, statistic, df, p, significant, treatmentStats, droppedBlocks } or null,
+ *   with treatmentStats [{ treatment, treatmentName, values, n, median, q1, q3, mean, group }]
+ */
+export const analyseRanks = (config, gridLayout, assessmentData, { mode = 'kruskal', alpha = 0.05 } = {}) => {
+  const observations = collectObservations(config, gridLayout, assessmentData);
+  if (observations.length === 0) return null;
+
+  const test = mode === 'friedman' ? friedmanTest(observations) : kruskalWallisTest(observations);
+  if (!test) return null;
+  const significant = test.p < alpha;
+
+  const treatments = [...new Set(observations.map(o => o.treatment))].sort((a, b) => a - b);
+  const stats = treatments.map(t => {
+    const values = observations.filter(o => o.treatment === t).map(o => o.value);
+    return {
+      treatment: t,
+      treatmentName: config.treatments[t] || `Treatment ${t + 1}`,
+      values,
+      ...summarise(values),
+      // Friedman compares rank sums, Kruskal-Wallis mean ranks; both are stored as `mean` for the letters
+      mean: mode === 'friedman' ? test.rankSums[t] : test.meanRanks[t]
+    };
+  });
+
+  const isDifferent = mode === 'friedman'
+    ? (a, b) => Math.abs(a.mean - b.mean) > test.criticalDifference(alpha)
+    : (a, b) => Math.abs(a.mean - b.mean) > test.criticalDifference(alpha, test.counts[a.treatment], test.counts[b.treatment]);
+  const treatmentStats = significant
+    ? assignLetters(stats, isDifferent)
+    : stats.map(s => ({ ...s, group: 'NS' }));
+
+  return {
+    mode,
+    statistic: test.statistic,
+    df: test.df,
+    p: test.p,
+    significant,
+    treatmentStats,
+    blocks: test.blocks ?? null,
+    droppedBlocks: test.droppedBlocks ?? 0
+  };
+};
@@ -0,0 +1,57 @@
+import { describe, it, expect } from 'vitest';
+import { friedmanTest, kruskalWallisTest, rankValues } from './nonParametric';
+
+/**
+ * Reference values are the examples on R's help pages for
+ * kruskal.test and friedman.test.
+ */
+
+describe('rankValues', () => {
+  it('gives tied values their mean rank', () => {
+    expect(rankValues([3, 1, 3, 2]).ranks).toEqual([3.5, 1, 3.5, 2]);
+  });
+});
+
+describe('kruskalWallisTest', () => {
+  // Hollander & Wolfe (1973), p. 116: mucociliary efficiency
+  const groups = [
+    [2.9, 3.0, 2.5, 2.6, 3.2],
+    [3.8, 2.7, 4.0, 2.4],
+    [2.8, 3.4, 3.7, 2.2, 2.0]
+  ];
+  const observations = groups.flatMap((values, treatment) => values.map(value => ({ treatment, value })));
+
+  it('matches R kruskal.test', () => {
+    const result = kruskalWallisTest(observations);
+    expect(result.statistic).toBeCloseTo(0.77143, 5);
+    expect(result.df).toBe(2);
+    expect(result.p).toBeCloseTo(0.68, 2);
+  });
+});
+
+describe('friedmanTest', () => {
+  // Hollander & Wolfe (1973), p. 140: rounding first base, 22 players × 3 methods
+  const times = [
+    5.40, 5.50, 5.55, 5.85, 5.70, 5.75, 5.20, 5.60, 5.50, 5.55, 5.50, 5.40,
+    5.90, 5.85, 5.70, 5.45, 5.55, 5.60, 5.40, 5.40, 5.35, 5.45, 5.50, 5.35,
+    5.25, 5.15, 5.00, 5.85, 5.80, 5.70, 5.25, 5.20, 5.10, 5.65, 5.55, 5.45,
+    5.60, 5.35, 5.45, 5.05, 5.00, 4.95, 5.50, 5.50, 5.40, 5.45, 5.55, 5.50,
+    5.55, 5.55, 5.35, 5.45, 5.50, 5.55, 5.50, 5.45, 5.25, 5.65, 5.60, 5.40,
+    5.70, 5.65, 5.55, 6.30, 6.30, 6.25
+  ];
+  const observations = times.map((value, idx) => ({ block: Math.floor(idx / 3) + 1, treatment: idx % 3, value }));
+
+  it('matches R friedman.test with the correction for ties', () => {
+    const result = friedmanTest(observations);
+    expect(result.statistic).toBeCloseTo(11.143, 3);
+    expect(result.df).toBe(2);
+    expect(result.p).toBeCloseTo(0.003805, 5);
+    expect(result.blocks).toBe(22);
+  });
+
+  it('drops incomplete blocks', () => {
+    const result = friedmanTest(observations.filter(o => !(o.block === 1 && o.treatment === 2)));
+    expect(result.blocks).toBe(21);
+    expect(result.droppedBlocks).toBe(1);
+  });
+});
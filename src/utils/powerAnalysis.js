@@ -0,0 +1,104 @@
+import { jStat } from 'jstat';
+import { DESIGN_TYPES, getDesign } from './experimentalDesigns';
+import { analyseDesign } from '../stats';
+
+/**
+ * Replicate planning from a previous trial's residual variance
+ *
+ * Power is for detecting a given difference between two treatment means
+ * with a two-sided t-test on the residual d.f. (the l.s.d. comparison),
+ * from the noncentral t distribution.
+ */
+
+export const PLANNING_BLOCKS = [3, 4, 5, 6, 7, 8];
+export const TARGET_POWER = 0.8;
+
+/**
+ * Pooled residual mean square of an assessment type over every date with data
+ * @param {Object} trial - Library trial with config, gridLayout and assessmentDates
+ * @param {string} assessmentTypeName - Assessment type name
+ * @returns {Object|null} { ms, df, dates, grandMean } or null with no analysable dates
+ */
+export const estimateResidualVariance = (trial, assessmentTypeName) => {
+  let ss = 0;
+  let df = 0;
+  let meanTotal = 0;
+  let dates = 0;
+  (trial.assessmentDates || []).forEach(dateObj => {
+    const assessmentData = dateObj.assessments?.[assessmentTypeName];
+    if (!assessmentData) return;
+    const stats = analyseDesign(trial.config, trial.gridLayout || [], assessmentData);
+    if (!stats || stats.anova.dfResidual <= 0) return;
+    ss += stats.anova.ssResidual;
+    df += stats.anova.dfResidual;
+    meanTotal += stats.grandMean;
+    dates++;
+  });
+  if (df === 0) return null;
+  return { ms: ss / df, df, dates, grandMean: meanTotal / dates };
+};
+
+/**
+ * Replicates per treatment and residual d.f. of a design with a given number of blocks
+ * Split-plots use the sub-plot residual, which tests sub-plot and interaction comparisons.
+ * @param {Object} config - Trial config (design and numTreatments)
+ * @param {number} blocks - Number of blocks (replicates for a CRD)
+ * @returns {Object} { replicates, df }
+ */
+export const designDegreesOfFreedom = (config, blocks) => {
+  const design = getDesign(config);
+  const t = config.numTreatments;
+  switch (design.type) {
+    case DESIGN_TYPES.CRD:
+      return { replicates: blocks, df: t * (blocks - 1) };
+    case DESIGN_TYPES.LATIN_SQUARE:
+      return { replicates: t, df: (t - 1) * (t - 2) };
+    case DESIGN_TYPES.INCOMPLETE_BLOCK: {
+      const plots = blocks * design.blockSize;
+      return { replicates: plots / t, df: plots - blocks - t + 1 };
+    }
+    case DESIGN_TYPES.SPLIT_PLOT: {
+      const mainLevels = design.mainPlotFactor?.levels?.length || 1;
+      const subLevels = design.subPlotFactor?.levels?.length || 1;
+      return { replicates: blocks, df: mainLevels * (blocks - 1) * (subLevels - 1) };
+    }
+    default:
+      return { replicates: blocks, df: (t - 1) * (blocks - 1) };
+  }
+};
+
+/**
+ * Power to detect a difference between two treatment means
+ * @param {Object} options - { difference, variance (residual m.s.), replicates, df, alpha }
+ * @returns {number|null} Power (0-1), or null when it can't be calculated
+ */
+export const differencePower = ({ difference, variance, replicates, df, alpha = 0.05 }) => {
+  if (!(difference > 0 && variance > 0 && replicates > 0 && df > 0)) return null;
+  const sed = Math.sqrt((2 * variance) / replicates);
+  const ncp = difference / sed;
+  const tCritical = jStat.studentt.inv(1 - alpha / 2, df);
+  return 1 - jStat.noncentralt.cdf(tCritical, df, ncp) + jStat.noncentralt.cdf(-tCritical, df, ncp);
+};
+
+/**
+ * Power for each candidate number of blocks, and the fewest blocks reaching the target
+ * @param {Object} config - Trial config
+ * @param {Object} options - { difference, variance, alpha, targetPower, blocks }
+ * @returns {Object} { rows: [{ blocks, replicates, df, sed, lsd, power }], recommended } recommended is null if no option reaches the target
+ */
+export const planReplicates = (config, { difference, variance, alpha = 0.05, targetPower = TARGET_POWER, blocks = PLANNING_BLOCKS }) => {
+  const rows = blocks.map(numBlocks => {
+    const { replicates, df } = designDegreesOfFreedom(config, numBlocks);
+    const sed = variance > 0 && replicates > 0 ? Math.sqrt((2 * variance) / replicates) : null;
+    return {
+      blocks: numBlocks,
+      replicates,
+      df,
+      sed,
+      lsd: sed !== null && df > 0 ? jStat.studentt.inv(1 - alpha / 2, df) * sed : null,
+      power: differencePower({ difference, variance, replicates, df, alpha })
+    };
+  });
+  const recommended = rows.find(row => row.power !== null && row.power >= targetPower)?.blocks ?? null;
+  return { rows, recommended };
+};
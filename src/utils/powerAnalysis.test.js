@@ -0,0 +1,56 @@
+import { describe, it, expect } from 'vitest';
+import { jStat } from 'jstat';
+import { designDegreesOfFreedom, differencePower, planReplicates } from './powerAnalysis';
+
+const rcbd = { numTreatments: 4, design: { type: 'rcbd' } };
+
+describe('differencePower', () => {
+  it('matches R power.t.test for two groups', () => {
+    // power.t.test(n = 20, delta = 1): two groups of 20, 38 d.f.
+    expect(differencePower({ difference: 1, variance: 1, replicates: 20, df: 38 })).toBeCloseTo(0.8690, 3);
+  });
+
+  it('gives no power without a difference, variance or error d.f.', () => {
+    expect(differencePower({ difference: 0, variance: 1, replicates: 4, df: 9 })).toBeNull();
+    expect(differencePower({ difference: 1, variance: 0, replicates: 4, df: 9 })).toBeNull();
+    expect(differencePower({ difference: 1, variance: 1, replicates: 4, df: 0 })).toBeNull();
+  });
+});
+
+describe('designDegreesOfFreedom', () => {
+  it('gives the residual d.f. of each design', () => {
+    expect(designDegreesOfFreedom(rcbd, 5)).toEqual({ replicates: 5, df: 12 });
+    expect(designDegreesOfFreedom({ ...rcbd, design: { type: 'crd' } }, 5)).toEqual({ replicates: 5, df: 16 });
+    expect(designDegreesOfFreedom({ numTreatments: 5, design: { type: 'latinSquare' } }, 3)).toEqual({ replicates: 5, df: 12 });
+    const splitPlot = {
+      numTreatments: 12,
+      design: { type: 'splitPlot', mainPlotFactor: { levels: ['a', 'b', 'c'] }, subPlotFactor: { levels: ['0', '1', '2', '3'] } }
+    };
+    // Yates' oats: 6 blocks, 45 sub-plot residual d.f.
+    expect(designDegreesOfFreedom(splitPlot, 6)).toEqual({ replicates: 6, df: 45 });
+  });
+});
+
+describe('planReplicates', () => {
+  it('gives s.e.d., l.s.d. and power for 3-8 blocks', () => {
+    const { rows } = planReplicates(rcbd, { difference: 5, variance: 10 });
+    expect(rows.map(row => row.blocks)).toEqual([3, 4, 5, 6, 7, 8]);
+    const four = rows.find(row => row.blocks === 4);
+    expect(four.df).toBe(9);
+    expect(four.sed).toBeCloseTo(Math.sqrt(2 * 10 / 4), 10);
+    expect(four.lsd).toBeCloseTo(jStat.studentt.inv(0.975, 9) * four.sed, 10);
+    // More blocks, more power
+    rows.slice(1).forEach((row, idx) => expect(row.power).toBeGreaterThan(rows[idx].power));
+  });
+
+  it('recommends the fewest blocks reaching the target power', () => {
+    const { rows, recommended } = planReplicates(rcbd, { difference: 5, variance: 10 });
+    const first = rows.find(row => row.power >= 0.8);
+    expect(recommended).toBe(first.blocks);
+    expect(rows.find(row => row.blocks === recommended - 1)?.power ?? 0).toBeLessThan(0.8);
+  });
+
+  it('recommends nothing when no option reaches the target', () => {
+    expect(planReplicates(rcbd, { difference: 0.1, variance: 10 }).recommended).toBeNull();
+  });
+});
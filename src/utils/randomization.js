@@ -0,0 +1,279 @@
+/**
+ * Seeded, reproducible randomization of trial layouts
+ *
+ * Every randomization draws from a seeded generator (mulberry32) and uses
+ * an unbiased Fisher-Yates shuffle, so the same seed and starting layout
+ * always give the same plan. The seed, constraints and outcome are kept in
+ * config.randomization and can be printed as a randomization record.
+ */
+
+export const RANDOMIZATION_ALGORITHM = 'mulberry32 PRNG + Fisher-Yates shuffle';
+
+const MAX_ATTEMPTS = 1000;
+
+export const CONSTRAINT_LABELS = {
+  noAdjacentColumnRepeat: 'No treatment in the same column in adjacent blocks',
+  controlAwayFromEdges: 'Control treatment kept away from the ends of each block'
+};
+
+export const DEFAULT_CONSTRAINTS = {
+  noAdjacentColumnRepeat: false,
+  controlAwayFromEdges: false
+};
+
+/**
+ * New random 32-bit seed
+ * @returns {number}
+ */
+export const generateSeed = () => {
+  if (typeof crypto !== 'undefined' && crypto.getRandomValues) {
+    return crypto.getRandomValues(new Uint32Array(1))[0];
+  }
+  return Math.floor(Math.random() * 0x100000000);
+};
+
+/**
+ * Turn user input into a 32-bit seed. Numbers are used as-is, any other
+ * text is hashed so a memorable word also works as a seed.
+ * @param {string|number} input - Seed entered by the user
+ * @returns {number|null} Seed, or null if empty
+ */
+export const parseSeed = (input) => {
+  const text = String(input ?? '').trim();
+  if (!text) return null;
+  if (/^\d+$/.test(text)) return Number(text) % 4294967296;
+
+  // FNV-1a hash of the text
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return hash;
+};
+
+/**
+ * Seeded random number generator (mulberry32)
+ * @param {number} seed - 32-bit seed
+ * @returns {Function} Generator returning numbers in [0, 1)
+ */
+export const createSeededRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+/**
+ * Unbiased Fisher-Yates shuffle
+ * @param {Array} items - Items to shuffle (not modified)
+ * @param {Function} random - Generator returning numbers in [0, 1)
+ * @returns {Array} Shuffled copy
+ */
+export const shuffle = (items, random = Math.random) => {
+  const result = [...items];
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+};
+
+const isAssigned = (plot) => plot && !plot.isBlank && plot.treatment !== null && plot.treatment !== undefined;
+
+/**
+ * Check a layout against the randomization constraints
+ * Rows of the grid are blocks; a plot's column is its position in the row.
+ * @param {Object[][]} gridLayout - Grid layout
+ * @param {Object} constraints - { noAdjacentColumnRepeat, controlAwayFromEdges }
+ * @param {number|null} controlTreatment - Treatment index of the control
+ * @returns {Object[]} Violations [{ constraint, plotId, message }]
+ */
+export const findConstraintViolations = (gridLayout, constraints = {}, controlTreatment = null) => {
+  const violations = [];
+
+  if (constraints.noAdjacentColumnRepeat) {
+    for (let rowIdx = 1; rowIdx < gridLayout.length; rowIdx++) {
+      gridLayout[rowIdx].forEach((plot, colIdx) => {
+        const above = gridLayout[rowIdx - 1][colIdx];
+        if (isAssigned(plot) && isAssigned(above) && plot.treatment === above.treatment) {
+          violations.push({
+            constraint: 'noAdjacentColumnRepeat',
+            plotId: plot.id,
+            message: `${plot.treatmentName || `Treatment ${plot.treatment + 1}`} is in column ${colIdx + 1} of rows ${rowIdx} and ${rowIdx + 1}`
+          });
+        }
+      });
+    }
+  }
+
+  if (constraints.controlAwayFromEdges && controlTreatment !== null && controlTreatment !== undefined) {
+    gridLayout.forEach((row, rowIdx) => {
+      const plots = row.filter(p => !p.isBlank);
+      [plots[0], plots[plots.length - 1]].forEach((plot, end) => {
+        if (isAssigned(plot) && plot.treatment === controlTreatment) {
+          violations.push({
+            constraint: 'controlAwayFromEdges',
+            plotId: plot.id,
+            message: `Control is at the ${end === 0 ? 'start' : 'end'} of row ${rowIdx + 1}`
+          });
+        }
+      });
+    });
+  }
+
+  // The same plot can break a constraint at both ends of a short row
+  return violations.filter((v, idx) =>
+    violations.findIndex(o => o.constraint === v.constraint && o.plotId === v.plotId) === idx
+  );
+};
+
+/**
+ * Randomize with a seed, re-drawing until the constraints are met
+ * All attempts draw from one seeded stream, so the result is reproducible.
+ * If no attempt meets every constraint the one with fewest violations is kept.
+ * @param {Function} randomizeFn - (random) => new grid layout
+ * @param {Object} options - { seed, constraints, controlTreatment }
+ * @returns {Object} { gridLayout, record } where record is stored as config.randomization
+ */
+export const runSeededRandomization = (randomizeFn, { seed, constraints = DEFAULT_CONSTRAINTS, controlTreatment = null }) => {
+  const random = createSeededRandom(seed);
+  const constrained = Object.values(constraints).some(Boolean);
+
+  let best = null;
+  let attempts = 0;
+  while (attempts < (constrained ? MAX_ATTEMPTS : 1)) {
+    attempts++;
+    const grid = randomizeFn(random);
+    const violations = findConstraintViolations(grid, constraints, controlTreatment);
+    if (!best || violations.length < best.violations.length) {
+      best = { grid, violations, attempt: attempts };
+    }
+    if (violations.length === 0) break;
+  }
+
+  return {
+    gridLayout: best.grid,
+    record: {
+      seed,
+      algorithm: RANDOMIZATION_ALGORITHM,
+      constraints: { ...constraints },
+      controlTreatment,
+      attempt: best.attempt,
+      violations: best.violations.map(v => v.message),
+      performedAt: new Date().toISOString()
+    }
+  };
+};
+
+/**
+ * Treatment code for layouts and records: A-Z, then AA, AB, ... as spreadsheet columns are
+ * @param {number} treatmentIdx - Treatment index (0-based)
+ * @returns {string}
+ */
+export const getTreatmentCode = (treatmentIdx) => {
+  let code = '';
+  for (let n = treatmentIdx + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    code = String.fromCharCode(65 + ((n - 1) % 26)) + code;
+  }
+  return code;
+};
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Printable HTML randomization record for the trial file
+ * @param {Object} config - Trial config (config.randomization holds the record)
+ * @param {Object[][]} gridLayout - Randomized grid layout
+ * @param {Object} options - { rowLabel, designLabel }
+ * @returns {string} Complete HTML document
+ */
+export const buildRandomizationCertificate = (config, gridLayout, { rowLabel = 'Block', designLabel = '' } = {}) => {
+  const record = config.randomization || {};
+  const activeConstraints = Object.entries(record.constraints || {})
+    .filter(([, on]) => on)
+    .map(([key]) => CONSTRAINT_LABELS[key] || key);
+
+  const planRows = gridLayout.map((row, rowIdx) => `
+      <tr>
+        <th>${escapeHtml(rowLabel)} ${rowIdx + 1}</th>
+        ${row.map(plot => plot.isBlank
+          ? '<td class="blank">—</td>'
+          : `<td${plot.treatment === record.controlTreatment ? ' class="control"' : ''}>
+              <strong>${plot.treatment !== null && plot.treatment !== undefined ? getTreatmentCode(plot.treatment) : '?'}</strong>
+              <div class="id">${escapeHtml(plot.id)}</div>
+            </td>`).join('')}
+      </tr>`).join('');
+
+  const treatmentRows = config.treatments.map((name, idx) => `
+      <tr><td>${getTreatmentCode(idx)}</td><td>${escapeHtml(name)}${idx === record.controlTreatment ? ' (control)' : ''}</td></tr>`).join('');
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>Randomization Record - ${escapeHtml(config.trialName)}</title>
+<style>
+  body { font-family: Arial, sans-serif; margin: 32px; color: #222; }
+  h1 { font-size: 20px; margin-bottom: 4px; }
+  h2 { font-size: 15px; margin-top: 24px; }
+  table { border-collapse: collapse; margin-top: 8px; }
+  th, td { border: 1px solid #999; padding: 4px 8px; font-size: 12px; text-align: center; }
+  dl { display: grid; grid-template-columns: max-content auto; gap: 4px 16px; font-size: 13px; }
+  dt { font-weight: bold; }
+  .id { font-size: 9px; color: #666; }
+  .blank { background: #eee; color: #999; }
+  .control { background: #fff3cd; }
+  .warning { color: #b45309; font-size: 13px; }
+  .signature { margin-top: 48px; display: flex; gap: 64px; font-size: 13px; }
+  .signature div { border-top: 1px solid #222; padding-top: 4px; width: 220px; }
+  @media print { body { margin: 12mm; } }
+</style>
+</head>
+<body>
+  <h1>Randomization Record</h1>
+  <div>${escapeHtml(config.trialName)}</div>
+
+  <h2>Procedure</h2>
+  <dl>
+    <dt>Design</dt><dd>${escapeHtml(designLabel)}</dd>
+    <dt>${escapeHtml(rowLabel)}s</dt><dd>${gridLayout.length}</dd>
+    <dt>Treatments</dt><dd>${config.treatments.length}</dd>
+    <dt>Seed</dt><dd>${escapeHtml(record.seed ?? 'Not recorded')}</dd>
+    <dt>Method</dt><dd>${escapeHtml(record.algorithm || RANDOMIZATION_ALGORITHM)}</dd>
+    <dt>Constraints</dt><dd>${activeConstraints.length > 0 ? activeConstraints.map(escapeHtml).join('<br>') : 'None'}</dd>
+    <dt>Accepted draw</dt><dd>${escapeHtml(record.attempt ?? '-')}</dd>
+    <dt>Randomized</dt><dd>${record.performedAt ? escapeHtml(new Date(record.performedAt).toLocaleString()) : '-'}</dd>
+  </dl>
+  ${record.editedAfter
+    ? '<p class="warning">The layout was edited by hand after randomization; the plan below is the current layout.</p>'
+    : ''}
+  ${(record.violations || []).length > 0
+    ? `<p class="warning">Constraints could not all be met: ${record.violations.map(escapeHtml).join('; ')}</p>`
+    : ''}
+  <p style="font-size: 12px; color: #555;">
+    Re-running the randomization with the same seed, constraints and starting layout reproduces this plan exactly.
+  </p>
+
+  <h2>Treatments</h2>
+  <table>${treatmentRows}</table>
+
+  <h2>Field Plan</h2>
+  <table>${planRows}</table>
+
+  <div class="signature">
+    <div>Randomized by</div>
+    <div>Checked by</div>
+    <div>Date</div>
+  </div>
+</body>
+</html>`;
+};
@@ -0,0 +1,134 @@
+import { describe, it, expect } from 'vitest';
+import {
+  createSeededRandom,
+  findConstraintViolations,
+  getTreatmentCode,
+  parseSeed,
+  runSeededRandomization,
+  shuffle
+} from './randomization';
+import { generateEmptyLayout, randomizeLayout } from './experimentalDesigns';
+
+const config = {
+  numBlocks: 4,
+  numTreatments: 5,
+  treatments: ['Untreated', 'A', 'B', 'C', 'D'],
+  design: { type: 'rcbd' }
+};
+
+const randomize = (seed, constraints = {}, controlTreatment = null) => runSeededRandomization(
+  (random) => randomizeLayout(config, generateEmptyLayout(config), random),
+  { seed, constraints, controlTreatment }
+);
+
+const treatments = (gridLayout) => gridLayout.map(row => row.map(plot => plot.treatment));
+
+// Grid of blocks (rows) from treatment indices, null for unassigned
+const grid = (rows) => rows.map((row, rowIdx) => row.map((treatment, colIdx) => ({
+  id: `B${rowIdx + 1}-P${colIdx + 1}`,
+  treatment,
+  isBlank: false
+})));
+
+describe('seeded randomization', () => {
+  it('repeats the same sequence for the same seed', () => {
+    const a = createSeededRandom(12345);
+    const b = createSeededRandom(12345);
+    const c = createSeededRandom(54321);
+    const first = Array.from({ length: 5 }, a);
+    expect(Array.from({ length: 5 }, b)).toEqual(first);
+    expect(Array.from({ length: 5 }, c)).not.toEqual(first);
+    first.forEach(x => {
+      expect(x).toBeGreaterThanOrEqual(0);
+      expect(x).toBeLessThan(1);
+    });
+  });
+
+  it('gives the same layout for the same seed', () => {
+    const first = randomize(20250615);
+    const again = randomize(20250615);
+    expect(treatments(again.gridLayout)).toEqual(treatments(first.gridLayout));
+    expect(treatments(randomize(20250616).gridLayout)).not.toEqual(treatments(first.gridLayout));
+    expect(first.record.seed).toBe(20250615);
+  });
+
+  it('puts every treatment once in each block of an RCBD', () => {
+    const { gridLayout } = randomize(7);
+    gridLayout.forEach(row => {
+      expect(row.map(plot => plot.treatment).sort()).toEqual([0, 1, 2, 3, 4]);
+    });
+  });
+
+  it('shuffles a copy without losing items', () => {
+    const items = [1, 2, 3, 4, 5, 6];
+    const shuffled = shuffle(items, createSeededRandom(1));
+    expect(items).toEqual([1, 2, 3, 4, 5, 6]);
+    expect([...shuffled].sort()).toEqual(items);
+  });
+});
+
+describe('parseSeed', () => {
+  it('uses numbers as they are and hashes text', () => {
+    expect(parseSeed('42')).toBe(42);
+    expect(parseSeed(' 42 ')).toBe(42);
+    expect(parseSeed('')).toBeNull();
+    expect(parseSeed('wheat 2025')).toBe(parseSeed('wheat 2025'));
+    expect(parseSeed('wheat 2025')).not.toBe(parseSeed('wheat 2026'));
+  });
+});
+
+describe('findConstraintViolations', () => {
+  it('finds a treatment in the same column of adjacent blocks', () => {
+    const layout = grid([[0, 1, 2], [0, 2, 1], [1, 0, 2]]);
+    const violations = findConstraintViolations(layout, { noAdjacentColumnRepeat: true });
+    expect(violations.map(v => v.plotId)).toEqual(['B2-P1']);
+  });
+
+  it('finds the control at either end of a block', () => {
+    const layout = grid([[0, 1, 2], [1, 0, 2], [1, 2, 0]]);
+    const violations = findConstraintViolations(layout, { controlAwayFromEdges: true }, 0);
+    expect(violations.map(v => v.plotId)).toEqual(['B1-P1', 'B3-P3']);
+  });
+
+  it('ignores the control constraint without a control', () => {
+    const layout = grid([[0, 1, 2]]);
+    expect(findConstraintViolations(layout, { controlAwayFromEdges: true }, null)).toEqual([]);
+  });
+
+  it('ignores unassigned plots', () => {
+    const layout = grid([[null, 1], [null, 1]]);
+    const violations = findConstraintViolations(layout, { noAdjacentColumnRepeat: true });
+    expect(violations.map(v => v.plotId)).toEqual(['B2-P2']);
+  });
+});
+
+describe('runSeededRandomization with constraints', () => {
+  it('re-draws until every constraint is met', () => {
+    const constraints = { noAdjacentColumnRepeat: true, controlAwayFromEdges: true };
+    const { gridLayout, record } = randomize(99, constraints, 0);
+    expect(findConstraintViolations(gridLayout, constraints, 0)).toEqual([]);
+    expect(record.violations).toEqual([]);
+    expect(record.constraints).toEqual(constraints);
+    expect(record.controlTreatment).toBe(0);
+    // The same seed reaches the same plan on the same attempt
+    const again = randomize(99, constraints, 0);
+    expect(treatments(again.gridLayout)).toEqual(treatments(gridLayout));
+    expect(again.record.attempt).toBe(record.attempt);
+  });
+
+  it('keeps the closest plan when the constraints cannot be met', () => {
+    // Two plots per block: the control is always at an end
+    const { record } = runSeededRandomization(
+      () => grid([[0, 1], [1, 0]]),
+      { seed: 1, constraints: { controlAwayFromEdges: true }, controlTreatment: 0 }
+    );
+    expect(record.violations).toHaveLength(2);
+  });
+});
+
+describe('getTreatmentCode', () => {
+  it('runs A-Z, then AA, AB, ... like spreadsheet columns', () => {
+    expect([0, 25, 26, 27, 51, 52, 701, 702].map(getTreatmentCode))
+      .toEqual(['A', 'Z', 'AA', 'AB', 'AZ', 'BA', 'ZZ', 'AAA']);
+  });
+});
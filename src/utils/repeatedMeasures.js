@@ -0,0 +1,219 @@
+import { fitLinearModel } from './linearModel';
+import { DESIGN_TYPES } from './experimentalDesigns';
+import { collectObservations, getModelTerms, termLabel, fProbability } from './designAnalysis';
+import { analyseDesign } from '../stats';
+import { TRANSFORMS } from './transforms';
+
+/**
+ * Analyses across assessment dates
+ *
+ * AUDPC: area under the progress curve for each plot (trapezoidal rule over
+ * the days between assessments), analysed like a single date. Repeated
+ * measures: split-plot in time, with plots as whole plots and dates within
+ * them; within-plot tests also get a Greenhouse-Geisser corrected p-value.
+ */
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+const hasValue = (v) => v?.entered && v.value !== '' && !isNaN(parseFloat(v.value));
+
+/**
+ * Assessment dates with data for a type, in date order
+ * Dates that can't be parsed are counted as one interval apart.
+ * @param {Object[]} assessmentDates - [{ date, assessments }]
+ * @param {string} assessmentType - Assessment type name
+ * @returns {Object[]} [{ date, day, assessments }] where day is days from the first date
+ */
+export const getAnalysisDates = (assessmentDates, assessmentType) => {
+  const dates = assessmentDates.filter(d =>
+    Object.values(d.assessments?.[assessmentType] || {}).some(hasValue)
+  );
+  const times = dates.map(d => new Date(d.date).getTime());
+  const dated = times.every(Number.isFinite);
+
+  const ordered = dates
+    .map((d, idx) => ({ ...d, time: dated ? times[idx] : idx }))
+    .sort((a, b) => a.time - b.time);
+  return ordered.map(({ time, ...d }, idx) => ({
+    ...d,
+    day: dated ? Math.round((time - ordered[0].time) / MS_PER_DAY) : idx
+  }));
+};
+
+/**
+ * Area under the progress curve by the trapezoidal rule
+ * @param {Object[]} points - [{ day, value }] in day order
+ * @returns {number}
+ */
+export const calculateAudpc = (points) => {
+  let area = 0;
+  for (let i = 1; i < points.length; i++) {
+    area += ((points[i - 1].value + points[i].value) / 2) * (points[i].day - points[i - 1].day);
+  }
+  return area;
+};
+
+/**
+ * AUDPC for each plot, then ANOVA on the AUDPC values
+ * A plot missing any date gets no AUDPC and is treated as a missing plot.
+ * @param {Object} config - Trial config
+ * @param {Object[][]} gridLayout - Grid layout
+ * @param {Object[]} assessmentDates - [{ date, assessments }]
+ * @param {string} assessmentType - Assessment type name
+ * @returns {Object|null} Result of analyseDesign plus { dates, plotValues, incompletePlots, unit }, or null with fewer than two dates
+ */
+export const analyseAudpc = (config, gridLayout, assessmentDates, assessmentType) => {
+  const dates = getAnalysisDates(assessmentDates, assessmentType);
+  if (dates.length < 2) return null;
+
+  const plotValues = {};
+  const incompletePlots = [];
+  gridLayout.flat().forEach(plot => {
+    if (plot.isBlank || plot.treatment === null || plot.treatment === undefined) return;
+    const points = dates.map(d => {
+      const v = d.assessments[assessmentType]?.[plot.id];
+      return hasValue(v) ? { day: d.day, value: parseFloat(v.value) } : null;
+    });
+    if (points.some(p => p === null)) {
+      if (points.some(p => p !== null)) incompletePlots.push(plot.id);
+      return;
+    }
+    plotValues[plot.id] = { value: String(calculateAudpc(points)), entered: true };
+  });
+
+  const stats = analyseDesign(config, gridLayout, plotValues);
+  if (!stats) return null;
+
+  const dated = dates.every(d => Number.isFinite(new Date(d.date).getTime()));
+  return {
+    ...stats,
+    dates: dates.map(d => d.date),
+    plotValues,
+    incompletePlots,
+    unit: dated ? 'days' : 'intervals'
+  };
+};
+
+/**
+ * Greenhouse-Geisser epsilon from plots with a value on every date
+ * Uses the pooled within-treatment covariance of the dates, double-centred so
+ * plot (and block) effects drop out.
+ */
+const greenhouseGeisser = (observations, numDates) => {
+  const byPlot = {};
+  observations.forEach(o => {
+    (byPlot[o.plotId] = byPlot[o.plotId] || { treatment: o.treatment, values: new Array(numDates).fill(null) })
+      .values[Number(o.date)] = o.value;
+  });
+  const complete = Object.values(byPlot).filter(p => p.values.every(v => v !== null));
+
+  const groups = {};
+  complete.forEach(p => (groups[p.treatment] = groups[p.treatment] || []).push(p.values));
+  const df = complete.length - Object.keys(groups).length;
+  if (numDates < 3 || df < 1) return 1;
+
+  const s = Array.from({ length: numDates }, () => new Array(numDates).fill(0));
+  Object.values(groups).forEach(rows => {
+    const means = [...Array(numDates).keys()].map(d => rows.reduce((sum, r) => sum + r[d], 0) / rows.length);
+    rows.forEach(r => {
+      for (let i = 0; i < numDates; i++) {
+        for (let j = 0; j < numDates; j++) {
+          s[i][j] += ((r[i] - means[i]) * (r[j] - means[j])) / df;
+        }
+      }
+    });
+  });
+
+  const rowMeans = s.map(row => row.reduce((sum, v) => sum + v, 0) / numDates);
+  const grand = rowMeans.reduce((sum, v) => sum + v, 0) / numDates;
+  let trace = 0;
+  let sumSquares = 0;
+  for (let i = 0; i < numDates; i++) {
+    for (let j = 0; j < numDates; j++) {
+      const centred = s[i][j] - rowMeans[i] - rowMeans[j] + grand;
+      if (i === j) trace += centred;
+      sumSquares += centred * centred;
+    }
+  }
+  if (sumSquares <= 0) return 1;
+  const epsilon = (trace * trace) / ((numDates - 1) * sumSquares);
+  return Math.min(1, Math.max(1 / (numDates - 1), epsilon));
+};
+
+/**
+ * Split-plot-in-time analysis of all dates of an assessment type
+ * Treatments (and blocks) are tested against the whole-plot error, dates and
+ * treatment × date interactions against the within-plot residual.
+ * @param {Object} config - Trial config
+ * @param {Object[][]} gridLayout - Grid layout
+ * @param {Object[]} assessmentDates - [{ date, assessments }]
+ * @param {string} assessmentType - Assessment type name
+ * @param {Object} options - { transform } key of TRANSFORMS to analyse on (default 'none')
+ * @returns {Object|null} { dates, sources, epsilon, interaction, transform } or null with fewer than two dates
+ */
+export const analyseRepeatedMeasures = (config, gridLayout, assessmentDates, assessmentType, { transform = 'none' } = {}) => {
+  const model = getModelTerms(config);
+  const dates = getAnalysisDates(assessmentDates, assessmentType);
+  if (!model || dates.length < 2) return null;
+  const { design, factors } = model;
+
+  const { apply } = TRANSFORMS[transform] || TRANSFORMS.none;
+  const observations = dates.flatMap((d, dateIdx) =>
+    collectObservations(config, gridLayout, d.assessments[assessmentType] || {})
+      .map(o => ({ ...o, value: apply(o.value), plot: o.plotId, date: String(dateIdx) }))
+      .filter(o => Number.isFinite(o.value))
+  );
+  if (observations.length === 0) return null;
+
+  const interactionTerms = model.treatmentTerms.map(t => `${t}:date`);
+  const fit = fitLinearModel(observations, [...model.terms, 'plot', 'date', ...interactionTerms]);
+
+  const wholePlotError = fit.anova.find(a => a.term === 'plot');
+  const mainPlotError = fit.anova.find(a => a.term === 'block:main');
+  const residual = fit.residual;
+  const epsilon = greenhouseGeisser(observations, dates.length);
+  const errorTerms = ['plot', 'block:main'];
+
+  const sources = fit.anova.map(({ term, df, ss, ms }) => {
+    const within = term === 'date' || term.endsWith(':date');
+    let error = residual;
+    if (!within) {
+      error = design.type === DESIGN_TYPES.SPLIT_PLOT && term === 'main' && mainPlotError?.df > 0
+        ? mainPlotError
+        : wholePlotError?.df > 0 ? wholePlotError : residual;
+    }
+    const f = !errorTerms.includes(term) && error.ms > 0 ? ms / error.ms : null;
+    return {
+      term,
+      source: termLabel(design, term, factors),
+      df,
+      ss,
+      ms,
+      f,
+      p: f !== null ? fProbability(f, df, error.df) : null,
+      pAdjusted: f !== null && within ? fProbability(f, df * epsilon, error.df * epsilon) : null,
+      stratum: within ? 'within' : 'whole'
+    };
+  });
+  sources.push({ term: 'residual', source: 'Within-plot error', df: residual.df, ss: residual.ss, ms: residual.ms, f: null, p: null, pAdjusted: null, stratum: 'within' });
+  sources.push({ term: 'total', source: 'Total', df: fit.total.df, ss: fit.total.ss, ms: null, f: null, p: null, pAdjusted: null, stratum: null });
+
+  // Headline: treatment × date, summing the interaction terms of a factorial or split-plot
+  const parts = sources.filter(s => interactionTerms.includes(s.term));
+  const df = parts.reduce((sum, s) => sum + s.df, 0);
+  const ss = parts.reduce((sum, s) => sum + s.ss, 0);
+  const f = df > 0 && residual.ms > 0 ? ss / df / residual.ms : null;
+
+  return {
+    dates: dates.map(d => d.date),
+    sources,
+    epsilon,
+    interaction: {
+      df,
+      f,
+      p: f !== null ? fProbability(f, df, residual.df) : null,
+      pAdjusted: f !== null ? fProbability(f, df * epsilon, residual.df * epsilon) : null
+    },
+    transform
+  };
+};
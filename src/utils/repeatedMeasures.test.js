@@ -0,0 +1,54 @@
+import { describe, it, expect } from 'vitest';
+import { analyseAudpc, calculateAudpc, getAnalysisDates } from './repeatedMeasures';
+
+const entered = (value) => ({ value: String(value), entered: true });
+
+describe('calculateAudpc', () => {
+  it('sums trapezoids between assessments', () => {
+    // (1 + 2) / 2 × 7 + (2 + 5) / 2 × 7
+    expect(calculateAudpc([{ day: 0, value: 1 }, { day: 7, value: 2 }, { day: 14, value: 5 }])).toBe(35);
+    // Uneven intervals
+    expect(calculateAudpc([{ day: 0, value: 0 }, { day: 10, value: 20 }, { day: 14, value: 40 }])).toBe(220);
+    expect(calculateAudpc([{ day: 0, value: 10 }])).toBe(0);
+  });
+});
+
+describe('getAnalysisDates', () => {
+  it('orders dates with data and counts days from the first', () => {
+    const dates = getAnalysisDates([
+      { date: '2025-06-15', assessments: { Septoria: { a: entered(3) } } },
+      { date: '2025-06-01', assessments: { Septoria: { a: entered(1) } } },
+      { date: '2025-06-08', assessments: { Septoria: { a: { value: '', entered: false } } } },
+      { date: '2025-06-22', assessments: { Yield: { a: entered(8) } } }
+    ], 'Septoria');
+    expect(dates.map(d => [d.date, d.day])).toEqual([['2025-06-01', 0], ['2025-06-15', 14]]);
+  });
+});
+
+describe('analyseAudpc', () => {
+  const plot = (id, block, treatment) => ({ id, block, treatment, isBlank: false });
+  const config = { numBlocks: 3, numTreatments: 2, treatments: ['Untreated', 'Sprayed'], design: { type: 'rcbd' } };
+  const gridLayout = [
+    [plot('1-1', 1, 0), plot('1-2', 1, 1)],
+    [plot('2-1', 2, 0), plot('2-2', 2, 1)],
+    [plot('3-1', 3, 0), plot('3-2', 3, 1)]
+  ];
+  const assessmentDates = [
+    { date: '2025-06-01', assessments: { Septoria: { '1-1': entered(2), '1-2': entered(1), '2-1': entered(4), '2-2': entered(1), '3-1': entered(3), '3-2': entered(2) } } },
+    { date: '2025-06-11', assessments: { Septoria: { '1-1': entered(20), '1-2': entered(5), '2-1': entered(30), '2-2': entered(7), '3-2': entered(6) } } }
+  ];
+
+  it('analyses each plot\'s AUDPC, leaving out plots missing a date', () => {
+    const result = analyseAudpc(config, gridLayout, assessmentDates, 'Septoria');
+    expect(result.unit).toBe('days');
+    expect(result.dates).toEqual(['2025-06-01', '2025-06-11']);
+    expect(result.plotValues['1-1']).toEqual(entered(110));
+    expect(result.plotValues['2-2']).toEqual(entered(40));
+    expect(result.plotValues['3-1']).toBeUndefined();
+    expect(result.incompletePlots).toEqual(['3-1']);
+  });
+
+  it('needs two dates', () => {
+    expect(analyseAudpc(config, gridLayout, assessmentDates.slice(0, 1), 'Septoria')).toBeNull();
+  });
+});
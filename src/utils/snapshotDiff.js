@@ -0,0 +1,189 @@
+import { COMPARISON_METHODS, getComparisonSettings } from './multipleComparisons';
+
+/**
+ * Compare two trial states (snapshots or the live trial)
+ * Each state has { config, gridLayout, assessmentDates, notes, photos }
+ */
+
+const describePlot = (plot) => {
+  if (!plot) return null;
+  if (plot.isBlank) return 'Blank';
+  return plot.treatmentName || 'Unassigned';
+};
+
+const describeAssessmentType = (type) =>
+  `${type.name} (${type.min}-${type.max})${type.transform && type.transform !== 'none' ? `, ${type.transform}` : ''}${type.analysis && type.analysis !== 'parametric' ? `, ${type.analysis}` : ''}`;
+
+/**
+ * Settings changes: trial name, blocks, treatment names and assessment types
+ */
+const diffSettings = (before, after) => {
+  const changes = [];
+  const a = before || {};
+  const b = after || {};
+
+  if (a.trialName !== b.trialName) {
+    changes.push({ label: 'Trial name', before: a.trialName, after: b.trialName });
+  }
+  if ((a.design?.type || 'rcbd') !== (b.design?.type || 'rcbd')) {
+    changes.push({ label: 'Design', before: a.design?.type || 'rcbd', after: b.design?.type || 'rcbd' });
+  }
+  const comparisonLabel = (config) => {
+    const { method, alpha, controlTreatment } = getComparisonSettings(config);
+    const control = controlTreatment !== null ? `, control ${config.treatments?.[controlTreatment] ?? controlTreatment + 1}` : '';
+    return `${COMPARISON_METHODS[method].label} ${alpha * 100}%${control}`;
+  };
+  if (comparisonLabel(a) !== comparisonLabel(b)) {
+    changes.push({ label: 'Mean comparisons', before: comparisonLabel(a), after: comparisonLabel(b) });
+  }
+  if (a.numBlocks !== b.numBlocks) {
+    changes.push({ label: 'Blocks', before: a.numBlocks, after: b.numBlocks });
+  }
+
+  const treatmentCount = Math.max(a.treatments?.length || 0, b.treatments?.length || 0);
+  for (let i = 0; i < treatmentCount; i++) {
+    const oldName = a.treatments?.[i];
+    const newName = b.treatments?.[i];
+    if (oldName !== newName) {
+      changes.push({ label: `Treatment ${i + 1}`, before: oldName, after: newName });
+    }
+  }
+
+  const typeCount = Math.max(a.assessmentTypes?.length || 0, b.assessmentTypes?.length || 0);
+  for (let i = 0; i < typeCount; i++) {
+    const oldType = a.assessmentTypes?.[i];
+    const newType = b.assessmentTypes?.[i];
+    const oldLabel = oldType ? describeAssessmentType(oldType) : undefined;
+    const newLabel = newType ? describeAssessmentType(newType) : undefined;
+    if (oldLabel !== newLabel) {
+      changes.push({ label: `Assessment type ${i + 1}`, before: oldLabel, after: newLabel });
+    }
+  }
+
+  return changes;
+};
+
+/**
+ * Layout changes: plots whose treatment or blank status differs
+ */
+const diffLayout = (beforeLayout, afterLayout) => {
+  const beforePlots = new Map((beforeLayout || []).flat().map(p => [p.id, p]));
+  const afterPlots = new Map((afterLayout || []).flat().map(p => [p.id, p]));
+  const plotIds = new Set([...beforePlots.keys(), ...afterPlots.keys()]);
+
+  const changes = [];
+  plotIds.forEach(plotId => {
+    const before = describePlot(beforePlots.get(plotId));
+    const after = describePlot(afterPlots.get(plotId));
+    if (before !== after) {
+      changes.push({ plotId, before, after });
+    }
+  });
+
+  return changes;
+};
+
+/**
+ * Flatten assessment dates to "date|type|plot" -> value for entered cells
+ */
+const flattenValues = (assessmentDates) => {
+  const values = new Map();
+  (assessmentDates || []).forEach(dateObj => {
+    Object.entries(dateObj.assessments || {}).forEach(([assessmentType, plots]) => {
+      Object.entries(plots || {}).forEach(([plotId, cell]) => {
+        if (cell?.entered && cell.value !== '') {
+          values.set(`${dateObj.date}|${assessmentType}|${plotId}`, String(cell.value));
+        }
+      });
+    });
+  });
+  return values;
+};
+
+/**
+ * Value changes: cells added, removed or changed
+ */
+const diffValues = (beforeDates, afterDates) => {
+  const before = flattenValues(beforeDates);
+  const after = flattenValues(afterDates);
+  const keys = new Set([...before.keys(), ...after.keys()]);
+
+  const changes = [];
+  keys.forEach(key => {
+    const oldValue = before.get(key);
+    const newValue = after.get(key);
+    if (oldValue !== newValue) {
+      const [date, assessmentType, plotId] = key.split('|');
+      changes.push({ date, assessmentType, plotId, before: oldValue, after: newValue });
+    }
+  });
+
+  return changes.sort((x, y) =>
+    x.date.localeCompare(y.date) ||
+    x.assessmentType.localeCompare(y.assessmentType) ||
+    x.plotId.localeCompare(y.plotId, undefined, { numeric: true })
+  );
+};
+
+/**
+ * Note changes, keyed "date_assessmentType"
+ */
+const diffNotes = (beforeNotes, afterNotes) => {
+  const before = beforeNotes || {};
+  const after = afterNotes || {};
+  const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+
+  const changes = [];
+  keys.forEach(key => {
+    const oldText = (before[key] || '').trim();
+    const newText = (after[key] || '').trim();
+    if (oldText !== newText) {
+      changes.push({ key, before: oldText || undefined, after: newText || undefined });
+    }
+  });
+
+  return changes;
+};
+
+/**
+ * Photo changes, keyed "date_plotId", as photo counts
+ */
+const diffPhotos = (beforePhotos, afterPhotos) => {
+  const before = beforePhotos || {};
+  const after = afterPhotos || {};
+  const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+
+  const changes = [];
+  keys.forEach(key => {
+    const oldPaths = before[key] || [];
+    const newPaths = after[key] || [];
+    const added = newPaths.filter(path => !oldPaths.includes(path)).length;
+    const removed = oldPaths.filter(path => !newPaths.includes(path)).length;
+    if (added > 0 || removed > 0) {
+      changes.push({ key, before: oldPaths.length, after: newPaths.length, added, removed });
+    }
+  });
+
+  return changes;
+};
+
+/**
+ * Compare two trial states
+ * @param {Object} before - Older state { config, gridLayout, assessmentDates, notes, photos }
+ * @param {Object} after - Newer state
+ * @returns {Object} { settings, layout, values, notes, photos, total }
+ */
+export const diffSnapshots = (before, after) => {
+  const diff = {
+    settings: diffSettings(before?.config, after?.config),
+    layout: diffLayout(before?.gridLayout, after?.gridLayout),
+    values: diffValues(before?.assessmentDates, after?.assessmentDates),
+    notes: diffNotes(before?.notes, after?.notes),
+    photos: diffPhotos(before?.photos, after?.photos)
+  };
+
+  diff.total = diff.settings.length + diff.layout.length + diff.values.length +
+    diff.notes.length + diff.photos.length;
+
+  return diff;
+};
@@ -0,0 +1,74 @@
+/**
+ * Spatial adjustment for field trends, using each plot's row and column
+ *
+ * Both methods add covariates that are fitted after the blocking terms:
+ * - trend: linear row and column position, for steady gradients across the site
+ * - neighbour: Papadakis nearest-neighbour adjustment, the mean residual
+ *   (value minus treatment mean) of the plots next to each plot
+ */
+
+export const SPATIAL_METHODS = {
+  none: { label: 'None' },
+  trend: { label: 'Row & column trends' },
+  neighbour: { label: 'Nearest neighbour (Papadakis)' }
+};
+
+const SPATIAL_TERMS = {
+  none: [],
+  trend: ['rowTrend', 'columnTrend'],
+  neighbour: ['neighbour']
+};
+
+/**
+ * Labels for the spatial model terms
+ */
+export const SPATIAL_TERM_LABELS = {
+  rowTrend: 'Row trend',
+  columnTrend: 'Column trend',
+  neighbour: 'Neighbour covariate'
+};
+
+/**
+ * Add spatial covariates to plots
+ * @param {Object[]} plots - Observations with { row, column, treatment, value } (value null for missing plots)
+ * @param {string} method - Key of SPATIAL_METHODS
+ * @returns {Object} { plots, terms } plots with the covariate fields added, and the model terms to fit
+ */
+export const addSpatialCovariates = (plots, method = 'none') => {
+  const terms = SPATIAL_TERMS[method] || [];
+  if (method === 'trend') {
+    return {
+      plots: plots.map(p => ({ ...p, rowTrend: p.row, columnTrend: p.column })),
+      terms
+    };
+  }
+
+  if (method === 'neighbour') {
+    // Residuals from the treatment means
+    const totals = {};
+    plots.filter(p => p.value !== null).forEach(p => {
+      const t = (totals[p.treatment] = totals[p.treatment] || { sum: 0, n: 0 });
+      t.sum += p.value;
+      t.n++;
+    });
+    const residualAt = {};
+    plots.filter(p => p.value !== null).forEach(p => {
+      residualAt[`${p.row}|${p.column}`] = p.value - totals[p.treatment].sum / totals[p.treatment].n;
+    });
+
+    return {
+      plots: plots.map(p => {
+        const neighbours = [[p.row - 1, p.column], [p.row + 1, p.column], [p.row, p.column - 1], [p.row, p.column + 1]]
+          .map(([row, column]) => residualAt[`${row}|${column}`])
+          .filter(r => r !== undefined);
+        return {
+          ...p,
+          neighbour: neighbours.length > 0 ? neighbours.reduce((sum, r) => sum + r, 0) / neighbours.length : 0
+        };
+      }),
+      terms
+    };
+  }
+
+  return { plots, terms: [] };
+};
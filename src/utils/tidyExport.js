@@ -0,0 +1,122 @@
+import { getArmRatingUnit } from './armDescriptors';
+
+/**
+ * Long ("tidy") export of a whole trial: one row per plot, date and
+ * assessment type, for analysis in R or Python. Notes are kept per date and
+ * assessment type, so each plot row repeats its date's note; photos are kept
+ * per date and plot.
+ */
+
+export const TIDY_COLUMNS = ['trial', 'date', 'assessment', 'unit', 'block', 'plot', 'row', 'col', 'treatment', 'value', 'note', 'photo_count'];
+
+/**
+ * Quote a CSV cell when it contains a comma, quote or line break
+ * @param {*} value
+ * @returns {string}
+ */
+export const csvCell = (value) => {
+  if (value === null || value === undefined) return '';
+  const str = String(value);
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+};
+
+/**
+ * Tidy rows for every assessment type recorded on every date
+ * Plots without a value are included with value null.
+ * @param {Object} trial - { config, gridLayout, assessmentDates, notes, photos }
+ * @returns {Object[]} Rows keyed by TIDY_COLUMNS
+ */
+export const buildTidyRows = ({ config, gridLayout = [], assessmentDates = [], notes = {}, photos = {} }) => {
+  const plots = [];
+  gridLayout.forEach((gridRow, rowIdx) => {
+    gridRow.forEach((plot, colIdx) => {
+      if (plot.isBlank) return;
+      plots.push({ ...plot, row: plot.row ?? rowIdx + 1, col: plot.column ?? colIdx + 1 });
+    });
+  });
+
+  const rows = [];
+  [...assessmentDates]
+    .sort((a, b) => String(a.date).localeCompare(String(b.date)))
+    .forEach(dateObj => {
+      config.assessmentTypes.forEach(type => {
+        const data = dateObj.assessments?.[type.name];
+        if (!data) return;
+        const note = notes[`${dateObj.date}_${type.name}`]?.trim() || null;
+        plots.forEach(plot => {
+          const v = data[plot.id];
+          const value = v?.entered && v.value !== '' ? parseFloat(v.value) : NaN;
+          rows.push({
+            trial: config.trialName || '',
+            date: dateObj.date,
+            assessment: type.name,
+            unit: getArmRatingUnit(type),
+            block: plot.block ?? null,
+            plot: String(plot.id),
+            row: plot.row,
+            col: plot.col,
+            treatment: plot.treatmentName ?? config.treatments[plot.treatment] ?? null,
+            value: Number.isFinite(value) ? value : null,
+            note,
+            photo_count: photos[`${dateObj.date}_${plot.id}`]?.length || 0
+          });
+        });
+      });
+    });
+  return rows;
+};
+
+/**
+ * Tidy rows as CSV (missing values are empty cells)
+ * @param {Object[]} rows - From buildTidyRows
+ * @returns {string}
+ */
+export const toTidyCsv = (rows) => {
+  const lines = [TIDY_COLUMNS.join(',')];
+  rows.forEach(row => {
+    lines.push(TIDY_COLUMNS.map(column => csvCell(row[column])).join(','));
+  });
+  return lines.join('\n') + '\n';
+};
+
+// Parquet column types; everything else is a string
+const PARQUET_TYPES = { block: 'INT32', row: 'INT32', col: 'INT32', value: 'DOUBLE', photo_count: 'INT32' };
+
+/**
+ * Tidy rows as a Parquet file (loads the writer on demand)
+ * @param {Object[]} rows - From buildTidyRows
+ * @returns {Promise<ArrayBuffer>}
+ */
+export const toTidyParquet = async (rows) => {
+  const { parquetWriteBuffer } = await import('hyparquet-writer');
+  return parquetWriteBuffer({
+    columnData: TIDY_COLUMNS.map(name => ({
+      name,
+      type: PARQUET_TYPES[name] || 'STRING',
+      data: rows.map(row => {
+        const value = row[name];
+        if (value === null || value === undefined) return null;
+        return PARQUET_TYPES[name] === 'INT32' ? Math.round(Number(value)) : value;
+      })
+    }))
+  });
+};
+
+/**
+ * Download the whole trial in long format
+ * @param {Object} trial - As for buildTidyRows
+ * @param {string} format - 'csv' or 'parquet'
+ */
+export const exportTidyData = async (trial, format = 'csv') => {
+  const rows = buildTidyRows(trial);
+  const blob = format === 'parquet'
+    ? new Blob([await toTidyParquet(rows)], { type: 'application/vnd.apache.parquet' })
+    : new Blob([toTidyCsv(rows)], { type: 'text/csv' });
+
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = `${(trial.config.trialName || 'trial').replace(/\s+/g, '_')}_tidy.${format}`;
+  a.click();
+  URL.revokeObjectURL(url);
+};
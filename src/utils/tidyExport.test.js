@@ -0,0 +1,100 @@
+import { describe, it, expect } from 'vitest';
+import { TIDY_COLUMNS, buildTidyRows, csvCell, toTidyCsv } from './tidyExport';
+
+const plot = (id, block, column, treatment, extra = {}) => ({
+  id, block, row: block, column, treatment, treatmentName: null, isBlank: false, ...extra
+});
+
+const trial = {
+  config: {
+    trialName: 'Wheat, 2025',
+    treatments: ['Untreated', 'Product "X"'],
+    assessmentTypes: [
+      { name: 'Septoria', min: 0, max: 100 },
+      { name: 'Vigour', min: 1, max: 9 }
+    ]
+  },
+  gridLayout: [
+    [plot('1-1', 1, 1, 0), plot('1-2', 1, 2, 1)],
+    [plot('2-1', 2, 1, 1), { id: 'gap', isBlank: true }]
+  ],
+  assessmentDates: [
+    {
+      date: '2025-07-01',
+      assessments: { Septoria: { '1-1': { value: '12.5', entered: true }, '1-2': { value: '', entered: false } } }
+    },
+    {
+      date: '2025-06-01',
+      assessments: {
+        Septoria: { '1-1': { value: '3', entered: true }, '1-2': { value: '1', entered: true }, '2-1': { value: '0', entered: true } },
+        Vigour: { '1-1': { value: '7', entered: true } }
+      }
+    }
+  ],
+  notes: { '2025-06-01_Septoria': 'Wet,\nwindy' },
+  photos: { '2025-06-01_1-2': ['a.jpg', 'b.jpg'] }
+};
+
+describe('csvCell', () => {
+  it('quotes cells with commas, quotes or line breaks', () => {
+    expect(csvCell('plain')).toBe('plain');
+    expect(csvCell('a,b')).toBe('"a,b"');
+    expect(csvCell('say "hi"')).toBe('"say ""hi"""');
+    expect(csvCell('two\nlines')).toBe('"two\nlines"');
+    expect(csvCell('cr\r')).toBe('"cr\r"');
+  });
+
+  it('writes missing values as empty cells and keeps zero', () => {
+    expect(csvCell(null)).toBe('');
+    expect(csvCell(undefined)).toBe('');
+    expect(csvCell(0)).toBe('0');
+  });
+});
+
+describe('buildTidyRows', () => {
+  const rows = buildTidyRows(trial);
+
+  it('gives one row per plot, date and recorded assessment type, in date order', () => {
+    // 2025-06-01: Septoria and Vigour × 3 plots; 2025-07-01: Septoria × 3 plots
+    expect(rows).toHaveLength(9);
+    expect(rows.map(row => row.date)).toEqual([
+      ...Array(6).fill('2025-06-01'),
+      ...Array(3).fill('2025-07-01')
+    ]);
+    expect(rows.every(row => row.plot !== 'gap')).toBe(true);
+  });
+
+  it('fills plot, treatment, unit, note and photo columns', () => {
+    const row = rows.find(r => r.date === '2025-06-01' && r.assessment === 'Septoria' && r.plot === '1-2');
+    expect(row).toEqual({
+      trial: 'Wheat, 2025',
+      date: '2025-06-01',
+      assessment: 'Septoria',
+      unit: '%',
+      block: 1,
+      plot: '1-2',
+      row: 1,
+      col: 2,
+      treatment: 'Product "X"',
+      value: 1,
+      note: 'Wet,\nwindy',
+      photo_count: 2
+    });
+    expect(rows.find(r => r.assessment === 'Vigour').unit).toBe('1-9');
+  });
+
+  it('gives null for plots without a value', () => {
+    const july = rows.filter(r => r.date === '2025-07-01');
+    expect(july.map(r => r.value)).toEqual([12.5, null, null]);
+    expect(rows.filter(r => r.assessment === 'Vigour').map(r => r.value)).toEqual([7, null, null]);
+  });
+});
+
+describe('toTidyCsv', () => {
+  it('writes a header and quoted rows', () => {
+    const lines = toTidyCsv(buildTidyRows(trial)).split('\n');
+    expect(lines[0]).toBe(TIDY_COLUMNS.join(','));
+    expect(lines[1]).toBe('"Wheat, 2025",2025-06-01,Septoria,%,1,1-1,1,1,Untreated,3,"Wet,');
+    expect(lines[2]).toBe('windy",0');
+  });
+});
@@ -0,0 +1,42 @@
+/**
+ * Data transformations applied before analysis
+ * Set per assessment type as assessmentType.transform. Analysis runs on the
+ * transformed scale and reports back-transformed means alongside, as GenStat does.
+ */
+
+const DEGREES = 180 / Math.PI;
+
+export const TRANSFORMS = {
+  none: {
+    label: 'None',
+    apply: (x) => x,
+    back: (y) => y
+  },
+  arcsine: {
+    // Angular transformation in degrees, for percentages (0-100)
+    label: 'Arcsine √(p/100)',
+    apply: (x) => Math.asin(Math.sqrt(Math.min(1, Math.max(0, x / 100)))) * DEGREES,
+    back: (y) => 100 * Math.pow(Math.sin(y / DEGREES), 2)
+  },
+  log: {
+    label: 'log(x+1)',
+    apply: (x) => (x > -1 ? Math.log(x + 1) : NaN),
+    back: (y) => Math.exp(y) - 1
+  },
+  sqrt: {
+    label: '√(x+0.5)',
+    apply: (x) => (x >= -0.5 ? Math.sqrt(x + 0.5) : NaN),
+    back: (y) => y * y - 0.5
+  }
+};
+
+/**
+ * Transform set for an assessment type (none if not set)
+ * @param {Object} config - Trial config
+ * @param {string} assessmentTypeName - Assessment type name
+ * @returns {string} Key of TRANSFORMS
+ */
+export const getTransformKey = (config, assessmentTypeName) => {
+  const type = config?.assessmentTypes?.find(t => t.name === assessmentTypeName);
+  return TRANSFORMS[type?.transform] ? type.transform : 'none';
+};
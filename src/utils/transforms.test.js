@@ -0,0 +1,35 @@
+import { describe, it, expect } from 'vitest';
+import { TRANSFORMS, getTransformKey } from './transforms';
+
+describe('TRANSFORMS', () => {
+  it('gives the angular transformation in degrees', () => {
+    // Fisher & Yates table: 50% is 45°, 25% is 30°, 100% is 90°
+    expect(TRANSFORMS.arcsine.apply(50)).toBeCloseTo(45, 10);
+    expect(TRANSFORMS.arcsine.apply(25)).toBeCloseTo(30, 10);
+    expect(TRANSFORMS.arcsine.apply(100)).toBeCloseTo(90, 10);
+    expect(TRANSFORMS.arcsine.apply(0)).toBe(0);
+  });
+
+  it('back-transforms to the original scale', () => {
+    Object.entries(TRANSFORMS).forEach(([key, transform]) => {
+      [0, 3, 12.5, 64].forEach(x => {
+        expect(transform.back(transform.apply(x)), key).toBeCloseTo(x, 10);
+      });
+    });
+  });
+
+  it('gives NaN outside the range of log and square root', () => {
+    expect(TRANSFORMS.log.apply(-2)).toBeNaN();
+    expect(TRANSFORMS.sqrt.apply(-1)).toBeNaN();
+  });
+});
+
+describe('getTransformKey', () => {
+  it("reads the assessment type's transform, defaulting to none", () => {
+    const config = { assessmentTypes: [{ name: 'Septoria', transform: 'arcsine' }, { name: 'Yield' }, { name: 'Odd', transform: 'cube' }] };
+    expect(getTransformKey(config, 'Septoria')).toBe('arcsine');
+    expect(getTransformKey(config, 'Yield')).toBe('none');
+    expect(getTransformKey(config, 'Odd')).toBe('none');
+    expect(getTransformKey(config, 'Missing')).toBe('none');
+  });
+});
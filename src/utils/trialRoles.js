@@ -0,0 +1,54 @@
+/**
+ * Trial sharing roles and what each role is allowed to do
+ * Mirrors the checks enforced by RLS in supabase-trial-members.sql
+ */
+
+export const TRIAL_ROLES = {
+  OWNER: 'owner',
+  EDITOR: 'editor',
+  ASSESSOR: 'assessor',
+  VIEWER: 'viewer'
+};
+
+export const ROLE_LABELS = {
+  owner: 'Owner',
+  editor: 'Editor',
+  assessor: 'Assessor',
+  viewer: 'Client Viewer'
+};
+
+export const ROLE_DESCRIPTIONS = {
+  editor: 'Can change trial settings, layout and data',
+  assessor: 'Can enter data, photos and notes, but not change settings',
+  viewer: 'Read-only access to analysis and presentation'
+};
+
+// Roles an owner can hand out when inviting someone
+export const INVITABLE_ROLES = [TRIAL_ROLES.EDITOR, TRIAL_ROLES.ASSESSOR, TRIAL_ROLES.VIEWER];
+
+/**
+ * Can this role change config, treatments and layout (TrialConfigEditor, layout unlock)?
+ * @param {string} role - Trial role
+ * @returns {boolean}
+ */
+export const canEditSettings = (role) => {
+  return role === TRIAL_ROLES.OWNER || role === TRIAL_ROLES.EDITOR;
+};
+
+/**
+ * Can this role enter assessment values, photos and notes?
+ * @param {string} role - Trial role
+ * @returns {boolean}
+ */
+export const canEnterData = (role) => {
+  return canEditSettings(role) || role === TRIAL_ROLES.ASSESSOR;
+};
+
+/**
+ * Can this role invite, re-role or remove members, or delete the trial?
+ * @param {string} role - Trial role
+ * @returns {boolean}
+ */
+export const canManageTrial = (role) => {
+  return role === TRIAL_ROLES.OWNER;
+};
@@ -0,0 +1,166 @@
+-- =====================================================
+-- Audit trail for assessment values, treatments and layout
+-- =====================================================
+-- Records every change to a plot value, treatment name or plot
+-- assignment with who made it, when, and the old and new value.
+-- Rows are written by triggers, so every path that changes data
+-- (data entry, imagery import, offline sync, colleagues) is logged.
+-- The log is append-only: nobody can edit or delete entries.
+-- Run after supabase-trial-members.sql.
+
+-- =====================================================
+-- AUDIT LOG TABLE
+-- =====================================================
+CREATE TABLE IF NOT EXISTS trial_audit_log (
+  id BIGINT GENERATED ALWAYS AS IDENTITY PRIMARY KEY,
+  trial_id UUID REFERENCES trials(id) ON DELETE CASCADE NOT NULL,
+
+  -- What changed: 'value', 'treatment' or 'layout'
+  change_type TEXT NOT NULL CHECK (change_type IN ('value', 'treatment', 'layout')),
+  plot_id TEXT,
+  assessment_date DATE,
+  assessment_type TEXT,
+  treatment_index INTEGER,
+
+  old_value TEXT,
+  new_value TEXT,
+
+  -- Who and when. edited_at is the time on the device, which
+  -- differs from changed_at for edits made offline.
+  user_id UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+  user_email TEXT,
+  edited_at TIMESTAMPTZ,
+  changed_at TIMESTAMPTZ DEFAULT NOW() NOT NULL
+);
+
+-- =====================================================
+-- INDEXES FOR PERFORMANCE
+-- =====================================================
+
+-- Index for exporting a trial's full log
+CREATE INDEX IF NOT EXISTS idx_trial_audit_log_trial_id
+ON trial_audit_log(trial_id, changed_at);
+
+-- Index for the per-plot history panel
+CREATE INDEX IF NOT EXISTS idx_trial_audit_log_plot
+ON trial_audit_log(trial_id, plot_id);
+
+-- =====================================================
+-- ROW LEVEL SECURITY (RLS)
+-- =====================================================
+
+ALTER TABLE trial_audit_log ENABLE ROW LEVEL SECURITY;
+
+-- Policy: Anyone with access to a trial can read its history
+CREATE POLICY "Members can view audit log"
+ON trial_audit_log FOR SELECT
+USING (trial_role(trial_id) IS NOT NULL);
+
+-- No INSERT/UPDATE/DELETE policies: only the triggers below write here
+
+-- =====================================================
+-- TRIGGERS
+-- =====================================================
+
+-- Log plot value changes. Runs after keep_newest_plot_observation,
+-- so stale offline replays that were ignored are not logged.
+CREATE OR REPLACE FUNCTION log_plot_observation_change()
+RETURNS TRIGGER AS $$
+BEGIN
+  -- The whole trial is being deleted; its log goes with it
+  IF TG_OP = 'DELETE' AND NOT EXISTS (SELECT 1 FROM trials WHERE id = OLD.trial_id) THEN
+    RETURN NULL;
+  END IF;
+
+  IF TG_OP = 'UPDATE' AND NEW.value IS NOT DISTINCT FROM OLD.value THEN
+    RETURN NULL;
+  END IF;
+
+  IF TG_OP = 'INSERT' AND NEW.value IS NULL THEN
+    RETURN NULL;
+  END IF;
+
+  INSERT INTO trial_audit_log (
+    trial_id, change_type, plot_id, assessment_date, assessment_type,
+    old_value, new_value, user_id, user_email, edited_at
+  ) VALUES (
+    COALESCE(NEW.trial_id, OLD.trial_id),
+    'value',
+    COALESCE(NEW.plot_id, OLD.plot_id),
+    COALESCE(NEW.assessment_date, OLD.assessment_date),
+    COALESCE(NEW.assessment_type, OLD.assessment_type),
+    CASE WHEN TG_OP = 'INSERT' THEN NULL ELSE OLD.value END,
+    CASE WHEN TG_OP = 'DELETE' THEN NULL ELSE NEW.value END,
+    COALESCE(auth.uid(), NEW.author_id),
+    COALESCE(auth.jwt() ->> 'email', NEW.author_email),
+    CASE WHEN TG_OP = 'DELETE' THEN NOW() ELSE NEW.updated_at END
+  );
+
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+CREATE TRIGGER log_plot_observation_change
+AFTER INSERT OR UPDATE OR DELETE ON plot_observations
+FOR EACH ROW
+EXECUTE FUNCTION log_plot_observation_change();
+
+-- Log treatment renames and plot assignment changes
+CREATE OR REPLACE FUNCTION log_trial_settings_change()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF NEW.config -> 'treatments' IS DISTINCT FROM OLD.config -> 'treatments' THEN
+    INSERT INTO trial_audit_log (
+      trial_id, change_type, treatment_index, old_value, new_value, user_id, user_email
+    )
+    SELECT
+      NEW.id, 'treatment', COALESCE(n.idx, o.idx) - 1, o.name, n.name,
+      auth.uid(), auth.jwt() ->> 'email'
+    FROM jsonb_array_elements_text(COALESCE(OLD.config -> 'treatments', '[]'::JSONB))
+      WITH ORDINALITY AS o(name, idx)
+    FULL JOIN jsonb_array_elements_text(COALESCE(NEW.config -> 'treatments', '[]'::JSONB))
+      WITH ORDINALITY AS n(name, idx) ON n.idx = o.idx
+    WHERE n.name IS DISTINCT FROM o.name;
+  END IF;
+
+  IF NEW.grid_layout IS DISTINCT FROM OLD.grid_layout THEN
+    -- One row per plot whose treatment or blank status changed,
+    -- recorded as the treatment name ('Blank' for blank plots)
+    WITH old_plots AS (
+      SELECT p ->> 'id' AS plot_id,
+        CASE WHEN (p ->> 'isBlank')::BOOLEAN THEN 'Blank' ELSE p ->> 'treatmentName' END AS assignment
+      FROM jsonb_array_elements(COALESCE(OLD.grid_layout, '[]'::JSONB)) AS r(row_plots)
+      CROSS JOIN LATERAL jsonb_array_elements(r.row_plots) AS p
+    ),
+    new_plots AS (
+      SELECT p ->> 'id' AS plot_id,
+        CASE WHEN (p ->> 'isBlank')::BOOLEAN THEN 'Blank' ELSE p ->> 'treatmentName' END AS assignment
+      FROM jsonb_array_elements(COALESCE(NEW.grid_layout, '[]'::JSONB)) AS r(row_plots)
+      CROSS JOIN LATERAL jsonb_array_elements(r.row_plots) AS p
+    )
+    INSERT INTO trial_audit_log (
+      trial_id, change_type, plot_id, old_value, new_value, user_id, user_email
+    )
+    SELECT
+      NEW.id, 'layout', COALESCE(n.plot_id, o.plot_id), o.assignment, n.assignment,
+      auth.uid(), auth.jwt() ->> 'email'
+    FROM old_plots o
+    FULL JOIN new_plots n ON n.plot_id = o.plot_id
+    WHERE n.assignment IS DISTINCT FROM o.assignment;
+  END IF;
+
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+CREATE TRIGGER log_trial_settings_change
+AFTER UPDATE ON trials
+FOR EACH ROW
+EXECUTE FUNCTION log_trial_settings_change();
+
+-- =====================================================
+-- MIGRATION COMPLETE
+-- =====================================================
+-- History starts from the moment this migration runs; earlier
+-- changes were never recorded and cannot be reconstructed.
+-- =====================================================
@@ -0,0 +1,68 @@
+-- =====================================================
+-- Excel import templates (saved column mappings)
+-- =====================================================
+-- Stores a user's named column mappings for importing assessment
+-- workbooks laid out differently from the in-house sheets: which
+-- row holds the headers, which columns are block, plot, treatment
+-- and assessments, and which rows to skip. Templates belong to the
+-- user who saved them and are offered on every Excel import.
+-- Run after supabase-snapshots.sql.
+
+-- =====================================================
+-- IMPORT TEMPLATES TABLE
+-- =====================================================
+CREATE TABLE IF NOT EXISTS import_templates (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+
+  name TEXT NOT NULL,
+
+  -- { headerRow, columns: [{ index, header, role, name }], skipMarker }
+  mapping JSONB NOT NULL,
+
+  created_at TIMESTAMPTZ DEFAULT NOW() NOT NULL,
+  updated_at TIMESTAMPTZ DEFAULT NOW() NOT NULL,
+
+  CONSTRAINT import_templates_name_check CHECK (char_length(name) >= 1),
+  CONSTRAINT import_templates_user_name_key UNIQUE (user_id, name)
+);
+
+-- =====================================================
+-- INDEXES FOR PERFORMANCE
+-- =====================================================
+
+CREATE INDEX IF NOT EXISTS idx_import_templates_user_id
+ON import_templates(user_id, name);
+
+-- =====================================================
+-- ROW LEVEL SECURITY (RLS)
+-- =====================================================
+
+ALTER TABLE import_templates ENABLE ROW LEVEL SECURITY;
+
+-- Policy: Users can view their own templates
+CREATE POLICY "Users can view their own import templates"
+ON import_templates FOR SELECT
+USING (auth.uid() = user_id);
+
+-- Policy: Users can save their own templates
+CREATE POLICY "Users can insert their own import templates"
+ON import_templates FOR INSERT
+WITH CHECK (auth.uid() = user_id);
+
+-- Policy: Users can overwrite their own templates
+CREATE POLICY "Users can update their own import templates"
+ON import_templates FOR UPDATE
+USING (auth.uid() = user_id)
+WITH CHECK (auth.uid() = user_id);
+
+-- Policy: Users can delete their own templates
+CREATE POLICY "Users can delete their own import templates"
+ON import_templates FOR DELETE
+USING (auth.uid() = user_id);
+
+-- =====================================================
+-- MIGRATION COMPLETE
+-- =====================================================
+-- Saving a template under an existing name replaces its mapping.
+-- =====================================================
@@ -0,0 +1,142 @@
+-- =====================================================
+-- Per-plot observation journal
+-- =====================================================
+-- Assessment values move out of trials.assessment_dates into one
+-- row per (trial, date, assessment type, plot). The app upserts only
+-- the cells that changed, so two assessors working on the same trial
+-- merge instead of overwriting each other.
+-- trials.assessment_dates keeps the list of dates and assessment types.
+
+-- =====================================================
+-- PLOT OBSERVATIONS TABLE
+-- =====================================================
+CREATE TABLE IF NOT EXISTS plot_observations (
+  id BIGINT GENERATED ALWAYS AS IDENTITY PRIMARY KEY,
+  trial_id UUID REFERENCES trials(id) ON DELETE CASCADE NOT NULL,
+
+  -- Which cell this is
+  assessment_date DATE NOT NULL,
+  assessment_type TEXT NOT NULL,
+  plot_id TEXT NOT NULL,
+
+  -- The recorded value
+  value TEXT,
+  entered BOOLEAN DEFAULT FALSE NOT NULL,
+
+  -- Who recorded it and when (edit time on the device, not sync time)
+  author_id UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+  author_email TEXT,
+  updated_at TIMESTAMPTZ DEFAULT NOW() NOT NULL,
+
+  CONSTRAINT plot_observations_cell_unique
+    UNIQUE (trial_id, assessment_date, assessment_type, plot_id)
+);
+
+-- =====================================================
+-- INDEXES FOR PERFORMANCE
+-- =====================================================
+
+-- Index for loading all observations of a trial
+CREATE INDEX IF NOT EXISTS idx_plot_observations_trial_id
+ON plot_observations(trial_id);
+
+-- Index for per-date queries
+CREATE INDEX IF NOT EXISTS idx_plot_observations_trial_date
+ON plot_observations(trial_id, assessment_date);
+
+-- =====================================================
+-- ROW LEVEL SECURITY (RLS)
+-- =====================================================
+
+ALTER TABLE plot_observations ENABLE ROW LEVEL SECURITY;
+
+-- Policy: Users can view observations of their own trials
+CREATE POLICY "Users can view observations of their own trials"
+ON plot_observations FOR SELECT
+USING (EXISTS (
+  SELECT 1 FROM trials WHERE trials.id = plot_observations.trial_id AND trials.user_id = auth.uid()
+));
+
+-- Policy: Users can insert observations into their own trials
+CREATE POLICY "Users can insert observations into their own trials"
+ON plot_observations FOR INSERT
+WITH CHECK (EXISTS (
+  SELECT 1 FROM trials WHERE trials.id = plot_observations.trial_id AND trials.user_id = auth.uid()
+));
+
+-- Policy: Users can update observations of their own trials
+CREATE POLICY "Users can update observations of their own trials"
+ON plot_observations FOR UPDATE
+USING (EXISTS (
+  SELECT 1 FROM trials WHERE trials.id = plot_observations.trial_id AND trials.user_id = auth.uid()
+))
+WITH CHECK (EXISTS (
+  SELECT 1 FROM trials WHERE trials.id = plot_observations.trial_id AND trials.user_id = auth.uid()
+));
+
+-- Policy: Users can delete observations of their own trials
+CREATE POLICY "Users can delete observations of their own trials"
+ON plot_observations FOR DELETE
+USING (EXISTS (
+  SELECT 1 FROM trials WHERE trials.id = plot_observations.trial_id AND trials.user_id = auth.uid()
+));
+
+-- =====================================================
+-- TRIGGERS
+-- =====================================================
+
+-- Ignore updates older than the stored value, so an edit replayed
+-- late from an offline device can't overwrite a newer one
+CREATE OR REPLACE FUNCTION keep_newest_plot_observation()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF NEW.updated_at < OLD.updated_at THEN
+    RETURN NULL;
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER keep_newest_plot_observation
+BEFORE UPDATE ON plot_observations
+FOR EACH ROW
+EXECUTE FUNCTION keep_newest_plot_observation();
+
+-- =====================================================
+-- BACKFILL FROM EXISTING TRIALS
+-- =====================================================
+
+-- Copy values out of the old assessment_dates JSONB blob.
+-- DD/MM/YYYY dates are converted; anything else must already be YYYY-MM-DD.
+INSERT INTO plot_observations (
+  trial_id, assessment_date, assessment_type, plot_id,
+  value, entered, author_id, updated_at
+)
+SELECT
+  t.id,
+  CASE
+    WHEN d.value->>'date' ~ '^\d{1,2}[/-]\d{1,2}[/-]\d{4}$'
+      THEN to_date(replace(d.value->>'date', '-', '/'), 'DD/MM/YYYY')
+    ELSE (d.value->>'date')::DATE
+  END,
+  a.key,
+  p.key,
+  NULLIF(p.value->>'value', ''),
+  COALESCE((p.value->>'entered')::BOOLEAN, FALSE),
+  t.user_id,
+  t.last_modified
+FROM trials t
+CROSS JOIN LATERAL jsonb_array_elements(t.assessment_dates) AS d(value)
+CROSS JOIN LATERAL jsonb_each(COALESCE(d.value->'assessments', '{}'::JSONB)) AS a(key, value)
+CROSS JOIN LATERAL jsonb_each(a.value) AS p(key, value)
+WHERE COALESCE((p.value->>'entered')::BOOLEAN, FALSE)
+ON CONFLICT (trial_id, assessment_date, assessment_type, plot_id) DO NOTHING;
+
+-- =====================================================
+-- MIGRATION COMPLETE
+-- =====================================================
+-- Run this migration in your Supabase SQL editor after
+-- supabase-migration.sql and supabase-add-metadata.sql.
+-- Values already in trials.assessment_dates are left in place;
+-- the app rewrites that column as a date list on the next save.
+-- =====================================================
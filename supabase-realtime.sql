@@ -0,0 +1,21 @@
+-- =====================================================
+-- Enable realtime updates for live collaboration
+-- =====================================================
+-- Lets the app hear a colleague's edits as they happen:
+-- trial rows refresh the library, plot_observations rows
+-- update the open field map and table.
+
+-- Add tables to the Supabase realtime publication
+ALTER PUBLICATION supabase_realtime ADD TABLE trials;
+ALTER PUBLICATION supabase_realtime ADD TABLE plot_observations;
+
+-- Send the full old row on DELETE so clients know which plot was cleared
+ALTER TABLE plot_observations REPLICA IDENTITY FULL;
+
+-- =====================================================
+-- MIGRATION COMPLETE
+-- =====================================================
+-- Run this migration in your Supabase SQL editor after
+-- supabase-plot-observations.sql. Presence ("Sam is on
+-- Block 3") uses realtime channels and needs no tables.
+-- =====================================================
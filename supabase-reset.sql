@@ -4,6 +4,21 @@
 -- =====================================================
 
 -- Drop existing objects
+DROP TABLE IF EXISTS trial_snapshots CASCADE;
+DROP TRIGGER IF EXISTS log_trial_settings_change ON trials;
+DROP FUNCTION IF EXISTS log_trial_settings_change();
+DROP TABLE IF EXISTS trial_audit_log CASCADE;
+DROP FUNCTION IF EXISTS log_plot_observation_change() CASCADE;
+DROP FUNCTION IF EXISTS get_shared_trial(TEXT);
+DROP TABLE IF EXISTS trial_share_links CASCADE;
+DROP TABLE IF EXISTS trial_members CASCADE;
+DROP FUNCTION IF EXISTS claim_trial_invites();
+DROP FUNCTION IF EXISTS normalize_trial_member_email();
+DROP TRIGGER IF EXISTS protect_trial_settings ON trials;
+DROP FUNCTION IF EXISTS protect_trial_settings();
+DROP FUNCTION IF EXISTS trial_role(UUID);
+DROP TABLE IF EXISTS plot_observations CASCADE;
+DROP FUNCTION IF EXISTS keep_newest_plot_observation();
 DROP TRIGGER IF EXISTS update_trials_last_modified ON trials;
 DROP FUNCTION IF EXISTS update_last_modified_column();
 DROP FUNCTION IF EXISTS get_user_trial_count();
@@ -0,0 +1,98 @@
+-- =====================================================
+-- Read-only client portal links
+-- =====================================================
+-- Lets a trial owner send a sponsor an expiring link that opens
+-- a read-only presentation/analysis view without a Supabase login.
+-- The token is a random 192-bit secret generated by the database;
+-- anyone holding it can read that one trial until it expires or
+-- is revoked. Run after supabase-trial-members.sql.
+
+CREATE EXTENSION IF NOT EXISTS pgcrypto;
+
+-- =====================================================
+-- SHARE LINKS TABLE
+-- =====================================================
+CREATE TABLE IF NOT EXISTS trial_share_links (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  trial_id UUID REFERENCES trials(id) ON DELETE CASCADE NOT NULL,
+
+  token TEXT NOT NULL UNIQUE DEFAULT encode(gen_random_bytes(24), 'hex'),
+  label TEXT,
+
+  created_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW() NOT NULL,
+  expires_at TIMESTAMPTZ NOT NULL,
+  revoked_at TIMESTAMPTZ,
+
+  CONSTRAINT trial_share_links_expiry_check CHECK (expires_at > created_at)
+);
+
+-- =====================================================
+-- INDEXES FOR PERFORMANCE
+-- =====================================================
+
+CREATE INDEX IF NOT EXISTS idx_trial_share_links_trial_id
+ON trial_share_links(trial_id);
+
+-- =====================================================
+-- ROW LEVEL SECURITY (RLS)
+-- =====================================================
+
+ALTER TABLE trial_share_links ENABLE ROW LEVEL SECURITY;
+
+-- Policy: Owners can view their trials' links
+CREATE POLICY "Owners can view share links"
+ON trial_share_links FOR SELECT
+USING (trial_role(trial_id) = 'owner');
+
+-- Policy: Owners can create links
+CREATE POLICY "Owners can create share links"
+ON trial_share_links FOR INSERT
+WITH CHECK (trial_role(trial_id) = 'owner');
+
+-- Policy: Owners can revoke links
+CREATE POLICY "Owners can revoke share links"
+ON trial_share_links FOR UPDATE
+USING (trial_role(trial_id) = 'owner')
+WITH CHECK (trial_role(trial_id) = 'owner');
+
+-- Policy: Owners can delete links
+CREATE POLICY "Owners can delete share links"
+ON trial_share_links FOR DELETE
+USING (trial_role(trial_id) = 'owner');
+
+-- =====================================================
+-- PUBLIC READ FUNCTION
+-- =====================================================
+
+-- Return a trial and its observations for a valid, unexpired,
+-- unrevoked token. Returns NULL otherwise. Callable without login.
+CREATE OR REPLACE FUNCTION get_shared_trial(p_token TEXT)
+RETURNS JSONB AS $$
+  SELECT jsonb_build_object(
+    'trial', to_jsonb(t) - 'user_id',
+    'observations', COALESCE((
+      SELECT jsonb_agg(to_jsonb(o) - 'author_id' - 'author_email')
+      FROM plot_observations o
+      WHERE o.trial_id = t.id
+    ), '[]'::JSONB),
+    'link', jsonb_build_object(
+      'label', l.label,
+      'expires_at', l.expires_at
+    )
+  )
+  FROM trial_share_links l
+  JOIN trials t ON t.id = l.trial_id
+  WHERE l.token = p_token
+    AND l.revoked_at IS NULL
+    AND l.expires_at > NOW();
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+GRANT EXECUTE ON FUNCTION get_shared_trial(TEXT) TO anon, authenticated;
+
+-- =====================================================
+-- MIGRATION COMPLETE
+-- =====================================================
+-- Photos are served from the public plot-images bucket, so the
+-- shared view can show them without further policies.
+-- =====================================================
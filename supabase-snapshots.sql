@@ -0,0 +1,63 @@
+-- =====================================================
+-- Trial snapshots (named restore points)
+-- =====================================================
+-- Stores a named copy of a trial's config, layout, assessment
+-- values, notes and photo references, e.g. "pre-application
+-- baseline" or "before layout unlock". Snapshots can be compared
+-- and restored from the app. Photos are stored as references to
+-- the plot-images bucket, not copied.
+-- Run after supabase-trial-members.sql.
+
+-- =====================================================
+-- SNAPSHOTS TABLE
+-- =====================================================
+CREATE TABLE IF NOT EXISTS trial_snapshots (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  trial_id UUID REFERENCES trials(id) ON DELETE CASCADE NOT NULL,
+
+  name TEXT NOT NULL,
+
+  -- { config, gridLayout, orientation, assessmentDates, notes, photos }
+  data JSONB NOT NULL,
+
+  created_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+  created_by_email TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW() NOT NULL
+);
+
+-- =====================================================
+-- INDEXES FOR PERFORMANCE
+-- =====================================================
+
+CREATE INDEX IF NOT EXISTS idx_trial_snapshots_trial_id
+ON trial_snapshots(trial_id, created_at DESC);
+
+-- =====================================================
+-- ROW LEVEL SECURITY (RLS)
+-- =====================================================
+
+ALTER TABLE trial_snapshots ENABLE ROW LEVEL SECURITY;
+
+-- Policy: Anyone with access to a trial can view its snapshots
+CREATE POLICY "Members can view snapshots"
+ON trial_snapshots FOR SELECT
+USING (trial_role(trial_id) IS NOT NULL);
+
+-- Policy: Owners and editors can take snapshots
+CREATE POLICY "Owners and editors can create snapshots"
+ON trial_snapshots FOR INSERT
+WITH CHECK (trial_role(trial_id) IN ('owner', 'editor'));
+
+-- Policy: Owners and editors can delete snapshots
+CREATE POLICY "Owners and editors can delete snapshots"
+ON trial_snapshots FOR DELETE
+USING (trial_role(trial_id) IN ('owner', 'editor'));
+
+-- No UPDATE policy: a snapshot never changes once taken
+
+-- =====================================================
+-- MIGRATION COMPLETE
+-- =====================================================
+-- Restoring a snapshot writes its values back through the normal
+-- save path, so each restored cell also shows up in the audit log.
+-- =====================================================
@@ -0,0 +1,209 @@
+-- =====================================================
+-- Trial sharing with roles
+-- =====================================================
+-- Lets the owner of a trial share it with colleagues and clients:
+--   owner    - full control, manages members, can delete the trial
+--   editor   - can change settings, layout and data
+--   assessor - can enter data, photos and notes, not settings
+--   viewer   - client read-only access
+-- Run after supabase-plot-observations.sql.
+
+-- =====================================================
+-- TRIAL MEMBERS TABLE
+-- =====================================================
+CREATE TABLE IF NOT EXISTS trial_members (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  trial_id UUID REFERENCES trials(id) ON DELETE CASCADE NOT NULL,
+
+  -- Invites are by email; user_id is filled in once they sign in
+  email TEXT NOT NULL,
+  user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE,
+
+  role TEXT NOT NULL CHECK (role IN ('editor', 'assessor', 'viewer')),
+  invited_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW() NOT NULL,
+
+  CONSTRAINT trial_members_email_unique UNIQUE (trial_id, email)
+);
+
+-- Store emails lower-case so invites match sign-ins
+CREATE OR REPLACE FUNCTION normalize_trial_member_email()
+RETURNS TRIGGER AS $$
+BEGIN
+  NEW.email = lower(trim(NEW.email));
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER normalize_trial_member_email
+BEFORE INSERT OR UPDATE ON trial_members
+FOR EACH ROW
+EXECUTE FUNCTION normalize_trial_member_email();
+
+-- =====================================================
+-- INDEXES FOR PERFORMANCE
+-- =====================================================
+
+CREATE INDEX IF NOT EXISTS idx_trial_members_trial_id
+ON trial_members(trial_id);
+
+CREATE INDEX IF NOT EXISTS idx_trial_members_user_id
+ON trial_members(user_id);
+
+CREATE INDEX IF NOT EXISTS idx_trial_members_email
+ON trial_members(email);
+
+-- =====================================================
+-- ROLE LOOKUP
+-- =====================================================
+
+-- Current user's role on a trial, or NULL if they have no access.
+-- SECURITY DEFINER so policies can call it without recursing into RLS.
+CREATE OR REPLACE FUNCTION trial_role(p_trial_id UUID)
+RETURNS TEXT AS $$
+  SELECT CASE
+    WHEN EXISTS (SELECT 1 FROM trials WHERE id = p_trial_id AND user_id = auth.uid())
+      THEN 'owner'
+    ELSE (
+      SELECT role FROM trial_members
+      WHERE trial_id = p_trial_id
+        AND (user_id = auth.uid() OR email = lower(auth.jwt() ->> 'email'))
+      LIMIT 1
+    )
+  END;
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+-- =====================================================
+-- TRIALS POLICIES
+-- =====================================================
+
+DROP POLICY IF EXISTS "Users can view their own trials" ON trials;
+DROP POLICY IF EXISTS "Users can update their own trials" ON trials;
+DROP POLICY IF EXISTS "Users can delete their own trials" ON trials;
+
+-- Policy: Owners and members can view trials
+CREATE POLICY "Members can view trials"
+ON trials FOR SELECT
+USING (trial_role(id) IS NOT NULL);
+
+-- Policy: Owners, editors and assessors can update trials
+-- (assessors are limited to data columns by the trigger below)
+CREATE POLICY "Members with write access can update trials"
+ON trials FOR UPDATE
+USING (trial_role(id) IN ('owner', 'editor', 'assessor'))
+WITH CHECK (trial_role(id) IN ('owner', 'editor', 'assessor'));
+
+-- Policy: Only owners can delete trials
+CREATE POLICY "Owners can delete trials"
+ON trials FOR DELETE
+USING (auth.uid() = user_id);
+
+-- Assessors may record dates, photos and notes but not change settings
+CREATE OR REPLACE FUNCTION protect_trial_settings()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF trial_role(OLD.id) = 'assessor' AND (
+    NEW.name IS DISTINCT FROM OLD.name OR
+    NEW.config IS DISTINCT FROM OLD.config OR
+    NEW.grid_layout IS DISTINCT FROM OLD.grid_layout OR
+    NEW.orientation IS DISTINCT FROM OLD.orientation OR
+    NEW.layout_locked IS DISTINCT FROM OLD.layout_locked OR
+    NEW.user_id IS DISTINCT FROM OLD.user_id
+  ) THEN
+    RAISE EXCEPTION 'Assessors cannot change trial settings';
+  END IF;
+
+  -- Nobody but the owner can hand the trial to someone else
+  IF NEW.user_id IS DISTINCT FROM OLD.user_id AND auth.uid() <> OLD.user_id THEN
+    RAISE EXCEPTION 'Only the owner can transfer a trial';
+  END IF;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER protect_trial_settings
+BEFORE UPDATE ON trials
+FOR EACH ROW
+EXECUTE FUNCTION protect_trial_settings();
+
+-- =====================================================
+-- PLOT OBSERVATIONS POLICIES
+-- =====================================================
+
+DROP POLICY IF EXISTS "Users can view observations of their own trials" ON plot_observations;
+DROP POLICY IF EXISTS "Users can insert observations into their own trials" ON plot_observations;
+DROP POLICY IF EXISTS "Users can update observations of their own trials" ON plot_observations;
+DROP POLICY IF EXISTS "Users can delete observations of their own trials" ON plot_observations;
+
+-- Policy: Owners and members can view observations
+CREATE POLICY "Members can view observations"
+ON plot_observations FOR SELECT
+USING (trial_role(trial_id) IS NOT NULL);
+
+-- Policy: Owners, editors and assessors can record observations
+CREATE POLICY "Members with write access can insert observations"
+ON plot_observations FOR INSERT
+WITH CHECK (trial_role(trial_id) IN ('owner', 'editor', 'assessor'));
+
+CREATE POLICY "Members with write access can update observations"
+ON plot_observations FOR UPDATE
+USING (trial_role(trial_id) IN ('owner', 'editor', 'assessor'))
+WITH CHECK (trial_role(trial_id) IN ('owner', 'editor', 'assessor'));
+
+CREATE POLICY "Members with write access can delete observations"
+ON plot_observations FOR DELETE
+USING (trial_role(trial_id) IN ('owner', 'editor', 'assessor'));
+
+-- =====================================================
+-- TRIAL MEMBERS POLICIES
+-- =====================================================
+
+ALTER TABLE trial_members ENABLE ROW LEVEL SECURITY;
+
+-- Policy: Anyone with access to a trial can see who else is on it
+CREATE POLICY "Members can view trial members"
+ON trial_members FOR SELECT
+USING (trial_role(trial_id) IS NOT NULL);
+
+-- Policy: Only owners can invite members
+CREATE POLICY "Owners can invite members"
+ON trial_members FOR INSERT
+WITH CHECK (trial_role(trial_id) = 'owner');
+
+-- Policy: Only owners can change roles
+CREATE POLICY "Owners can update members"
+ON trial_members FOR UPDATE
+USING (trial_role(trial_id) = 'owner')
+WITH CHECK (trial_role(trial_id) = 'owner');
+
+-- Policy: Owners can remove members, members can leave
+CREATE POLICY "Owners can remove members"
+ON trial_members FOR DELETE
+USING (trial_role(trial_id) = 'owner' OR user_id = auth.uid());
+
+-- =====================================================
+-- INVITE CLAIMING
+-- =====================================================
+
+-- Link pending invites for the signed-in user's email to their account.
+-- Called by the app on load; only ever sets user_id, never the role.
+CREATE OR REPLACE FUNCTION claim_trial_invites()
+RETURNS INTEGER AS $$
+  WITH claimed AS (
+    UPDATE trial_members
+    SET user_id = auth.uid()
+    WHERE user_id IS NULL
+      AND email = lower(auth.jwt() ->> 'email')
+    RETURNING 1
+  )
+  SELECT COUNT(*)::INTEGER FROM claimed;
+$$ LANGUAGE sql VOLATILE SECURITY DEFINER SET search_path = public;
+
+-- =====================================================
+-- MIGRATION COMPLETE
+-- =====================================================
+-- Storage: photos in the plot-images bucket are addressed by
+-- trial ID, so shared members can already load them through
+-- the public URLs the app uses.
+-- =====================================================